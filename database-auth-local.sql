@@ -0,0 +1,42 @@
+-- Esquema para AUTH_PROVIDER=local (credenciales propias, sin Supabase Auth).
+-- Ejecutar DESPUÉS de database-setup-belloamuleto.sql. Se puede ejecutar más de una vez.
+--
+-- Con el proveedor local los auth_user_id los genera la tabla public.credenciales, así que
+-- las FK que apuntan a auth.users fallarían en cada registro: se redirigen a credenciales.
+-- Volver a AUTH_PROVIDER=supabase exige redirigirlas de nuevo a auth.users.
+
+-- Los usuarios de Supabase Auth ya existentes pasan a credenciales con un hash inservible:
+-- conservan su cuenta y su historial, pero deben restablecer su password para entrar
+insert into public.credenciales (auth_user_id, email, password_hash, email_confirmado_en)
+select au.id, au.email, '!', au.email_confirmed_at
+from auth.users au
+where au.email is not null
+on conflict do nothing;
+
+alter table public.usuarios drop constraint if exists fk_usuarios_auth_user_id;
+alter table public.usuarios
+  add constraint fk_usuarios_auth_user_id foreign KEY (auth_user_id) references public.credenciales (auth_user_id);
+
+alter table public.empleados drop constraint if exists empleados_usuario_id_fkey;
+alter table public.empleados
+  add constraint empleados_usuario_id_fkey foreign KEY (usuario_id) references public.credenciales (auth_user_id) on delete CASCADE;
+
+alter table public.empleados_roles drop constraint if exists empleados_roles_otorgado_por_fkey;
+alter table public.empleados_roles
+  add constraint empleados_roles_otorgado_por_fkey foreign KEY (otorgado_por) references public.credenciales (auth_user_id);
+
+alter table public.roles_permisos drop constraint if exists roles_permisos_otorgado_por_fkey;
+alter table public.roles_permisos
+  add constraint roles_permisos_otorgado_por_fkey foreign KEY (otorgado_por) references public.credenciales (auth_user_id) on delete set null;
+
+alter table public.solicitudes_roles drop constraint if exists solicitudes_roles_solicitado_por_fkey;
+alter table public.solicitudes_roles
+  add constraint solicitudes_roles_solicitado_por_fkey foreign KEY (solicitado_por) references public.credenciales (auth_user_id);
+
+alter table public.solicitudes_roles drop constraint if exists solicitudes_roles_decidido_por_fkey;
+alter table public.solicitudes_roles
+  add constraint solicitudes_roles_decidido_por_fkey foreign KEY (decidido_por) references public.credenciales (auth_user_id);
+
+alter table public.roles_incompatibles drop constraint if exists roles_incompatibles_creado_por_fkey;
+alter table public.roles_incompatibles
+  add constraint roles_incompatibles_creado_por_fkey foreign KEY (creado_por) references public.credenciales (auth_user_id) on delete set null;
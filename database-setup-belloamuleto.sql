@@ -26,6 +26,7 @@ CREATE TABLE public.detalles_carritos (
   carrito_id bigint NOT NULL,
   producto_id bigint NOT NULL,
   cantidad integer NOT NULL,
+  variante_id bigint,
   CONSTRAINT detalles_carritos_pkey PRIMARY KEY (id),
   CONSTRAINT detalles_carritos_carrito_id_fkey FOREIGN KEY (carrito_id) REFERENCES public.carritos(id),
   CONSTRAINT detalles_carritos_producto_id_fkey FOREIGN KEY (producto_id) REFERENCES public.productos(id)
@@ -55,8 +56,14 @@ CREATE TABLE public.imagenes_productos (
   id bigint GENERATED ALWAYS AS IDENTITY NOT NULL,
   producto_id bigint NOT NULL,
   url text NOT NULL,
+  url_media text,
+  url_miniatura text,
+  clave text,
+  orden integer NOT NULL DEFAULT 0,
+  principal boolean NOT NULL DEFAULT false,
+  creado_en timestamp with time zone DEFAULT now(),
   CONSTRAINT imagenes_productos_pkey PRIMARY KEY (id),
-  CONSTRAINT imagenes_productos_producto_id_fkey FOREIGN KEY (producto_id) REFERENCES public.productos(id)
+  CONSTRAINT imagenes_productos_producto_id_fkey FOREIGN KEY (producto_id) REFERENCES public.productos(id) ON DELETE CASCADE
 );
 CREATE TABLE public.listas_deseos (
   id bigint GENERATED ALWAYS AS IDENTITY NOT NULL,
@@ -133,40 +140,607 @@ CREATE TABLE public.usuarios (
   email text NOT NULL UNIQUE,
   direccion text,
   telefono text,
+  email_verificado_en timestamp with time zone,
+  bloqueado boolean NOT NULL DEFAULT false,
+  bloqueado_en timestamp with time zone,
+  bloqueado_por bigint,
+  motivo_bloqueo text,
   CONSTRAINT usuarios_pkey PRIMARY KEY (id),
-  CONSTRAINT fk_usuarios_auth_user_id FOREIGN KEY (auth_user_id) REFERENCES auth.users(id)
+  CONSTRAINT fk_usuarios_auth_user_id FOREIGN KEY (auth_user_id) REFERENCES auth.users(id),
+  CONSTRAINT usuarios_bloqueado_por_fkey FOREIGN KEY (bloqueado_por) REFERENCES public.usuarios(id)
 );
 
+-- Migración de bases existentes: verificación de email
+alter table public.usuarios add column if not exists email_verificado_en timestamp with time zone null;
+
+-- Migración de bases existentes: bloqueo de cuentas
+alter table public.usuarios
+  add column if not exists bloqueado boolean not null default false,
+  add column if not exists bloqueado_en timestamp with time zone null,
+  add column if not exists bloqueado_por bigint null,
+  add column if not exists motivo_bloqueo text null;
+
+alter table public.usuarios drop constraint if exists usuarios_bloqueado_por_fkey;
+alter table public.usuarios
+  add constraint usuarios_bloqueado_por_fkey foreign key (bloqueado_por) references public.usuarios (id);
+
 create table public.roles (
   id uuid not null default gen_random_uuid (),
   nombre text not null,
   descripcion text null,
+  sensible boolean not null default false,
   creado_en timestamp with time zone not null default now(),
   constraint roles_pkey primary key (id),
   constraint roles_nombre_key unique (nombre)
 ) TABLESPACE pg_default;
 
+-- Migración de bases existentes: roles sensibles. Al añadir la columna, Administrador
+-- pasa a ser sensible como en una base nueva (después se respeta lo que se configure)
+do $$
+begin
+  if not exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'roles' and column_name = 'sensible'
+  ) then
+    alter table public.roles add column sensible boolean not null default false;
+    update public.roles set sensible = true where nombre = 'Administrador';
+  end if;
+end $$;
+
 create table public.empleados (
   usuario_id uuid not null,
   numero_empleado text null,
   fecha_contratacion date null,
-  departamento text null,
+  departamento_id bigint null,
   activo boolean not null default true,
+  desactivado_en timestamp with time zone null,
+  motivo_desactivacion text null,
   creado_en timestamp with time zone not null default now(),
   constraint empleados_pkey primary key (usuario_id),
   constraint empleados_numero_empleado_key unique (numero_empleado),
   constraint empleados_usuario_id_fkey foreign KEY (usuario_id) references auth.users (id) on delete CASCADE
 ) TABLESPACE pg_default;
 
+-- Migración de bases existentes: baja de empleados
+alter table public.empleados
+  add column if not exists activo boolean not null default true,
+  add column if not exists desactivado_en timestamp with time zone null,
+  add column if not exists motivo_desactivacion text null;
+
 create table public.empleados_roles (
   id uuid not null default gen_random_uuid (),
   empleado_id uuid not null,
   rol_id uuid not null,
   otorgado_por uuid null,
   otorgado_en timestamp with time zone not null default now(),
+  expira_en timestamp with time zone null,
+  expirado_en timestamp with time zone null,
+  suspendido_en timestamp with time zone null,
   constraint empleados_roles_pkey primary key (id),
   constraint empleados_roles_unico unique (empleado_id, rol_id),
   constraint empleados_roles_empleado_id_fkey foreign KEY (empleado_id) references empleados (usuario_id) on delete CASCADE,
   constraint empleados_roles_otorgado_por_fkey foreign KEY (otorgado_por) references auth.users (id),
   constraint empleados_roles_rol_id_fkey foreign KEY (rol_id) references roles (id) on delete CASCADE
-) TABLESPACE pg_default;
\ No newline at end of file
+) TABLESPACE pg_default;
+
+-- Migración de bases existentes: vencimiento de asignaciones
+alter table public.empleados_roles
+  add column if not exists expira_en timestamp with time zone null,
+  add column if not exists expirado_en timestamp with time zone null;
+
+-- Migración de bases existentes: asignaciones suspendidas por la baja del empleado
+alter table public.empleados_roles add column if not exists suspendido_en timestamp with time zone null;
+
+create index if not exists empleados_roles_expira_en_idx on public.empleados_roles using btree (expira_en) TABLESPACE pg_default
+where
+  expira_en is not null;
+
+create table public.sesiones (
+  id uuid not null default gen_random_uuid (),
+  usuario_id bigint not null,
+  dispositivo text null,
+  ip text null,
+  creado_en timestamp with time zone not null default now(),
+  ultimo_uso_en timestamp with time zone not null default now(),
+  expira_en timestamp with time zone not null,
+  revocada_en timestamp with time zone null,
+  motivo_revocacion text null,
+  constraint sesiones_pkey primary key (id),
+  constraint sesiones_usuario_id_fkey foreign KEY (usuario_id) references usuarios (id) on delete CASCADE
+) TABLESPACE pg_default;
+
+create table public.refresh_tokens (
+  id uuid not null default gen_random_uuid (),
+  sesion_id uuid not null,
+  token_hash text not null,
+  creado_en timestamp with time zone not null default now(),
+  expira_en timestamp with time zone not null,
+  usado_en timestamp with time zone null,
+  reemplazado_por uuid null,
+  constraint refresh_tokens_pkey primary key (id),
+  constraint refresh_tokens_token_hash_key unique (token_hash),
+  constraint refresh_tokens_sesion_id_fkey foreign KEY (sesion_id) references sesiones (id) on delete CASCADE,
+  constraint refresh_tokens_reemplazado_por_fkey foreign KEY (reemplazado_por) references refresh_tokens (id)
+) TABLESPACE pg_default;
+
+create table public.tokens_verificacion (
+  id uuid not null default gen_random_uuid (),
+  usuario_id bigint not null,
+  tipo text not null,
+  token_hash text not null,
+  creado_en timestamp with time zone not null default now(),
+  expira_en timestamp with time zone not null,
+  usado_en timestamp with time zone null,
+  constraint tokens_verificacion_pkey primary key (id),
+  constraint tokens_verificacion_token_hash_key unique (token_hash),
+  constraint tokens_verificacion_tipo_check check (tipo in ('reset_password', 'verify_email')),
+  constraint tokens_verificacion_usuario_id_fkey foreign KEY (usuario_id) references usuarios (id) on delete CASCADE
+) TABLESPACE pg_default;
+
+-- Credenciales locales (solo con AUTH_PROVIDER=local).
+-- En ese modo hay que ejecutar además database-auth-local.sql, que redirige a esta tabla
+-- las FK hacia auth.users (usuarios.auth_user_id, empleados.usuario_id, otorgado_por, ...).
+create table public.credenciales (
+  auth_user_id uuid not null default gen_random_uuid (),
+  email text not null,
+  password_hash text not null,
+  email_confirmado_en timestamp with time zone null,
+  creado_en timestamp with time zone not null default now(),
+  actualizado_en timestamp with time zone not null default now(),
+  constraint credenciales_pkey primary key (auth_user_id),
+  constraint credenciales_email_key unique (email)
+) TABLESPACE pg_default;
+
+-- Roles usados por las rutas (src/config/roles.js)
+-- Los roles sensibles solo se asignan mediante solicitud aprobada (solicitudes_roles)
+insert into public.roles (nombre, descripcion, sensible) values
+  ('Administrador', 'Acceso total a la administración', true),
+  ('Gerente', 'Gestión del catálogo y de la tienda', false),
+  ('Inventario', 'Alta y edición de productos, categorías y stock', false),
+  ('Recursos Humanos', 'Gestión de empleados y asignación de roles', false),
+  ('Soporte', 'Atención a clientes', false)
+on conflict (nombre) do nothing;
+
+create table public.permisos (
+  id uuid not null default gen_random_uuid (),
+  clave text not null,
+  descripcion text null,
+  creado_en timestamp with time zone not null default now(),
+  constraint permisos_pkey primary key (id),
+  constraint permisos_clave_key unique (clave)
+) TABLESPACE pg_default;
+
+create table public.roles_permisos (
+  rol_id uuid not null,
+  permiso_id uuid not null,
+  otorgado_por uuid null,
+  otorgado_en timestamp with time zone not null default now(),
+  constraint roles_permisos_pkey primary key (rol_id, permiso_id),
+  constraint roles_permisos_rol_id_fkey foreign KEY (rol_id) references roles (id) on delete CASCADE,
+  constraint roles_permisos_permiso_id_fkey foreign KEY (permiso_id) references permisos (id) on delete CASCADE,
+  constraint roles_permisos_otorgado_por_fkey foreign KEY (otorgado_por) references auth.users (id) on delete set null
+) TABLESPACE pg_default;
+
+-- Catálogo de permisos (src/config/roles.js → PERMISOS)
+insert into public.permisos (clave, descripcion) values
+  ('products:write', 'Crear y editar productos'),
+  ('products:delete', 'Eliminar productos'),
+  ('stock:adjust', 'Ajustar el stock de productos'),
+  ('categories:write', 'Crear y editar categorías'),
+  ('categories:delete', 'Eliminar categorías'),
+  ('roles:manage', 'Crear, editar y eliminar roles y sus permisos'),
+  ('roles:assign', 'Asignar y revocar roles a empleados'),
+  ('roles:approve', 'Aprobar o rechazar solicitudes de roles sensibles'),
+  ('employees:manage', 'Alta, edición y baja de empleados'),
+  ('users:manage', 'Bloquear y desbloquear cuentas de clientes'),
+  ('audit:read', 'Consultar el registro de auditoría')
+on conflict (clave) do nothing;
+
+-- Permisos iniciales por rol (Administrador no necesita filas: los tiene todos)
+insert into public.roles_permisos (rol_id, permiso_id)
+select r.id, p.id
+from (values
+  ('Gerente', 'products:write'),
+  ('Gerente', 'products:delete'),
+  ('Gerente', 'stock:adjust'),
+  ('Gerente', 'categories:write'),
+  ('Gerente', 'categories:delete'),
+  ('Gerente', 'users:manage'),
+  ('Gerente', 'audit:read'),
+  ('Inventario', 'products:write'),
+  ('Inventario', 'stock:adjust'),
+  ('Inventario', 'categories:write'),
+  ('Recursos Humanos', 'employees:manage'),
+  ('Recursos Humanos', 'roles:assign'),
+  ('Soporte', 'users:manage')
+) as v (rol, permiso)
+join public.roles r on r.nombre = v.rol
+join public.permisos p on p.clave = v.permiso
+on conflict do nothing;
+
+create table public.roles_herencia (
+  rol_id uuid not null,
+  padre_id uuid not null,
+  creado_en timestamp with time zone not null default now(),
+  constraint roles_herencia_pkey primary key (rol_id, padre_id),
+  constraint roles_herencia_distintos check (rol_id <> padre_id),
+  constraint roles_herencia_rol_id_fkey foreign KEY (rol_id) references roles (id) on delete CASCADE,
+  constraint roles_herencia_padre_id_fkey foreign KEY (padre_id) references roles (id) on delete CASCADE
+) TABLESPACE pg_default;
+
+create table public.solicitudes_roles (
+  id uuid not null default gen_random_uuid (),
+  empleado_id uuid not null,
+  rol_id uuid not null,
+  expira_en timestamp with time zone null,
+  estado text not null default 'pendiente'::text,
+  solicitado_por uuid not null,
+  solicitado_en timestamp with time zone not null default now(),
+  decidido_por uuid null,
+  decidido_en timestamp with time zone null,
+  motivo text null,
+  constraint solicitudes_roles_pkey primary key (id),
+  constraint solicitudes_roles_estado_check check (estado in ('pendiente', 'aprobada', 'rechazada')),
+  constraint solicitudes_roles_empleado_id_fkey foreign KEY (empleado_id) references empleados (usuario_id) on delete CASCADE,
+  constraint solicitudes_roles_rol_id_fkey foreign KEY (rol_id) references roles (id) on delete CASCADE,
+  constraint solicitudes_roles_solicitado_por_fkey foreign KEY (solicitado_por) references auth.users (id),
+  constraint solicitudes_roles_decidido_por_fkey foreign KEY (decidido_por) references auth.users (id)
+) TABLESPACE pg_default;
+
+-- Una sola solicitud pendiente por empleado y rol
+create unique index if not exists solicitudes_roles_pendiente_idx on public.solicitudes_roles using btree (empleado_id, rol_id) TABLESPACE pg_default
+where
+  estado = 'pendiente'::text;
+
+create table public.audit_log (
+  id bigint GENERATED ALWAYS AS IDENTITY NOT NULL,
+  creado_en timestamp with time zone not null default now(),
+  actor_id uuid null,
+  actor_email text null,
+  accion text not null,
+  entidad text not null,
+  entidad_id text null,
+  antes jsonb null,
+  despues jsonb null,
+  ip text null,
+  request_id text null,
+  client_request_id text null,
+  constraint audit_log_pkey primary key (id),
+  constraint audit_log_accion_check check (accion in ('create', 'update', 'delete'))
+) TABLESPACE pg_default;
+
+create index if not exists audit_log_entidad_idx on public.audit_log using btree (entidad, entidad_id) TABLESPACE pg_default;
+
+create index if not exists audit_log_actor_id_idx on public.audit_log using btree (actor_id) TABLESPACE pg_default;
+
+create index if not exists audit_log_creado_en_idx on public.audit_log using btree (creado_en desc) TABLESPACE pg_default;
+
+-- Migración de bases existentes: el X-Request-Id del cliente se guarda aparte del ID del servidor
+alter table public.audit_log add column if not exists client_request_id text null;
+
+create table public.departamentos (
+  id bigint GENERATED ALWAYS AS IDENTITY NOT NULL,
+  nombre text not null,
+  responsable_id uuid null,
+  padre_id bigint null,
+  creado_en timestamp with time zone not null default now(),
+  constraint departamentos_pkey primary key (id),
+  constraint departamentos_responsable_id_fkey foreign KEY (responsable_id) references empleados (usuario_id) on delete set null,
+  constraint departamentos_padre_id_fkey foreign KEY (padre_id) references departamentos (id),
+  constraint departamentos_padre_distinto_check check (padre_id is null or padre_id <> id)
+) TABLESPACE pg_default;
+
+-- "Ventas", "ventas" y "VENTAS " son el mismo departamento
+create unique index if not exists departamentos_nombre_key on public.departamentos using btree (lower(btrim(nombre))) TABLESPACE pg_default;
+
+create index if not exists departamentos_padre_id_idx on public.departamentos using btree (padre_id) TABLESPACE pg_default;
+
+-- Migración de bases con empleados.departamento (texto libre): crea un departamento
+-- por cada nombre distinto (sin distinguir mayúsculas ni espacios) y enlaza a los empleados.
+-- En una base nueva (sin esa columna) no hace nada
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'empleados' and column_name = 'departamento'
+  ) then
+    alter table public.empleados add column if not exists departamento_id bigint null;
+
+    insert into public.departamentos (nombre)
+    select distinct on (lower(btrim(departamento))) initcap(btrim(departamento))
+    from public.empleados
+    where departamento is not null and btrim(departamento) <> ''
+    on conflict do nothing;
+
+    update public.empleados e set departamento_id = d.id
+    from public.departamentos d
+    where lower(btrim(e.departamento)) = lower(btrim(d.nombre));
+
+    -- La versión anterior del directorio depende de la columna
+    drop view if exists public.empleados_directorio;
+    alter table public.empleados drop column departamento;
+  end if;
+end $$;
+
+alter table public.empleados drop constraint if exists empleados_departamento_id_fkey;
+alter table public.empleados
+  add constraint empleados_departamento_id_fkey foreign KEY (departamento_id) references departamentos (id);
+
+create index if not exists empleados_departamento_id_idx on public.empleados using btree (departamento_id) TABLESPACE pg_default;
+
+create index if not exists empleados_fecha_contratacion_idx on public.empleados using btree (fecha_contratacion) TABLESPACE pg_default;
+
+-- Directorio de empleados: empleados + nombre y email del perfil (usuarios)
+-- y nombre del departamento, para filtrar, buscar y ordenar en una sola consulta paginada.
+-- Se recrea en lugar de "create or replace": las columnas cambiaron de orden respecto a
+-- versiones anteriores de la vista, y Postgres no permite reemplazarla así
+drop view if exists public.empleados_directorio;
+create view public.empleados_directorio
+with (security_invoker = true) as
+select
+  e.usuario_id,
+  e.numero_empleado,
+  e.fecha_contratacion,
+  e.departamento_id,
+  d.nombre as departamento,
+  e.activo,
+  e.desactivado_en,
+  e.motivo_desactivacion,
+  e.creado_en,
+  u.id as perfil_id,
+  u.nombre,
+  u.email,
+  u.telefono
+from public.empleados e
+left join public.usuarios u on u.auth_user_id = e.usuario_id
+left join public.departamentos d on d.id = e.departamento_id;
+
+-- Separación de funciones: pares de roles que un mismo empleado no debería tener
+-- a la vez (directos o heredados). Se informan en GET /api/roles/reportes/conflictos
+create table public.roles_incompatibles (
+  id uuid not null default gen_random_uuid (),
+  rol_a_id uuid not null,
+  rol_b_id uuid not null,
+  motivo text null,
+  creado_por uuid null,
+  creado_en timestamp with time zone not null default now(),
+  constraint roles_incompatibles_pkey primary key (id),
+  constraint roles_incompatibles_par_key unique (rol_a_id, rol_b_id),
+  constraint roles_incompatibles_orden_check check (rol_a_id < rol_b_id),
+  constraint roles_incompatibles_rol_a_id_fkey foreign KEY (rol_a_id) references roles (id) on delete CASCADE,
+  constraint roles_incompatibles_rol_b_id_fkey foreign KEY (rol_b_id) references roles (id) on delete CASCADE,
+  constraint roles_incompatibles_creado_por_fkey foreign KEY (creado_por) references auth.users (id) on delete set null
+) TABLESPACE pg_default;
+
+-- Galería de imágenes de productos: una sola imagen principal por producto.
+-- clave es la ruta base en el storage (src/providers/storage); las filas antiguas
+-- sin clave solo tienen url y se sirven tal cual
+alter table public.imagenes_productos
+  add column if not exists url_media text,
+  add column if not exists url_miniatura text,
+  add column if not exists clave text,
+  add column if not exists orden integer not null default 0,
+  add column if not exists principal boolean not null default false,
+  add column if not exists creado_en timestamp with time zone default now();
+
+alter table public.imagenes_productos drop constraint if exists imagenes_productos_producto_id_fkey;
+alter table public.imagenes_productos
+  add constraint imagenes_productos_producto_id_fkey foreign key (producto_id) references public.productos (id) on delete cascade;
+
+create unique index if not exists imagenes_productos_principal_idx on public.imagenes_productos using btree (producto_id) TABLESPACE pg_default
+where
+  principal;
+
+create index if not exists imagenes_productos_producto_orden_idx on public.imagenes_productos using btree (producto_id, orden) TABLESPACE pg_default;
+
+-- Variantes de producto (talla, material, ...): cada una con su SKU, precio propio
+-- opcional (null = precio del producto) y stock. En un producto con variantes,
+-- productos.stock es la suma del stock de sus variantes
+create table public.variantes_productos (
+  id bigint generated always as identity not null,
+  producto_id bigint not null,
+  sku text not null,
+  opciones jsonb not null default '{}'::jsonb,
+  precio numeric null,
+  stock integer not null default 0,
+  creado_en timestamp with time zone not null default now(),
+  constraint variantes_productos_pkey primary key (id),
+  constraint variantes_productos_sku_key unique (sku),
+  constraint variantes_productos_opciones_key unique (producto_id, opciones),
+  constraint variantes_productos_precio_check check (precio is null or precio >= 0),
+  constraint variantes_productos_stock_check check (stock >= 0),
+  constraint variantes_productos_producto_id_fkey foreign KEY (producto_id) references productos (id) on delete CASCADE
+) TABLESPACE pg_default;
+
+create index if not exists variantes_productos_stock_idx on public.variantes_productos using btree (stock) TABLESPACE pg_default;
+
+-- Una línea de carrito por producto y variante (variante_id null en productos sin variantes).
+alter table public.detalles_carritos add column if not exists variante_id bigint null;
+
+alter table public.detalles_carritos drop constraint if exists detalles_carritos_variante_id_fkey;
+alter table public.detalles_carritos
+  add constraint detalles_carritos_variante_id_fkey foreign key (variante_id) references public.variantes_productos (id) on delete cascade;
+
+-- Líneas sin variante de carritos activos en productos que ya tienen variantes (añadidas
+-- antes de crear la primera variante): no se pueden actualizar sin saber la variante, así
+-- que se eliminan. La API hace lo mismo al crear la primera variante de un producto
+delete from public.detalles_carritos dc
+using public.carritos c
+where c.id = dc.carrito_id
+  and c.estado = 1
+  and dc.variante_id is null
+  and exists (select 1 from public.variantes_productos v where v.producto_id = dc.producto_id);
+
+create unique index if not exists detalles_carritos_item_idx on public.detalles_carritos using btree (carrito_id, producto_id, variante_id) nulls not distinct TABLESPACE pg_default;
+
+-- Búsqueda de productos: sin distinguir mayúsculas ni acentos,
+-- con stemming en español ("amuleto" encuentra "Amuletos"), el nombre pesa más que la
+-- descripción y se toleran errores de tipeo pequeños en el nombre (trigramas)
+create extension if not exists unaccent with schema public;
+create extension if not exists pg_trgm with schema public;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_ts_config
+    where cfgname = 'es_sin_acentos' and cfgnamespace = 'public'::regnamespace
+  ) then
+    create text search configuration public.es_sin_acentos (copy = pg_catalog.spanish);
+    alter text search configuration public.es_sin_acentos
+      alter mapping for hword, hword_part, word with public.unaccent, spanish_stem;
+  end if;
+end $$;
+
+-- unaccent() no es immutable: este envoltorio permite usarla en índices
+create or replace function public.normalizar_busqueda (texto text) returns text
+language sql immutable parallel safe as $$
+  select lower(public.unaccent('public.unaccent'::regdictionary, coalesce(texto, '')));
+$$;
+
+-- Documento de búsqueda de un producto: nombre con peso A y descripción con peso B.
+-- Es una expresión indexada y no una columna, para no añadirla a cada select('*')
+create or replace function public.productos_busqueda (nombre text, descripcion text) returns tsvector
+language sql immutable parallel safe as $$
+  select setweight(to_tsvector('public.es_sin_acentos', coalesce(nombre, '')), 'A') ||
+    setweight(to_tsvector('public.es_sin_acentos', coalesce(descripcion, '')), 'B');
+$$;
+
+create index if not exists productos_busqueda_idx on public.productos using gin (public.productos_busqueda (nombre, descripcion)) TABLESPACE pg_default;
+
+create index if not exists productos_nombre_trgm_idx on public.productos using gin (public.normalizar_busqueda (nombre) public.gin_trgm_ops) TABLESPACE pg_default;
+
+-- La búsqueda usa filtrar_productos (texto), igual que el listado: la función de búsqueda
+-- anterior se elimina de las bases que la tuvieran
+drop function if exists public.buscar_productos (text, integer, integer);
+
+-- Catálogo filtrado (GET /api/products y GET /api/products/search). Filtros opcionales:
+-- - categorias: cualquiera de las categorías
+-- - precio_min / precio_max
+-- - en_stock: true solo con stock, false solo agotados
+-- - calificacion_min: promedio de reseñas (los productos sin reseñas no pasan el filtro)
+-- - atributos: { "talla": ["M", "L"], "material": ["plata"] }; alguna variante debe tener,
+--   para cada atributo, uno de los valores indicados
+-- - texto: búsqueda de texto completo. Coincide si encaja el texto completo, si el término
+--   aparece dentro del nombre o si se parece lo suficiente (>= 0.4) a alguna palabra del
+--   nombre (errores de tipeo). relevancia = rango de texto completo (nombre 1.0,
+--   descripción 0.4) + 0.5 x parecido por trigramas entre el término y el nombre
+-- ignorar ('categoria' | 'precio' | 'disponibilidad') desactiva ese filtro: lo usan las
+-- facetas, que cuentan cada dimensión contra el resto de filtros activos
+create or replace function public.filtrar_productos (
+  categorias bigint[] default null,
+  precio_min numeric default null,
+  precio_max numeric default null,
+  en_stock boolean default null,
+  calificacion_min numeric default null,
+  atributos jsonb default null,
+  texto text default null,
+  ignorar text default null
+) returns table (
+  id bigint,
+  nombre text,
+  descripcion text,
+  precio numeric,
+  stock integer,
+  id_categoria bigint,
+  calificacion numeric,
+  relevancia real
+)
+language sql stable
+set pg_trgm.word_similarity_threshold = 0.4
+as $$
+  with consulta as (
+    select
+      websearch_to_tsquery('public.es_sin_acentos', coalesce(texto, '')) as tsq,
+      public.normalizar_busqueda(texto) as termino,
+      '%' || regexp_replace(public.normalizar_busqueda(texto), '([%_\\])', '\\\1', 'g') || '%' as patron
+  )
+  select
+    p.id,
+    p.nombre,
+    p.descripcion,
+    p.precio,
+    p.stock,
+    p.id_categoria,
+    r.calificacion,
+    case when texto is not null then (
+      ts_rank('{0.1, 0.2, 0.4, 1.0}', public.productos_busqueda(p.nombre, p.descripcion), c.tsq)
+      + 0.5 * public.word_similarity(c.termino, public.normalizar_busqueda(p.nombre))
+    )::real end as relevancia
+  from public.productos p
+  cross join consulta c
+  left join lateral (
+    select round(avg(re.calificacion), 2) as calificacion
+    from public."reseñas" re
+    where re.producto_id = p.id
+  ) r on true
+  where (categorias is null or ignorar = 'categoria' or p.id_categoria = any (categorias))
+    and (ignorar = 'precio' or (
+      (precio_min is null or p.precio >= precio_min)
+      and (precio_max is null or p.precio <= precio_max)
+    ))
+    and (en_stock is null or ignorar = 'disponibilidad' or (p.stock > 0) = en_stock)
+    and (calificacion_min is null or r.calificacion >= calificacion_min)
+    and (atributos is null or exists (
+      select 1
+      from public.variantes_productos v
+      where v.producto_id = p.id
+        and not exists (
+          select 1
+          from jsonb_each(atributos) a (clave, valores)
+          where not coalesce(a.valores ? (v.opciones ->> a.clave), false)
+        )
+    ))
+    and (texto is null or (
+      public.productos_busqueda(p.nombre, p.descripcion) @@ c.tsq
+      or public.normalizar_busqueda(p.nombre) like c.patron
+      or c.termino operator(public.<%) public.normalizar_busqueda(p.nombre)
+    ));
+$$;
+
+-- Facetas del catálogo: productos por categoría, por tramo de precio y por disponibilidad.
+-- Cada dimensión se cuenta con todos los filtros activos salvo el suyo.
+-- limites_precio está ordenado; tramo 0 = por debajo del primero, tramo n = desde el último
+create or replace function public.facetas_productos (
+  categorias bigint[] default null,
+  precio_min numeric default null,
+  precio_max numeric default null,
+  en_stock boolean default null,
+  calificacion_min numeric default null,
+  atributos jsonb default null,
+  texto text default null,
+  limites_precio numeric[] default '{10, 25, 50, 100}'
+) returns jsonb
+language sql stable as $$
+  select jsonb_build_object(
+    'categorias', coalesce((
+      select jsonb_agg(
+        jsonb_build_object('id_categoria', f.id_categoria, 'nombre', cp.nombre, 'total', f.total)
+        order by f.total desc, cp.nombre
+      )
+      from (
+        select fp.id_categoria, count(*) as total
+        from public.filtrar_productos(categorias, precio_min, precio_max, en_stock, calificacion_min, atributos, texto, 'categoria') fp
+        group by fp.id_categoria
+      ) f
+      left join public.categorias_producto cp on cp.id_categoria = f.id_categoria
+    ), '[]'::jsonb),
+    'precios', coalesce((
+      select jsonb_agg(jsonb_build_object('tramo', f.tramo, 'total', f.total) order by f.tramo)
+      from (
+        select width_bucket(fp.precio, limites_precio) as tramo, count(*) as total
+        from public.filtrar_productos(categorias, precio_min, precio_max, en_stock, calificacion_min, atributos, texto, 'precio') fp
+        group by 1
+      ) f
+    ), '[]'::jsonb),
+    'disponibilidad', (
+      select jsonb_build_object(
+        'en_stock', count(*) filter (where fp.stock > 0),
+        'sin_stock', count(*) filter (where fp.stock = 0)
+      )
+      from public.filtrar_productos(categorias, precio_min, precio_max, en_stock, calificacion_min, atributos, texto, 'disponibilidad') fp
+    )
+  );
+$$;
+
+-- Promedio de reseñas por producto (filtro calificacion_min)
+create index if not exists "reseñas_producto_id_idx" on public."reseñas" using btree (producto_id) TABLESPACE pg_default;
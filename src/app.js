@@ -11,8 +11,10 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import routes from './routes/index.js';
+import storageProvider from './providers/storage/index.js';
 import { errorHandler, notFoundHandler } from './middlewares/errorHandler.js';
 import { requestLogger, corsMiddleware } from './middlewares/logger.js';
+import { requestContext } from './middlewares/requestContext.js';
 
 // Cargar variables de entorno
 dotenv.config();
@@ -34,6 +36,9 @@ app.use(express.json());
 // Body parser para URL-encoded (formularios)
 app.use(express.urlencoded({ extended: true }));
 
+// Request ID + contexto de la petición para la auditoría (después de los body parsers)
+app.use(requestContext);
+
 // ============ RUTAS ============
 
 // Ruta raíz
@@ -50,6 +55,15 @@ app.get('/', (req, res) => {
 // Registrar todas las rutas bajo /api
 app.use('/api', routes);
 
+// Archivos subidos (imágenes de productos) cuando el storage es el disco local
+if (storageProvider.name === 'local') {
+  // Las claves llevan un UUID: un archivo nunca cambia de contenido
+  app.use(storageProvider.publicPath, express.static(storageProvider.rootDir, {
+    maxAge: '7d',
+    immutable: true
+  }));
+}
+
 // ============ MANEJO DE ERRORES ============
 
 // 404 - Ruta no encontrada (debe ir después de todas las rutas)
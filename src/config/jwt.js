@@ -0,0 +1,133 @@
+/**
+ * CONFIGURACIÓN JWT
+ *
+ * Centraliza la configuración de los tokens de acceso (emisor, audiencia,
+ * duración y material criptográfico) y expone helpers para firmarlos y
+ * verificarlos.
+ *
+ * Se admiten dos modos:
+ * - Secreto compartido (HS256): JWT_SECRET
+ * - Par de llaves (RS256/ES256): JWT_PRIVATE_KEY + JWT_PUBLIC_KEY (formato PEM)
+ *
+ * Si se definen las llaves, tienen prioridad sobre el secreto.
+ *
+ * Los refresh tokens NO son JWT: son valores opacos aleatorios que se guardan
+ * hasheados en la tabla refresh_tokens (ver SessionService). Aquí solo vive su duración.
+ */
+
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Las llaves PEM suelen venir en una sola línea con "\n" escapados desde el .env
+const parsePem = (value) => (value ? value.replace(/\\n/g, '\n') : null);
+
+const privateKey = parsePem(process.env.JWT_PRIVATE_KEY);
+const publicKey = parsePem(process.env.JWT_PUBLIC_KEY);
+const usesKeyPair = Boolean(privateKey && publicKey);
+
+export const jwtConfig = {
+  issuer: process.env.JWT_ISSUER || 'bello-amuleto-api',
+  audience: process.env.JWT_AUDIENCE || 'bello-amuleto',
+  accessTokenExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  refreshTokenExpiresInDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30,
+  // Token corto que prueba que el usuario acaba de reingresar su password
+  reauthTokenExpiresIn: process.env.JWT_REAUTH_EXPIRES_IN || '5m',
+  algorithm: usesKeyPair
+    ? (process.env.JWT_ALGORITHM || 'RS256')
+    : 'HS256',
+  signingKey: usesKeyPair ? privateKey : process.env.JWT_SECRET,
+  verificationKey: usesKeyPair ? publicKey : process.env.JWT_SECRET
+};
+
+/**
+ * Verifica que exista material criptográfico antes de firmar o verificar
+ * @private
+ */
+function assertConfigured() {
+  if (!jwtConfig.signingKey || !jwtConfig.verificationKey) {
+    throw new Error('JWT no configurado: define JWT_SECRET o JWT_PRIVATE_KEY/JWT_PUBLIC_KEY');
+  }
+}
+
+/**
+ * Firma un token de acceso
+ * @param {Object} claims - Claims propios de la aplicación
+ * @param {string} subject - Identificador del usuario (claim "sub")
+ * @returns {string}
+ */
+export function signAccessToken(claims, subject) {
+  assertConfigured();
+
+  return jwt.sign(claims, jwtConfig.signingKey, {
+    algorithm: jwtConfig.algorithm,
+    issuer: jwtConfig.issuer,
+    audience: jwtConfig.audience,
+    expiresIn: jwtConfig.accessTokenExpiresIn,
+    subject: String(subject)
+  });
+}
+
+/**
+ * Verifica un token de acceso y devuelve sus claims
+ * Lanza los errores de jsonwebtoken (TokenExpiredError, JsonWebTokenError)
+ * @param {string} token
+ * @returns {Object}
+ */
+export function verifyAccessToken(token) {
+  assertConfigured();
+
+  return jwt.verify(token, jwtConfig.verificationKey, {
+    algorithms: [jwtConfig.algorithm],
+    issuer: jwtConfig.issuer,
+    audience: jwtConfig.audience
+  });
+}
+
+/**
+ * Firma un token de re-autenticación (para cambios sensibles: email, password).
+ * Usa una audiencia distinta para que no sirva como token de acceso.
+ * @param {string|number} subject - ID del usuario
+ * @returns {string}
+ */
+export function signReauthToken(subject) {
+  assertConfigured();
+
+  return jwt.sign({ purpose: 'reauth' }, jwtConfig.signingKey, {
+    algorithm: jwtConfig.algorithm,
+    issuer: jwtConfig.issuer,
+    audience: `${jwtConfig.audience}:reauth`,
+    expiresIn: jwtConfig.reauthTokenExpiresIn,
+    subject: String(subject)
+  });
+}
+
+/**
+ * Verifica un token de re-autenticación y devuelve sus claims
+ * @param {string} token
+ * @returns {Object}
+ */
+export function verifyReauthToken(token) {
+  assertConfigured();
+
+  return jwt.verify(token, jwtConfig.verificationKey, {
+    algorithms: [jwtConfig.algorithm],
+    issuer: jwtConfig.issuer,
+    audience: `${jwtConfig.audience}:reauth`
+  });
+}
+
+/**
+ * Obtiene la duración del token de acceso en segundos
+ * (útil para el campo expires_in de las respuestas)
+ * @param {string} token
+ * @returns {number}
+ */
+export function getTokenLifetime(token) {
+  const decoded = jwt.decode(token);
+  if (!decoded?.exp || !decoded?.iat) return 0;
+  return decoded.exp - decoded.iat;
+}
+
+export default jwtConfig;
@@ -0,0 +1,122 @@
+/**
+ * CONFIGURACIÓN DE CORREO
+ *
+ * Abstrae el envío de emails detrás de un "transport" intercambiable.
+ * Cualquier objeto con un método async send({ to, subject, text, html })
+ * puede usarse como transport (SMTP, API de un proveedor, etc.).
+ *
+ * Transports incluidos (MAIL_TRANSPORT):
+ * - console (default fuera de producción): imprime remitente, destinatario y asunto.
+ *   Nunca el cuerpo: lleva enlaces con tokens de verificación y de restablecimiento
+ * - file: guarda cada correo como JSON en MAIL_OUTBOX_DIR (útil para pruebas offline)
+ *
+ * Con NODE_ENV=production el transport console no se admite y MAIL_TRANSPORT es
+ * obligatorio: la aplicación no arranca sin un transport real.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+export const mailConfig = {
+  transport: process.env.MAIL_TRANSPORT || (isProduction ? null : 'console'),
+  from: process.env.MAIL_FROM || 'Bello Amuleto <no-reply@belloamuleto.com>',
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.resolve('tmp', 'mail'),
+  // URL del frontend usada para armar los enlaces de los correos
+  appUrl: (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '')
+};
+
+/**
+ * Transport que registra los correos en la consola, sin el cuerpo
+ * (para ver los enlaces en desarrollo usa MAIL_TRANSPORT=file)
+ */
+export class ConsoleMailTransport {
+  async send(message) {
+    console.log('📧 Email enviado (console transport, cuerpo omitido):', {
+      from: message.from,
+      to: message.to,
+      subject: message.subject
+    });
+    return { id: crypto.randomUUID() };
+  }
+}
+
+/**
+ * Transport que guarda cada correo como un archivo JSON
+ */
+export class FileMailTransport {
+  constructor(outboxDir = mailConfig.outboxDir) {
+    this.outboxDir = outboxDir;
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.json`;
+
+    await fs.mkdir(this.outboxDir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.outboxDir, fileName),
+      JSON.stringify({ id, ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+
+    return { id, file: fileName };
+  }
+}
+
+const transports = {
+  console: () => new ConsoleMailTransport(),
+  file: () => new FileMailTransport()
+};
+
+class Mailer {
+  constructor(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Reemplaza el transport (p.ej. para registrar uno de SMTP o uno de pruebas)
+   * @param {Object} transport - Objeto con método send(message)
+   */
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('El transport de correo debe implementar send(message)');
+    }
+    this.transport = transport;
+  }
+
+  /**
+   * Envía un correo
+   * @param {Object} message
+   * @param {string} message.to
+   * @param {string} message.subject
+   * @param {string} message.text
+   * @param {string} [message.html]
+   * @returns {Promise<Object>}
+   */
+  async send(message) {
+    return await this.transport.send({ from: mailConfig.from, ...message });
+  }
+}
+
+if (!mailConfig.transport) {
+  throw new Error('MAIL_TRANSPORT es obligatorio en producción');
+}
+
+if (isProduction && mailConfig.transport === 'console') {
+  throw new Error('MAIL_TRANSPORT=console no se admite en producción');
+}
+
+const createTransport = transports[mailConfig.transport];
+if (!createTransport) {
+  throw new Error(`MAIL_TRANSPORT desconocido: "${mailConfig.transport}"`);
+}
+
+// Singleton: un único mailer en toda la aplicación
+const mailer = new Mailer(createTransport());
+
+export default mailer;
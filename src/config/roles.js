@@ -0,0 +1,52 @@
+/**
+ * CONFIGURACIÓN DE ROLES Y PERMISOS
+ *
+ * Nombres de los roles de empleado (tabla roles) y claves de permisos
+ * que usan las rutas para declarar quién puede llamarlas. La comparación
+ * de nombres de rol no distingue mayúsculas/minúsculas.
+ */
+
+export const ROLES = Object.freeze({
+  ADMIN: 'Administrador',
+  GERENTE: 'Gerente',
+  INVENTARIO: 'Inventario',
+  RRHH: 'Recursos Humanos',
+  SOPORTE: 'Soporte'
+});
+
+/**
+ * Catálogo de permisos (tabla permisos). Formato recurso:acción.
+ * Los roles reciben permisos en roles_permisos.
+ */
+export const PERMISOS = Object.freeze({
+  PRODUCTS_WRITE: 'products:write',
+  PRODUCTS_DELETE: 'products:delete',
+  STOCK_ADJUST: 'stock:adjust',
+  CATEGORIES_WRITE: 'categories:write',
+  CATEGORIES_DELETE: 'categories:delete',
+  ROLES_MANAGE: 'roles:manage',
+  ROLES_ASSIGN: 'roles:assign',
+  ROLES_APPROVE: 'roles:approve',
+  EMPLOYEES_MANAGE: 'employees:manage',
+  USERS_MANAGE: 'users:manage',
+  AUDIT_READ: 'audit:read'
+});
+
+/**
+ * Formato válido de una clave de permiso
+ */
+export const PERMISO_PATTERN = /^[a-z][a-z0-9-]*:[a-z][a-z0-9-]*$/;
+
+/**
+ * Rol que supera cualquier comprobación de requireRole y requirePermission
+ */
+export const SUPER_ROLE = ROLES.ADMIN;
+
+/**
+ * Normaliza un nombre de rol para compararlo
+ * @param {string} nombre
+ * @returns {string}
+ */
+export const normalizeRoleName = (nombre) => String(nombre || '').trim().toLowerCase();
+
+export default ROLES;
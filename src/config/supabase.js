@@ -8,4 +8,21 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-export default supabase;
\ No newline at end of file
+/**
+ * Crea un cliente efímero para verificar credenciales.
+ * signInWithPassword guarda la sesión en el cliente que lo ejecuta; si se usara
+ * el cliente principal, las consultas siguientes dejarían de ir con la service role.
+ */
+export const createAuthClient = () => createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY,
+  {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+      detectSessionInUrl: false
+    }
+  }
+);
+
+export default supabase;
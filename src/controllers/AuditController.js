@@ -0,0 +1,53 @@
+/**
+ * CAPA DE CONTROLLERS (Presentation Layer / HTTP Handlers)
+ *
+ * Consulta del registro de auditoría
+ */
+
+import auditService from '../services/AuditService.js';
+
+export class AuditController {
+  constructor(service = auditService) {
+    this.service = service;
+
+    this.listar = this.listar.bind(this);
+  }
+
+  /**
+   * GET /api/audit
+   * Registro de auditoría con filtros por entidad, actor y rango de fechas
+   */
+  async listar(req, res, next) {
+    try {
+      const filters = {
+        entidad: req.query.entidad,
+        entidadId: req.query.entidadId,
+        actor: req.query.actor,
+        accion: req.query.accion,
+        desde: req.query.desde,
+        hasta: req.query.hasta,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20,
+        cursor: req.query.cursor || undefined
+      };
+
+      const result = await this.service.search(filters);
+
+      res.status(200).json({
+        success: true,
+        data: result.registros,
+        pagination: {
+          currentPage: result.page,
+          totalPages: result.totalPages,
+          totalItems: result.total,
+          itemsPerPage: result.limit,
+          nextCursor: result.nextCursor
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new AuditController();
@@ -7,13 +7,14 @@
  * - Manejo de HTTP: request/response
  * - Validación básica de entrada
  * - Extracción de parámetros
+ * - Tomar la identidad del usuario desde req.user (middleware authenticate)
  * - Llamar al CarritoService
  * - Formatear respuestas HTTP
  * - NO contiene lógica de negocio
  */
 
 import carritoService from '../services/CarritoService.js';
-import { ValidationError } from '../utils/errors.js';
+import { ForbiddenError, UnauthorizedError, ValidationError } from '../utils/errors.js';
 
 export class CarritoController {
   constructor(service = carritoService) {
@@ -29,22 +30,11 @@ export class CarritoController {
 
   /**
    * GET /api/carrito
-   * Obtiene el carrito activo del usuario
-   * Body / Query: { usuario_id: number }
+   * Obtiene el carrito activo del usuario autenticado
    */
   async obtenerCarrito(req, res, next) {
     try {
-      // Para simplificar pruebas, el usuario se envía en la petición
-      const rawUsuarioId = req.body?.usuario_id ?? req.query?.usuario_id;
-
-      if (!rawUsuarioId) {
-        throw new ValidationError('El usuario_id es requerido');
-      }
-
-      const usuarioId = parseInt(rawUsuarioId);
-      if (!Number.isInteger(usuarioId) || usuarioId <= 0) {
-        throw new ValidationError('El usuario_id debe ser un número entero positivo');
-      }
+      const usuarioId = this.resolveUsuarioId(req);
 
       const carrito = await this.service.obtenerCarritoActivo(usuarioId);
 
@@ -60,20 +50,13 @@ export class CarritoController {
   /**
    * POST /api/carrito/items
    * Agrega un producto al carrito
-   * Body: { usuario_id: number, producto_id: number, cantidad: number }
+   * Body: { producto_id: number, cantidad: number, variante_id?: number }
    */
   async agregarProducto(req, res, next) {
     try {
-      const { usuario_id, producto_id, cantidad } = req.body;
-
-      if (!usuario_id) {
-        throw new ValidationError('El usuario_id es requerido');
-      }
+      const { producto_id, cantidad, variante_id } = req.body || {};
 
-      const usuarioId = parseInt(usuario_id);
-      if (!Number.isInteger(usuarioId) || usuarioId <= 0) {
-        throw new ValidationError('El usuario_id debe ser un número entero positivo');
-      }
+      const usuarioId = this.resolveUsuarioId(req);
 
       // Validaciones básicas de entrada
       if (!producto_id) {
@@ -90,7 +73,9 @@ export class CarritoController {
         throw new ValidationError('La cantidad debe ser un número entero mayor a 0');
       }
 
-      const carrito = await this.service.agregarProducto(usuarioId, productoId, cant);
+      const varianteId = this.parseVarianteId(variante_id);
+
+      const carrito = await this.service.agregarProducto(usuarioId, productoId, cant, varianteId);
 
       res.status(200).json({
         success: true,
@@ -105,21 +90,14 @@ export class CarritoController {
   /**
    * PUT /api/carrito/items/:productoId
    * Actualiza la cantidad de un producto en el carrito
-   * Body: { usuario_id: number, cantidad: number }
+   * Body: { cantidad: number, variante_id?: number } (variante_id también como query)
    */
   async actualizarCantidad(req, res, next) {
     try {
       const { productoId } = req.params;
-      const { usuario_id, cantidad } = req.body;
-
-      if (!usuario_id) {
-        throw new ValidationError('El usuario_id es requerido');
-      }
+      const { cantidad } = req.body || {};
 
-      const usuarioId = parseInt(usuario_id);
-      if (!Number.isInteger(usuarioId) || usuarioId <= 0) {
-        throw new ValidationError('El usuario_id debe ser un número entero positivo');
-      }
+      const usuarioId = this.resolveUsuarioId(req);
 
       // Validaciones básicas
       const prodId = parseInt(productoId);
@@ -136,7 +114,9 @@ export class CarritoController {
         throw new ValidationError('La cantidad debe ser un número entero mayor a 0');
       }
 
-      const carrito = await this.service.actualizarCantidadProducto(usuarioId, prodId, cant);
+      const varianteId = this.parseVarianteId(req.query?.variante_id ?? req.body?.variante_id);
+
+      const carrito = await this.service.actualizarCantidadProducto(usuarioId, prodId, cant, varianteId);
 
       res.status(200).json({
         success: true,
@@ -149,29 +129,22 @@ export class CarritoController {
   }
 
   /**
-   * DELETE /api/carrito/items/:productoId
-   * Elimina un producto del carrito
+   * DELETE /api/carrito/items/:productoId?variante_id=
+   * Elimina un producto (o una de sus variantes) del carrito
    */
   async eliminarProducto(req, res, next) {
     try {
       const { productoId } = req.params;
-      const { usuario_id } = req.body;
-
-      if (!usuario_id) {
-        throw new ValidationError('El usuario_id es requerido');
-      }
-
-      const usuarioId = parseInt(usuario_id);
-      if (!Number.isInteger(usuarioId) || usuarioId <= 0) {
-        throw new ValidationError('El usuario_id debe ser un número entero positivo');
-      }
+      const usuarioId = this.resolveUsuarioId(req);
 
       const prodId = parseInt(productoId);
       if (!Number.isInteger(prodId) || prodId <= 0) {
         throw new ValidationError('El productoId debe ser un número entero positivo');
       }
 
-      const carrito = await this.service.eliminarProducto(usuarioId, prodId);
+      const varianteId = this.parseVarianteId(req.query?.variante_id ?? req.body?.variante_id);
+
+      const carrito = await this.service.eliminarProducto(usuarioId, prodId, varianteId);
 
       res.status(200).json({
         success: true,
@@ -189,16 +162,7 @@ export class CarritoController {
    */
   async vaciarCarrito(req, res, next) {
     try {
-      const { usuario_id } = req.body;
-
-      if (!usuario_id) {
-        throw new ValidationError('El usuario_id es requerido');
-      }
-
-      const usuarioId = parseInt(usuario_id);
-      if (!Number.isInteger(usuarioId) || usuarioId <= 0) {
-        throw new ValidationError('El usuario_id debe ser un número entero positivo');
-      }
+      const usuarioId = this.resolveUsuarioId(req);
 
       const carrito = await this.service.vaciarCarrito(usuarioId);
 
@@ -211,6 +175,45 @@ export class CarritoController {
       next(error);
     }
   }
+
+  /**
+   * Convierte el variante_id opcional de la petición (null si no se envía)
+   * @private
+   */
+  parseVarianteId(valor) {
+    if (valor === undefined || valor === null || valor === '') {
+      return null;
+    }
+
+    const varianteId = parseInt(valor);
+    if (!Number.isInteger(varianteId) || varianteId <= 0) {
+      throw new ValidationError('El variante_id debe ser un número entero positivo');
+    }
+
+    return varianteId;
+  }
+
+  /**
+   * Obtiene el ID del usuario autenticado.
+   * Si el cliente envía un usuario_id (body o query) debe coincidir con el del token.
+   * @private
+   */
+  resolveUsuarioId(req) {
+    const usuarioId = req.user?.id;
+    if (!usuarioId) {
+      throw new UnauthorizedError('Usuario no autenticado');
+    }
+
+    const requested = req.body?.usuario_id ?? req.query?.usuario_id;
+
+    if (requested !== undefined && requested !== null && requested !== '') {
+      if (parseInt(requested) !== usuarioId) {
+        throw new ForbiddenError('No puedes operar sobre el carrito de otro usuario');
+      }
+    }
+
+    return usuarioId;
+  }
 }
 
 // Exportar instancia singleton
@@ -0,0 +1,143 @@
+/**
+ * CAPA DE CONTROLLERS (Presentation Layer / HTTP Handlers)
+ *
+ * Manejo de endpoints de departamentos
+ */
+
+import departamentosService from '../services/DepartamentosService.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class DepartamentosController {
+  constructor(service = departamentosService) {
+    this.service = service;
+
+    this.listarDepartamentos = this.listarDepartamentos.bind(this);
+    this.getDepartamentoById = this.getDepartamentoById.bind(this);
+    this.getOrganigrama = this.getOrganigrama.bind(this);
+    this.createDepartamento = this.createDepartamento.bind(this);
+    this.updateDepartamento = this.updateDepartamento.bind(this);
+    this.deleteDepartamento = this.deleteDepartamento.bind(this);
+  }
+
+  /**
+   * GET /api/departamentos
+   * Listar departamentos
+   */
+  async listarDepartamentos(req, res, next) {
+    try {
+      const departamentos = await this.service.getAllDepartamentos();
+      res.status(200).json({
+        success: true,
+        data: departamentos,
+        count: departamentos.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/departamentos/:id
+   * Obtener departamento por ID
+   */
+  async getDepartamentoById(req, res, next) {
+    try {
+      const { id } = req.params;
+      const departamento = await this.service.getDepartamentoById(id);
+
+      res.status(200).json({
+        success: true,
+        data: departamento
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/departamentos/:id/empleados
+   * Organigrama del departamento y sus subdepartamentos
+   */
+  async getOrganigrama(req, res, next) {
+    try {
+      const { id } = req.params;
+      const organigrama = await this.service.getOrganigrama(id, {
+        incluirInactivos: req.query.incluirInactivos === 'true'
+      });
+
+      res.status(200).json({
+        success: true,
+        data: organigrama
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/departamentos
+   * Crear departamento
+   */
+  async createDepartamento(req, res, next) {
+    try {
+      if (!req.body?.nombre) {
+        throw new ValidationError('El campo "nombre" es requerido');
+      }
+
+      const departamento = await this.service.createDepartamento({
+        nombre: req.body.nombre,
+        responsable_id: req.body.responsable_id,
+        padre_id: req.body.padre_id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Departamento creado exitosamente',
+        data: departamento
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/departamentos/:id
+   * Actualizar departamento
+   */
+  async updateDepartamento(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { nombre, responsable_id, padre_id } = req.body || {};
+
+      const departamento = await this.service.updateDepartamento(id, { nombre, responsable_id, padre_id });
+
+      res.status(200).json({
+        success: true,
+        message: 'Departamento actualizado exitosamente',
+        data: departamento
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/departamentos/:id
+   * Eliminar departamento
+   */
+  async deleteDepartamento(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await this.service.deleteDepartamento(id);
+
+      res.status(200).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new DepartamentosController();
@@ -5,40 +5,44 @@
  */
 
 import empleadosService from '../services/EmpleadosService.js';
+import onboardingService from '../services/OnboardingService.js';
+import importacionEmpleadosService from '../services/ImportacionEmpleadosService.js';
+import { hasPermission } from '../middlewares/authorize.js';
+import { PERMISOS } from '../config/roles.js';
 import { ValidationError } from '../utils/errors.js';
 
 export class EmpleadosController {
-  constructor(service = empleadosService) {
+  constructor(
+    service = empleadosService,
+    onboardingServ = onboardingService,
+    importacionServ = importacionEmpleadosService,
+    checkPermission = hasPermission
+  ) {
     this.service = service;
+    this.onboardingService = onboardingServ;
+    this.importacionService = importacionServ;
+    this.hasPermission = checkPermission;
 
     this.listarEmpleados = this.listarEmpleados.bind(this);
     this.listarEmpleadosConRoles = this.listarEmpleadosConRoles.bind(this);
     this.getEmpleadoById = this.getEmpleadoById.bind(this);
     this.getEmpleadoWithRoles = this.getEmpleadoWithRoles.bind(this);
     this.createEmpleado = this.createEmpleado.bind(this);
+    this.onboardEmpleado = this.onboardEmpleado.bind(this);
+    this.importarEmpleados = this.importarEmpleados.bind(this);
     this.updateEmpleado = this.updateEmpleado.bind(this);
-    this.deleteEmpleado = this.deleteEmpleado.bind(this);
+    this.desactivarEmpleado = this.desactivarEmpleado.bind(this);
+    this.reactivarEmpleado = this.reactivarEmpleado.bind(this);
   }
 
   /**
    * GET /api/empleados
-   * Listar todos los empleados
+   * Directorio de empleados con filtros, búsqueda y paginación
    */
   async listarEmpleados(req, res, next) {
     try {
-      const { activos } = req.query;
-      
-      const options = {};
-      if (activos !== undefined) {
-        options.activos = activos === 'true';
-      }
-
-      const empleados = await this.service.getAllEmpleados(options);
-      res.status(200).json({
-        success: true,
-        data: empleados,
-        count: empleados.length
-      });
+      const result = await this.service.getAllEmpleados(this.getDirectorioFilters(req.query));
+      this.sendDirectorio(res, result);
     } catch (error) {
       next(error);
     }
@@ -46,28 +50,55 @@ export class EmpleadosController {
 
   /**
    * GET /api/empleados/with-roles
-   * Listar empleados con sus roles
+   * Directorio de empleados con sus roles
    */
   async listarEmpleadosConRoles(req, res, next) {
     try {
-      const { activos } = req.query;
-      
-      const options = {};
-      if (activos !== undefined) {
-        options.activos = activos === 'true';
-      }
-
-      const empleados = await this.service.getAllEmpleadosWithRoles(options);
-      res.status(200).json({
-        success: true,
-        data: empleados,
-        count: empleados.length
-      });
+      const result = await this.service.getAllEmpleadosWithRoles(this.getDirectorioFilters(req.query));
+      this.sendDirectorio(res, result);
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * Filtros del directorio a partir del query string
+   * @private
+   */
+  getDirectorioFilters(query) {
+    return {
+      q: query.q,
+      departamento: query.departamento,
+      departamentoId: query.departamentoId,
+      rolId: query.rolId,
+      contratadoDesde: query.contratadoDesde,
+      contratadoHasta: query.contratadoHasta,
+      activos: query.activos !== undefined ? query.activos === 'true' : undefined,
+      page: parseInt(query.page) || 1,
+      limit: parseInt(query.limit) || 20,
+      cursor: query.cursor || undefined,
+      sortBy: query.sortBy,
+      sortOrder: query.sortOrder
+    };
+  }
+
+  /**
+   * @private
+   */
+  sendDirectorio(res, result) {
+    res.status(200).json({
+      success: true,
+      data: result.empleados,
+      pagination: {
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        totalItems: result.total,
+        itemsPerPage: result.limit,
+        nextCursor: result.nextCursor
+      }
+    });
+  }
+
   /**
    * GET /api/empleados/:usuarioId
    * Obtener empleado por usuario_id
@@ -118,8 +149,7 @@ export class EmpleadosController {
         usuario_id: req.body.usuario_id,
         numero_empleado: req.body.numero_empleado || null,
         fecha_contratacion: req.body.fecha_contratacion || null,
-        departamento: req.body.departamento || null,
-        activo: req.body.activo !== false
+        departamento_id: req.body.departamento_id ?? null
       });
 
       res.status(201).json({
@@ -132,6 +162,69 @@ export class EmpleadosController {
     }
   }
 
+  /**
+   * POST /api/empleados/onboard
+   * Alta completa: cuenta, perfil, empleado, roles iniciales e invitación
+   */
+  async onboardEmpleado(req, res, next) {
+    try {
+      const { email, nombre, telefono, departamento_id, numero_empleado, fecha_contratacion, roles_ids } = req.body || {};
+
+      const result = await this.onboardingService.onboardEmpleado(
+        { email, nombre, telefono, departamento_id, numero_empleado, fecha_contratacion, roles_ids },
+        req.user?.auth_user_id || null,
+        { puedeAsignarRoles: await this.hasPermission(req, PERMISOS.ROLES_ASSIGN) }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: result.solicitudes.length > 0
+          ? 'Empleado dado de alta. Algunos roles requieren aprobación'
+          : 'Empleado dado de alta exitosamente. Se envió una invitación por email',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/empleados/import
+   * Alta masiva desde CSV: cuerpo text/csv, o JSON { csv, dryRun }
+   * Query: dryRun=true para validar sin escribir
+   */
+  async importarEmpleados(req, res, next) {
+    try {
+      const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+      const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+      const result = await this.importacionService.importarCsv(csv, {
+        dryRun,
+        otorgadoPor: req.user?.auth_user_id || null,
+        puedeAsignarRoles: await this.hasPermission(req, PERMISOS.ROLES_ASSIGN)
+      });
+
+      if (result.invalidas > 0) {
+        // Nada se escribió: el informe indica qué corregir en cada fila
+        return res.status(dryRun ? 200 : 400).json({
+          success: dryRun,
+          message: `El archivo tiene ${result.invalidas} fila(s) con errores; no se importó ningún empleado`,
+          data: result
+        });
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun
+          ? `Todas las filas son válidas (${result.total}). No se importó nada (dryRun)`
+          : `${result.total} empleado(s) importado(s) exitosamente`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * PUT /api/empleados/:usuarioId
    * Actualizar empleado
@@ -158,17 +251,40 @@ export class EmpleadosController {
   }
 
   /**
-   * DELETE /api/empleados/:usuarioId
-   * Eliminar empleado
+   * POST /api/empleados/:usuarioId/deactivate
+   * Desactivar empleado (baja) suspendiendo sus roles
+   */
+  async desactivarEmpleado(req, res, next) {
+    try {
+      const { usuarioId } = req.params;
+      const result = await this.service.desactivarEmpleado(
+        usuarioId,
+        req.body?.motivo,
+        req.user?.auth_user_id || null
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Empleado desactivado. Sus roles quedan suspendidos',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/empleados/:usuarioId/reactivate
+   * Reactivar empleado y restaurar sus roles
    */
-  async deleteEmpleado(req, res, next) {
+  async reactivarEmpleado(req, res, next) {
     try {
       const { usuarioId } = req.params;
-      const result = await this.service.deleteEmpleado(usuarioId);
+      const result = await this.service.reactivarEmpleado(usuarioId);
 
       res.status(200).json({
         success: true,
-        message: 'Empleado eliminado exitosamente',
+        message: 'Empleado reactivado exitosamente',
         data: result
       });
     } catch (error) {
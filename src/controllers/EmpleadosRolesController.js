@@ -4,7 +4,7 @@
  * Manejo de endpoints de asignación de roles a empleados
  */
 
-import empleadosRolesService from '../services/EmpleadosRolesService.js';
+import empleadosRolesService, { ESTADOS_SOLICITUD } from '../services/EmpleadosRolesService.js';
 import { ValidationError } from '../utils/errors.js';
 
 export class EmpleadosRolesController {
@@ -13,12 +13,17 @@ export class EmpleadosRolesController {
 
     this.asignarRol = this.asignarRol.bind(this);
     this.asignarMultiplesRoles = this.asignarMultiplesRoles.bind(this);
+    this.sincronizarRoles = this.sincronizarRoles.bind(this);
     this.revocarRol = this.revocarRol.bind(this);
     this.revocarTodosLosRoles = this.revocarTodosLosRoles.bind(this);
     this.getRolesByEmpleado = this.getRolesByEmpleado.bind(this);
     this.getEmpleadosByRol = this.getEmpleadosByRol.bind(this);
     this.verificarRol = this.verificarRol.bind(this);
     this.getAllAsignaciones = this.getAllAsignaciones.bind(this);
+    this.listarSolicitudes = this.listarSolicitudes.bind(this);
+    this.getSolicitudById = this.getSolicitudById.bind(this);
+    this.aprobarSolicitud = this.aprobarSolicitud.bind(this);
+    this.rechazarSolicitud = this.rechazarSolicitud.bind(this);
   }
 
   /**
@@ -28,21 +33,19 @@ export class EmpleadosRolesController {
   async asignarRol(req, res, next) {
     try {
       const { empleadoId } = req.params;
-      const { rol_id, roles_ids, otorgado_por } = req.body || {};
+      const { rol_id, roles_ids, expira_en } = req.body || {};
+      // Quién otorga el rol sale del token, nunca del body
+      const otorgadoPor = req.user?.auth_user_id || null;
 
       if (roles_ids && Array.isArray(roles_ids)) {
-        const asignaciones = await this.service.asignarMultiplesRoles(
+        const resultados = await this.service.asignarMultiplesRoles(
           empleadoId,
           roles_ids,
-          otorgado_por || null
+          otorgadoPor,
+          expira_en
         );
 
-        return res.status(201).json({
-          success: true,
-          message: `${asignaciones.length} rol(es) asignado(s) exitosamente`,
-          data: asignaciones,
-          count: asignaciones.length
-        });
+        return this.responderAsignaciones(res, resultados);
       }
 
       if (!rol_id) {
@@ -52,9 +55,18 @@ export class EmpleadosRolesController {
       const asignacion = await this.service.asignarRol({
         empleado_id: empleadoId,
         rol_id,
-        otorgado_por: otorgado_por || null
+        otorgado_por: otorgadoPor,
+        expira_en
       });
 
+      if (asignacion.estado === ESTADOS_SOLICITUD.PENDIENTE) {
+        return res.status(202).json({
+          success: true,
+          message: 'El rol es sensible: la asignación queda pendiente de aprobación',
+          data: asignacion
+        });
+      }
+
       res.status(201).json({
         success: true,
         message: 'Rol asignado exitosamente',
@@ -72,23 +84,49 @@ export class EmpleadosRolesController {
   async asignarMultiplesRoles(req, res, next) {
     try {
       const { empleadoId } = req.params;
-      const { roles_ids, otorgado_por } = req.body || {};
+      const { roles_ids, expira_en } = req.body || {};
+      const otorgadoPor = req.user?.auth_user_id || null;
 
       if (!roles_ids || !Array.isArray(roles_ids)) {
         throw new ValidationError('Se requiere un array de roles_ids');
       }
 
-      const asignaciones = await this.service.asignarMultiplesRoles(
+      const resultados = await this.service.asignarMultiplesRoles(
         empleadoId,
         roles_ids,
-        otorgado_por || null
+        otorgadoPor,
+        expira_en
       );
 
-      res.status(201).json({
+      this.responderAsignaciones(res, resultados);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/empleados/:empleadoId/roles
+   * Sincroniza el conjunto completo de roles de un empleado
+   */
+  async sincronizarRoles(req, res, next) {
+    try {
+      const { empleadoId } = req.params;
+      const { roles_ids, expira_en, dryRun } = req.body || {};
+
+      const diff = await this.service.sincronizarRoles(empleadoId, roles_ids, {
+        otorgadoPor: req.user?.auth_user_id || null,
+        expiraEn: expira_en,
+        dryRun: dryRun === true || req.query.dryRun === 'true'
+      });
+
+      const cambios = diff.asignar.length + diff.revocar.length + diff.solicitar.length;
+
+      res.status(200).json({
         success: true,
-        message: `${asignaciones.length} rol(es) asignado(s) exitosamente`,
-        data: asignaciones,
-        count: asignaciones.length
+        message: diff.dryRun
+          ? `Simulación: ${cambios} cambio(s) pendiente(s)`
+          : `Roles sincronizados: ${diff.asignar.length} asignado(s), ${diff.revocar.length} revocado(s), ${diff.solicitar.length} pendiente(s) de aprobación`,
+        data: diff
       });
     } catch (error) {
       next(error);
@@ -141,7 +179,9 @@ export class EmpleadosRolesController {
   async getRolesByEmpleado(req, res, next) {
     try {
       const { empleadoId } = req.params;
-      const roles = await this.service.getRolesByEmpleado(empleadoId);
+      const roles = await this.service.getRolesByEmpleado(empleadoId, {
+        incluirHeredados: req.query.incluirHeredados === 'true'
+      });
 
       res.status(200).json({
         success: true,
@@ -200,11 +240,12 @@ export class EmpleadosRolesController {
    */
   async getAllAsignaciones(req, res, next) {
     try {
-      const { limit, offset } = req.query;
+      const { limit, offset, estado } = req.query;
 
       const options = {};
       if (limit) options.limit = parseInt(limit);
       if (offset) options.offset = parseInt(offset);
+      if (estado) options.estado = estado;
 
       const asignaciones = await this.service.getAllAsignaciones(options);
 
@@ -217,6 +258,115 @@ export class EmpleadosRolesController {
       next(error);
     }
   }
+
+  /**
+   * GET /api/empleados-roles/solicitudes
+   * Listar solicitudes de roles sensibles
+   */
+  async listarSolicitudes(req, res, next) {
+    try {
+      const { estado, empleadoId, limit, offset } = req.query;
+
+      const options = {};
+      if (estado) options.estado = estado;
+      if (empleadoId) options.empleadoId = empleadoId;
+      if (limit) options.limit = parseInt(limit);
+      if (offset) options.offset = parseInt(offset);
+
+      const solicitudes = await this.service.getSolicitudes(options);
+
+      res.status(200).json({
+        success: true,
+        data: solicitudes,
+        count: solicitudes.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/empleados-roles/solicitudes/:solicitudId
+   * Obtener una solicitud
+   */
+  async getSolicitudById(req, res, next) {
+    try {
+      const solicitud = await this.service.getSolicitudById(req.params.solicitudId);
+
+      res.status(200).json({
+        success: true,
+        data: solicitud
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/empleados-roles/solicitudes/:solicitudId/aprobar
+   * Aprobar una solicitud y asignar el rol
+   */
+  async aprobarSolicitud(req, res, next) {
+    try {
+      const result = await this.service.aprobarSolicitud(
+        req.params.solicitudId,
+        req.user?.auth_user_id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Solicitud aprobada y rol asignado',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/empleados-roles/solicitudes/:solicitudId/rechazar
+   * Rechazar una solicitud
+   */
+  async rechazarSolicitud(req, res, next) {
+    try {
+      const { motivo } = req.body || {};
+      const solicitud = await this.service.rechazarSolicitud(
+        req.params.solicitudId,
+        req.user?.auth_user_id,
+        motivo
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Solicitud rechazada',
+        data: solicitud
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Responde a una asignación múltiple separando las asignaciones hechas
+   * de las solicitudes que quedan pendientes de aprobación
+   * @private
+   */
+  responderAsignaciones(res, resultados) {
+    const solicitudes = resultados.filter(r => r.estado === ESTADOS_SOLICITUD.PENDIENTE);
+    const asignaciones = resultados.filter(r => r.estado !== ESTADOS_SOLICITUD.PENDIENTE);
+
+    const message = solicitudes.length > 0
+      ? `${asignaciones.length} rol(es) asignado(s), ${solicitudes.length} pendiente(s) de aprobación`
+      : `${asignaciones.length} rol(es) asignado(s) exitosamente`;
+
+    res.status(asignaciones.length > 0 ? 201 : 202).json({
+      success: true,
+      message,
+      data: asignaciones,
+      count: asignaciones.length,
+      ...(solicitudes.length > 0 && { solicitudes })
+    });
+  }
 }
 
 export default new EmpleadosRolesController();
@@ -0,0 +1,119 @@
+/**
+ * CAPA DE CONTROLLERS (Presentation Layer / HTTP Handlers)
+ *
+ * Manejo de endpoints de la galería de imágenes de productos
+ */
+
+import imagenesProductoService from '../services/ImagenesProductoService.js';
+
+export class ImagenesProductoController {
+  constructor(service = imagenesProductoService) {
+    this.service = service;
+
+    this.listarImagenes = this.listarImagenes.bind(this);
+    this.subirImagenes = this.subirImagenes.bind(this);
+    this.reordenarImagenes = this.reordenarImagenes.bind(this);
+    this.setPrincipal = this.setPrincipal.bind(this);
+    this.deleteImagen = this.deleteImagen.bind(this);
+  }
+
+  /**
+   * GET /api/products/:id/imagenes
+   * Galería de un producto en orden
+   */
+  async listarImagenes(req, res, next) {
+    try {
+      const { id } = req.params;
+      const imagenes = await this.service.getImagenes(id);
+
+      res.status(200).json({
+        success: true,
+        data: imagenes,
+        count: imagenes.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/products/:id/imagenes
+   * Subir imágenes (multipart/form-data, campo "imagenes")
+   */
+  async subirImagenes(req, res, next) {
+    try {
+      const { id } = req.params;
+      const imagenes = await this.service.subirImagenes(id, req.files);
+
+      res.status(201).json({
+        success: true,
+        message: `${imagenes.length} imagen(es) subida(s) exitosamente`,
+        data: imagenes,
+        count: imagenes.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/products/:id/imagenes/orden
+   * Reordenar la galería
+   * Body: { ids: [number, ...] }
+   */
+  async reordenarImagenes(req, res, next) {
+    try {
+      const { id } = req.params;
+      const imagenes = await this.service.reordenarImagenes(id, req.body?.ids);
+
+      res.status(200).json({
+        success: true,
+        message: 'Galería reordenada exitosamente',
+        data: imagenes,
+        count: imagenes.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/products/:id/imagenes/:imagenId/principal
+   * Marcar una imagen como principal
+   */
+  async setPrincipal(req, res, next) {
+    try {
+      const { id, imagenId } = req.params;
+      const imagen = await this.service.setPrincipal(id, imagenId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Imagen principal actualizada',
+        data: imagen
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/products/:id/imagenes/:imagenId
+   * Eliminar una imagen
+   */
+  async deleteImagen(req, res, next) {
+    try {
+      const { id, imagenId } = req.params;
+      const imagen = await this.service.deleteImagen(id, imagenId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Imagen eliminada exitosamente',
+        data: imagen
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new ImagenesProductoController();
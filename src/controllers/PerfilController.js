@@ -0,0 +1,118 @@
+/**
+ * CAPA DE CONTROLLERS (Presentation Layer / HTTP Handlers)
+ *
+ * Perfil del usuario autenticado (/api/users/me).
+ * La identidad siempre se toma de req.user (middleware authenticate).
+ */
+
+import perfilService from '../services/PerfilService.js';
+
+export class PerfilController {
+  constructor(service = perfilService) {
+    this.service = service;
+
+    this.obtenerPerfil = this.obtenerPerfil.bind(this);
+    this.actualizarPerfil = this.actualizarPerfil.bind(this);
+    this.reautenticar = this.reautenticar.bind(this);
+    this.cambiarPassword = this.cambiarPassword.bind(this);
+    this.cambiarEmail = this.cambiarEmail.bind(this);
+  }
+
+  /**
+   * GET /api/users/me
+   * Devuelve el perfil con el resumen de pedidos recientes.
+   */
+  async obtenerPerfil(req, res, next) {
+    try {
+      const perfil = await this.service.getProfile(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: perfil
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PATCH /api/users/me
+   * Actualiza nombre, direccion y/o telefono.
+   */
+  async actualizarPerfil(req, res, next) {
+    try {
+      const perfil = await this.service.updateProfile(req.user.id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Perfil actualizado exitosamente',
+        data: perfil
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/users/me/reauthenticate
+   * Body: { password: string }
+   */
+  async reautenticar(req, res, next) {
+    try {
+      const { password } = req.body || {};
+      const result = await this.service.reauthenticate(req.user, password);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/users/me/password
+   * Body: { reauth_token: string, password: string }
+   */
+  async cambiarPassword(req, res, next) {
+    try {
+      const { reauth_token, password } = req.body || {};
+      const result = await this.service.changePassword(
+        req.user,
+        reauth_token,
+        password,
+        req.auth?.sid
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Password actualizado exitosamente',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/users/me/email
+   * Body: { reauth_token: string, email: string }
+   */
+  async cambiarEmail(req, res, next) {
+    try {
+      const { reauth_token, email } = req.body || {};
+      const perfil = await this.service.changeEmail(req.user, reauth_token, email);
+
+      res.status(200).json({
+        success: true,
+        message: 'Email actualizado. Revisa tu correo para verificarlo',
+        data: perfil
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new PerfilController();
@@ -39,17 +39,24 @@ export class ProductController {
 
   /**
    * GET /api/products
-   * Obtiene todos los productos con paginación y filtros
+   * Obtiene todos los productos con paginación, filtros y facetas
+   * Query: idCategoria=1,2 · inStock=true · minRating=4 · atributo=talla:M,L · q=texto
    */
   async getAllProducts(req, res, next) {
     try {
       const filters = {
         page: parseInt(req.query.page) || 1,
         limit: parseInt(req.query.limit) || 10,
-        idCategoria: req.query.idCategoria ? parseInt(req.query.idCategoria) : undefined,
+        cursor: req.query.cursor || undefined,
+        categorias: this.parseList(req.query.idCategoria),
         minPrice: req.query.minPrice ? parseFloat(req.query.minPrice) : undefined,
         maxPrice: req.query.maxPrice ? parseFloat(req.query.maxPrice) : undefined,
-        sortBy: req.query.sortBy || 'id',
+        inStock: this.parseBoolean(req.query.inStock, 'inStock'),
+        minRating: req.query.minRating ? parseFloat(req.query.minRating) : undefined,
+        atributos: this.parseAtributos(req.query.atributo),
+        q: req.query.q,
+        conFacetas: this.parseBoolean(req.query.facets, 'facets'),
+        sortBy: req.query.sortBy || (req.query.q ? 'relevancia' : 'id'),
         sortOrder: req.query.sortOrder || 'desc'
       };
 
@@ -62,8 +69,10 @@ export class ProductController {
           currentPage: result.page,
           totalPages: result.totalPages,
           totalItems: result.total,
-          itemsPerPage: result.limit
-        }
+          itemsPerPage: result.limit,
+          nextCursor: result.nextCursor
+        },
+        facets: result.facetas
       });
     } catch (error) {
       next(error);
@@ -172,8 +181,8 @@ export class ProductController {
   }
 
   /**
-   * GET /api/products/search?q=termo
-   * Busca productos por nombre
+   * GET /api/products/search?q=amuleto&page=1&limit=10
+   * Busca productos por nombre y descripción, ordenados por relevancia
    */
   async searchProducts(req, res, next) {
     try {
@@ -183,12 +192,22 @@ export class ProductController {
         throw new ValidationError('El parámetro de búsqueda "q" es requerido');
       }
 
-      const products = await this.service.searchProducts(q);
+      const result = await this.service.searchProducts(q, {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        cursor: req.query.cursor || undefined
+      });
 
       res.status(200).json({
         success: true,
-        data: products,
-        count: products.length
+        data: result.products,
+        pagination: {
+          currentPage: result.page,
+          totalPages: result.totalPages,
+          totalItems: result.total,
+          itemsPerPage: result.limit,
+          nextCursor: result.nextCursor
+        }
       });
     } catch (error) {
       next(error);
@@ -217,13 +236,13 @@ export class ProductController {
 
   /**
    * PATCH /api/products/:id/stock
-   * Actualiza el stock de un producto
-   * Body: { quantity: number }
+   * Actualiza el stock de un producto o de una de sus variantes
+   * Body: { quantity: number, variante_id?: number }
    */
   async updateProductStock(req, res, next) {
     try {
       const { id } = req.params;
-      const { quantity } = req.body;
+      const { quantity, variante_id } = req.body;
 
       if (quantity === undefined || quantity === null) {
         throw new ValidationError('La cantidad es requerida');
@@ -233,7 +252,7 @@ export class ProductController {
         throw new ValidationError('La cantidad debe ser un número');
       }
 
-      const product = await this.service.updateProductStock(id, quantity);
+      const product = await this.service.updateProductStock(id, quantity, variante_id);
 
       res.status(200).json({
         success: true,
@@ -262,6 +281,48 @@ export class ProductController {
       next(error);
     }
   }
+
+  /**
+   * Valores de un parámetro repetido (?a=1&a=2) o separado por comas (?a=1,2)
+   * @private
+   */
+  parseList(value) {
+    return [].concat(value ?? [])
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * @private
+   */
+  parseBoolean(value, name) {
+    if (value === undefined || value === '') return undefined;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+
+    throw new ValidationError(`${name} debe ser true o false`);
+  }
+
+  /**
+   * ?atributo=talla:M,L&atributo=material:plata → { talla: ['M', 'L'], material: ['plata'] }
+   * @private
+   */
+  parseAtributos(value) {
+    const atributos = {};
+
+    for (const filtro of [].concat(value ?? [])) {
+      const separador = String(filtro).indexOf(':');
+      if (separador <= 0) {
+        throw new ValidationError('atributo debe tener el formato nombre:valor1,valor2');
+      }
+
+      const nombre = String(filtro).slice(0, separador);
+      atributos[nombre] = [...(atributos[nombre] || []), ...this.parseList(String(filtro).slice(separador + 1))];
+    }
+
+    return atributos;
+  }
 }
 
 // Exportar instancia singleton
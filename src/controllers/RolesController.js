@@ -5,19 +5,30 @@
  */
 
 import rolesService from '../services/RolesService.js';
+import rolesReportesService from '../services/RolesReportesService.js';
 import { ValidationError } from '../utils/errors.js';
 
 export class RolesController {
-  constructor(service = rolesService) {
+  constructor(service = rolesService, reportesServ = rolesReportesService) {
     this.service = service;
+    this.reportesService = reportesServ;
 
     this.listarRoles = this.listarRoles.bind(this);
     this.getRolById = this.getRolById.bind(this);
     this.getRolesWithUsers = this.getRolesWithUsers.bind(this);
     this.getRolWithUsers = this.getRolWithUsers.bind(this);
+    this.getConteoMiembros = this.getConteoMiembros.bind(this);
+    this.getConflictos = this.getConflictos.bind(this);
+    this.listarIncompatibilidades = this.listarIncompatibilidades.bind(this);
+    this.createIncompatibilidad = this.createIncompatibilidad.bind(this);
+    this.deleteIncompatibilidad = this.deleteIncompatibilidad.bind(this);
     this.createRol = this.createRol.bind(this);
     this.updateRol = this.updateRol.bind(this);
     this.deleteRol = this.deleteRol.bind(this);
+    this.listarPermisos = this.listarPermisos.bind(this);
+    this.getPermisosDeRol = this.getPermisosDeRol.bind(this);
+    this.otorgarPermiso = this.otorgarPermiso.bind(this);
+    this.revocarPermiso = this.revocarPermiso.bind(this);
   }
 
   /**
@@ -57,11 +68,14 @@ export class RolesController {
 
   /**
    * GET /api/roles/with-users
-   * Listar roles con usuarios asociados
+   * Listar roles con sus miembros vigentes
+   * Query: sinMiembros=true para ver solo los roles sin miembros
    */
   async getRolesWithUsers(req, res, next) {
     try {
-      const roles = await this.service.getAllRolesWithUsers();
+      const roles = await this.reportesService.getRolesConMiembros({
+        sinMiembros: req.query.sinMiembros === 'true'
+      });
 
       res.status(200).json({
         success: true,
@@ -75,12 +89,12 @@ export class RolesController {
 
   /**
    * GET /api/roles/:idRol/with-users
-   * Obtener rol por ID con usuarios asociados
+   * Obtener rol por ID con sus miembros vigentes
    */
   async getRolWithUsers(req, res, next) {
     try {
       const { idRol } = req.params;
-      const rol = await this.service.getRolByIdWithUsers(idRol);
+      const rol = await this.reportesService.getRolConMiembros(idRol);
 
       res.status(200).json({
         success: true,
@@ -91,6 +105,103 @@ export class RolesController {
     }
   }
 
+  /**
+   * GET /api/roles/reportes/miembros
+   * Número de miembros por rol
+   */
+  async getConteoMiembros(req, res, next) {
+    try {
+      const conteo = await this.reportesService.getConteoMiembros();
+
+      res.status(200).json({
+        success: true,
+        data: conteo,
+        count: conteo.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/roles/reportes/conflictos
+   * Empleados que incumplen una regla de separación de funciones
+   */
+  async getConflictos(req, res, next) {
+    try {
+      const conflictos = await this.reportesService.getConflictos();
+
+      res.status(200).json({
+        success: true,
+        data: conflictos,
+        count: conflictos.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/roles/incompatibilidades
+   * Listar reglas de roles incompatibles
+   */
+  async listarIncompatibilidades(req, res, next) {
+    try {
+      const reglas = await this.reportesService.getIncompatibilidades();
+
+      res.status(200).json({
+        success: true,
+        data: reglas,
+        count: reglas.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/roles/incompatibilidades
+   * Declarar dos roles incompatibles
+   * Body: { roles_ids: [string, string], motivo?: string }
+   */
+  async createIncompatibilidad(req, res, next) {
+    try {
+      const { roles_ids, motivo } = req.body || {};
+
+      const regla = await this.reportesService.createIncompatibilidad(
+        { roles_ids, motivo },
+        req.user?.auth_user_id || null
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Regla de incompatibilidad creada exitosamente',
+        data: regla
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/roles/incompatibilidades/:id
+   * Eliminar una regla de roles incompatibles
+   */
+  async deleteIncompatibilidad(req, res, next) {
+    try {
+      const { id } = req.params;
+      const regla = await this.reportesService.deleteIncompatibilidad(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Regla de incompatibilidad eliminada exitosamente',
+        data: regla
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * POST /api/roles
    * Crear nuevo rol
@@ -103,7 +214,8 @@ export class RolesController {
 
       const rol = await this.service.createRol({
         nombre: req.body.nombre,
-        descripcion: req.body.descripcion || null
+        descripcion: req.body.descripcion || null,
+        padres: req.body.padres
       });
 
       res.status(201).json({
@@ -159,6 +271,88 @@ export class RolesController {
       next(error);
     }
   }
+
+  /**
+   * GET /api/roles/permisos
+   * Catálogo de permisos
+   */
+  async listarPermisos(req, res, next) {
+    try {
+      const permisos = await this.service.getCatalogoPermisos();
+
+      res.status(200).json({
+        success: true,
+        data: permisos,
+        count: permisos.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/roles/:idRol/permisos
+   * Permisos otorgados a un rol
+   */
+  async getPermisosDeRol(req, res, next) {
+    try {
+      const { idRol } = req.params;
+      const permisos = await this.service.getPermisosDeRol(idRol);
+
+      res.status(200).json({
+        success: true,
+        data: permisos,
+        count: permisos.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/roles/:idRol/permisos
+   * Otorgar un permiso a un rol
+   * Body: { permiso: string }
+   */
+  async otorgarPermiso(req, res, next) {
+    try {
+      const { idRol } = req.params;
+      const { permiso } = req.body || {};
+
+      if (!permiso) {
+        throw new ValidationError('El campo "permiso" es requerido');
+      }
+
+      const result = await this.service.otorgarPermiso(idRol, permiso, req.user?.auth_user_id || null);
+
+      res.status(201).json({
+        success: true,
+        message: 'Permiso otorgado exitosamente',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/roles/:idRol/permisos/:permiso
+   * Revocar un permiso de un rol
+   */
+  async revocarPermiso(req, res, next) {
+    try {
+      const { idRol, permiso } = req.params;
+      const result = await this.service.revocarPermiso(idRol, permiso);
+
+      res.status(200).json({
+        success: true,
+        message: 'Permiso revocado exitosamente',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default new RolesController();
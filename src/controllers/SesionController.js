@@ -0,0 +1,106 @@
+/**
+ * CAPA DE CONTROLLERS (Presentation Layer / HTTP Handlers)
+ *
+ * Refresh tokens, logout y gestión de sesiones por dispositivo.
+ */
+
+import sessionService from '../services/SessionService.js';
+import { ValidationError } from '../utils/errors.js';
+
+export class SesionController {
+  constructor(service = sessionService) {
+    this.service = service;
+
+    this.refresh = this.refresh.bind(this);
+    this.logout = this.logout.bind(this);
+    this.listarSesiones = this.listarSesiones.bind(this);
+    this.revocarSesion = this.revocarSesion.bind(this);
+  }
+
+  /**
+   * POST /api/auth/refresh
+   * Rota el refresh token y devuelve un nuevo token de acceso.
+   * Body: { refresh_token: string }
+   */
+  async refresh(req, res, next) {
+    try {
+      const { refresh_token } = req.body || {};
+
+      if (!refresh_token) {
+        throw new ValidationError('El refresh_token es requerido');
+      }
+
+      const session = await this.service.refresh(refresh_token, { ip: req.ip });
+
+      res.status(200).json({
+        success: true,
+        data: session
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/logout
+   * Cierra la sesión asociada al refresh token.
+   * Body: { refresh_token: string }
+   */
+  async logout(req, res, next) {
+    try {
+      const { refresh_token } = req.body || {};
+
+      if (!refresh_token) {
+        throw new ValidationError('El refresh_token es requerido');
+      }
+
+      await this.service.logout(refresh_token);
+
+      res.status(200).json({
+        success: true,
+        message: 'Sesion cerrada exitosamente'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/auth/sessions
+   * Lista las sesiones activas del usuario autenticado.
+   */
+  async listarSesiones(req, res, next) {
+    try {
+      const sesiones = await this.service.listSessions(req.user.id, req.auth?.sid);
+
+      res.status(200).json({
+        success: true,
+        data: sesiones,
+        count: sesiones.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/auth/sessions/:id
+   * Revoca una sesión (dispositivo) del usuario autenticado.
+   */
+  async revocarSesion(req, res, next) {
+    try {
+      const { id } = req.params;
+      const result = await this.service.revokeSession(req.user.id, id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Sesion revocada exitosamente',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new SesionController();
@@ -1,17 +1,24 @@
 /**
  * CAPA DE CONTROLLERS (Presentation Layer / HTTP Handlers)
  *
- * Registro de usuarios.
+ * Registro, inicio de sesión y recuperación de cuenta de usuarios.
  */
 
 import usuarioService from '../services/UsuarioService.js';
+import verificacionCuentaService from '../services/VerificacionCuentaService.js';
 import { ValidationError } from '../utils/errors.js';
 
 export class UsuarioController {
-  constructor(service = usuarioService) {
+  constructor(service = usuarioService, verificacionService = verificacionCuentaService) {
     this.service = service;
+    this.verificacionService = verificacionService;
 
     this.register = this.register.bind(this);
+    this.login = this.login.bind(this);
+    this.forgotPassword = this.forgotPassword.bind(this);
+    this.resetPassword = this.resetPassword.bind(this);
+    this.verifyEmail = this.verifyEmail.bind(this);
+    this.resendVerification = this.resendVerification.bind(this);
   }
 
   /**
@@ -43,6 +50,121 @@ export class UsuarioController {
       next(error);
     }
   }
+
+  /**
+   * POST /api/auth/login
+   * Verifica email/password y devuelve un token de acceso y un refresh token.
+   */
+  async login(req, res, next) {
+    try {
+      const { email, password, dispositivo } = req.body || {};
+
+      if (!email || !password) {
+        throw new ValidationError('email y password son requeridos');
+      }
+
+      const session = await this.service.login(
+        { email, password },
+        { dispositivo: dispositivo || req.get('user-agent'), ip: req.ip }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Inicio de sesion exitoso',
+        data: session
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/forgot-password
+   * Envía un enlace de restablecimiento si el email está registrado.
+   * La respuesta es la misma exista o no la cuenta.
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { email } = req.body || {};
+
+      if (!email) {
+        throw new ValidationError('El email es requerido');
+      }
+
+      await this.verificacionService.requestPasswordReset(email);
+
+      res.status(200).json({
+        success: true,
+        message: 'Si el email esta registrado, recibiras un enlace para restablecer tu password'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/reset-password
+   * Cambia el password usando el token recibido por email.
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, password } = req.body || {};
+
+      if (!token || !password) {
+        throw new ValidationError('token y password son requeridos');
+      }
+
+      await this.verificacionService.resetPassword(token, password);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password restablecido exitosamente. Inicia sesion nuevamente'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/verify-email
+   * Confirma el email usando el token recibido por correo.
+   */
+  async verifyEmail(req, res, next) {
+    try {
+      const { token } = req.body || {};
+
+      if (!token) {
+        throw new ValidationError('El token es requerido');
+      }
+
+      const profile = await this.verificacionService.verifyEmail(token);
+
+      res.status(200).json({
+        success: true,
+        message: 'Email verificado exitosamente',
+        data: profile
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/auth/resend-verification
+   * Envía un nuevo enlace de verificación al email del usuario autenticado.
+   */
+  async resendVerification(req, res, next) {
+    try {
+      await this.verificacionService.resendEmailVerification(req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Te enviamos un nuevo enlace de verificacion'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default new UsuarioController();
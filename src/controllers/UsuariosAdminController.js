@@ -0,0 +1,104 @@
+/**
+ * CAPA DE CONTROLLERS (Presentation Layer / HTTP Handlers)
+ *
+ * Administración de usuarios para el personal (/api/usuarios).
+ */
+
+import usuariosAdminService from '../services/UsuariosAdminService.js';
+
+export class UsuariosAdminController {
+  constructor(service = usuariosAdminService) {
+    this.service = service;
+
+    this.buscarUsuarios = this.buscarUsuarios.bind(this);
+    this.getUsuarioDetalle = this.getUsuarioDetalle.bind(this);
+    this.bloquearUsuario = this.bloquearUsuario.bind(this);
+    this.desbloquearUsuario = this.desbloquearUsuario.bind(this);
+  }
+
+  /**
+   * GET /api/usuarios
+   * Busca usuarios por nombre, email o teléfono con paginación
+   */
+  async buscarUsuarios(req, res, next) {
+    try {
+      const filters = {
+        q: req.query.q,
+        bloqueado: req.query.bloqueado !== undefined ? req.query.bloqueado === 'true' : undefined,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 10,
+        cursor: req.query.cursor || undefined
+      };
+
+      const result = await this.service.searchUsuarios(filters);
+
+      res.status(200).json({
+        success: true,
+        data: result.usuarios,
+        pagination: {
+          currentPage: result.page,
+          totalPages: result.totalPages,
+          totalItems: result.total,
+          itemsPerPage: result.limit,
+          nextCursor: result.nextCursor
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/usuarios/:id
+   * Detalle con carritos, pedidos, reseñas y tickets de soporte
+   */
+  async getUsuarioDetalle(req, res, next) {
+    try {
+      const usuario = await this.service.getUsuarioDetalle(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: usuario
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/usuarios/:id/block
+   * Body: { motivo?: string }
+   */
+  async bloquearUsuario(req, res, next) {
+    try {
+      const usuario = await this.service.bloquearUsuario(req.params.id, req.body || {}, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Usuario bloqueado exitosamente',
+        data: usuario
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/usuarios/:id/unblock
+   */
+  async desbloquearUsuario(req, res, next) {
+    try {
+      const usuario = await this.service.desbloquearUsuario(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Usuario desbloqueado exitosamente',
+        data: usuario
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new UsuariosAdminController();
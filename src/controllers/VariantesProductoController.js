@@ -0,0 +1,102 @@
+/**
+ * CAPA DE CONTROLLERS (Presentation Layer / HTTP Handlers)
+ *
+ * Manejo de endpoints de las variantes de productos
+ */
+
+import variantesProductoService from '../services/VariantesProductoService.js';
+
+export class VariantesProductoController {
+  constructor(service = variantesProductoService) {
+    this.service = service;
+
+    this.listarVariantes = this.listarVariantes.bind(this);
+    this.createVariante = this.createVariante.bind(this);
+    this.updateVariante = this.updateVariante.bind(this);
+    this.deleteVariante = this.deleteVariante.bind(this);
+  }
+
+  /**
+   * GET /api/products/:id/variantes
+   * Variantes de un producto
+   */
+  async listarVariantes(req, res, next) {
+    try {
+      const { id } = req.params;
+      const variantes = await this.service.getVariantes(id);
+
+      res.status(200).json({
+        success: true,
+        data: variantes,
+        count: variantes.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/products/:id/variantes
+   * Crear una variante
+   * Body: { sku, opciones, precio?, stock? }
+   */
+  async createVariante(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { sku, opciones, precio, stock } = req.body || {};
+
+      const variante = await this.service.createVariante(id, { sku, opciones, precio, stock });
+
+      res.status(201).json({
+        success: true,
+        message: 'Variante creada exitosamente',
+        data: variante
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/products/:id/variantes/:varianteId
+   * Actualizar una variante
+   * Body: { sku?, opciones?, precio?, stock? }
+   */
+  async updateVariante(req, res, next) {
+    try {
+      const { id, varianteId } = req.params;
+      const { sku, opciones, precio, stock } = req.body || {};
+
+      const variante = await this.service.updateVariante(id, varianteId, { sku, opciones, precio, stock });
+
+      res.status(200).json({
+        success: true,
+        message: 'Variante actualizada exitosamente',
+        data: variante
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/products/:id/variantes/:varianteId
+   * Eliminar una variante
+   */
+  async deleteVariante(req, res, next) {
+    try {
+      const { id, varianteId } = req.params;
+      const variante = await this.service.deleteVariante(id, varianteId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Variante eliminada exitosamente',
+        data: variante
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new VariantesProductoController();
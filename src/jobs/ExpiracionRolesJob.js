@@ -0,0 +1,81 @@
+/**
+ * TAREAS PROGRAMADAS
+ *
+ * Barrido periódico de asignaciones de roles vencidas.
+ *
+ * La autorización ya ignora las asignaciones con expira_en pasado en el
+ * momento de la consulta; este barrido solo deja constancia del vencimiento
+ * (expirado_en) para el historial y los listados por estado.
+ */
+
+import empleadosRolesService from '../services/EmpleadosRolesService.js';
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+export class ExpiracionRolesJob {
+  constructor(
+    service = empleadosRolesService,
+    intervalMs = parseInt(process.env.ROLES_EXPIRATION_SWEEP_MS) || DEFAULT_INTERVAL_MS
+  ) {
+    this.service = service;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = false;
+
+    this.run = this.run.bind(this);
+  }
+
+  /**
+   * Inicia el barrido (ejecuta uno inmediato y luego cada intervalMs)
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(this.run, this.intervalMs);
+    // No mantiene vivo el proceso por sí solo
+    this.timer.unref?.();
+
+    this.run();
+  }
+
+  /**
+   * Detiene el barrido
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Ejecuta un barrido. Nunca lanza: un fallo se reintenta en el siguiente ciclo.
+   * @returns {Promise<number>} Número de asignaciones marcadas como expiradas
+   */
+  async run() {
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+
+    try {
+      const registradas = await this.service.registrarExpiraciones();
+
+      if (registradas.length > 0) {
+        console.log(`⏰ ${registradas.length} asignación(es) de rol expirada(s)`);
+      }
+
+      return registradas.length;
+    } catch (error) {
+      console.warn('No se pudo registrar la expiración de roles:', error?.message || error);
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default new ExpiracionRolesJob();
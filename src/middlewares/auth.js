@@ -0,0 +1,90 @@
+/**
+ * MIDDLEWARE DE AUTENTICACIÓN
+ *
+ * Valida el token Bearer de la cabecera Authorization, carga el perfil
+ * del usuario desde la tabla usuarios y lo deja disponible en:
+ * - req.user: fila de usuarios
+ * - req.auth: claims del token (auth_user_id, roles, sid, etc.)
+ *
+ * El token lleva la sesión que lo emitió (sid): si esa sesión se ha cerrado
+ * o revocado, el token deja de valer aunque no haya expirado. Una cuenta
+ * bloqueada tampoco puede usar los tokens que ya tenía.
+ *
+ * Los controllers deben tomar la identidad del llamante de req.user
+ * y nunca de datos enviados por el cliente.
+ */
+
+import { verifyAccessToken } from '../config/jwt.js';
+import usuarioRepository from '../repositories/UsuarioRepository.js';
+import sesionRepository from '../repositories/SesionRepository.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+
+/**
+ * Extrae el token de la cabecera Authorization: Bearer <token>
+ * @param {Object} req
+ * @returns {string|null}
+ */
+const extractBearerToken = (req) => {
+  const header = req.headers?.authorization;
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (!/^Bearer$/i.test(scheme) || !token) return null;
+
+  return token.trim();
+};
+
+/**
+ * Crea el middleware de autenticación (permite inyectar los repositories)
+ * @param {Object} repository - Repository de usuarios
+ * @param {Object} sesionRepo - Repository de sesiones
+ * @returns {Function}
+ */
+export const createAuthenticate = (repository = usuarioRepository, sesionRepo = sesionRepository) => {
+  return async (req, res, next) => {
+    try {
+      const token = extractBearerToken(req);
+      if (!token) {
+        throw new UnauthorizedError('Token de acceso requerido');
+      }
+
+      let claims;
+      try {
+        claims = verifyAccessToken(token);
+      } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+          throw new UnauthorizedError('El token de acceso ha expirado');
+        }
+        throw new UnauthorizedError('Token de acceso inválido');
+      }
+
+      const usuarioId = parseInt(claims.sub);
+      if (!Number.isInteger(usuarioId) || usuarioId <= 0) {
+        throw new UnauthorizedError('Token de acceso inválido');
+      }
+
+      const usuario = await repository.findById(usuarioId);
+      if (!usuario || usuario.auth_user_id !== claims.auth_user_id) {
+        throw new UnauthorizedError('El usuario del token ya no existe');
+      }
+
+      if (usuario.bloqueado) {
+        throw new ForbiddenError('La cuenta está bloqueada. Contacta con soporte');
+      }
+
+      const sesion = claims.sid ? await sesionRepo.findById(claims.sid) : null;
+      if (!sesion || sesion.usuario_id !== usuario.id || sesion.revocada_en) {
+        throw new UnauthorizedError('La sesión ha sido cerrada');
+      }
+
+      req.user = usuario;
+      req.auth = claims;
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+export const authenticate = createAuthenticate();
@@ -0,0 +1,190 @@
+/**
+ * MIDDLEWARE DE AUTORIZACIÓN
+ *
+ * Se usa después de `authenticate` (necesita req.user) para restringir
+ * rutas al personal de la tienda y, opcionalmente, a ciertos roles o permisos.
+ *
+ * Los roles y permisos se leen de la base de datos en cada petición
+ * (no del token), así una revocación tiene efecto inmediato.
+ *
+ * Deja disponible:
+ * - req.empleado: fila de empleados del llamante
+ * - req.roles: nombres de los roles del llamante (directos y heredados)
+ * - req.permisos: claves de los permisos efectivos (solo con requirePermission o hasPermission)
+ *
+ * hasPermission(req, ...claves) comprueba un permiso sin cortar la petición,
+ * para rutas en las que una parte opcional del cuerpo exige un permiso extra.
+ *
+ * Uso:
+ *   router.post('/', authenticate, requireRole(ROLES.ADMIN, ROLES.GERENTE), controller.create);
+ *   router.post('/', authenticate, requirePermission(PERMISOS.PRODUCTS_WRITE), controller.create);
+ */
+
+import empleadosRepository from '../repositories/EmpleadosRepository.js';
+import empleadosRolesRepository from '../repositories/EmpleadosRolesRepository.js';
+import rolesService from '../services/RolesService.js';
+import { SUPER_ROLE, normalizeRoleName } from '../config/roles.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+
+/**
+ * Crea los middlewares de autorización (permite inyectar repositories)
+ * @param {Object} [deps]
+ * @param {Object} [deps.empleadosRepo] - Repository de empleados
+ * @param {Object} [deps.empleadosRolesRepo] - Repository de empleados_roles
+ * @param {Object} [deps.rolesServ] - Service de roles (jerarquía y permisos)
+ * @returns {{ requireEmployee: Function, requireRole: Function, requirePermission: Function, hasPermission: Function }}
+ */
+export const createAuthorization = ({
+  empleadosRepo = empleadosRepository,
+  empleadosRolesRepo = empleadosRolesRepository,
+  rolesServ = rolesService
+} = {}) => {
+  /**
+   * Carga el empleado activo asociado a req.user
+   * @private
+   */
+  const loadEmpleado = async (req) => {
+    if (!req.user) {
+      throw new UnauthorizedError('Token de acceso requerido');
+    }
+
+    if (req.empleado === undefined) {
+      req.empleado = await empleadosRepo.getEmpleadoByUsuarioId(req.user.auth_user_id);
+    }
+
+    if (!req.empleado || req.empleado.activo === false) {
+      throw new ForbiddenError('Esta operación está reservada al personal de la tienda');
+    }
+
+    return req.empleado;
+  };
+
+  /**
+   * Carga los nombres de los roles del empleado (una vez por petición)
+   * @private
+   */
+  const loadRoles = async (req) => {
+    if (req.roles === undefined) {
+      const asignaciones = await empleadosRolesRepo.getRolesByEmpleado(req.empleado.usuario_id, { soloVigentes: true });
+      const directos = asignaciones.map(asignacion => asignacion.rol_id);
+
+      // Incluye los roles heredados a través de la jerarquía
+      const roles = await rolesServ.getRolesEfectivos(directos);
+
+      req.roles = roles.map(rol => rol.nombre);
+      req.rolesIds = roles.map(rol => rol.id);
+    }
+
+    return req.roles;
+  };
+
+  /**
+   * Indica si el llamante tiene el rol que supera cualquier comprobación
+   * @private
+   */
+  const isSuperRole = (roles) => {
+    return roles.some(rol => normalizeRoleName(rol) === normalizeRoleName(SUPER_ROLE));
+  };
+
+  /**
+   * Permisos de los indicados que le faltan al llamante (ninguno si tiene el rol de administrador)
+   * @private
+   */
+  const getPermisosFaltantes = async (req, claves) => {
+    await loadEmpleado(req);
+    const roles = await loadRoles(req);
+
+    if (isSuperRole(roles)) {
+      return [];
+    }
+
+    if (req.permisos === undefined) {
+      req.permisos = await rolesServ.getPermisosEfectivos(req.rolesIds);
+    }
+
+    return claves.filter(clave => !req.permisos.includes(clave));
+  };
+
+  /**
+   * Indica si el llamante (empleado activo) tiene todos los permisos indicados
+   * @param {Object} req
+   * @param {...string} claves - Claves de permiso
+   * @returns {Promise<boolean>}
+   */
+  const hasPermission = async (req, ...claves) => {
+    return (await getPermisosFaltantes(req, claves)).length === 0;
+  };
+
+  /**
+   * Exige que el llamante sea un empleado activo
+   * @returns {Function}
+   */
+  const requireEmployee = () => {
+    return async (req, res, next) => {
+      try {
+        await loadEmpleado(req);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  };
+
+  /**
+   * Exige que el llamante sea un empleado activo con al menos uno de los roles indicados.
+   * El rol de administrador supera cualquier comprobación.
+   * @param {...string} nombres - Nombres de roles permitidos
+   * @returns {Function}
+   */
+  const requireRole = (...nombres) => {
+    if (nombres.length === 0) {
+      throw new Error('requireRole necesita al menos un nombre de rol');
+    }
+
+    const permitidos = new Set([...nombres, SUPER_ROLE].map(normalizeRoleName));
+
+    return async (req, res, next) => {
+      try {
+        await loadEmpleado(req);
+        const roles = await loadRoles(req);
+
+        if (!roles.some(rol => permitidos.has(normalizeRoleName(rol)))) {
+          throw new ForbiddenError(`Se requiere uno de los roles: ${nombres.join(', ')}`);
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  };
+
+  /**
+   * Exige que el llamante tenga todos los permisos indicados, sumando
+   * los permisos de todos sus roles. El rol de administrador los tiene todos.
+   * @param {...string} claves - Claves de permiso requeridas
+   * @returns {Function}
+   */
+  const requirePermission = (...claves) => {
+    if (claves.length === 0) {
+      throw new Error('requirePermission necesita al menos una clave de permiso');
+    }
+
+    return async (req, res, next) => {
+      try {
+        const faltantes = await getPermisosFaltantes(req, claves);
+        if (faltantes.length > 0) {
+          throw new ForbiddenError(`Se requiere el permiso: ${faltantes.join(', ')}`);
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  };
+
+  return { requireEmployee, requireRole, requirePermission, hasPermission };
+};
+
+export const { requireEmployee, requireRole, requirePermission, hasPermission } = createAuthorization();
@@ -0,0 +1,38 @@
+/**
+ * MIDDLEWARE DE CONTEXTO DE PETICIÓN
+ *
+ * Asigna a cada petición un ID generado en el servidor (cabecera X-Request-Id de
+ * la respuesta) y guarda la petición en un AsyncLocalStorage para que
+ * las capas que no conocen HTTP (p.ej. la auditoría) puedan saber quién
+ * hace la operación, desde qué IP y en qué petición.
+ *
+ * El X-Request-Id que envíe el cliente no se usa como ID (se podría falsificar o
+ * repetir): se conserva aparte como clientRequestId.
+ *
+ * Debe registrarse después de los body parsers: sus callbacks de stream
+ * no conservan el contexto asíncrono.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+const MAX_REQUEST_ID_LENGTH = 128;
+
+const storage = new AsyncLocalStorage();
+
+export const requestContext = (req, res, next) => {
+  const requestId = randomUUID();
+  const clientRequestId = req.get('x-request-id')?.trim().slice(0, MAX_REQUEST_ID_LENGTH) || null;
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  storage.run({ req, requestId, clientRequestId, ip: req.ip }, next);
+};
+
+/**
+ * Devuelve el contexto de la petición en curso, o null fuera de una petición
+ * (tareas programadas, scripts)
+ * @returns {{ req: Object, requestId: string, clientRequestId: string|null, ip: string }|null}
+ */
+export const getRequestContext = () => storage.getStore() || null;
@@ -0,0 +1,53 @@
+/**
+ * MIDDLEWARE DE SUBIDA DE ARCHIVOS
+ *
+ * Recibe archivos multipart/form-data en memoria (multer) para que el service
+ * los procese antes de guardarlos en el storage. Los errores de multer
+ * (tamaño, número de archivos, campo inesperado) se devuelven como ValidationError.
+ */
+
+import multer from 'multer';
+import { ValidationError } from '../utils/errors.js';
+
+export const TIPOS_IMAGEN = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+
+const MENSAJES_MULTER = {
+  LIMIT_FILE_SIZE: 'El archivo excede el tamaño máximo permitido',
+  LIMIT_FILE_COUNT: 'Demasiados archivos en una sola petición',
+  LIMIT_UNEXPECTED_FILE: 'Campo de archivo inesperado'
+};
+
+/**
+ * Acepta hasta maxArchivos imágenes en el campo indicado
+ * @param {string} campo - Nombre del campo del formulario
+ * @param {Object} [options]
+ * @param {number} [options.maxArchivos] - Default: 10
+ * @param {number} [options.maxBytes] - Tamaño máximo por archivo (default: 5 MB)
+ * @returns {Function} Middleware de Express
+ */
+export const uploadImagenes = (campo, options = {}) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: options.maxBytes || 5 * 1024 * 1024,
+      files: options.maxArchivos || 10
+    },
+    fileFilter: (req, file, cb) => {
+      if (!TIPOS_IMAGEN.includes(file.mimetype)) {
+        return cb(new ValidationError(`Tipo de archivo no permitido: ${file.mimetype}. Permitidos: ${TIPOS_IMAGEN.join(', ')}`));
+      }
+      cb(null, true);
+    }
+  }).array(campo, options.maxArchivos || 10);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(new ValidationError(
+          `${MENSAJES_MULTER[error.code] || 'Error al subir el archivo'}${error.field ? ` (${error.field})` : ''}`
+        ));
+      }
+      next(error);
+    });
+  };
+};
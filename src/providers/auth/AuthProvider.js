@@ -0,0 +1,82 @@
+/**
+ * AUTH PROVIDER (interfaz)
+ *
+ * Contrato que deben cumplir los proveedores de credenciales.
+ * UsuarioService y los flujos de cuenta solo dependen de esta interfaz,
+ * así el registro y el login funcionan igual con Supabase Auth o con
+ * la tabla local de credenciales.
+ *
+ * Todos los métodos trabajan con el "authUserId": el UUID que se guarda
+ * en usuarios.auth_user_id y empleados.usuario_id.
+ */
+
+export class AuthProvider {
+  /**
+   * Nombre del proveedor (para logs y diagnósticos)
+   * @returns {string}
+   */
+  get name() {
+    return 'abstract';
+  }
+
+  /**
+   * Crea una cuenta con email y password
+   * @param {Object} data
+   * @param {string} data.email
+   * @param {string} data.password
+   * @param {Object} [data.metadata] - Datos adicionales (p.ej. nombre)
+   * @returns {Promise<{ id: string }>}
+   */
+  async signUp(data) {
+    throw new Error(`${this.constructor.name}.signUp no implementado`);
+  }
+
+  /**
+   * Verifica email y password. Lanza UnauthorizedError si no son válidos.
+   * @param {Object} data
+   * @param {string} data.email
+   * @param {string} data.password
+   * @returns {Promise<{ id: string }>}
+   */
+  async signIn(data) {
+    throw new Error(`${this.constructor.name}.signIn no implementado`);
+  }
+
+  /**
+   * Elimina una cuenta (usado en rollbacks)
+   * @param {string} authUserId
+   * @returns {Promise<void>}
+   */
+  async deleteUser(authUserId) {
+    throw new Error(`${this.constructor.name}.deleteUser no implementado`);
+  }
+
+  /**
+   * Reemplaza el password de una cuenta
+   * @param {string} authUserId
+   * @param {string} password
+   * @returns {Promise<void>}
+   */
+  async updatePassword(authUserId, password) {
+    throw new Error(`${this.constructor.name}.updatePassword no implementado`);
+  }
+
+  /**
+   * Cambia el email de una cuenta
+   * @param {string} authUserId
+   * @param {string} email
+   * @returns {Promise<void>}
+   */
+  async updateEmail(authUserId, email) {
+    throw new Error(`${this.constructor.name}.updateEmail no implementado`);
+  }
+
+  /**
+   * Marca el email de la cuenta como confirmado
+   * @param {string} authUserId
+   * @returns {Promise<void>}
+   */
+  async confirmEmail(authUserId) {
+    throw new Error(`${this.constructor.name}.confirmEmail no implementado`);
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * LOCAL AUTH PROVIDER
+ *
+ * Implementación de AuthProvider que guarda las credenciales en la tabla
+ * propia 'credenciales' con passwords hasheados (scrypt).
+ * Permite registrar usuarios e iniciar sesión en desarrollo local y en
+ * pruebas sin un proyecto de Supabase Auth.
+ */
+
+import credencialRepository from '../../repositories/CredencialRepository.js';
+import { AuthProvider } from './AuthProvider.js';
+import { hashPassword, verifyPassword } from '../../utils/password.js';
+import { UnauthorizedError, ValidationError } from '../../utils/errors.js';
+
+// Hash de relleno para que un email inexistente tarde lo mismo que un password incorrecto
+let dummyHashPromise = null;
+const getDummyHash = () => (dummyHashPromise ??= hashPassword('password-de-relleno'));
+
+export class LocalAuthProvider extends AuthProvider {
+  constructor(repository = credencialRepository) {
+    super();
+    this.repository = repository;
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  async signUp({ email, password }) {
+    const existing = await this.repository.findByEmail(email);
+    if (existing) {
+      throw new ValidationError('Ya existe una cuenta con ese email');
+    }
+
+    const credencial = await this.repository.create({
+      email,
+      password_hash: await hashPassword(password)
+    });
+
+    return { id: credencial.auth_user_id };
+  }
+
+  async signIn({ email, password }) {
+    const credencial = await this.repository.findByEmail(email);
+
+    const valid = await verifyPassword(
+      password,
+      credencial?.password_hash || await getDummyHash()
+    );
+
+    if (!credencial || !valid) {
+      throw new UnauthorizedError('Credenciales inválidas');
+    }
+
+    return { id: credencial.auth_user_id };
+  }
+
+  async deleteUser(authUserId) {
+    await this.repository.deleteByAuthUserId(authUserId);
+  }
+
+  async updatePassword(authUserId, password) {
+    await this.repository.update(authUserId, {
+      password_hash: await hashPassword(password),
+      actualizado_en: new Date().toISOString()
+    });
+  }
+
+  async updateEmail(authUserId, email) {
+    const existing = await this.repository.findByEmail(email);
+    if (existing && existing.auth_user_id !== authUserId) {
+      throw new ValidationError('Ya existe una cuenta con ese email');
+    }
+
+    await this.repository.update(authUserId, {
+      email,
+      email_confirmado_en: null,
+      actualizado_en: new Date().toISOString()
+    });
+  }
+
+  async confirmEmail(authUserId) {
+    await this.repository.update(authUserId, {
+      email_confirmado_en: new Date().toISOString()
+    });
+  }
+}
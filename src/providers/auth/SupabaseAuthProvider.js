@@ -0,0 +1,87 @@
+/**
+ * SUPABASE AUTH PROVIDER
+ *
+ * Implementación de AuthProvider sobre Supabase Auth (auth.users).
+ */
+
+import supabase, { createAuthClient } from '../../config/supabase.js';
+import { AuthProvider } from './AuthProvider.js';
+import { DatabaseError, UnauthorizedError, ValidationError } from '../../utils/errors.js';
+
+export class SupabaseAuthProvider extends AuthProvider {
+  constructor(supabaseClient = supabase, authClientFactory = createAuthClient) {
+    super();
+    this.supabase = supabaseClient;
+    this.createAuthClient = authClientFactory;
+  }
+
+  get name() {
+    return 'supabase';
+  }
+
+  async signUp({ email, password, metadata = {} }) {
+    const { data, error } = await this.supabase.auth.signUp({
+      email,
+      password,
+      options: {
+        data: metadata
+      }
+    });
+
+    if (error) {
+      throw new ValidationError(error.message);
+    }
+
+    if (!data?.user?.id) {
+      throw new DatabaseError('No se pudo crear el usuario en Supabase Auth');
+    }
+
+    return { id: data.user.id };
+  }
+
+  async signIn({ email, password }) {
+    // Cliente efímero: no contamina la sesión del cliente con service role
+    const authClient = this.createAuthClient();
+    const { data, error } = await authClient.auth.signInWithPassword({ email, password });
+
+    if (error || !data?.user) {
+      throw new UnauthorizedError('Credenciales inválidas');
+    }
+
+    return { id: data.user.id };
+  }
+
+  async deleteUser(authUserId) {
+    const { error } = await this.supabase.auth.admin.deleteUser(authUserId);
+    if (error) {
+      throw new DatabaseError(`No se pudo eliminar el usuario en Auth: ${error.message}`);
+    }
+  }
+
+  async updatePassword(authUserId, password) {
+    const { error } = await this.supabase.auth.admin.updateUserById(authUserId, { password });
+    if (error) {
+      throw new DatabaseError(`No se pudo actualizar el password: ${error.message}`);
+    }
+  }
+
+  async updateEmail(authUserId, email) {
+    // La verificación del nuevo email la gestiona la API (tokens_verificacion)
+    const { error } = await this.supabase.auth.admin.updateUserById(authUserId, {
+      email,
+      email_confirm: false
+    });
+    if (error) {
+      throw new ValidationError(`No se pudo actualizar el email: ${error.message}`);
+    }
+  }
+
+  async confirmEmail(authUserId) {
+    const { error } = await this.supabase.auth.admin.updateUserById(authUserId, {
+      email_confirm: true
+    });
+    if (error) {
+      throw new DatabaseError(`No se pudo confirmar el email: ${error.message}`);
+    }
+  }
+}
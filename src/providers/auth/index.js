@@ -0,0 +1,32 @@
+/**
+ * SELECCIÓN DEL AUTH PROVIDER
+ *
+ * El proveedor de credenciales se elige con AUTH_PROVIDER:
+ * - supabase (default): Supabase Auth
+ * - local: tabla 'credenciales' propia (desarrollo local y pruebas)
+ */
+
+import dotenv from 'dotenv';
+import { SupabaseAuthProvider } from './SupabaseAuthProvider.js';
+import { LocalAuthProvider } from './LocalAuthProvider.js';
+
+dotenv.config();
+
+const providers = {
+  supabase: () => new SupabaseAuthProvider(),
+  local: () => new LocalAuthProvider()
+};
+
+export const createAuthProvider = (name = process.env.AUTH_PROVIDER || 'supabase') => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`AUTH_PROVIDER desconocido: "${name}"`);
+  }
+  return factory();
+};
+
+// Singleton: un único proveedor en toda la aplicación
+const authProvider = createAuthProvider();
+
+export { AuthProvider } from './AuthProvider.js';
+export default authProvider;
@@ -0,0 +1,65 @@
+/**
+ * LOCAL STORAGE PROVIDER
+ *
+ * Implementación de StorageProvider que guarda los archivos en disco.
+ * app.js sirve el directorio como estático en publicPath.
+ *
+ * Variables de entorno:
+ * - STORAGE_LOCAL_DIR: directorio raíz (default: uploads)
+ * - STORAGE_PUBLIC_URL: URL base de los archivos (default: /uploads); usar una URL
+ *   absoluta (p.ej. https://api.belloamuleto.com/uploads) si el frontend está en otro dominio
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { StorageProvider } from './StorageProvider.js';
+
+export class LocalStorageProvider extends StorageProvider {
+  constructor(
+    rootDir = process.env.STORAGE_LOCAL_DIR || 'uploads',
+    publicUrl = process.env.STORAGE_PUBLIC_URL || '/uploads'
+  ) {
+    super();
+    this.rootDir = path.resolve(rootDir);
+    this.publicUrl = publicUrl.replace(/\/+$/, '');
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  /**
+   * Ruta bajo la que app.js sirve los archivos
+   * @returns {string}
+   */
+  get publicPath() {
+    return this.publicUrl.startsWith('/') ? this.publicUrl : new URL(this.publicUrl).pathname;
+  }
+
+  async save(clave, contenido) {
+    const destino = this.resolve(clave);
+    await fs.mkdir(path.dirname(destino), { recursive: true });
+    await fs.writeFile(destino, contenido);
+    return this.getUrl(clave);
+  }
+
+  async delete(clave) {
+    await fs.rm(this.resolve(clave), { force: true });
+  }
+
+  getUrl(clave) {
+    return `${this.publicUrl}/${clave}`;
+  }
+
+  /**
+   * Ruta absoluta de una clave; rechaza claves que salgan del directorio raíz
+   * @private
+   */
+  resolve(clave) {
+    const destino = path.resolve(this.rootDir, clave);
+    if (!destino.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Clave de almacenamiento inválida: ${clave}`);
+    }
+    return destino;
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * STORAGE PROVIDER (interfaz)
+ *
+ * Contrato que deben cumplir los almacenes de archivos (imágenes de productos).
+ * Los services solo dependen de esta interfaz, así se puede pasar del disco
+ * local a un bucket sin tocar la lógica de negocio.
+ *
+ * Los archivos se identifican por una clave relativa con "/" como separador,
+ * p.ej. productos/12/3f2a...-media.webp
+ */
+
+export class StorageProvider {
+  /**
+   * Nombre del proveedor (para logs y diagnósticos)
+   * @returns {string}
+   */
+  get name() {
+    return 'abstract';
+  }
+
+  /**
+   * Guarda un archivo (sobrescribe si la clave ya existe)
+   * @param {string} clave
+   * @param {Buffer} contenido
+   * @param {string} contentType - Tipo MIME
+   * @returns {Promise<string>} URL pública del archivo
+   */
+  async save(clave, contenido, contentType) {
+    throw new Error(`${this.constructor.name}.save no implementado`);
+  }
+
+  /**
+   * Elimina un archivo. No falla si ya no existe.
+   * @param {string} clave
+   * @returns {Promise<void>}
+   */
+  async delete(clave) {
+    throw new Error(`${this.constructor.name}.delete no implementado`);
+  }
+
+  /**
+   * URL pública de un archivo
+   * @param {string} clave
+   * @returns {string}
+   */
+  getUrl(clave) {
+    throw new Error(`${this.constructor.name}.getUrl no implementado`);
+  }
+}
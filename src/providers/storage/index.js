@@ -0,0 +1,29 @@
+/**
+ * SELECCIÓN DEL STORAGE PROVIDER
+ *
+ * El almacén de archivos se elige con STORAGE_PROVIDER:
+ * - local (default): disco local, servido por la propia API
+ */
+
+import dotenv from 'dotenv';
+import { LocalStorageProvider } from './LocalStorageProvider.js';
+
+dotenv.config();
+
+const providers = {
+  local: () => new LocalStorageProvider()
+};
+
+export const createStorageProvider = (name = process.env.STORAGE_PROVIDER || 'local') => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`STORAGE_PROVIDER desconocido: "${name}"`);
+  }
+  return factory();
+};
+
+// Singleton: un único almacén en toda la aplicación
+const storageProvider = createStorageProvider();
+
+export { StorageProvider } from './StorageProvider.js';
+export default storageProvider;
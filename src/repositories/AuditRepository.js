@@ -0,0 +1,104 @@
+/**
+ * AUDIT REPOSITORY
+ *
+ * Repository para el registro de auditoría.
+ *
+ * Estructura de la tabla 'audit_log':
+ * - id (bigint, primary key, GENERATED ALWAYS AS IDENTITY)
+ * - creado_en (timestamp with time zone, DEFAULT now())
+ * - actor_id (uuid, nullable) -- auth_user_id de quien hizo la operación; null = sistema
+ * - actor_email (text, nullable)
+ * - accion (text, NOT NULL) -- create | update | delete
+ * - entidad (text, NOT NULL)
+ * - entidad_id (text, nullable)
+ * - antes (jsonb, nullable)
+ * - despues (jsonb, nullable)
+ * - ip (text, nullable)
+ * - request_id (text, nullable) -- generado por el servidor
+ * - client_request_id (text, nullable) -- X-Request-Id enviado por el cliente, sin verificar
+ *
+ * Solo se inserta y se consulta: los registros no se modifican.
+ */
+
+import database from '../config/database.js';
+import { DatabaseError, ValidationError } from '../utils/errors.js';
+import { paginateQuery } from '../utils/pagination.js';
+
+export class AuditRepository {
+  constructor(db = database) {
+    this.tableName = 'audit_log';
+    this.db = db;
+  }
+
+  /**
+   * Inserta un registro de auditoría
+   * @param {Object} entry
+   * @returns {Promise<Object>}
+   */
+  async create(entry) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .insert([entry])
+        .select()
+        .single();
+
+      if (error) {
+        throw new DatabaseError(`Error creating audit entry: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in create: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca registros con filtros y paginación, los más recientes primero
+   * @param {Object} params
+   * @param {string} [params.entidad]
+   * @param {string} [params.entidadId]
+   * @param {string} [params.actorId]
+   * @param {string} [params.accion]
+   * @param {string} [params.desde] - ISO 8601, inclusive
+   * @param {string} [params.hasta] - ISO 8601, inclusive
+   * @param {number} [params.page]
+   * @param {number} [params.limit]
+   * @param {string} [params.cursor] - nextCursor de la página anterior (en lugar de page)
+   * @returns {Promise<Object>} { registros, total, page, limit, totalPages, nextCursor }
+   */
+  async search(params = {}) {
+    try {
+      const { entidad, entidadId, actorId, accion, desde, hasta, page = 1, limit = 20, cursor } = params;
+
+      let query = this.db.getClient().from(this.tableName).select('*', { count: cursor ? undefined : 'exact' });
+
+      if (entidad) query = query.eq('entidad', entidad);
+      if (entidadId) query = query.eq('entidad_id', entidadId);
+      if (actorId) query = query.eq('actor_id', actorId);
+      if (accion) query = query.eq('accion', accion);
+      if (desde) query = query.gte('creado_en', desde);
+      if (hasta) query = query.lte('creado_en', hasta);
+
+      const { rows, ...pagination } = await paginateQuery(query, {
+        page,
+        limit,
+        cursor,
+        sortBy: 'creado_en',
+        ascending: false,
+        tieBreakerAscending: false,
+        filtros: { entidad, entidadId, actorId, accion, desde, hasta },
+        errorMessage: 'Error searching audit log'
+      });
+
+      return { registros: rows, ...pagination };
+    } catch (error) {
+      if (error instanceof DatabaseError || error instanceof ValidationError) throw error;
+      throw new DatabaseError(`Unexpected error in search: ${error.message}`);
+    }
+  }
+}
+
+export default new AuditRepository();
@@ -16,7 +16,8 @@
  * - carrito_id (bigint, FK a carritos)
  * - producto_id (bigint, FK a productos)
  * - cantidad (integer)
- * - UNIQUE CONSTRAINT (carrito_id, producto_id) -- evita duplicados
+ * - variante_id (bigint, nullable, FK a variantes_productos) -- null en productos sin variantes
+ * - UNIQUE (carrito_id, producto_id, variante_id) NULLS NOT DISTINCT -- evita duplicados
  */
 
 import { BaseRepository } from './BaseRepository.js';
@@ -95,6 +96,7 @@ export class CarritoRepository extends BaseRepository {
           detalles_carritos (
             id,
             cantidad,
+            variante_id,
             productos (
               id,
               nombre,
@@ -102,6 +104,13 @@ export class CarritoRepository extends BaseRepository {
               precio,
               stock,
               id_categoria
+            ),
+            variantes_productos (
+              id,
+              sku,
+              opciones,
+              precio,
+              stock
             )
           )
         `)
@@ -124,23 +133,29 @@ export class CarritoRepository extends BaseRepository {
   }
 
   /**
-   * Agrega un producto al carrito (o incrementa cantidad si ya existe)
-   * Usa UPSERT aprovechando la UNIQUE constraint (carrito_id, producto_id)
+   * Agrega un producto (o una variante) al carrito, o incrementa cantidad si ya existe
+   * Usa UPSERT aprovechando la UNIQUE constraint (carrito_id, producto_id, variante_id)
    * @param {number} carritoId - ID del carrito
    * @param {number} productoId - ID del producto
    * @param {number} cantidad - Cantidad a agregar
+   * @param {number|null} varianteId - ID de la variante (null en productos sin variantes)
    * @returns {Promise<Object>}
    */
-  async agregarProducto(carritoId, productoId, cantidad) {
+  async agregarProducto(carritoId, productoId, cantidad, varianteId = null) {
     try {
       // Primero intentar obtener el detalle existente
-      const { data: existing } = await this.db
+      let existingQuery = this.db
         .getClient()
         .from('detalles_carritos')
         .select('*')
         .eq('carrito_id', carritoId)
-        .eq('producto_id', productoId)
-        .maybeSingle();
+        .eq('producto_id', productoId);
+
+      existingQuery = varianteId
+        ? existingQuery.eq('variante_id', varianteId)
+        : existingQuery.is('variante_id', null);
+
+      const { data: existing } = await existingQuery.maybeSingle();
 
       if (existing) {
         // Si existe, incrementar la cantidad
@@ -162,6 +177,7 @@ export class CarritoRepository extends BaseRepository {
           .insert({
             carrito_id: carritoId,
             producto_id: productoId,
+            variante_id: varianteId,
             cantidad
           })
           .select()
@@ -245,6 +261,40 @@ export class CarritoRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Elimina de los carritos activos las líneas de un producto guardadas sin variante
+   * (quedan así si el producto pasa a tener variantes después de añadirse al carrito)
+   * @param {number} productoId - ID del producto
+   * @returns {Promise<number>} Número de líneas eliminadas
+   */
+  async eliminarLineasSinVariante(productoId) {
+    try {
+      const { data: lineas, error: selectError } = await this.db
+        .getClient()
+        .from('detalles_carritos')
+        .select('id, carritos!inner(estado)')
+        .eq('producto_id', productoId)
+        .is('variante_id', null)
+        .eq('carritos.estado', 1);
+
+      if (selectError) throw new DatabaseError(`Error fetching cart items without variant: ${selectError.message}`);
+      if (!lineas || lineas.length === 0) return 0;
+
+      const { error } = await this.db
+        .getClient()
+        .from('detalles_carritos')
+        .delete()
+        .in('id', lineas.map(linea => linea.id))
+        .is('variante_id', null);
+
+      if (error) throw new DatabaseError(`Error removing cart items without variant: ${error.message}`);
+      return lineas.length;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in eliminarLineasSinVariante: ${error.message}`);
+    }
+  }
+
   /**
    * Cambia el estado del carrito
    * @param {number} carritoId - ID del carrito
@@ -286,14 +336,15 @@ export class CarritoRepository extends BaseRepository {
         .from('detalles_carritos')
         .select(`
           cantidad,
-          productos (precio)
+          productos (precio),
+          variantes_productos (precio)
         `)
         .eq('carrito_id', carritoId);
 
       if (error) throw new DatabaseError(`Error calculating total: ${error.message}`);
 
       const total = (data || []).reduce((sum, item) => {
-        return sum + (item.cantidad * parseFloat(item.productos.precio));
+        return sum + (item.cantidad * parseFloat(item.variantes_productos?.precio ?? item.productos.precio));
       }, 0);
 
       return total;
@@ -0,0 +1,63 @@
+/**
+ * CREDENCIAL REPOSITORY
+ *
+ * Repository para las credenciales locales (usado por LocalAuthProvider
+ * cuando AUTH_PROVIDER=local, sin Supabase Auth).
+ *
+ * Estructura de la tabla 'credenciales':
+ * - auth_user_id (uuid, primary key, DEFAULT gen_random_uuid())
+ * - email (text, NOT NULL, UNIQUE)
+ * - password_hash (text, NOT NULL) -- formato scrypt$N$r$p$salt$hash
+ * - email_confirmado_en (timestamp with time zone, nullable)
+ * - creado_en (timestamp with time zone, DEFAULT now())
+ * - actualizado_en (timestamp with time zone, DEFAULT now())
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { DatabaseError } from '../utils/errors.js';
+
+export class CredencialRepository extends BaseRepository {
+  constructor() {
+    super('credenciales', { idColumn: 'auth_user_id' });
+  }
+
+  /**
+   * Encuentra credenciales por email
+   * @param {string} email
+   * @returns {Promise<Object|null>}
+   */
+  async findByEmail(email) {
+    try {
+      return await this.findOne({ email });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina credenciales (hard delete, sin soft delete)
+   * @param {string} authUserId
+   * @returns {Promise<boolean>}
+   */
+  async deleteByAuthUserId(authUserId) {
+    try {
+      const { error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .delete()
+        .eq(this.idColumn, authUserId);
+
+      if (error) {
+        throw new DatabaseError(`Error deleting credentials: ${error.message}`);
+      }
+
+      return true;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in deleteByAuthUserId: ${error.message}`);
+    }
+  }
+}
+
+// Exportar instancia singleton
+export default new CredencialRepository();
@@ -0,0 +1,77 @@
+/**
+ * DEPARTAMENTOS REPOSITORY
+ *
+ * Repository para la entidad Departamentos.
+ *
+ * Estructura de la tabla 'departamentos':
+ * - id (bigint, primary key, GENERATED ALWAYS AS IDENTITY)
+ * - nombre (text, NOT NULL, único sin distinguir mayúsculas ni espacios)
+ * - responsable_id (uuid, nullable, FK a empleados.usuario_id)
+ * - padre_id (bigint, nullable, FK a departamentos) -- departamento superior
+ * - creado_en (timestamp with time zone, DEFAULT now())
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { DatabaseError } from '../utils/errors.js';
+
+export class DepartamentosRepository extends BaseRepository {
+  constructor() {
+    super('departamentos');
+  }
+
+  /**
+   * Encuentra un departamento por nombre, sin distinguir mayúsculas
+   * @param {string} nombre - Nombre ya recortado
+   * @returns {Promise<Object|null>}
+   */
+  async findByNombre(nombre) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('*')
+        .ilike('nombre', nombre.replace(/[%_\\]/g, '\\$&'))
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error fetching department by name: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findByNombre: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene todos los departamentos ordenados alfabéticamente
+   * @returns {Promise<Array>}
+   */
+  async getAllDepartamentos() {
+    try {
+      return await this.findAll({
+        orderBy: 'nombre',
+        ascending: true
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Cuenta los subdepartamentos directos de un departamento
+   * @param {number} id - ID del departamento
+   * @returns {Promise<number>}
+   */
+  async countHijos(id) {
+    try {
+      return await this.count({ padre_id: id });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Exportar instancia singleton
+export default new DepartamentosRepository();
@@ -7,18 +7,26 @@
  * - usuario_id (uuid, primary key, FK a auth.users)
  * - numero_empleado (text, nullable, UNIQUE)
  * - fecha_contratacion (date, nullable)
- * - departamento (text, nullable)
+ * - departamento_id (bigint, nullable, FK a departamentos)
  * - activo (boolean, DEFAULT true)
+ * - desactivado_en (timestamp with time zone, nullable) -- fecha de la baja
+ * - motivo_desactivacion (text, nullable)
  * - creado_en (timestamp with time zone, DEFAULT now())
+ *
+ * El directorio (search) consulta la vista 'empleados_directorio', que añade
+ * perfil_id, nombre, email y telefono del perfil en usuarios y el nombre
+ * del departamento (departamento).
  */
 
 import database from '../config/database.js';
-import { DatabaseError } from '../utils/errors.js';
+import { DatabaseError, ValidationError } from '../utils/errors.js';
+import { paginateQuery } from '../utils/pagination.js';
 
 export class EmpleadosRepository {
   constructor(db = database) {
     this.tableName = 'empleados';
     this.idColumn = 'usuario_id';
+    this.directorioView = 'empleados_directorio';
     this.db = db;
   }
 
@@ -56,6 +64,203 @@ export class EmpleadosRepository {
     }
   }
 
+  /**
+   * Directorio de empleados con filtros, búsqueda, orden y paginación
+   * @param {Object} params
+   * @param {string} [params.q] - Texto en número de empleado, nombre o email
+   * @param {string} [params.departamento] - Nombre del departamento
+   * @param {number} [params.departamentoId]
+   * @param {string} [params.contratadoDesde] - YYYY-MM-DD
+   * @param {string} [params.contratadoHasta] - YYYY-MM-DD
+   * @param {boolean} [params.activos]
+   * @param {Array<string>} [params.usuarioIds] - Restringe a estos empleados
+   * @param {string} [params.rolId] - Rol del que salen usuarioIds (solo identifica el filtro en el cursor)
+   * @param {boolean} [params.conRoles] - Incluye las asignaciones de roles
+   * @param {string} [params.cursor] - nextCursor de la página anterior (en lugar de page)
+   * @returns {Promise<Object>} { empleados, total, page, limit, totalPages, nextCursor }
+   */
+  async search(params = {}) {
+    try {
+      const {
+        q,
+        departamento,
+        departamentoId,
+        contratadoDesde,
+        contratadoHasta,
+        activos,
+        usuarioIds,
+        rolId,
+        conRoles = false,
+        page = 1,
+        limit = 20,
+        cursor,
+        sortBy = 'creado_en',
+        sortOrder = 'desc'
+      } = params;
+
+      const columnas = conRoles
+        ? `
+          *,
+          empleados_roles (
+            id,
+            rol_id,
+            otorgado_por,
+            otorgado_en,
+            expira_en,
+            suspendido_en,
+            roles (
+              id,
+              nombre,
+              descripcion
+            )
+          )
+        `
+        : '*';
+
+      let query = this.db
+        .getClient()
+        .from(this.directorioView)
+        .select(columnas, { count: cursor ? undefined : 'exact' });
+
+      if (q) {
+        // Las comas y paréntesis tienen significado en la sintaxis de .or()
+        const term = q.replace(/[%_\\]/g, '\\$&').replace(/[,()]/g, ' ');
+        query = query.or(
+          `numero_empleado.ilike.%${term}%,nombre.ilike.%${term}%,email.ilike.%${term}%`
+        );
+      }
+
+      if (departamento) query = query.ilike('departamento', departamento.replace(/[%_\\]/g, '\\$&'));
+      if (departamentoId) query = query.eq('departamento_id', departamentoId);
+      if (contratadoDesde) query = query.gte('fecha_contratacion', contratadoDesde);
+      if (contratadoHasta) query = query.lte('fecha_contratacion', contratadoHasta);
+      if (activos !== undefined) query = query.eq('activo', activos);
+      if (usuarioIds) query = query.in('usuario_id', usuarioIds);
+
+      // usuario_id desempata para que las páginas sean estables
+      const { rows, ...pagination } = await paginateQuery(query, {
+        page,
+        limit,
+        cursor,
+        sortBy,
+        ascending: sortOrder === 'asc',
+        tieBreaker: 'usuario_id',
+        // rolId en lugar de usuarioIds: el cursor sigue valiendo si cambian los miembros del rol
+        filtros: { q, departamento, departamentoId, contratadoDesde, contratadoHasta, activos, rolId },
+        errorMessage: 'Error searching empleados'
+      });
+
+      return { empleados: rows, ...pagination };
+    } catch (error) {
+      if (error instanceof DatabaseError || error instanceof ValidationError) throw error;
+      throw new DatabaseError(`Unexpected error in search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Empleados (con nombre y email) de un conjunto de departamentos
+   * @param {Array<number>} departamentosIds
+   * @param {Object} [options]
+   * @param {boolean} [options.activos] - Filtrar por estado
+   * @returns {Promise<Array>}
+   */
+  async findByDepartamentos(departamentosIds, options = {}) {
+    try {
+      let query = this.db
+        .getClient()
+        .from(this.directorioView)
+        .select('usuario_id, numero_empleado, nombre, email, departamento_id, activo, fecha_contratacion')
+        .in('departamento_id', departamentosIds);
+
+      if (options.activos !== undefined) {
+        query = query.eq('activo', options.activos);
+      }
+
+      const { data, error } = await query.order('nombre', { ascending: true });
+
+      if (error) {
+        throw new DatabaseError(`Error fetching empleados by department: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findByDepartamentos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Datos de directorio (nombre, email) de varios empleados
+   * @param {Array<string>} usuarioIds
+   * @returns {Promise<Array>}
+   */
+  async findDirectorioByUsuarioIds(usuarioIds) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.directorioView)
+        .select('usuario_id, numero_empleado, nombre, email, departamento_id, activo, fecha_contratacion')
+        .in('usuario_id', usuarioIds);
+
+      if (error) {
+        throw new DatabaseError(`Error fetching empleados: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findDirectorioByUsuarioIds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Empleados con alguno de los números indicados
+   * @param {Array<string>} numeros
+   * @returns {Promise<Array>} [{ usuario_id, numero_empleado }]
+   */
+  async findByNumeros(numeros) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('usuario_id, numero_empleado')
+        .in('numero_empleado', numeros);
+
+      if (error) {
+        throw new DatabaseError(`Error fetching empleados by number: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findByNumeros: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cuenta los empleados de un departamento
+   * @param {number} departamentoId
+   * @returns {Promise<number>}
+   */
+  async countByDepartamento(departamentoId) {
+    try {
+      const { count, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('usuario_id', { count: 'exact', head: true })
+        .eq('departamento_id', departamentoId);
+
+      if (error) {
+        throw new DatabaseError(`Error counting empleados: ${error.message}`);
+      }
+
+      return count || 0;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in countByDepartamento: ${error.message}`);
+    }
+  }
+
   /**
    * Obtiene un empleado por usuario_id
    * @param {string} usuarioId - UUID del usuario
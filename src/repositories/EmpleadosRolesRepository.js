@@ -9,7 +9,12 @@
  * - rol_id (uuid, FK a roles, NOT NULL)
  * - otorgado_por (uuid, FK a auth.users, nullable)
  * - otorgado_en (timestamp with time zone, DEFAULT now())
+ * - expira_en (timestamp with time zone, nullable) -- null = sin vencimiento
+ * - expirado_en (timestamp with time zone, nullable) -- registrado por el barrido de expiración
+ * - suspendido_en (timestamp with time zone, nullable) -- empleado desactivado; se limpia al reactivarlo
  * - UNIQUE constraint: (empleado_id, rol_id)
+ *
+ * Una asignación está vigente si no está suspendida y expira_en es null o posterior a ahora.
  */
 
 import database from '../config/database.js';
@@ -103,11 +108,13 @@ export class EmpleadosRolesRepository {
   /**
    * Obtiene todos los roles asignados a un empleado
    * @param {string} empleadoId - UUID del empleado
+   * @param {Object} [options]
+   * @param {boolean} [options.soloVigentes] - Excluir asignaciones expiradas
    * @returns {Promise<Array>}
    */
-  async getRolesByEmpleado(empleadoId) {
+  async getRolesByEmpleado(empleadoId, options = {}) {
     try {
-      const { data, error } = await this.db
+      let query = this.db
         .getClient()
         .from(this.tableName)
         .select(`
@@ -118,8 +125,13 @@ export class EmpleadosRolesRepository {
             descripcion
           )
         `)
-        .eq('empleado_id', empleadoId)
-        .order('otorgado_en', { ascending: false });
+        .eq('empleado_id', empleadoId);
+
+      if (options.soloVigentes) {
+        query = this.filtrarVigentes(query);
+      }
+
+      const { data, error } = await query.order('otorgado_en', { ascending: false });
 
       if (error) {
         throw new DatabaseError(`Error fetching roles: ${error.message}`);
@@ -135,16 +147,23 @@ export class EmpleadosRolesRepository {
   /**
    * Obtiene todos los empleados que tienen un rol específico
    * @param {string} rolId - UUID del rol
+   * @param {Object} [options]
+   * @param {boolean} [options.soloVigentes] - Excluir asignaciones expiradas o suspendidas
    * @returns {Promise<Array>}
    */
-  async getEmpleadosByRol(rolId) {
+  async getEmpleadosByRol(rolId, options = {}) {
     try {
-      const { data, error } = await this.db
+      let query = this.db
         .getClient()
         .from(this.tableName)
         .select('*')
-        .eq('rol_id', rolId)
-        .order('otorgado_en', { ascending: false });
+        .eq('rol_id', rolId);
+
+      if (options.soloVigentes) {
+        query = this.filtrarVigentes(query);
+      }
+
+      const { data, error } = await query.order('otorgado_en', { ascending: false });
 
       if (error) {
         throw new DatabaseError(`Error fetching empleados: ${error.message}`);
@@ -158,20 +177,21 @@ export class EmpleadosRolesRepository {
   }
 
   /**
-   * Verifica si un empleado tiene un rol específico
+   * Verifica si un empleado tiene un rol específico vigente
    * @param {string} empleadoId - UUID del empleado
    * @param {string} rolId - UUID del rol
    * @returns {Promise<boolean>}
    */
   async empleadoTieneRol(empleadoId, rolId) {
     try {
-      const { data, error } = await this.db
+      const query = this.db
         .getClient()
         .from(this.tableName)
         .select('id')
         .eq('empleado_id', empleadoId)
-        .eq('rol_id', rolId)
-        .single();
+        .eq('rol_id', rolId);
+
+      const { data, error } = await this.filtrarVigentes(query).single();
 
       if (error) {
         if (error.code === 'PGRST116') {
@@ -187,9 +207,118 @@ export class EmpleadosRolesRepository {
     }
   }
 
+  /**
+   * Obtiene la asignación de un rol a un empleado, vigente o no
+   * @param {string} empleadoId - UUID del empleado
+   * @param {string} rolId - UUID del rol
+   * @returns {Promise<Object|null>}
+   */
+  async findAsignacion(empleadoId, rolId) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('empleado_id', empleadoId)
+        .eq('rol_id', rolId)
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error fetching assignment: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findAsignacion: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza una asignación existente (p.ej. para renovar una expirada)
+   * @param {string} id - UUID de la asignación
+   * @param {Object} updateData
+   * @returns {Promise<Object>}
+   */
+  async updateAsignacion(id, updateData) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update(updateData)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        throw new DatabaseError(`Error updating assignment: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in updateAsignacion: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene las asignaciones vencidas cuyo vencimiento aún no se registró
+   * @returns {Promise<Array>}
+   */
+  async findExpiradasSinRegistrar() {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('id, empleado_id, rol_id, expira_en')
+        .lte('expira_en', new Date().toISOString())
+        .is('expirado_en', null);
+
+      if (error) {
+        throw new DatabaseError(`Error fetching expired assignments: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findExpiradasSinRegistrar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra el momento en que venció una asignación.
+   * Es condicional: si otro proceso ya la registró (o se renovó), no hace nada.
+   * @param {string} id - UUID de la asignación
+   * @param {string} expiradoEn - Momento del vencimiento
+   * @returns {Promise<Object|null>}
+   */
+  async registrarExpiracion(id, expiradoEn) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update({ expirado_en: expiradoEn })
+        .eq('id', id)
+        .eq('expira_en', expiradoEn)
+        .is('expirado_en', null)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error recording expiration: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in registrarExpiracion: ${error.message}`);
+    }
+  }
+
   /**
    * Obtiene todas las asignaciones de roles
    * @param {Object} options
+   * @param {string} [options.estado] - 'vigente' | 'expirado' | 'suspendido'
    * @returns {Promise<Array>}
    */
   async getAllAsignaciones(options = {}) {
@@ -206,6 +335,14 @@ export class EmpleadosRolesRepository {
           )
         `);
 
+      if (options.estado === 'vigente') {
+        query = this.filtrarVigentes(query);
+      } else if (options.estado === 'expirado') {
+        query = query.lte('expira_en', new Date().toISOString());
+      } else if (options.estado === 'suspendido') {
+        query = query.not('suspendido_en', 'is', null);
+      }
+
       if (options.limit) {
         query = query.limit(options.limit);
       }
@@ -214,7 +351,10 @@ export class EmpleadosRolesRepository {
         query = query.range(options.offset, options.offset + (options.limit || 10) - 1);
       }
 
-      query = query.order('otorgado_en', { ascending: false });
+      // id desempata: con limit/offset, el orden tiene que ser estable entre páginas
+      query = query
+        .order('otorgado_en', { ascending: false })
+        .order('id', { ascending: true });
 
       const { data, error } = await query;
 
@@ -254,19 +394,128 @@ export class EmpleadosRolesRepository {
     }
   }
 
+  /**
+   * Suspende las asignaciones de un empleado sin borrarlas
+   * @param {string} empleadoId - UUID del empleado
+   * @param {string} suspendidoEn - Momento de la suspensión
+   * @returns {Promise<Array>} Asignaciones suspendidas
+   */
+  async suspenderRoles(empleadoId, suspendidoEn) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update({ suspendido_en: suspendidoEn })
+        .eq('empleado_id', empleadoId)
+        .is('suspendido_en', null)
+        .select();
+
+      if (error) {
+        throw new DatabaseError(`Error suspending roles: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in suspenderRoles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Levanta la suspensión de las asignaciones de un empleado
+   * @param {string} empleadoId - UUID del empleado
+   * @returns {Promise<Array>} Asignaciones restauradas
+   */
+  async reanudarRoles(empleadoId) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update({ suspendido_en: null })
+        .eq('empleado_id', empleadoId)
+        .not('suspendido_en', 'is', null)
+        .select();
+
+      if (error) {
+        throw new DatabaseError(`Error resuming roles: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in reanudarRoles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoca varios roles de un empleado en una sola sentencia
+   * @param {string} empleadoId - UUID del empleado
+   * @param {Array<string>} rolesIds - UUIDs de los roles
+   * @returns {Promise<Array>} Asignaciones eliminadas
+   */
+  async revocarRoles(empleadoId, rolesIds) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .delete()
+        .eq('empleado_id', empleadoId)
+        .in('rol_id', rolesIds)
+        .select();
+
+      if (error) {
+        throw new DatabaseError(`Error revoking roles: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in revocarRoles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reinserta asignaciones completas (id, fechas y otorgante incluidos).
+   * Se usa para deshacer revocaciones.
+   * @param {Array<Object>} asignaciones - Filas tal como se leyeron de la tabla
+   * @returns {Promise<Array>}
+   */
+  async restaurarAsignaciones(asignaciones) {
+    try {
+      const filas = asignaciones.map(({ roles, ...fila }) => fila);
+
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .insert(filas)
+        .select();
+
+      if (error) {
+        throw new DatabaseError(`Error restoring assignments: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in restaurarAsignaciones: ${error.message}`);
+    }
+  }
+
   /**
    * Asigna múltiples roles a un empleado
    * @param {string} empleadoId - UUID del empleado
    * @param {Array<string>} rolesIds - Array de UUIDs de roles
    * @param {string} [otorgadoPor] - UUID de quien otorga
+   * @param {string} [expiraEn] - Vencimiento común de las asignaciones
    * @returns {Promise<Array>}
    */
-  async asignarMultiplesRoles(empleadoId, rolesIds, otorgadoPor = null) {
+  async asignarMultiplesRoles(empleadoId, rolesIds, otorgadoPor = null, expiraEn = null) {
     try {
       const asignaciones = rolesIds.map(rolId => ({
         empleado_id: empleadoId,
         rol_id: rolId,
-        otorgado_por: otorgadoPor
+        otorgado_por: otorgadoPor,
+        expira_en: expiraEn
       }));
 
       const { data, error } = await this.db
@@ -288,6 +537,16 @@ export class EmpleadosRolesRepository {
       throw new DatabaseError(`Unexpected error in asignarMultiplesRoles: ${error.message}`);
     }
   }
+
+  /**
+   * Restringe una consulta a asignaciones vigentes
+   * @private
+   */
+  filtrarVigentes(query) {
+    return query
+      .is('suspendido_en', null)
+      .or(`expira_en.is.null,expira_en.gt.${new Date().toISOString()}`);
+  }
 }
 
 export default new EmpleadosRolesRepository();
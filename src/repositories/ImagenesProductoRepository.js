@@ -0,0 +1,95 @@
+/**
+ * IMAGENES_PRODUCTOS REPOSITORY
+ *
+ * Repository para la galería de imágenes de cada producto.
+ *
+ * Estructura de la tabla 'imagenes_productos':
+ * - id (bigint, primary key, GENERATED ALWAYS AS IDENTITY)
+ * - producto_id (bigint, NOT NULL, FK a productos, ON DELETE CASCADE)
+ * - url (text, NOT NULL) -- tamaño original
+ * - url_media (text, nullable)
+ * - url_miniatura (text, nullable)
+ * - clave (text, nullable) -- ruta base en el storage; null en filas antiguas
+ * - orden (integer, DEFAULT 0)
+ * - principal (boolean, DEFAULT false) -- como mucho una por producto
+ * - creado_en (timestamp with time zone, DEFAULT now())
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { DatabaseError } from '../utils/errors.js';
+
+export class ImagenesProductoRepository extends BaseRepository {
+  constructor() {
+    super('imagenes_productos');
+  }
+
+  /**
+   * Imágenes de un producto en el orden de la galería
+   * @param {number} productoId
+   * @returns {Promise<Array>}
+   */
+  async findByProducto(productoId) {
+    return await this.findByProductos([productoId]);
+  }
+
+  /**
+   * Imágenes de varios productos en el orden de la galería
+   * @param {Array<number>} productosIds
+   * @returns {Promise<Array>}
+   */
+  async findByProductos(productosIds) {
+    if (productosIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('*')
+        .in('producto_id', productosIds)
+        .order('orden', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (error) {
+        throw new DatabaseError(`Error fetching product images: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findByProductos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marca una imagen como principal y desmarca la anterior
+   * (primero se desmarca: el índice único admite una sola principal por producto)
+   * @param {number} productoId
+   * @param {number} imagenId
+   * @returns {Promise<Object>} La imagen principal
+   */
+  async setPrincipal(productoId, imagenId) {
+    try {
+      const { error: unsetError } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update({ principal: false })
+        .eq('producto_id', productoId)
+        .eq('principal', true)
+        .neq('id', imagenId);
+
+      if (unsetError) {
+        throw new DatabaseError(`Error unsetting primary image: ${unsetError.message}`);
+      }
+
+      return await this.update(imagenId, { principal: true });
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in setPrincipal: ${error.message}`);
+    }
+  }
+}
+
+// Exportar instancia singleton
+export default new ImagenesProductoRepository();
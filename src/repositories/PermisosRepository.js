@@ -0,0 +1,50 @@
+/**
+ * PERMISOS REPOSITORY
+ *
+ * Repository para el catálogo de permisos.
+ *
+ * Estructura de la tabla 'permisos':
+ * - id (uuid, primary key, DEFAULT gen_random_uuid())
+ * - clave (text, NOT NULL, UNIQUE) -- p.ej. products:write, stock:adjust
+ * - descripcion (text, nullable)
+ * - creado_en (timestamp with time zone, DEFAULT now())
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+
+export class PermisosRepository extends BaseRepository {
+  constructor() {
+    super('permisos', { idColumn: 'id' });
+  }
+
+  /**
+   * Obtiene el catálogo completo ordenado por clave
+   * @returns {Promise<Array>}
+   */
+  async getAllPermisos() {
+    try {
+      return await this.findAll({
+        orderBy: 'clave',
+        ascending: true
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Encuentra un permiso por su clave
+   * @param {string} clave - Clave del permiso (p.ej. products:write)
+   * @returns {Promise<Object|null>}
+   */
+  async findByClave(clave) {
+    try {
+      return await this.findOne({ clave });
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Exportar instancia singleton
+export default new PermisosRepository();
@@ -18,6 +18,7 @@
 
 import { BaseRepository } from './BaseRepository.js';
 import { DatabaseError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { paginateQuery } from '../utils/pagination.js';
 
 export class ProductRepository extends BaseRepository {
   constructor() {
@@ -41,31 +42,6 @@ export class ProductRepository extends BaseRepository {
     }
   }
 
-  /**
-   * Busca productos por nombre (búsqueda parcial)
-   * @param {string} searchTerm - Término de búsqueda
-   * @returns {Promise<Array>}
-   */
-  async searchByName(searchTerm) {
-    try {
-      const { data, error } = await this.db
-        .getClient()
-        .from(this.tableName)
-        .select('*')
-        .ilike('nombre', `%${searchTerm}%`)
-        .order('nombre');
-
-      if (error) {
-        throw new DatabaseError(`Error searching products: ${error.message}`);
-      }
-
-      return data || [];
-    } catch (error) {
-      if (error instanceof DatabaseError) throw error;
-      throw new DatabaseError(`Unexpected error in searchByName: ${error.message}`);
-    }
-  }
-
   /**
    * Actualiza el stock de un producto
    * @param {string} id - ID del producto
@@ -118,51 +94,75 @@ export class ProductRepository extends BaseRepository {
   }
 
   /**
-   * Obtiene productos con paginación y filtros avanzados
+   * Obtiene productos con paginación y filtros avanzados (función filtrar_productos)
    * @param {Object} params - Parámetros de consulta
-   * @returns {Promise<Object>} { products, total, page, totalPages }
+   * @param {Array<number>} [params.categorias] - Cualquiera de estas categorías
+   * @param {number} [params.minPrice] - Precio mínimo
+   * @param {number} [params.maxPrice] - Precio máximo
+   * @param {boolean} [params.inStock] - true: solo con stock; false: solo agotados
+   * @param {number} [params.minRating] - Calificación promedio mínima
+   * @param {Object} [params.atributos] - { talla: ['M', 'L'] } (opciones de alguna variante)
+   * @param {string} [params.q] - Búsqueda de texto completo (añade relevancia)
+   * @param {string} [params.cursor] - nextCursor de la página anterior (en lugar de page)
+   * @returns {Promise<Object>} { products, total, page, totalPages, nextCursor }
    */
   async findWithPagination(params = {}) {
     try {
       const {
         page = 1,
         limit = 10,
-        idCategoria,
-        minPrice,
-        maxPrice,
+        cursor,
         sortBy = 'id',
         sortOrder = 'desc'
       } = params;
 
-      const offset = (page - 1) * limit;
-      let query = this.db.getClient().from(this.tableName).select('*', { count: 'exact' });
-
-      // Aplicar filtros
-      if (idCategoria) query = query.eq('id_categoria', idCategoria);
-      if (minPrice) query = query.gte('precio', minPrice);
-      if (maxPrice) query = query.lte('precio', maxPrice);
+      const filtros = this.toFiltrosCatalogo(params);
+      const query = this.db
+        .getClient()
+        .rpc('filtrar_productos', filtros, { count: cursor ? undefined : 'exact' });
+
+      // El ID desempata para que la paginación sea estable
+      const { rows, ...pagination } = await paginateQuery(query, {
+        page,
+        limit,
+        cursor,
+        sortBy,
+        ascending: sortOrder === 'asc',
+        filtros,
+        errorMessage: 'Error in pagination query'
+      });
 
-      // Aplicar ordenamiento y paginación
-      query = query
-        .order(sortBy, { ascending: sortOrder === 'asc' })
-        .range(offset, offset + limit - 1);
+      return { products: rows, ...pagination };
+    } catch (error) {
+      if (error instanceof DatabaseError || error instanceof ValidationError) throw error;
+      throw new DatabaseError(`Unexpected error in findWithPagination: ${error.message}`);
+    }
+  }
 
-      const { data, error, count } = await query;
+  /**
+   * Facetas del catálogo (función facetas_productos): productos por categoría,
+   * tramo de precio y disponibilidad, cada una contra el resto de filtros
+   * @param {Object} params - Los mismos filtros que findWithPagination
+   * @param {Array<number>} limitesPrecio - Límites ordenados de los tramos de precio
+   * @returns {Promise<Object>} { categorias, precios, disponibilidad }
+   */
+  async findFacetas(params = {}, limitesPrecio) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .rpc('facetas_productos', {
+          ...this.toFiltrosCatalogo(params),
+          limites_precio: limitesPrecio
+        });
 
       if (error) {
-        throw new DatabaseError(`Error in pagination query: ${error.message}`);
+        throw new DatabaseError(`Error fetching catalog facets: ${error.message}`);
       }
 
-      return {
-        products: data || [],
-        total: count || 0,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        totalPages: Math.ceil((count || 0) / limit)
-      };
+      return data || { categorias: [], precios: [], disponibilidad: { en_stock: 0, sin_stock: 0 } };
     } catch (error) {
       if (error instanceof DatabaseError) throw error;
-      throw new DatabaseError(`Unexpected error in findWithPagination: ${error.message}`);
+      throw new DatabaseError(`Unexpected error in findFacetas: ${error.message}`);
     }
   }
 
@@ -201,6 +201,22 @@ export class ProductRepository extends BaseRepository {
       throw new DatabaseError(`Unexpected error in findWithCategories: ${error.message}`);
     }
   }
+
+  /**
+   * Argumentos de filtrar_productos / facetas_productos (null = filtro inactivo)
+   * @private
+   */
+  toFiltrosCatalogo({ categorias, minPrice, maxPrice, inStock, minRating, atributos, q } = {}) {
+    return {
+      categorias: categorias?.length ? categorias : null,
+      precio_min: minPrice ?? null,
+      precio_max: maxPrice ?? null,
+      en_stock: inStock ?? null,
+      calificacion_min: minRating ?? null,
+      atributos: atributos && Object.keys(atributos).length > 0 ? atributos : null,
+      texto: q || null
+    };
+  }
 }
 
 // Exportar instancia singleton
@@ -0,0 +1,72 @@
+/**
+ * REFRESH TOKEN REPOSITORY
+ *
+ * Repository para los refresh tokens. Nunca se guarda el token en claro,
+ * solo su hash SHA-256.
+ *
+ * Estructura de la tabla 'refresh_tokens':
+ * - id (uuid, primary key, DEFAULT gen_random_uuid())
+ * - sesion_id (uuid, FK a sesiones, ON DELETE CASCADE)
+ * - token_hash (text, NOT NULL, UNIQUE)
+ * - creado_en (timestamp with time zone, DEFAULT now())
+ * - expira_en (timestamp with time zone, NOT NULL)
+ * - usado_en (timestamp with time zone, nullable) -- momento en que se rotó
+ * - reemplazado_por (uuid, nullable, FK a refresh_tokens)
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { DatabaseError } from '../utils/errors.js';
+
+export class RefreshTokenRepository extends BaseRepository {
+  constructor() {
+    super('refresh_tokens');
+  }
+
+  /**
+   * Encuentra un refresh token por su hash
+   * @param {string} tokenHash - Hash SHA-256 del token
+   * @returns {Promise<Object|null>}
+   */
+  async findByHash(tokenHash) {
+    try {
+      return await this.findOne({ token_hash: tokenHash });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Marca un token como usado solo si aún no lo estaba.
+   * Devuelve null si otra petición lo rotó antes (posible reutilización).
+   * @param {string} tokenId - UUID del token
+   * @param {string} reemplazadoPor - UUID del token que lo reemplaza
+   * @returns {Promise<Object|null>}
+   */
+  async marcarUsado(tokenId, reemplazadoPor) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update({
+          usado_en: new Date().toISOString(),
+          reemplazado_por: reemplazadoPor
+        })
+        .eq('id', tokenId)
+        .is('usado_en', null)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error rotating refresh token: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in marcarUsado: ${error.message}`);
+    }
+  }
+}
+
+// Exportar instancia singleton
+export default new RefreshTokenRepository();
@@ -0,0 +1,154 @@
+/**
+ * ROLES_HERENCIA REPOSITORY
+ *
+ * Repository para la jerarquía de roles: un rol hereda los roles
+ * (y por tanto los permisos) de sus roles padre.
+ *
+ * Estructura de la tabla 'roles_herencia':
+ * - rol_id (uuid, FK a roles, NOT NULL) -- rol que hereda
+ * - padre_id (uuid, FK a roles, NOT NULL) -- rol heredado
+ * - creado_en (timestamp with time zone, DEFAULT now())
+ * - PRIMARY KEY: (rol_id, padre_id)
+ */
+
+import database from '../config/database.js';
+import { DatabaseError } from '../utils/errors.js';
+
+export class RolesHerenciaRepository {
+  constructor(db = database) {
+    this.tableName = 'roles_herencia';
+    this.db = db;
+  }
+
+  /**
+   * Obtiene todas las relaciones de herencia (la tabla es pequeña)
+   * @returns {Promise<Array<{ rol_id: string, padre_id: string }>>}
+   */
+  async getAllRelaciones() {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('rol_id, padre_id');
+
+      if (error) {
+        throw new DatabaseError(`Error fetching role hierarchy: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in getAllRelaciones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene los IDs de los padres directos de un rol
+   * @param {string} rolId - UUID del rol
+   * @returns {Promise<Array<string>>}
+   */
+  async getPadresIds(rolId) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('padre_id')
+        .eq('rol_id', rolId);
+
+      if (error) {
+        throw new DatabaseError(`Error fetching parent roles: ${error.message}`);
+      }
+
+      return (data || []).map(row => row.padre_id);
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in getPadresIds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reemplaza los padres directos de un rol.
+   * PostgREST no da transacciones: si falla el alta de los nuevos padres,
+   * se vuelven a insertar los anteriores para no dejar el rol sin padres
+   * @param {string} rolId - UUID del rol
+   * @param {Array<string>} padresIds - UUIDs de los nuevos padres
+   * @returns {Promise<Array>}
+   */
+  async replacePadres(rolId, padresIds) {
+    try {
+      const client = this.db.getClient();
+
+      const { data: anteriores, error: fetchError } = await client
+        .from(this.tableName)
+        .select('rol_id, padre_id, creado_en')
+        .eq('rol_id', rolId);
+
+      if (fetchError) {
+        throw new DatabaseError(`Error fetching parent roles: ${fetchError.message}`);
+      }
+
+      const { error: deleteError } = await client
+        .from(this.tableName)
+        .delete()
+        .eq('rol_id', rolId);
+
+      if (deleteError) {
+        throw new DatabaseError(`Error clearing parent roles: ${deleteError.message}`);
+      }
+
+      if (padresIds.length === 0) {
+        return [];
+      }
+
+      const { data, error } = await client
+        .from(this.tableName)
+        .insert(padresIds.map(padreId => ({ rol_id: rolId, padre_id: padreId })))
+        .select('rol_id, padre_id');
+
+      if (error) {
+        const restoreError = await this.restorePadres(rolId, anteriores || []);
+        throw new DatabaseError(restoreError
+          ? `Error saving parent roles: ${error.message}; previous parents could not be restored: ${restoreError.message}`
+          : `Error saving parent roles (previous parents restored): ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in replacePadres: ${error.message}`);
+    }
+  }
+
+  /**
+   * Vuelve a insertar las relaciones de un rol borradas por replacePadres
+   * @private
+   * @param {string} rolId - UUID del rol
+   * @param {Array<Object>} relaciones - Filas anteriores de roles_herencia
+   * @returns {Promise<Object|null>} El error de la restauración, o null si se restauró
+   */
+  async restorePadres(rolId, relaciones) {
+    try {
+      // Por si el alta fallida llegó a dejar alguna fila
+      const { error: deleteError } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .delete()
+        .eq('rol_id', rolId);
+
+      if (deleteError) return deleteError;
+      if (relaciones.length === 0) return null;
+
+      const { error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .insert(relaciones);
+
+      return error || null;
+    } catch (error) {
+      return error;
+    }
+  }
+}
+
+// Exportar instancia singleton
+export default new RolesHerenciaRepository();
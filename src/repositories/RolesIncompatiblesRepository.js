@@ -0,0 +1,168 @@
+/**
+ * ROLES_INCOMPATIBLES REPOSITORY
+ *
+ * Repository para las reglas de separación de funciones: pares de roles
+ * que un mismo empleado no debería tener a la vez (p.ej. cajero y auditor).
+ *
+ * Estructura de la tabla 'roles_incompatibles':
+ * - id (uuid, primary key, DEFAULT gen_random_uuid())
+ * - rol_a_id (uuid, FK a roles, NOT NULL)
+ * - rol_b_id (uuid, FK a roles, NOT NULL) -- rol_a_id < rol_b_id
+ * - motivo (text, nullable)
+ * - creado_por (uuid, FK a auth.users, nullable)
+ * - creado_en (timestamp with time zone, DEFAULT now())
+ * - UNIQUE constraint: (rol_a_id, rol_b_id)
+ */
+
+import database from '../config/database.js';
+import { DatabaseError } from '../utils/errors.js';
+
+const COLUMNAS = `
+  *,
+  rol_a:roles!roles_incompatibles_rol_a_id_fkey (
+    id,
+    nombre
+  ),
+  rol_b:roles!roles_incompatibles_rol_b_id_fkey (
+    id,
+    nombre
+  )
+`;
+
+export class RolesIncompatiblesRepository {
+  constructor(db = database) {
+    this.tableName = 'roles_incompatibles';
+    this.db = db;
+  }
+
+  /**
+   * Obtiene todas las reglas con los nombres de los roles (la tabla es pequeña)
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select(COLUMNAS)
+        .order('creado_en', { ascending: true });
+
+      if (error) {
+        throw new DatabaseError(`Error fetching incompatible roles: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in getAll: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una regla por ID
+   * @param {string} id - UUID de la regla
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select(COLUMNAS)
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error fetching incompatible roles rule: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findById: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca la regla de un par de roles ya ordenado
+   * @param {string} rolAId
+   * @param {string} rolBId
+   * @returns {Promise<Object|null>}
+   */
+  async findByPar(rolAId, rolBId) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('rol_a_id', rolAId)
+        .eq('rol_b_id', rolBId)
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error fetching incompatible roles rule: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findByPar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crea una regla
+   * @param {Object} data - { rol_a_id, rol_b_id, motivo, creado_por }
+   * @returns {Promise<Object>}
+   */
+  async create(data) {
+    try {
+      const { data: regla, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .insert([data])
+        .select(COLUMNAS)
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new DatabaseError('Ya existe una regla para ese par de roles');
+        }
+        throw new DatabaseError(`Error creating incompatible roles rule: ${error.message}`);
+      }
+
+      return regla;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in create: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una regla
+   * @param {string} id - UUID de la regla
+   * @returns {Promise<Object|null>}
+   */
+  async delete(id) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .delete()
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error deleting incompatible roles rule: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in delete: ${error.message}`);
+    }
+  }
+}
+
+export default new RolesIncompatiblesRepository();
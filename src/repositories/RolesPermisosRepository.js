@@ -0,0 +1,143 @@
+/**
+ * ROLES_PERMISOS REPOSITORY
+ *
+ * Repository para la relación Roles-Permisos.
+ *
+ * Estructura de la tabla 'roles_permisos':
+ * - rol_id (uuid, FK a roles, NOT NULL)
+ * - permiso_id (uuid, FK a permisos, NOT NULL)
+ * - otorgado_por (uuid, FK a auth.users, nullable)
+ * - otorgado_en (timestamp with time zone, DEFAULT now())
+ * - PRIMARY KEY: (rol_id, permiso_id)
+ */
+
+import database from '../config/database.js';
+import { DatabaseError } from '../utils/errors.js';
+
+export class RolesPermisosRepository {
+  constructor(db = database) {
+    this.tableName = 'roles_permisos';
+    this.db = db;
+  }
+
+  /**
+   * Obtiene los permisos otorgados a un rol
+   * @param {string} rolId - UUID del rol
+   * @returns {Promise<Array>}
+   */
+  async getPermisosByRol(rolId) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select(`
+          otorgado_por,
+          otorgado_en,
+          permisos (
+            id,
+            clave,
+            descripcion
+          )
+        `)
+        .eq('rol_id', rolId);
+
+      if (error) {
+        throw new DatabaseError(`Error fetching role permissions: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in getPermisosByRol: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene las claves de permiso otorgadas a cualquiera de los roles indicados
+   * @param {Array<string>} rolesIds - UUIDs de roles
+   * @returns {Promise<Array<string>>} Claves sin duplicados
+   */
+  async getClavesByRoles(rolesIds) {
+    if (!rolesIds || rolesIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('permisos ( clave )')
+        .in('rol_id', rolesIds);
+
+      if (error) {
+        throw new DatabaseError(`Error fetching permissions: ${error.message}`);
+      }
+
+      return [...new Set((data || []).map(row => row.permisos?.clave).filter(Boolean))];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in getClavesByRoles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Otorga un permiso a un rol
+   * @param {string} rolId - UUID del rol
+   * @param {string} permisoId - UUID del permiso
+   * @param {string} [otorgadoPor] - UUID de quien otorga el permiso
+   * @returns {Promise<Object>}
+   */
+  async otorgar(rolId, permisoId, otorgadoPor = null) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .insert([{ rol_id: rolId, permiso_id: permisoId, otorgado_por: otorgadoPor }])
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new DatabaseError('El rol ya tiene este permiso');
+        }
+        throw new DatabaseError(`Error granting permission: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in otorgar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoca un permiso de un rol
+   * @param {string} rolId - UUID del rol
+   * @param {string} permisoId - UUID del permiso
+   * @returns {Promise<Object|null>} La fila eliminada o null si no existía
+   */
+  async revocar(rolId, permisoId) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .delete()
+        .eq('rol_id', rolId)
+        .eq('permiso_id', permisoId)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error revoking permission: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in revocar: ${error.message}`);
+    }
+  }
+}
+
+// Exportar instancia singleton
+export default new RolesPermisosRepository();
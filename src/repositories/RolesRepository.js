@@ -7,6 +7,7 @@
  * - id (uuid, primary key, DEFAULT gen_random_uuid())
  * - nombre (text, NOT NULL, UNIQUE)
  * - descripcion (text, nullable)
+ * - sensible (boolean, DEFAULT false) -- su asignación requiere aprobación
  * - creado_en (timestamp with time zone, DEFAULT now())
  */
 
@@ -102,7 +103,7 @@ export class RolesRepository extends BaseRepository {
   }
 
   /**
-   * Obtiene un rol con los usuarios asociados
+   * Obtiene un rol con sus asignaciones a empleados (vigentes o no)
    * @param {string} idRol - ID del rol (UUID)
    * @returns {Promise<Object|null>}
    */
@@ -113,10 +114,13 @@ export class RolesRepository extends BaseRepository {
         .from(this.tableName)
         .select(`
           *,
-          usuarios_roles (
+          empleados_roles (
             id,
-            usuario_id,
-            otorgado_en
+            empleado_id,
+            otorgado_por,
+            otorgado_en,
+            expira_en,
+            suspendido_en
           )
         `)
         .eq('id', idRol)
@@ -137,7 +141,7 @@ export class RolesRepository extends BaseRepository {
   }
 
   /**
-   * Obtiene todos los roles con sus usuarios asociados
+   * Obtiene todos los roles con sus asignaciones a empleados (vigentes o no)
    * @returns {Promise<Array>}
    */
   async getAllRolesWithUsers() {
@@ -147,10 +151,13 @@ export class RolesRepository extends BaseRepository {
         .from(this.tableName)
         .select(`
           *,
-          usuarios_roles (
+          empleados_roles (
             id,
-            usuario_id,
-            otorgado_en
+            empleado_id,
+            otorgado_por,
+            otorgado_en,
+            expira_en,
+            suspendido_en
           )
         `)
         .order('nombre');
@@ -0,0 +1,123 @@
+/**
+ * SESION REPOSITORY
+ *
+ * Repository para las sesiones de usuario (una por dispositivo).
+ * Cada sesión agrupa una familia de refresh tokens rotados.
+ *
+ * Estructura de la tabla 'sesiones':
+ * - id (uuid, primary key, DEFAULT gen_random_uuid())
+ * - usuario_id (bigint, FK a usuarios)
+ * - dispositivo (text, nullable) -- nombre enviado por el cliente o User-Agent
+ * - ip (text, nullable)
+ * - creado_en (timestamp with time zone, DEFAULT now())
+ * - ultimo_uso_en (timestamp with time zone, DEFAULT now())
+ * - expira_en (timestamp with time zone) -- vencimiento del refresh token vigente
+ * - revocada_en (timestamp with time zone, nullable)
+ * - motivo_revocacion (text, nullable) -- logout, reutilizacion, revocada_por_usuario, usuario_bloqueado
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { DatabaseError } from '../utils/errors.js';
+
+export class SesionRepository extends BaseRepository {
+  constructor() {
+    super('sesiones');
+  }
+
+  /**
+   * Obtiene las sesiones vigentes (no revocadas ni vencidas) de un usuario
+   * @param {number} usuarioId - ID del usuario
+   * @returns {Promise<Array>}
+   */
+  async findActivasByUsuario(usuarioId) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('id, dispositivo, ip, creado_en, ultimo_uso_en, expira_en')
+        .eq('usuario_id', usuarioId)
+        .is('revocada_en', null)
+        .gt('expira_en', new Date().toISOString())
+        .order('ultimo_uso_en', { ascending: false });
+
+      if (error) {
+        throw new DatabaseError(`Error fetching sessions: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findActivasByUsuario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoca una sesión (y con ella toda su familia de refresh tokens)
+   * @param {string} sesionId - UUID de la sesión
+   * @param {string} motivo - Motivo de la revocación
+   * @returns {Promise<Object|null>}
+   */
+  async revocar(sesionId, motivo) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update({
+          revocada_en: new Date().toISOString(),
+          motivo_revocacion: motivo
+        })
+        .eq('id', sesionId)
+        .is('revocada_en', null)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error revoking session: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in revocar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoca todas las sesiones vigentes de un usuario
+   * @param {number} usuarioId - ID del usuario
+   * @param {string} motivo - Motivo de la revocación
+   * @param {string} [exceptoId] - Sesión que se conserva (p.ej. la actual)
+   * @returns {Promise<Array>}
+   */
+  async revocarTodas(usuarioId, motivo, exceptoId = null) {
+    try {
+      let query = this.db
+        .getClient()
+        .from(this.tableName)
+        .update({
+          revocada_en: new Date().toISOString(),
+          motivo_revocacion: motivo
+        })
+        .eq('usuario_id', usuarioId)
+        .is('revocada_en', null);
+
+      if (exceptoId) {
+        query = query.neq('id', exceptoId);
+      }
+
+      const { data, error } = await query.select('id');
+
+      if (error) {
+        throw new DatabaseError(`Error revoking sessions: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in revocarTodas: ${error.message}`);
+    }
+  }
+}
+
+// Exportar instancia singleton
+export default new SesionRepository();
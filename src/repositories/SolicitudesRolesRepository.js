@@ -0,0 +1,278 @@
+/**
+ * SOLICITUDES_ROLES REPOSITORY
+ *
+ * Repository para las solicitudes de asignación de roles sensibles.
+ *
+ * Estructura de la tabla 'solicitudes_roles':
+ * - id (uuid, primary key, DEFAULT gen_random_uuid())
+ * - empleado_id (uuid, FK a empleados.usuario_id, NOT NULL)
+ * - rol_id (uuid, FK a roles, NOT NULL)
+ * - expira_en (timestamp with time zone, nullable) -- vencimiento pedido para la asignación
+ * - estado (text, NOT NULL, DEFAULT 'pendiente') -- pendiente | aprobada | rechazada
+ * - solicitado_por (uuid, FK a auth.users, NOT NULL)
+ * - solicitado_en (timestamp with time zone, DEFAULT now())
+ * - decidido_por (uuid, FK a auth.users, nullable)
+ * - decidido_en (timestamp with time zone, nullable)
+ * - motivo (text, nullable) -- motivo de la decisión
+ * - UNIQUE (empleado_id, rol_id) WHERE estado = 'pendiente'
+ */
+
+import database from '../config/database.js';
+import { DatabaseError } from '../utils/errors.js';
+
+const SELECT_SOLICITUD = `
+  *,
+  roles (
+    id,
+    nombre,
+    descripcion
+  )
+`;
+
+export class SolicitudesRolesRepository {
+  constructor(db = database) {
+    this.tableName = 'solicitudes_roles';
+    this.idColumn = 'id';
+    this.db = db;
+  }
+
+  /**
+   * Crea una solicitud pendiente
+   * @param {Object} data
+   * @returns {Promise<Object>}
+   */
+  async create(data) {
+    try {
+      const { data: resultado, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .insert([data])
+        .select(SELECT_SOLICITUD)
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new DatabaseError('Ya hay una solicitud pendiente para este rol');
+        }
+        throw new DatabaseError(`Error creating role request: ${error.message}`);
+      }
+
+      return resultado;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in create: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una solicitud por su ID
+   * @param {string} id - UUID de la solicitud
+   * @returns {Promise<Object|null>}
+   */
+  async findById(id) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select(SELECT_SOLICITUD)
+        .eq(this.idColumn, id)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        throw new DatabaseError(`Error fetching role request: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findById: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene la solicitud pendiente de un rol para un empleado, si existe
+   * @param {string} empleadoId - UUID del empleado
+   * @param {string} rolId - UUID del rol
+   * @returns {Promise<Object|null>}
+   */
+  async findPendiente(empleadoId, rolId) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('*')
+        .eq('empleado_id', empleadoId)
+        .eq('rol_id', rolId)
+        .eq('estado', 'pendiente')
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error fetching pending role request: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findPendiente: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lista solicitudes, las más recientes primero
+   * @param {Object} [options]
+   * @param {string} [options.estado]
+   * @param {string} [options.empleadoId]
+   * @param {number} [options.limit]
+   * @param {number} [options.offset]
+   * @returns {Promise<Array>}
+   */
+  async findAll(options = {}) {
+    try {
+      let query = this.db
+        .getClient()
+        .from(this.tableName)
+        .select(SELECT_SOLICITUD);
+
+      if (options.estado) {
+        query = query.eq('estado', options.estado);
+      }
+
+      if (options.empleadoId) {
+        query = query.eq('empleado_id', options.empleadoId);
+      }
+
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+
+      if (options.offset) {
+        query = query.range(options.offset, options.offset + (options.limit || 10) - 1);
+      }
+
+      const { data, error } = await query.order('solicitado_en', { ascending: false });
+
+      if (error) {
+        throw new DatabaseError(`Error fetching role requests: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findAll: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una solicitud (solo para deshacer operaciones fallidas)
+   * @param {string} id - UUID de la solicitud
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    try {
+      const { error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .delete()
+        .eq(this.idColumn, id);
+
+      if (error) {
+        throw new DatabaseError(`Error deleting role request: ${error.message}`);
+      }
+
+      return true;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in delete: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra la decisión sobre una solicitud.
+   * Es condicional: solo resuelve solicitudes que sigan pendientes.
+   * @param {string} id - UUID de la solicitud
+   * @param {Object} decision - { estado, decidido_por, decidido_en, motivo }
+   * @returns {Promise<Object|null>} null si ya estaba resuelta
+   */
+  async resolver(id, decision) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update(decision)
+        .eq(this.idColumn, id)
+        .eq('estado', 'pendiente')
+        .select(SELECT_SOLICITUD)
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error resolving role request: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in resolver: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rechaza todas las solicitudes pendientes de un empleado (p.ej. al darlo de baja)
+   * @param {string} empleadoId - UUID del empleado
+   * @param {Object} decision - { decidido_por, decidido_en, motivo }
+   * @returns {Promise<Array>} Solicitudes rechazadas
+   */
+  async rechazarPendientesDeEmpleado(empleadoId, decision) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update({ ...decision, estado: 'rechazada' })
+        .eq('empleado_id', empleadoId)
+        .eq('estado', 'pendiente')
+        .select(SELECT_SOLICITUD);
+
+      if (error) {
+        throw new DatabaseError(`Error rejecting pending role requests: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in rechazarPendientesDeEmpleado: ${error.message}`);
+    }
+  }
+
+  /**
+   * Devuelve a pendiente una solicitud resuelta (deshace una aprobación que no llegó a aplicarse).
+   * Es condicional: solo la reabre si sigue en el estado indicado.
+   * @param {string} id - UUID de la solicitud
+   * @param {string} estado - Estado actual esperado
+   * @returns {Promise<Object|null>} null si ya no estaba en ese estado
+   */
+  async reabrir(id, estado) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update({ estado: 'pendiente', decidido_por: null, decidido_en: null, motivo: null })
+        .eq(this.idColumn, id)
+        .eq('estado', estado)
+        .select(SELECT_SOLICITUD)
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error reopening role request: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in reabrir: ${error.message}`);
+    }
+  }
+}
+
+export default new SolicitudesRolesRepository();
@@ -0,0 +1,98 @@
+/**
+ * TOKEN VERIFICACION REPOSITORY
+ *
+ * Repository para los tokens de un solo uso enviados por email
+ * (restablecimiento de password y verificación de email).
+ * Nunca se guarda el token en claro, solo su hash SHA-256.
+ *
+ * Estructura de la tabla 'tokens_verificacion':
+ * - id (uuid, primary key, DEFAULT gen_random_uuid())
+ * - usuario_id (bigint, FK a usuarios, ON DELETE CASCADE)
+ * - tipo (text, NOT NULL) -- 'reset_password' | 'verify_email'
+ * - token_hash (text, NOT NULL, UNIQUE)
+ * - creado_en (timestamp with time zone, DEFAULT now())
+ * - expira_en (timestamp with time zone, NOT NULL)
+ * - usado_en (timestamp with time zone, nullable)
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { DatabaseError } from '../utils/errors.js';
+
+export class TokenVerificacionRepository extends BaseRepository {
+  constructor() {
+    super('tokens_verificacion');
+  }
+
+  /**
+   * Encuentra un token por hash y tipo
+   * @param {string} tokenHash - Hash SHA-256 del token
+   * @param {string} tipo - Tipo de token
+   * @returns {Promise<Object|null>}
+   */
+  async findByHash(tokenHash, tipo) {
+    try {
+      return await this.findOne({ token_hash: tokenHash, tipo });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Marca un token como usado solo si aún no lo estaba.
+   * Devuelve null si ya se había consumido (garantiza el uso único).
+   * @param {string} tokenId - UUID del token
+   * @returns {Promise<Object|null>}
+   */
+  async consumir(tokenId) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update({ usado_en: new Date().toISOString() })
+        .eq('id', tokenId)
+        .is('usado_en', null)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw new DatabaseError(`Error consuming token: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in consumir: ${error.message}`);
+    }
+  }
+
+  /**
+   * Invalida los tokens pendientes de un usuario para un tipo
+   * (al emitir uno nuevo, los anteriores dejan de servir)
+   * @param {number} usuarioId - ID del usuario
+   * @param {string} tipo - Tipo de token
+   * @returns {Promise<boolean>}
+   */
+  async invalidarPendientes(usuarioId, tipo) {
+    try {
+      const { error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .update({ usado_en: new Date().toISOString() })
+        .eq('usuario_id', usuarioId)
+        .eq('tipo', tipo)
+        .is('usado_en', null);
+
+      if (error) {
+        throw new DatabaseError(`Error invalidating tokens: ${error.message}`);
+      }
+
+      return true;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in invalidarPendientes: ${error.message}`);
+    }
+  }
+}
+
+// Exportar instancia singleton
+export default new TokenVerificacionRepository();
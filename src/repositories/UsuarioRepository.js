@@ -10,10 +10,16 @@
  * - email (text, NOT NULL, UNIQUE)
  * - direccion (text, nullable)
  * - telefono (text, nullable)
+ * - email_verificado_en (timestamp with time zone, nullable)
+ * - bloqueado (boolean, DEFAULT false)
+ * - bloqueado_en (timestamp with time zone, nullable)
+ * - bloqueado_por (bigint, nullable, FK a usuarios) -- empleado que bloqueó la cuenta
+ * - motivo_bloqueo (text, nullable)
  */
 
 import { BaseRepository } from './BaseRepository.js';
-import { DatabaseError } from '../utils/errors.js';
+import { DatabaseError, ValidationError } from '../utils/errors.js';
+import { paginateQuery } from '../utils/pagination.js';
 
 export class UsuarioRepository extends BaseRepository {
   constructor() {
@@ -46,6 +52,50 @@ export class UsuarioRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Encuentra varios usuarios por email
+   * @param {Array<string>} emails - Emails en minúsculas
+   * @returns {Promise<Array>}
+   */
+  async findByEmails(emails) {
+    return await this.findManyIn('email', emails);
+  }
+
+  /**
+   * Encuentra varios usuarios por auth_user_id
+   * @param {Array<string>} authUserIds
+   * @returns {Promise<Array>}
+   */
+  async findByAuthUserIds(authUserIds) {
+    return await this.findManyIn('auth_user_id', authUserIds);
+  }
+
+  /**
+   * @private
+   */
+  async findManyIn(columna, valores) {
+    if (valores.length === 0) {
+      return [];
+    }
+
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('id, auth_user_id, nombre, email')
+        .in(columna, valores);
+
+      if (error) {
+        throw new DatabaseError(`Error fetching users by ${columna}: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findManyIn: ${error.message}`);
+    }
+  }
+
   /**
    * Crea un nuevo usuario asociado a una cuenta de autenticación
    * @param {Object} userData - Datos del usuario
@@ -108,12 +158,13 @@ export class UsuarioRepository extends BaseRepository {
   /**
    * Actualiza la información de contacto de un usuario
    * @param {number} usuarioId - ID del usuario
-   * @param {Object} contactData - Datos de contacto
+   * @param {Object} contactData - Datos de contacto { nombre, direccion, telefono }
    * @returns {Promise<Object>}
    */
   async updateContactInfo(usuarioId, contactData) {
     try {
       const updateData = {};
+      if (contactData.nombre !== undefined) updateData.nombre = contactData.nombre;
       if (contactData.direccion !== undefined) updateData.direccion = contactData.direccion;
       if (contactData.telefono !== undefined) updateData.telefono = contactData.telefono;
 
@@ -122,6 +173,113 @@ export class UsuarioRepository extends BaseRepository {
       throw error;
     }
   }
+
+  /**
+   * Busca usuarios por nombre, email o teléfono con paginación
+   * @param {Object} params - Parámetros de consulta
+   * @param {string} [params.q] - Texto a buscar (coincidencia parcial, sin distinguir mayúsculas)
+   * @param {boolean} [params.bloqueado] - Filtrar por estado de bloqueo
+   * @param {string} [params.cursor] - nextCursor de la página anterior (en lugar de page)
+   * @returns {Promise<Object>} { usuarios, total, page, limit, totalPages, nextCursor }
+   */
+  async search(params = {}) {
+    try {
+      const { q, bloqueado, page = 1, limit = 10, cursor } = params;
+
+      let query = this.db
+        .getClient()
+        .from(this.tableName)
+        .select('id, nombre, email, telefono, direccion, email_verificado_en, bloqueado, bloqueado_en', {
+          count: cursor ? undefined : 'exact'
+        });
+
+      if (q) {
+        // Las comas y paréntesis tienen significado en la sintaxis de .or()
+        const term = q.replace(/[%_\\]/g, '\\$&').replace(/[,()]/g, ' ');
+        query = query.or(
+          `nombre.ilike.%${term}%,email.ilike.%${term}%,telefono.ilike.%${term}%`
+        );
+      }
+
+      if (bloqueado !== undefined) {
+        query = query.eq('bloqueado', bloqueado);
+      }
+
+      const { rows, ...pagination } = await paginateQuery(query, {
+        page,
+        limit,
+        cursor,
+        sortBy: 'id',
+        ascending: false,
+        filtros: { q, bloqueado },
+        errorMessage: 'Error searching users'
+      });
+
+      return { usuarios: rows, ...pagination };
+    } catch (error) {
+      if (error instanceof DatabaseError || error instanceof ValidationError) throw error;
+      throw new DatabaseError(`Unexpected error in search: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene un usuario con sus carritos, pedidos, reseñas y tickets de soporte
+   * @param {number} usuarioId - ID del usuario
+   * @returns {Promise<Object|null>}
+   */
+  async findWithActividad(usuarioId) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select(`
+          *,
+          carritos (
+            id,
+            fecha_creacion,
+            estado,
+            detalles_carritos (
+              id,
+              producto_id,
+              cantidad
+            )
+          ),
+          pedidos (
+            id,
+            fecha,
+            total
+          ),
+          reseñas (
+            id,
+            producto_id,
+            calificacion,
+            comentario,
+            fecha
+          ),
+          soporte (
+            id,
+            asunto,
+            estado,
+            fecha_creacion,
+            fecha_resolucion
+          )
+        `)
+        .eq('id', usuarioId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        throw new DatabaseError(`Error fetching user activity: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findWithActividad: ${error.message}`);
+    }
+  }
 }
 
 // Exportar instancia singleton
@@ -0,0 +1,98 @@
+/**
+ * VARIANTES_PRODUCTOS REPOSITORY
+ *
+ * Repository para las variantes de cada producto (talla, material, ...).
+ *
+ * Estructura de la tabla 'variantes_productos':
+ * - id (bigint, primary key, GENERATED ALWAYS AS IDENTITY)
+ * - producto_id (bigint, NOT NULL, FK a productos, ON DELETE CASCADE)
+ * - sku (text, NOT NULL, UNIQUE)
+ * - opciones (jsonb, NOT NULL) -- p.ej. { "talla": "M", "material": "plata" }; UNIQUE por producto
+ * - precio (numeric, nullable) -- null: se usa el precio del producto
+ * - stock (integer, NOT NULL, >= 0)
+ * - creado_en (timestamp with time zone, DEFAULT now())
+ */
+
+import { BaseRepository } from './BaseRepository.js';
+import { DatabaseError } from '../utils/errors.js';
+
+export class VariantesProductoRepository extends BaseRepository {
+  constructor() {
+    super('variantes_productos');
+  }
+
+  /**
+   * Variantes de un producto, en orden de creación
+   * @param {number} productoId
+   * @returns {Promise<Array>}
+   */
+  async findByProducto(productoId) {
+    return await this.findByProductos([productoId]);
+  }
+
+  /**
+   * Variantes de varios productos, en orden de creación
+   * @param {Array<number>} productosIds
+   * @returns {Promise<Array>}
+   */
+  async findByProductos(productosIds) {
+    if (productosIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select('*')
+        .in('producto_id', productosIds)
+        .order('id', { ascending: true });
+
+      if (error) {
+        throw new DatabaseError(`Error fetching product variants: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findByProductos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Encuentra variantes con stock bajo, con los datos de su producto
+   * @param {number} threshold - Umbral de stock bajo (default: 10)
+   * @returns {Promise<Array>}
+   */
+  async findLowStock(threshold = 10) {
+    try {
+      const { data, error } = await this.db
+        .getClient()
+        .from(this.tableName)
+        .select(`
+          *,
+          productos (
+            id,
+            nombre,
+            descripcion,
+            precio,
+            id_categoria
+          )
+        `)
+        .lte('stock', threshold)
+        .order('stock', { ascending: true });
+
+      if (error) {
+        throw new DatabaseError(`Error finding low stock variants: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      if (error instanceof DatabaseError) throw error;
+      throw new DatabaseError(`Unexpected error in findLowStock: ${error.message}`);
+    }
+  }
+}
+
+// Exportar instancia singleton
+export default new VariantesProductoRepository();
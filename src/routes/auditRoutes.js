@@ -0,0 +1,29 @@
+/**
+ * CAPA DE ROUTES (Routing Layer)
+ *
+ * Endpoints del registro de auditoría
+ */
+
+import { Router } from 'express';
+import auditController from '../controllers/AuditController.js';
+import { authenticate } from '../middlewares/auth.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { PERMISOS } from '../config/roles.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/audit
+ * @desc    Consultar el registro de auditoría (más recientes primero)
+ * @access  Private (permiso: audit:read)
+ * @query   {string} entidad - producto | imagen_producto | variante_producto | categoria | rol | rol_permiso | rol_incompatible | empleado | departamento | empleado_rol | solicitud_rol | carrito
+ * @query   {string} entidadId - ID de la entidad
+ * @query   {string} actor - auth_user_id de quien hizo la operación
+ * @query   {string} accion - create | update | delete
+ * @query   {string} desde, hasta - Rango de fechas ISO 8601 (una fecha sin hora en "hasta" incluye el día)
+ * @query   {number} page, limit - Paginación (default: 1, 20; máx. 100)
+ * @query   {string} cursor - pagination.nextCursor de la respuesta anterior (en lugar de page)
+ */
+router.get('/', authenticate, requirePermission(PERMISOS.AUDIT_READ), auditController.listar);
+
+export default router;
@@ -6,6 +6,8 @@
 
 import { Router } from 'express';
 import usuarioController from '../controllers/UsuarioController.js';
+import sesionController from '../controllers/SesionController.js';
+import { authenticate } from '../middlewares/auth.js';
 
 const router = Router();
 
@@ -16,4 +18,77 @@ const router = Router();
  */
 router.post('/register', usuarioController.register);
 
+/**
+ * @route   POST /api/auth/login
+ * @desc    Iniciar sesión y obtener un token de acceso (JWT)
+ * @access  Public
+ * @body    {string} email - Email del usuario (requerido)
+ * @body    {string} password - Password (requerido)
+ * @body    {string} dispositivo - Nombre del dispositivo (opcional, default: User-Agent)
+ */
+router.post('/login', usuarioController.login);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Solicitar un enlace de restablecimiento de password por email
+ * @access  Public
+ * @body    {string} email - Email de la cuenta (requerido)
+ */
+router.post('/forgot-password', usuarioController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Restablecer el password con el token recibido por email (uso único)
+ * @access  Public
+ * @body    {string} token - Token de restablecimiento (requerido)
+ * @body    {string} password - Nuevo password (requerido)
+ */
+router.post('/reset-password', usuarioController.resetPassword);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verificar el email con el token recibido por correo (uso único)
+ * @access  Public
+ * @body    {string} token - Token de verificación (requerido)
+ */
+router.post('/verify-email', usuarioController.verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Reenviar el enlace de verificación de email (invalida los anteriores)
+ * @access  Private (Bearer token)
+ */
+router.post('/resend-verification', authenticate, usuarioController.resendVerification);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotar el refresh token y obtener un nuevo token de acceso
+ * @access  Public (requiere refresh token válido)
+ * @body    {string} refresh_token - Refresh token vigente (requerido)
+ */
+router.post('/refresh', sesionController.refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Cerrar la sesión asociada al refresh token
+ * @access  Public (requiere refresh token)
+ * @body    {string} refresh_token - Refresh token de la sesión (requerido)
+ */
+router.post('/logout', sesionController.logout);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Listar las sesiones activas (una por dispositivo) del usuario
+ * @access  Private (Bearer token)
+ */
+router.get('/sessions', authenticate, sesionController.listarSesiones);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revocar una sesión del usuario
+ * @access  Private (Bearer token)
+ * @param   {string} id - ID de la sesión (UUID)
+ */
+router.delete('/sessions/:id', authenticate, sesionController.revocarSesion);
+
 export default router;
@@ -6,38 +6,41 @@
  * Responsabilidades:
  * - Definir endpoints HTTP del carrito
  * - Asociar rutas con CarritoController
- * - (Futuro) Aplicar middlewares de autenticación/autorización
+ * - Aplicar el middleware de autenticación (el usuario sale del token)
  */
 
 import { Router } from 'express';
 import carritoController from '../controllers/CarritoController.js';
+import { authenticate } from '../middlewares/auth.js';
 
 const router = Router();
 
+// Todas las rutas del carrito requieren un usuario autenticado
+router.use(authenticate);
+
 /**
  * @route   GET /api/carrito
  * @desc    Obtener el carrito activo del usuario
- * @access  Temporalmente Public (usuario_id se envía en la petición para pruebas)
- * @body    {number} usuario_id - ID del usuario (también puede ir como query ?usuario_id=)
+ * @access  Private (Bearer token)
  */
 router.get('/', carritoController.obtenerCarrito);
 
 /**
  * @route   POST /api/carrito/items
  * @desc    Agregar un producto al carrito
- * @access  Temporalmente Public (usuario_id se envía en la petición para pruebas)
- * @body    {number} usuario_id - ID del usuario (requerido)
+ * @access  Private (Bearer token)
  * @body    {number} producto_id - ID del producto (requerido)
  * @body    {number} cantidad - Cantidad a agregar (opcional, default: 1)
+ * @body    {number} variante_id - ID de la variante (requerido si el producto tiene variantes)
  */
 router.post('/items', carritoController.agregarProducto);
 
 /**
  * @route   PUT /api/carrito/items/:productoId
  * @desc    Actualizar la cantidad de un producto en el carrito
- * @access  Temporalmente Public (usuario_id se envía en la petición para pruebas)
+ * @access  Private (Bearer token)
  * @param   {number} productoId - ID del producto
- * @body    {number} usuario_id - ID del usuario (requerido)
+ * @query   {number} variante_id - ID de la variante (si la línea es de una variante)
  * @body    {number} cantidad - Nueva cantidad (requerida)
  */
 router.put('/items/:productoId', carritoController.actualizarCantidad);
@@ -45,17 +48,16 @@ router.put('/items/:productoId', carritoController.actualizarCantidad);
 /**
  * @route   DELETE /api/carrito/items/:productoId
  * @desc    Eliminar un producto específico del carrito
- * @access  Temporalmente Public (usuario_id se envía en la petición para pruebas)
+ * @access  Private (Bearer token)
  * @param   {number} productoId - ID del producto
- * @body    {number} usuario_id - ID del usuario (requerido)
+ * @query   {number} variante_id - ID de la variante (si la línea es de una variante)
  */
 router.delete('/items/:productoId', carritoController.eliminarProducto);
 
 /**
  * @route   DELETE /api/carrito
  * @desc    Vaciar completamente el carrito del usuario
- * @access  Temporalmente Public (usuario_id se envía en la petición para pruebas)
- * @body    {number} usuario_id - ID del usuario (requerido)
+ * @access  Private (Bearer token)
  */
 router.delete('/', carritoController.vaciarCarrito);
 
@@ -6,6 +6,9 @@
 
 import { Router } from 'express';
 import categoriaController from '../controllers/CategoriaController.js';
+import { authenticate } from '../middlewares/auth.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { PERMISOS } from '../config/roles.js';
 
 const router = Router();
 
@@ -33,22 +36,22 @@ router.get('/:idCategoria', categoriaController.getCategoriaById);
 /**
  * @route   POST /api/categories
  * @desc    Crear categoría
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: categories:write)
  */
-router.post('/', categoriaController.createCategoria);
+router.post('/', authenticate, requirePermission(PERMISOS.CATEGORIES_WRITE), categoriaController.createCategoria);
 
 /**
  * @route   PUT /api/categories/:idCategoria
  * @desc    Actualizar categoría
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: categories:write)
  */
-router.put('/:idCategoria', categoriaController.updateCategoria);
+router.put('/:idCategoria', authenticate, requirePermission(PERMISOS.CATEGORIES_WRITE), categoriaController.updateCategoria);
 
 /**
  * @route   DELETE /api/categories/:idCategoria
  * @desc    Eliminar categoría
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: categories:delete)
  */
-router.delete('/:idCategoria', categoriaController.deleteCategoria);
+router.delete('/:idCategoria', authenticate, requirePermission(PERMISOS.CATEGORIES_DELETE), categoriaController.deleteCategoria);
 
 export default router;
@@ -0,0 +1,62 @@
+/**
+ * CAPA DE ROUTES (Routing Layer)
+ *
+ * Endpoints de departamentos
+ */
+
+import { Router } from 'express';
+import departamentosController from '../controllers/DepartamentosController.js';
+import { authenticate } from '../middlewares/auth.js';
+import { requireEmployee, requirePermission } from '../middlewares/authorize.js';
+import { PERMISOS } from '../config/roles.js';
+
+const router = Router();
+
+/**
+ * @route   GET /api/departamentos
+ * @desc    Listar departamentos
+ * @access  Public
+ */
+router.get('/', departamentosController.listarDepartamentos);
+
+/**
+ * @route   GET /api/departamentos/:id
+ * @desc    Obtener departamento por ID
+ * @access  Public
+ */
+router.get('/:id', departamentosController.getDepartamentoById);
+
+/**
+ * @route   GET /api/departamentos/:id/empleados
+ * @desc    Organigrama: responsable, empleados y subdepartamentos anidados
+ * @access  Private (empleados)
+ * @query   {boolean} incluirInactivos - Incluir empleados desactivados (default: false)
+ */
+router.get('/:id/empleados', authenticate, requireEmployee(), departamentosController.getOrganigrama);
+
+/**
+ * @route   POST /api/departamentos
+ * @desc    Crear departamento
+ * @access  Private (permiso: employees:manage)
+ * @body    {string} nombre - Requerido, único sin distinguir mayúsculas
+ * @body    {string} responsable_id - usuario_id de un empleado activo (opcional)
+ * @body    {number} padre_id - Departamento superior (opcional)
+ */
+router.post('/', authenticate, requirePermission(PERMISOS.EMPLOYEES_MANAGE), departamentosController.createDepartamento);
+
+/**
+ * @route   PUT /api/departamentos/:id
+ * @desc    Actualizar departamento (null en responsable_id o padre_id los quita)
+ * @access  Private (permiso: employees:manage)
+ * @note    Se rechaza un padre que sea el propio departamento o un subdepartamento suyo
+ */
+router.put('/:id', authenticate, requirePermission(PERMISOS.EMPLOYEES_MANAGE), departamentosController.updateDepartamento);
+
+/**
+ * @route   DELETE /api/departamentos/:id
+ * @desc    Eliminar departamento (solo sin empleados ni subdepartamentos)
+ * @access  Private (permiso: employees:manage)
+ */
+router.delete('/:id', authenticate, requirePermission(PERMISOS.EMPLOYEES_MANAGE), departamentosController.deleteDepartamento);
+
+export default router;
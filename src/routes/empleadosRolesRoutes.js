@@ -6,55 +6,114 @@
 
 import { Router } from 'express';
 import empleadosRolesController from '../controllers/EmpleadosRolesController.js';
+import { authenticate } from '../middlewares/auth.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { PERMISOS } from '../config/roles.js';
 
 const router = Router();
 
 /**
  * @route   GET /api/empleados-roles
  * @desc    Listar todas las asignaciones de roles
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: roles:assign)
+ * @query   {string} estado - vigente | expirado | suspendido (opcional)
+ * @query   {number} limit, offset
  */
-router.get('/empleados-roles', empleadosRolesController.getAllAsignaciones);
+router.get('/empleados-roles', authenticate, requirePermission(PERMISOS.ROLES_ASSIGN), empleadosRolesController.getAllAsignaciones);
+
+/**
+ * @route   GET /api/empleados-roles/solicitudes
+ * @desc    Listar solicitudes de asignación de roles sensibles
+ * @access  Private (permiso: roles:assign)
+ * @query   {string} estado - pendiente | aprobada | rechazada (opcional)
+ * @query   {string} empleadoId - Filtrar por empleado (opcional)
+ * @query   {number} limit, offset
+ */
+router.get('/empleados-roles/solicitudes', authenticate, requirePermission(PERMISOS.ROLES_ASSIGN), empleadosRolesController.listarSolicitudes);
+
+/**
+ * @route   GET /api/empleados-roles/solicitudes/:solicitudId
+ * @desc    Obtener una solicitud con su historial (quién pidió, quién decidió y cuándo)
+ * @access  Private (permiso: roles:assign)
+ */
+router.get('/empleados-roles/solicitudes/:solicitudId', authenticate, requirePermission(PERMISOS.ROLES_ASSIGN), empleadosRolesController.getSolicitudById);
+
+/**
+ * @route   POST /api/empleados-roles/solicitudes/:solicitudId/aprobar
+ * @desc    Aprobar una solicitud pendiente y asignar el rol
+ * @access  Private (permiso: roles:approve)
+ * @note    Quien pidió la asignación (o la recibe) no puede aprobarla
+ */
+router.post('/empleados-roles/solicitudes/:solicitudId/aprobar', authenticate, requirePermission(PERMISOS.ROLES_APPROVE), empleadosRolesController.aprobarSolicitud);
+
+/**
+ * @route   POST /api/empleados-roles/solicitudes/:solicitudId/rechazar
+ * @desc    Rechazar una solicitud pendiente
+ * @access  Private (permiso: roles:approve)
+ * @body    {string} motivo - Motivo del rechazo (opcional)
+ */
+router.post('/empleados-roles/solicitudes/:solicitudId/rechazar', authenticate, requirePermission(PERMISOS.ROLES_APPROVE), empleadosRolesController.rechazarSolicitud);
 
 /**
  * @route   GET /api/empleados/:empleadoId/roles
  * @desc    Obtener todos los roles de un empleado
  * @access  Public
+ * @query   {boolean} incluirHeredados - Incluir roles heredados por jerarquía (default: false)
  */
 router.get('/empleados/:empleadoId/roles', empleadosRolesController.getRolesByEmpleado);
 
 /**
  * @route   POST /api/empleados/:empleadoId/roles
  * @desc    Asignar rol(es) a un empleado
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: roles:assign)
+ * @body    {string} rol_id | {Array<string>} roles_ids
+ * @body    {string} expira_en - Vencimiento ISO 8601 (opcional; sin él la asignación es permanente)
+ * @note    Reasignar un rol expirado lo renueva. Los roles sensibles crean una
+ *          solicitud pendiente de aprobación (202) en lugar de asignarse
  */
-router.post('/empleados/:empleadoId/roles', empleadosRolesController.asignarRol);
+router.post('/empleados/:empleadoId/roles', authenticate, requirePermission(PERMISOS.ROLES_ASSIGN), empleadosRolesController.asignarRol);
 
 /**
  * @route   POST /api/empleados/:empleadoId/roles/bulk
  * @desc    Asignar múltiples roles a un empleado
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: roles:assign)
+ * @body    {Array<string>} roles_ids
+ * @body    {string} expira_en - Vencimiento común ISO 8601 (opcional)
+ * @note    Los roles sensibles se devuelven en `solicitudes` (pendientes de aprobación)
+ */
+router.post('/empleados/:empleadoId/roles/bulk', authenticate, requirePermission(PERMISOS.ROLES_ASSIGN), empleadosRolesController.asignarMultiplesRoles);
+
+/**
+ * @route   PUT /api/empleados/:empleadoId/roles
+ * @desc    Sincronizar el conjunto completo de roles directos de un empleado
+ * @access  Private (permiso: roles:assign)
+ * @body    {Array<string>} roles_ids - Roles deseados (vacío revoca todos)
+ * @body    {string} expira_en - Vencimiento de las nuevas asignaciones (opcional)
+ * @body    {boolean} dryRun - Solo devolver el diff (también ?dryRun=true)
+ * @note    Los cambios se aplican todos o ninguno. Los roles sensibles quedan
+ *          como solicitudes pendientes (diff.solicitar)
  */
-router.post('/empleados/:empleadoId/roles/bulk', empleadosRolesController.asignarMultiplesRoles);
+router.put('/empleados/:empleadoId/roles', authenticate, requirePermission(PERMISOS.ROLES_ASSIGN), empleadosRolesController.sincronizarRoles);
 
 /**
  * @route   DELETE /api/empleados/:empleadoId/roles/:rolId
  * @desc    Revocar un rol específico de un empleado
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: roles:assign)
  */
-router.delete('/empleados/:empleadoId/roles/:rolId', empleadosRolesController.revocarRol);
+router.delete('/empleados/:empleadoId/roles/:rolId', authenticate, requirePermission(PERMISOS.ROLES_ASSIGN), empleadosRolesController.revocarRol);
 
 /**
  * @route   DELETE /api/empleados/:empleadoId/roles
  * @desc    Revocar todos los roles de un empleado
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: roles:assign)
  */
-router.delete('/empleados/:empleadoId/roles', empleadosRolesController.revocarTodosLosRoles);
+router.delete('/empleados/:empleadoId/roles', authenticate, requirePermission(PERMISOS.ROLES_ASSIGN), empleadosRolesController.revocarTodosLosRoles);
 
 /**
  * @route   GET /api/empleados/:empleadoId/roles/:rolId/verificar
  * @desc    Verificar si un empleado tiene un rol específico
  * @access  Public
+ * @note    Las asignaciones expiradas no cuentan
  */
 router.get('/empleados/:empleadoId/roles/:rolId/verificar', empleadosRolesController.verificarRol);
 
@@ -4,58 +4,113 @@
  * Endpoints de empleados
  */
 
-import { Router } from 'express';
+import express, { Router } from 'express';
 import empleadosController from '../controllers/EmpleadosController.js';
+import { authenticate } from '../middlewares/auth.js';
+import { requireEmployee, requirePermission } from '../middlewares/authorize.js';
+import { PERMISOS } from '../config/roles.js';
 
 const router = Router();
 
 /**
  * @route   GET /api/empleados
- * @desc    Listar todos los empleados
- * @access  Public
+ * @desc    Directorio de empleados (paginado)
+ * @access  Private (empleados)
+ * @query   {string} q - Texto en número de empleado, nombre o email
+ * @query   {string} departamento - Nombre exacto (sin distinguir mayúsculas)
+ * @query   {number} departamentoId - ID del departamento
+ * @query   {string} rolId - Empleados con este rol vigente
+ * @query   {string} contratadoDesde, contratadoHasta - Rango de fecha de contratación (YYYY-MM-DD)
+ * @query   {boolean} activos - true | false
+ * @query   {string} sortBy - creado_en | fecha_contratacion | numero_empleado | nombre | email | departamento
+ * @query   {string} sortOrder - asc | desc (default: desc)
+ * @query   {number} page, limit - Paginación (default: 1, 20; máx. 100)
+ * @query   {string} cursor - pagination.nextCursor de la respuesta anterior (en lugar de page)
  */
-router.get('/', empleadosController.listarEmpleados);
+router.get('/', authenticate, requireEmployee(), empleadosController.listarEmpleados);
 
 /**
  * @route   GET /api/empleados/with-roles
- * @desc    Listar empleados con sus roles
- * @access  Public
+ * @desc    Directorio de empleados con sus roles
+ * @access  Private (empleados)
+ * @query   Los mismos filtros, orden y paginación que GET /api/empleados
  */
-router.get('/with-roles', empleadosController.listarEmpleadosConRoles);
+router.get('/with-roles', authenticate, requireEmployee(), empleadosController.listarEmpleadosConRoles);
 
 /**
  * @route   GET /api/empleados/:usuarioId
  * @desc    Obtener empleado por usuario_id
- * @access  Public
+ * @access  Private (empleados)
  */
-router.get('/:usuarioId', empleadosController.getEmpleadoById);
+router.get('/:usuarioId', authenticate, requireEmployee(), empleadosController.getEmpleadoById);
 
 /**
  * @route   GET /api/empleados/:usuarioId/with-roles
  * @desc    Obtener empleado con sus roles
- * @access  Public
+ * @access  Private (empleados)
  */
-router.get('/:usuarioId/with-roles', empleadosController.getEmpleadoWithRoles);
+router.get('/:usuarioId/with-roles', authenticate, requireEmployee(), empleadosController.getEmpleadoWithRoles);
+
+/**
+ * @route   POST /api/empleados/onboard
+ * @desc    Alta completa de un empleado: cuenta de auth, perfil, empleado y roles iniciales
+ * @access  Private (permiso: employees:manage)
+ * @body    {string} email, nombre - Requeridos
+ * @body    {string} numero_empleado, fecha_contratacion, telefono - Opcionales
+ * @body    {number} departamento_id - Opcional (ver /api/departamentos)
+ * @body    {Array<string>} roles_ids - Roles iniciales (requiere además roles:assign; los sensibles
+ *          quedan como solicitud pendiente)
+ * @note    Si un paso falla se deshacen los anteriores. El empleado recibe una invitación
+ *          por email para elegir su password (válida 72 h)
+ */
+router.post('/onboard', authenticate, requirePermission(PERMISOS.EMPLOYEES_MANAGE), empleadosController.onboardEmpleado);
+
+/**
+ * @route   POST /api/empleados/import
+ * @desc    Alta masiva de empleados desde un CSV con informe por fila
+ * @access  Private (permiso: employees:manage)
+ * @query   {boolean} dryRun - true para validar sin escribir nada
+ * @body    CSV (Content-Type: text/csv) o JSON { csv, dryRun }
+ *          Columnas: usuario_id o email (requerido), numero_empleado, fecha_contratacion (YYYY-MM-DD),
+ *          departamento (nombre) o departamento_id, roles (nombres separados por "|";
+ *          requiere además roles:assign)
+ * @note    Se valida todo el archivo antes de escribir: si alguna fila tiene errores
+ *          no se importa ninguna (400 con el informe). Máximo 200 filas
+ */
+router.post('/import', authenticate, requirePermission(PERMISOS.EMPLOYEES_MANAGE), express.text({ type: 'text/csv', limit: '1mb' }), empleadosController.importarEmpleados);
 
 /**
  * @route   POST /api/empleados
  * @desc    Crear nuevo empleado
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: employees:manage)
+ * @note    El empleado se crea activo; la baja se hace con /deactivate
+ * @body    {number} departamento_id - Departamento (opcional; ver /api/departamentos)
  */
-router.post('/', empleadosController.createEmpleado);
+router.post('/', authenticate, requirePermission(PERMISOS.EMPLOYEES_MANAGE), empleadosController.createEmpleado);
 
 /**
  * @route   PUT /api/empleados/:usuarioId
  * @desc    Actualizar empleado
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: employees:manage)
+ * @body    {number} departamento_id - Cambiar de departamento (null lo quita)
+ */
+router.put('/:usuarioId', authenticate, requirePermission(PERMISOS.EMPLOYEES_MANAGE), empleadosController.updateEmpleado);
+
+/**
+ * @route   POST /api/empleados/:usuarioId/deactivate
+ * @desc    Dar de baja a un empleado: activo=false con motivo y fecha; sus roles quedan suspendidos
+ *          y sus solicitudes de roles pendientes se rechazan
+ * @access  Private (permiso: employees:manage)
+ * @body    {string} motivo - Requerido
+ * @note    Un empleado desactivado no pasa la autorización y sus roles no se pueden cambiar
  */
-router.put('/:usuarioId', empleadosController.updateEmpleado);
+router.post('/:usuarioId/deactivate', authenticate, requirePermission(PERMISOS.EMPLOYEES_MANAGE), empleadosController.desactivarEmpleado);
 
 /**
- * @route   DELETE /api/empleados/:usuarioId
- * @desc    Eliminar empleado
- * @access  Private (pendiente auth)
+ * @route   POST /api/empleados/:usuarioId/reactivate
+ * @desc    Reactivar un empleado y restaurar los roles que tenía (los vencidos siguen vencidos)
+ * @access  Private (permiso: employees:manage)
  */
-router.delete('/:usuarioId', empleadosController.deleteEmpleado);
+router.post('/:usuarioId/reactivate', authenticate, requirePermission(PERMISOS.EMPLOYEES_MANAGE), empleadosController.reactivarEmpleado);
 
 export default router;
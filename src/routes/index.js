@@ -10,9 +10,13 @@ import productRoutes from './productRoutes.js';
 import categoryRoutes from './categoryRoutes.js';
 import carritoRoutes from './carritoRoutes.js';
 import authRoutes from './authRoutes.js';
+import userRoutes from './userRoutes.js';
+import usuariosRoutes from './usuariosRoutes.js';
 import rolesRoutes from './rolesRoutes.js';
 import empleadosRoutes from './empleadosRoutes.js';
 import empleadosRolesRoutes from './empleadosRolesRoutes.js';
+import departamentosRoutes from './departamentosRoutes.js';
+import auditRoutes from './auditRoutes.js';
 
 const router = Router();
 
@@ -28,17 +32,28 @@ router.use('/carrito', carritoRoutes);
 // Rutas de autenticacion
 router.use('/auth', authRoutes);
 
+// Rutas del perfil del usuario autenticado
+router.use('/users', userRoutes);
+
+// Rutas de administración de usuarios (personal)
+router.use('/usuarios', usuariosRoutes);
+
 // Rutas de roles
 router.use('/roles', rolesRoutes);
 
 // Rutas de empleados
 router.use('/empleados', empleadosRoutes);
 
+// Rutas de departamentos
+router.use('/departamentos', departamentosRoutes);
+
+// Rutas del registro de auditoría
+router.use('/audit', auditRoutes);
+
 // Rutas de asignación empleados-roles (sin prefijo por estructura anidada)
 router.use('/', empleadosRolesRoutes);
 
 // Aquí puedes agregar más recursos:
-// router.use('/users', userRoutes);
 // router.use('/orders', orderRoutes);
 
 // Ruta de health check
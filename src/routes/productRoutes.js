@@ -15,26 +15,42 @@
 
 import { Router } from 'express';
 import productController from '../controllers/ProductController.js';
+import imagenesProductoController from '../controllers/ImagenesProductoController.js';
+import variantesProductoController from '../controllers/VariantesProductoController.js';
+import { authenticate } from '../middlewares/auth.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { uploadImagenes } from '../middlewares/upload.js';
+import { PERMISOS } from '../config/roles.js';
 
 const router = Router();
 
 /**
  * @route   GET /api/products
- * @desc    Obtener todos los productos con paginación y filtros
+ * @desc    Obtener todos los productos con paginación, filtros y facetas
  * @access  Public
  * @query   {number} page - Número de página (default: 1)
  * @query   {number} limit - Límite de items por página (default: 10)
- * @query   {number} idCategoria - Filtrar por categoría (ID numérico)
+ * @query   {string} cursor - pagination.nextCursor de la respuesta anterior (en lugar de page)
+ * @query   {string} idCategoria - Una o varias categorías (1,2 o idCategoria repetido)
  * @query   {number} minPrice - Precio mínimo
  * @query   {number} maxPrice - Precio máximo
- * @query   {string} sortBy - Campo para ordenar (default: id)
+ * @query   {boolean} inStock - true: solo con stock; false: solo agotados
+ * @query   {number} minRating - Calificación promedio mínima de las reseñas (1 a 5)
+ * @query   {string} atributo - nombre:valor1,valor2 de alguna variante (repetible, p.ej. talla:M,L)
+ * @query   {string} q - Texto a buscar, combinado con el resto de filtros
+ * @query   {string} sortBy - id | nombre | precio | stock | id_categoria | calificacion | relevancia (default: id; relevancia con q)
  * @query   {string} sortOrder - Orden: asc o desc (default: desc)
+ * @query   {boolean} facets - Calcular las facetas (default: true sin cursor, false con cursor)
+ * @note    La respuesta incluye "facets": productos por categoría, tramo de precio y
+ *          disponibilidad, cada uno contado con el resto de filtros activos (null si no se calculan)
+ * @note    Con cursor no se calcula el total (totalItems, totalPages y currentPage van en null).
+ *          Un cursor usado con otros filtros, sortBy o sortOrder se rechaza (400)
  */
 router.get('/', productController.getAllProducts);
 
 /**
  * @route   GET /api/products/low-stock
- * @desc    Obtener productos con stock bajo
+ * @desc    Obtener productos con stock bajo (los productos con variantes, por variante)
  * @access  Public
  * @note    Esta ruta debe ir ANTES de /:id para evitar conflictos
  */
@@ -42,9 +58,14 @@ router.get('/low-stock', productController.getLowStockProducts);
 
 /**
  * @route   GET /api/products/search
- * @desc    Buscar productos por nombre
+ * @desc    Buscar productos por nombre y descripción, ordenados por relevancia
  * @access  Public
- * @query   {string} q - Término de búsqueda (requerido)
+ * @query   {string} q - Término de búsqueda (requerido, 2 a 100 caracteres)
+ * @query   {number} page - Número de página (default: 1)
+ * @query   {number} limit - Resultados por página (default: 10, máx. 50)
+ * @query   {string} cursor - pagination.nextCursor de la respuesta anterior (en lugar de page)
+ * @note    Sin distinguir mayúsculas ni acentos, con stemming en español y tolerante a
+ *          errores de tipeo en el nombre. Cada resultado trae su "relevancia"
  */
 router.get('/search', productController.searchProducts);
 
@@ -64,10 +85,82 @@ router.get('/category/:idCategoria', productController.getProductsByCategory);
  */
 router.get('/:id', productController.getProductById);
 
+/**
+ * @route   GET /api/products/:id/imagenes
+ * @desc    Galería de imágenes de un producto (url, url_media, url_miniatura), en orden
+ * @access  Public
+ */
+router.get('/:id/imagenes', imagenesProductoController.listarImagenes);
+
+/**
+ * @route   POST /api/products/:id/imagenes
+ * @desc    Subir imágenes al final de la galería; se generan tamaño medio y miniatura
+ * @access  Private (permiso: products:write)
+ * @body    multipart/form-data - campo "imagenes" (hasta 10 archivos JPEG, PNG, WebP, GIF o AVIF de 5 MB)
+ * @note    Máximo 12 imágenes por producto. La primera imagen de un producto pasa a ser la principal
+ */
+router.post('/:id/imagenes', authenticate, requirePermission(PERMISOS.PRODUCTS_WRITE), uploadImagenes('imagenes'), imagenesProductoController.subirImagenes);
+
+/**
+ * @route   PUT /api/products/:id/imagenes/orden
+ * @desc    Reordenar la galería
+ * @access  Private (permiso: products:write)
+ * @body    {Array<number>} ids - Todas las imágenes del producto en el nuevo orden
+ */
+router.put('/:id/imagenes/orden', authenticate, requirePermission(PERMISOS.PRODUCTS_WRITE), imagenesProductoController.reordenarImagenes);
+
+/**
+ * @route   PATCH /api/products/:id/imagenes/:imagenId/principal
+ * @desc    Marcar una imagen como la principal del producto
+ * @access  Private (permiso: products:write)
+ */
+router.patch('/:id/imagenes/:imagenId/principal', authenticate, requirePermission(PERMISOS.PRODUCTS_WRITE), imagenesProductoController.setPrincipal);
+
+/**
+ * @route   DELETE /api/products/:id/imagenes/:imagenId
+ * @desc    Eliminar una imagen y sus archivos (si era la principal, la siguiente ocupa su lugar)
+ * @access  Private (permiso: products:write)
+ */
+router.delete('/:id/imagenes/:imagenId', authenticate, requirePermission(PERMISOS.PRODUCTS_WRITE), imagenesProductoController.deleteImagen);
+
+/**
+ * @route   GET /api/products/:id/variantes
+ * @desc    Variantes de un producto (SKU, opciones, precio efectivo y stock)
+ * @access  Public
+ */
+router.get('/:id/variantes', variantesProductoController.listarVariantes);
+
+/**
+ * @route   POST /api/products/:id/variantes
+ * @desc    Crear una variante del producto
+ * @access  Private (permiso: products:write)
+ * @body    {string} sku - SKU único (requerido)
+ * @body    {object} opciones - Valores de opción, p.ej. { "talla": "M", "material": "plata" } (requerido)
+ * @body    {number} precio - Precio propio (opcional; sin él se usa el del producto)
+ * @body    {number} stock - Stock inicial (default: 0)
+ * @note    El stock del producto pasa a ser la suma del de sus variantes
+ */
+router.post('/:id/variantes', authenticate, requirePermission(PERMISOS.PRODUCTS_WRITE), variantesProductoController.createVariante);
+
+/**
+ * @route   PUT /api/products/:id/variantes/:varianteId
+ * @desc    Actualizar SKU, opciones, precio o stock de una variante
+ * @access  Private (permiso: products:write)
+ * @body    {number|null} precio - null vuelve al precio del producto
+ */
+router.put('/:id/variantes/:varianteId', authenticate, requirePermission(PERMISOS.PRODUCTS_WRITE), variantesProductoController.updateVariante);
+
+/**
+ * @route   DELETE /api/products/:id/variantes/:varianteId
+ * @desc    Eliminar una variante (también se quita de los carritos)
+ * @access  Private (permiso: products:write)
+ */
+router.delete('/:id/variantes/:varianteId', authenticate, requirePermission(PERMISOS.PRODUCTS_WRITE), variantesProductoController.deleteVariante);
+
 /**
  * @route   POST /api/products
  * @desc    Crear un nuevo producto
- * @access  Private (aquí podrías agregar middleware de autenticación)
+ * @access  Private (permiso: products:write)
  * @body    {object} product - Datos del producto
  * @body    {string} product.nombre - Nombre del producto (requerido)
  * @body    {string} product.descripcion - Descripción
@@ -75,32 +168,33 @@ router.get('/:id', productController.getProductById);
  * @body    {number} product.stock - Stock inicial
  * @body    {number} product.id_categoria - ID de categoría (FK)
  */
-router.post('/', productController.createProduct);
+router.post('/', authenticate, requirePermission(PERMISOS.PRODUCTS_WRITE), productController.createProduct);
 
 /**
  * @route   PUT /api/products/:id
  * @desc    Actualizar un producto completo
- * @access  Private
+ * @access  Private (permiso: products:write)
  * @param   {string} id - ID del producto
  * @body    {object} product - Datos a actualizar
  */
-router.put('/:id', productController.updateProduct);
+router.put('/:id', authenticate, requirePermission(PERMISOS.PRODUCTS_WRITE), productController.updateProduct);
 
 /**
  * @route   PATCH /api/products/:id/stock
  * @desc    Actualizar solo el stock de un producto
- * @access  Private
+ * @access  Private (permiso: stock:adjust)
  * @param   {string} id - ID del producto
  * @body    {number} quantity - Cantidad a agregar/restar
+ * @body    {number} variante_id - Variante a ajustar (requerida si el producto tiene variantes)
  */
-router.patch('/:id/stock', productController.updateProductStock);
+router.patch('/:id/stock', authenticate, requirePermission(PERMISOS.STOCK_ADJUST), productController.updateProductStock);
 
 /**
  * @route   DELETE /api/products/:id
  * @desc    Eliminar un producto (soft delete)
- * @access  Private
+ * @access  Private (permiso: products:delete)
  * @param   {string} id - ID del producto
  */
-router.delete('/:id', productController.deleteProduct);
+router.delete('/:id', authenticate, requirePermission(PERMISOS.PRODUCTS_DELETE), productController.deleteProduct);
 
 export default router;
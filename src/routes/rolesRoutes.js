@@ -6,6 +6,9 @@
 
 import { Router } from 'express';
 import rolesController from '../controllers/RolesController.js';
+import { authenticate } from '../middlewares/auth.js';
+import { requireEmployee, requirePermission } from '../middlewares/authorize.js';
+import { PERMISOS } from '../config/roles.js';
 
 const router = Router();
 
@@ -18,10 +21,56 @@ router.get('/', rolesController.listarRoles);
 
 /**
  * @route   GET /api/roles/with-users
- * @desc    Listar roles con usuarios asociados
- * @access  Public
+ * @desc    Listar roles con sus miembros vigentes (fecha de asignación y quién la otorgó)
+ * @access  Private (empleados)
+ * @query   {boolean} sinMiembros - true para ver solo los roles sin miembros
+ */
+router.get('/with-users', authenticate, requireEmployee(), rolesController.getRolesWithUsers);
+
+/**
+ * @route   GET /api/roles/reportes/miembros
+ * @desc    Número de miembros vigentes por rol, de más a menos
+ * @access  Private (empleados)
  */
-router.get('/with-users', rolesController.getRolesWithUsers);
+router.get('/reportes/miembros', authenticate, requireEmployee(), rolesController.getConteoMiembros);
+
+/**
+ * @route   GET /api/roles/reportes/conflictos
+ * @desc    Empleados cuyos roles (directos o heredados) incumplen una regla de separación de funciones
+ * @access  Private (empleados)
+ */
+router.get('/reportes/conflictos', authenticate, requireEmployee(), rolesController.getConflictos);
+
+/**
+ * @route   GET /api/roles/incompatibilidades
+ * @desc    Listar reglas de roles incompatibles
+ * @access  Private (empleados)
+ */
+router.get('/incompatibilidades', authenticate, requireEmployee(), rolesController.listarIncompatibilidades);
+
+/**
+ * @route   POST /api/roles/incompatibilidades
+ * @desc    Declarar dos roles incompatibles (separación de funciones)
+ * @access  Private (permiso: roles:manage)
+ * @body    {Array<string>} roles_ids - Los dos roles incompatibles (requerido)
+ * @body    {string} motivo - Motivo de la regla
+ */
+router.post('/incompatibilidades', authenticate, requirePermission(PERMISOS.ROLES_MANAGE), rolesController.createIncompatibilidad);
+
+/**
+ * @route   DELETE /api/roles/incompatibilidades/:id
+ * @desc    Eliminar una regla de roles incompatibles
+ * @access  Private (permiso: roles:manage)
+ */
+router.delete('/incompatibilidades/:id', authenticate, requirePermission(PERMISOS.ROLES_MANAGE), rolesController.deleteIncompatibilidad);
+
+/**
+ * @route   GET /api/roles/permisos
+ * @desc    Catálogo de permisos disponibles
+ * @access  Private (empleados)
+ * @note    Esta ruta debe ir ANTES de /:idRol para evitar conflictos
+ */
+router.get('/permisos', authenticate, requireEmployee(), rolesController.listarPermisos);
 
 /**
  * @route   GET /api/roles/:idRol
@@ -32,30 +81,53 @@ router.get('/:idRol', rolesController.getRolById);
 
 /**
  * @route   GET /api/roles/:idRol/with-users
- * @desc    Obtener rol por ID con usuarios asociados
- * @access  Public
+ * @desc    Obtener rol por ID con sus miembros vigentes
+ * @access  Private (empleados)
+ */
+router.get('/:idRol/with-users', authenticate, requireEmployee(), rolesController.getRolWithUsers);
+
+/**
+ * @route   GET /api/roles/:idRol/permisos
+ * @desc    Listar los permisos otorgados a un rol
+ * @access  Private (empleados)
+ */
+router.get('/:idRol/permisos', authenticate, requireEmployee(), rolesController.getPermisosDeRol);
+
+/**
+ * @route   POST /api/roles/:idRol/permisos
+ * @desc    Otorgar un permiso del catálogo a un rol
+ * @access  Private (permiso: roles:manage)
+ * @body    {string} permiso - Clave del permiso, p.ej. products:write (requerido)
+ */
+router.post('/:idRol/permisos', authenticate, requirePermission(PERMISOS.ROLES_MANAGE), rolesController.otorgarPermiso);
+
+/**
+ * @route   DELETE /api/roles/:idRol/permisos/:permiso
+ * @desc    Revocar un permiso de un rol
+ * @access  Private (permiso: roles:manage)
+ * @param   {string} permiso - Clave del permiso, p.ej. products:write
  */
-router.get('/:idRol/with-users', rolesController.getRolWithUsers);
+router.delete('/:idRol/permisos/:permiso', authenticate, requirePermission(PERMISOS.ROLES_MANAGE), rolesController.revocarPermiso);
 
 /**
  * @route   POST /api/roles
  * @desc    Crear nuevo rol
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: roles:manage)
  */
-router.post('/', rolesController.createRol);
+router.post('/', authenticate, requirePermission(PERMISOS.ROLES_MANAGE), rolesController.createRol);
 
 /**
  * @route   PUT /api/roles/:idRol
  * @desc    Actualizar rol
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: roles:manage)
  */
-router.put('/:idRol', rolesController.updateRol);
+router.put('/:idRol', authenticate, requirePermission(PERMISOS.ROLES_MANAGE), rolesController.updateRol);
 
 /**
  * @route   DELETE /api/roles/:idRol
  * @desc    Eliminar rol
- * @access  Private (pendiente auth)
+ * @access  Private (permiso: roles:manage)
  */
-router.delete('/:idRol', rolesController.deleteRol);
+router.delete('/:idRol', authenticate, requirePermission(PERMISOS.ROLES_MANAGE), rolesController.deleteRol);
 
 export default router;
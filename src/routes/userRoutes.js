@@ -0,0 +1,59 @@
+/**
+ * USER ROUTES
+ *
+ * Autogestión del perfil del usuario autenticado.
+ * Todas las rutas requieren token de acceso.
+ */
+
+import { Router } from 'express';
+import perfilController from '../controllers/PerfilController.js';
+import { authenticate } from '../middlewares/auth.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/users/me
+ * @desc    Obtener el perfil propio con el resumen de pedidos recientes
+ * @access  Private (Bearer token)
+ */
+router.get('/me', perfilController.obtenerPerfil);
+
+/**
+ * @route   PATCH /api/users/me
+ * @desc    Actualizar nombre, dirección y/o teléfono
+ * @access  Private (Bearer token)
+ * @body    {string} nombre - Nombre (opcional)
+ * @body    {string} direccion - Dirección (opcional, null para borrar)
+ * @body    {string} telefono - Teléfono (opcional, null para borrar)
+ */
+router.patch('/me', perfilController.actualizarPerfil);
+
+/**
+ * @route   POST /api/users/me/reauthenticate
+ * @desc    Confirmar el password actual y obtener un token de re-autenticación
+ * @access  Private (Bearer token)
+ * @body    {string} password - Password actual (requerido)
+ */
+router.post('/me/reauthenticate', perfilController.reautenticar);
+
+/**
+ * @route   PUT /api/users/me/password
+ * @desc    Cambiar el password (cierra las demás sesiones)
+ * @access  Private (Bearer token + reauth_token)
+ * @body    {string} reauth_token - Token de re-autenticación (requerido)
+ * @body    {string} password - Nuevo password (requerido)
+ */
+router.put('/me/password', perfilController.cambiarPassword);
+
+/**
+ * @route   PUT /api/users/me/email
+ * @desc    Cambiar el email (requiere verificar el nuevo email)
+ * @access  Private (Bearer token + reauth_token)
+ * @body    {string} reauth_token - Token de re-autenticación (requerido)
+ * @body    {string} email - Nuevo email (requerido)
+ */
+router.put('/me/email', perfilController.cambiarEmail);
+
+export default router;
@@ -0,0 +1,53 @@
+/**
+ * CAPA DE ROUTES (Routing Layer)
+ *
+ * Administración de usuarios (clientes) para el personal de la tienda.
+ * Todas las rutas requieren token de acceso de un empleado activo.
+ */
+
+import { Router } from 'express';
+import usuariosAdminController from '../controllers/UsuariosAdminController.js';
+import { authenticate } from '../middlewares/auth.js';
+import { requireEmployee, requirePermission } from '../middlewares/authorize.js';
+import { PERMISOS } from '../config/roles.js';
+
+const router = Router();
+
+router.use(authenticate, requireEmployee());
+
+/**
+ * @route   GET /api/usuarios
+ * @desc    Buscar usuarios por nombre, email o teléfono (paginado)
+ * @access  Private (empleados)
+ * @query   {string} q - Texto a buscar (opcional)
+ * @query   {boolean} bloqueado - Filtrar por estado de bloqueo (opcional)
+ * @query   {number} page - Página (default: 1)
+ * @query   {number} limit - Resultados por página (default: 10, máx: 100)
+ * @query   {string} cursor - pagination.nextCursor de la respuesta anterior (en lugar de page)
+ */
+router.get('/', usuariosAdminController.buscarUsuarios);
+
+/**
+ * @route   GET /api/usuarios/:id
+ * @desc    Detalle del usuario con carritos, pedidos, reseñas y tickets de soporte
+ * @access  Private (empleados)
+ */
+router.get('/:id', usuariosAdminController.getUsuarioDetalle);
+
+/**
+ * @route   POST /api/usuarios/:id/block
+ * @desc    Bloquear la cuenta (cierra todas sus sesiones)
+ * @access  Private (permiso: users:manage)
+ * @body    {string} motivo - Motivo del bloqueo (opcional)
+ * @note    Las cuentas de empleados no se bloquean (403): se desactiva al empleado
+ */
+router.post('/:id/block', requirePermission(PERMISOS.USERS_MANAGE), usuariosAdminController.bloquearUsuario);
+
+/**
+ * @route   POST /api/usuarios/:id/unblock
+ * @desc    Desbloquear la cuenta
+ * @access  Private (permiso: users:manage)
+ */
+router.post('/:id/unblock', requirePermission(PERMISOS.USERS_MANAGE), usuariosAdminController.desbloquearUsuario);
+
+export default router;
@@ -4,6 +4,7 @@
  * Responsabilidades:
  * - Iniciar el servidor HTTP
  * - Verificar conexión con la base de datos
+ * - Arrancar las tareas periódicas (expiración de roles)
  * - Manejo de señales de terminación (graceful shutdown)
  * 
  * DECISIÓN ARQUITECTÓNICA:
@@ -15,6 +16,7 @@
 
 import app from './app.js';
 import database from './config/database.js';
+import expiracionRolesJob from './jobs/ExpiracionRolesJob.js';
 
 // Configuración del puerto
 const PORT = process.env.PORT || 3000;
@@ -49,6 +51,8 @@ async function startServer() {
       console.log(`📚 Documentación API: http://localhost:${PORT}/api/health`);
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       console.log('Presiona CTRL+C para detener el servidor');
+
+      expiracionRolesJob.start();
     });
 
   } catch (error) {
@@ -64,6 +68,8 @@ function gracefulShutdown(signal) {
   console.log(`\n⚠️  Señal ${signal} recibida`);
   console.log('🛑 Cerrando servidor gracefully...');
 
+  expiracionRolesJob.stop();
+
   if (server) {
     server.close(() => {
       console.log('✅ Servidor cerrado correctamente');
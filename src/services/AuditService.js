@@ -0,0 +1,152 @@
+/**
+ * CAPA DE SERVICES (Business Logic Layer)
+ *
+ * Registro de auditoría de las operaciones que modifican datos.
+ *
+ * Los services llaman a record() después de cada create/update/delete con
+ * el estado anterior y posterior de la entidad. Actor, IP y request ID se
+ * toman del contexto de la petición en curso (middlewares/requestContext.js);
+ * fuera de una petición el actor queda vacío (sistema).
+ */
+
+import auditRepository from '../repositories/AuditRepository.js';
+import { getRequestContext } from '../middlewares/requestContext.js';
+import { ValidationError } from '../utils/errors.js';
+
+export const AUDIT_ACCIONES = Object.freeze({
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+});
+
+export const AUDIT_ENTIDADES = Object.freeze({
+  PRODUCTO: 'producto',
+  IMAGEN_PRODUCTO: 'imagen_producto',
+  VARIANTE_PRODUCTO: 'variante_producto',
+  CATEGORIA: 'categoria',
+  ROL: 'rol',
+  ROL_PERMISO: 'rol_permiso',
+  ROL_INCOMPATIBLE: 'rol_incompatible',
+  EMPLEADO: 'empleado',
+  DEPARTAMENTO: 'departamento',
+  EMPLEADO_ROL: 'empleado_rol',
+  SOLICITUD_ROL: 'solicitud_rol',
+  CARRITO: 'carrito'
+});
+
+const MAX_LIMIT = 100;
+const SOLO_FECHA = /^\d{4}-\d{2}-\d{2}$/;
+
+export class AuditService {
+  constructor(repository = auditRepository, contextProvider = getRequestContext) {
+    this.repository = repository;
+    this.getContext = contextProvider;
+  }
+
+  /**
+   * Registra una operación. Nunca hace fallar la operación auditada:
+   * si no se puede guardar el registro solo se avisa en el log.
+   * @param {Object} entry
+   * @param {string} entry.accion - AUDIT_ACCIONES
+   * @param {string} entry.entidad - AUDIT_ENTIDADES
+   * @param {string|number} [entry.entidadId]
+   * @param {Object} [entry.antes] - Estado previo (null en create)
+   * @param {Object} [entry.despues] - Estado posterior (null en delete)
+   * @returns {Promise<Object|null>}
+   */
+  async record({ accion, entidad, entidadId = null, antes = null, despues = null }) {
+    try {
+      const contexto = this.getContext() || {};
+      const actor = contexto.req?.user;
+
+      return await this.repository.create({
+        actor_id: actor?.auth_user_id || null,
+        actor_email: actor?.email || null,
+        accion,
+        entidad,
+        entidad_id: entidadId !== null && entidadId !== undefined ? String(entidadId) : null,
+        antes: this.snapshot(antes),
+        despues: this.snapshot(despues),
+        ip: contexto.ip || null,
+        request_id: contexto.requestId || null,
+        client_request_id: contexto.clientRequestId || null
+      });
+    } catch (error) {
+      console.warn(`No se pudo registrar la auditoría (${entidad} ${accion}):`, error?.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Consulta el registro de auditoría
+   * @param {Object} filters - { entidad, entidadId, actor, accion, desde, hasta, page, limit, cursor }
+   * @returns {Promise<Object>}
+   */
+  async search(filters = {}) {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), MAX_LIMIT);
+
+    const entidades = Object.values(AUDIT_ENTIDADES);
+    if (filters.entidad && !entidades.includes(filters.entidad)) {
+      throw new ValidationError(`Entidad inválida. Valores permitidos: ${entidades.join(', ')}`);
+    }
+
+    const acciones = Object.values(AUDIT_ACCIONES);
+    if (filters.accion && !acciones.includes(filters.accion)) {
+      throw new ValidationError(`Acción inválida. Valores permitidos: ${acciones.join(', ')}`);
+    }
+
+    const desde = this.parseFecha(filters.desde, 'desde');
+    const hasta = this.parseFecha(filters.hasta, 'hasta', true);
+    if (desde && hasta && desde > hasta) {
+      throw new ValidationError('La fecha "desde" no puede ser posterior a "hasta"');
+    }
+
+    return await this.repository.search({
+      entidad: filters.entidad || undefined,
+      entidadId: filters.entidadId || undefined,
+      actorId: filters.actor || undefined,
+      accion: filters.accion || undefined,
+      desde: desde?.toISOString(),
+      hasta: hasta?.toISOString(),
+      page,
+      limit,
+      cursor: filters.cursor || undefined
+    });
+  }
+
+  /**
+   * Copia serializable del estado de una entidad
+   * @private
+   */
+  snapshot(estado) {
+    if (estado === null || estado === undefined) {
+      return null;
+    }
+
+    return JSON.parse(JSON.stringify(estado));
+  }
+
+  /**
+   * Interpreta una fecha de filtro. Una fecha sin hora en "hasta" cubre el día completo.
+   * @private
+   */
+  parseFecha(valor, campo, finDelDia = false) {
+    if (!valor) {
+      return null;
+    }
+
+    const texto = String(valor).trim();
+    const fecha = SOLO_FECHA.test(texto) && finDelDia
+      ? new Date(`${texto}T23:59:59.999Z`)
+      : new Date(texto);
+
+    if (isNaN(fecha.getTime())) {
+      throw new ValidationError(`La fecha "${campo}" no es válida (ISO 8601)`);
+    }
+
+    return fecha;
+  }
+}
+
+export default new AuditService();
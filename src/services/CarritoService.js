@@ -5,22 +5,37 @@
  * 
  * Responsabilidades:
  * - Validar reglas de negocio (stock, cantidades, etc.)
+ * - Trabajar a nivel de variante en productos con variantes (precio y stock de la variante)
+ * - Rechazar operaciones de usuarios bloqueados (incluido el paso a pedido)
  * - Orquestar operaciones entre CarritoRepository y ProductRepository
  * - Calcular totales y subtotales
+ * - Auditar cada cambio en los items y en el estado del carrito
  * - Transformar datos para la presentación
  */
 
 import carritoRepository from '../repositories/CarritoRepository.js';
 import productRepository from '../repositories/ProductRepository.js';
-import { ValidationError, NotFoundError } from '../utils/errors.js';
+import variantesProductoRepository from '../repositories/VariantesProductoRepository.js';
+import variantesProductoService from './VariantesProductoService.js';
+import usuarioRepository from '../repositories/UsuarioRepository.js';
+import auditService, { AUDIT_ACCIONES, AUDIT_ENTIDADES } from './AuditService.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../utils/errors.js';
 
 export class CarritoService {
   constructor(
     carritoRepo = carritoRepository,
-    productRepo = productRepository
+    productRepo = productRepository,
+    usuarioRepo = usuarioRepository,
+    auditServ = auditService,
+    variantesRepo = variantesProductoRepository,
+    variantesServ = variantesProductoService
   ) {
     this.carritoRepository = carritoRepo;
     this.productRepository = productRepo;
+    this.usuarioRepository = usuarioRepo;
+    this.auditService = auditServ;
+    this.variantesRepository = variantesRepo;
+    this.variantesService = variantesServ;
   }
 
   /**
@@ -30,6 +45,8 @@ export class CarritoService {
    */
   async obtenerCarritoActivo(usuarioId) {
     try {
+      await this.assertUsuarioHabilitado(usuarioId);
+
       // Obtener o crear carrito activo
       const carrito = await this.carritoRepository.getOrCreateCarrito(usuarioId);
       
@@ -49,20 +66,7 @@ export class CarritoService {
       }
 
       // Calcular totales y formatear items
-      const items = (carritoConDetalles.detalles_carritos || []).map(detalle => ({
-        id: detalle.id,
-        producto_id: detalle.productos.id,
-        nombre: detalle.productos.nombre,
-        descripcion: detalle.productos.descripcion,
-        precio: parseFloat(detalle.productos.precio),
-        precio_formateado: `$${parseFloat(detalle.productos.precio).toFixed(2)}`,
-        cantidad: detalle.cantidad,
-        stock_disponible: detalle.productos.stock,
-        subtotal: detalle.cantidad * parseFloat(detalle.productos.precio),
-        subtotal_formateado: `$${(detalle.cantidad * parseFloat(detalle.productos.precio)).toFixed(2)}`,
-        tiene_stock: detalle.productos.stock >= detalle.cantidad,
-        id_categoria: detalle.productos.id_categoria
-      }));
+      const items = (carritoConDetalles.detalles_carritos || []).map(detalle => this.toItem(detalle));
 
       const total = items.reduce((sum, item) => sum + item.subtotal, 0);
 
@@ -87,26 +91,20 @@ export class CarritoService {
    * @param {number} usuarioId - ID del usuario
    * @param {number} productoId - ID del producto
    * @param {number} cantidad - Cantidad a agregar (default: 1)
+   * @param {number|null} varianteId - ID de la variante (requerido si el producto tiene variantes)
    * @returns {Promise<Object>}
    */
-  async agregarProducto(usuarioId, productoId, cantidad = 1) {
+  async agregarProducto(usuarioId, productoId, cantidad = 1, varianteId = null) {
     try {
+      await this.assertUsuarioHabilitado(usuarioId);
+
       // Validar cantidad
       if (!Number.isInteger(cantidad) || cantidad <= 0) {
         throw new ValidationError('La cantidad debe ser un número entero mayor a 0');
       }
 
-      // Verificar que el producto existe y obtener su stock
-      const producto = await this.productRepository.findById(productoId);
-      if (!producto) {
-        throw new NotFoundError('Producto no encontrado');
-      }
-
-      // Normalizar stock a número
-      const stockDisponible = Number(producto.stock);
-      if (!Number.isFinite(stockDisponible)) {
-        throw new ValidationError('Stock del producto inválido');
-      }
+      // Verificar que el producto (y la variante) existe y obtener su stock
+      const { stockDisponible } = await this.getArticulo(productoId, varianteId);
 
       // Obtener o crear carrito activo
       const carrito = await this.carritoRepository.getOrCreateCarrito(usuarioId);
@@ -114,9 +112,7 @@ export class CarritoService {
       // Verificar stock disponible
       // Primero obtener la cantidad actual en el carrito si existe
       const carritoActual = await this.carritoRepository.getCarritoConDetalles(usuarioId);
-      const detalleExistente = carritoActual?.detalles_carritos?.find(
-        d => d.productos.id === productoId
-      );
+      const detalleExistente = this.buscarDetalle(carritoActual, productoId, varianteId);
       
       const cantidadActualEnCarrito = detalleExistente ? detalleExistente.cantidad : 0;
       const nuevaCantidadTotal = cantidadActualEnCarrito + cantidad;
@@ -131,9 +127,18 @@ export class CarritoService {
       const detalleCarrito = await this.carritoRepository.agregarProducto(
         carrito.id,
         productoId,
-        cantidad
+        cantidad,
+        varianteId
       );
 
+      await this.auditService.record({
+        accion: detalleExistente ? AUDIT_ACCIONES.UPDATE : AUDIT_ACCIONES.CREATE,
+        entidad: AUDIT_ENTIDADES.CARRITO,
+        entidadId: carrito.id,
+        antes: detalleExistente ? { producto_id: productoId, variante_id: varianteId, cantidad: cantidadActualEnCarrito } : null,
+        despues: { producto_id: productoId, variante_id: varianteId, cantidad: nuevaCantidadTotal }
+      });
+
       // Retornar el carrito actualizado completo
       return await this.obtenerCarritoActivo(usuarioId);
     } catch (error) {
@@ -146,25 +151,20 @@ export class CarritoService {
    * @param {number} usuarioId - ID del usuario
    * @param {number} productoId - ID del producto
    * @param {number} nuevaCantidad - Nueva cantidad
+   * @param {number|null} varianteId - ID de la variante (null en productos sin variantes)
    * @returns {Promise<Object>}
    */
-  async actualizarCantidadProducto(usuarioId, productoId, nuevaCantidad) {
+  async actualizarCantidadProducto(usuarioId, productoId, nuevaCantidad, varianteId = null) {
     try {
+      await this.assertUsuarioHabilitado(usuarioId);
+
       // Validar cantidad
       if (!Number.isInteger(nuevaCantidad) || nuevaCantidad <= 0) {
         throw new ValidationError('La cantidad debe ser un número entero mayor a 0');
       }
 
-      // Verificar que el producto existe
-      const producto = await this.productRepository.findById(productoId);
-      if (!producto) {
-        throw new NotFoundError('Producto no encontrado');
-      }
-
-      const stockDisponible = Number(producto.stock);
-      if (!Number.isFinite(stockDisponible)) {
-        throw new ValidationError('Stock del producto inválido');
-      }
+      // Verificar que el producto (y la variante) existe
+      const { stockDisponible } = await this.getArticulo(productoId, varianteId);
 
       // Validar stock (no se puede establecer una cantidad mayor al stock disponible)
       if (nuevaCantidad > stockDisponible) {
@@ -180,9 +180,7 @@ export class CarritoService {
       }
 
       // Buscar el detalle del producto en el carrito
-      const detalleCarrito = carritoConDetalles.detalles_carritos?.find(
-        d => d.productos.id === productoId
-      );
+      const detalleCarrito = this.buscarDetalle(carritoConDetalles, productoId, varianteId);
 
       if (!detalleCarrito) {
         throw new NotFoundError('El producto no está en el carrito');
@@ -191,6 +189,14 @@ export class CarritoService {
       // Actualizar cantidad
       await this.carritoRepository.actualizarCantidad(detalleCarrito.id, nuevaCantidad);
 
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.UPDATE,
+        entidad: AUDIT_ENTIDADES.CARRITO,
+        entidadId: carritoConDetalles.id,
+        antes: { producto_id: productoId, variante_id: varianteId, cantidad: detalleCarrito.cantidad },
+        despues: { producto_id: productoId, variante_id: varianteId, cantidad: nuevaCantidad }
+      });
+
       // Retornar carrito actualizado
       return await this.obtenerCarritoActivo(usuarioId);
     } catch (error) {
@@ -202,10 +208,13 @@ export class CarritoService {
    * Elimina un producto específico del carrito
    * @param {number} usuarioId - ID del usuario
    * @param {number} productoId - ID del producto a eliminar
+   * @param {number|null} varianteId - ID de la variante (null en productos sin variantes)
    * @returns {Promise<Object>}
    */
-  async eliminarProducto(usuarioId, productoId) {
+  async eliminarProducto(usuarioId, productoId, varianteId = null) {
     try {
+      await this.assertUsuarioHabilitado(usuarioId);
+
       // Obtener carrito del usuario
       const carritoConDetalles = await this.carritoRepository.getCarritoConDetalles(usuarioId);
       if (!carritoConDetalles) {
@@ -213,9 +222,7 @@ export class CarritoService {
       }
 
       // Buscar el detalle del producto en el carrito
-      const detalleCarrito = carritoConDetalles.detalles_carritos?.find(
-        d => d.productos.id === productoId
-      );
+      const detalleCarrito = this.buscarDetalle(carritoConDetalles, productoId, varianteId);
 
       if (!detalleCarrito) {
         throw new NotFoundError('El producto no está en el carrito');
@@ -224,6 +231,13 @@ export class CarritoService {
       // Eliminar el producto
       await this.carritoRepository.eliminarProducto(detalleCarrito.id);
 
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.DELETE,
+        entidad: AUDIT_ENTIDADES.CARRITO,
+        entidadId: carritoConDetalles.id,
+        antes: { producto_id: productoId, variante_id: varianteId, cantidad: detalleCarrito.cantidad }
+      });
+
       // Retornar carrito actualizado
       return await this.obtenerCarritoActivo(usuarioId);
     } catch (error) {
@@ -238,12 +252,28 @@ export class CarritoService {
    */
   async vaciarCarrito(usuarioId) {
     try {
+      await this.assertUsuarioHabilitado(usuarioId);
+
       // Obtener carrito activo
       const carrito = await this.carritoRepository.getOrCreateCarrito(usuarioId);
+      const carritoConDetalles = await this.carritoRepository.getCarritoConDetalles(usuarioId);
 
       // Vaciar todos los items
       await this.carritoRepository.vaciarCarrito(carrito.id);
 
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.DELETE,
+        entidad: AUDIT_ENTIDADES.CARRITO,
+        entidadId: carrito.id,
+        antes: {
+          items: (carritoConDetalles?.detalles_carritos || []).map(detalle => ({
+            producto_id: detalle.productos?.id,
+            variante_id: detalle.variante_id ?? null,
+            cantidad: detalle.cantidad
+          }))
+        }
+      });
+
       // Retornar carrito vacío
       return await this.obtenerCarritoActivo(usuarioId);
     } catch (error) {
@@ -259,6 +289,8 @@ export class CarritoService {
    */
   async cambiarEstadoCarrito(usuarioId, nuevoEstado) {
     try {
+      await this.assertUsuarioHabilitado(usuarioId);
+
       // Validar estado
       if (![1, 2, 3].includes(nuevoEstado)) {
         throw new ValidationError('Estado inválido. Debe ser 1 (activo), 2 (pedido) o 3 (abandonado)');
@@ -270,6 +302,14 @@ export class CarritoService {
       // Cambiar estado
       await this.carritoRepository.cambiarEstado(carrito.id, nuevoEstado);
 
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.UPDATE,
+        entidad: AUDIT_ENTIDADES.CARRITO,
+        entidadId: carrito.id,
+        antes: { estado: carrito.estado },
+        despues: { estado: nuevoEstado }
+      });
+
       return {
         mensaje: 'Estado del carrito actualizado exitosamente',
         carrito_id: carrito.id,
@@ -279,6 +319,91 @@ export class CarritoService {
       throw error;
     }
   }
+
+  /**
+   * Obtiene el producto y, si se indica, su variante, con el stock disponible.
+   * Un producto con variantes solo se vende por variante
+   * @private
+   */
+  async getArticulo(productoId, varianteId) {
+    const producto = await this.productRepository.findById(productoId);
+    if (!producto) {
+      throw new NotFoundError('Producto no encontrado');
+    }
+
+    let variante = null;
+    if (varianteId) {
+      variante = await this.variantesRepository.findById(varianteId);
+      if (!variante || variante.producto_id !== producto.id) {
+        throw new NotFoundError('Variante no encontrada en el producto');
+      }
+    } else {
+      const variantes = await this.variantesRepository.findByProducto(producto.id);
+      if (variantes.length > 0) {
+        throw new ValidationError('El producto tiene variantes: indica la variante_id');
+      }
+    }
+
+    // Normalizar stock a número
+    const stockDisponible = Number((variante || producto).stock);
+    if (!Number.isFinite(stockDisponible)) {
+      throw new ValidationError('Stock del producto inválido');
+    }
+
+    return { producto, variante, stockDisponible };
+  }
+
+  /**
+   * Busca la línea del carrito de un producto y variante
+   * @private
+   */
+  buscarDetalle(carritoConDetalles, productoId, varianteId) {
+    return carritoConDetalles?.detalles_carritos?.find(
+      d => d.productos.id === productoId && (d.variante_id ?? null) === (varianteId ?? null)
+    );
+  }
+
+  /**
+   * Formatea una línea del carrito con el precio y stock de su variante, si la tiene
+   * @private
+   */
+  toItem(detalle) {
+    const variante = detalle.variantes_productos || null;
+    const precio = this.variantesService.precioEfectivo(variante, detalle.productos);
+    const stock = variante ? variante.stock : detalle.productos.stock;
+
+    return {
+      id: detalle.id,
+      producto_id: detalle.productos.id,
+      variante_id: variante?.id ?? null,
+      nombre: detalle.productos.nombre,
+      descripcion: detalle.productos.descripcion,
+      variante: variante ? { id: variante.id, sku: variante.sku, opciones: variante.opciones } : null,
+      precio,
+      precio_formateado: `$${precio.toFixed(2)}`,
+      cantidad: detalle.cantidad,
+      stock_disponible: stock,
+      subtotal: detalle.cantidad * precio,
+      subtotal_formateado: `$${(detalle.cantidad * precio).toFixed(2)}`,
+      tiene_stock: stock >= detalle.cantidad,
+      id_categoria: detalle.productos.id_categoria
+    };
+  }
+
+  /**
+   * Verifica que el usuario exista y no esté bloqueado
+   * @private
+   */
+  async assertUsuarioHabilitado(usuarioId) {
+    const usuario = await this.usuarioRepository.findById(usuarioId);
+    if (!usuario) {
+      throw new NotFoundError(`Usuario con ID ${usuarioId} no encontrado`);
+    }
+
+    if (usuario.bloqueado) {
+      throw new ForbiddenError('La cuenta está bloqueada. Contacta con soporte');
+    }
+  }
 }
 
 // Exportar instancia singleton
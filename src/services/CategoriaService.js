@@ -7,11 +7,13 @@
  */
 
 import categoriaRepository from '../repositories/CategoriaRepository.js';
+import auditService, { AUDIT_ACCIONES, AUDIT_ENTIDADES } from './AuditService.js';
 import { NotFoundError, ValidationError } from '../utils/errors.js';
 
 export class CategoriaService {
-    constructor(repository = categoriaRepository) {
+    constructor(repository = categoriaRepository, auditServ = auditService) {
         this.repository = repository;
+        this.auditService = auditServ;
     }
 
     /**
@@ -79,7 +81,16 @@ export class CategoriaService {
             throw new ValidationError(`Ya existe una categoría con el nombre "${normalized.nombre}"`);
         }
 
-        return await this.repository.create(normalized);
+        const categoria = await this.repository.create(normalized);
+
+        await this.auditService.record({
+            accion: AUDIT_ACCIONES.CREATE,
+            entidad: AUDIT_ENTIDADES.CATEGORIA,
+            entidadId: categoria.id_categoria,
+            despues: categoria
+        });
+
+        return categoria;
     }
 
     /**
@@ -112,7 +123,17 @@ export class CategoriaService {
             }
         }
 
-        return await this.repository.update(id, normalized);
+        const categoria = await this.repository.update(id, normalized);
+
+        await this.auditService.record({
+            accion: AUDIT_ACCIONES.UPDATE,
+            entidad: AUDIT_ENTIDADES.CATEGORIA,
+            entidadId: id,
+            antes: existing,
+            despues: categoria
+        });
+
+        return categoria;
     }
 
     /**
@@ -132,6 +153,14 @@ export class CategoriaService {
         // Si quieres habilitarlo, podemos revisar conteo con getCategoriaByIdWithProductCount.
 
         await this.repository.delete(id);
+
+        await this.auditService.record({
+            accion: AUDIT_ACCIONES.DELETE,
+            entidad: AUDIT_ENTIDADES.CATEGORIA,
+            entidadId: id,
+            antes: existing
+        });
+
         return {
             message: 'Categoría eliminada exitosamente',
             deletedCategory: {
@@ -0,0 +1,330 @@
+/**
+ * CAPA DE SERVICES (Business Logic Layer)
+ *
+ * Departamentos
+ * - PK: id (bigint)
+ * - nombre: único sin distinguir mayúsculas ni espacios
+ * - responsable_id: empleado a cargo (opcional)
+ * - padre_id: departamento superior (opcional, sin ciclos)
+ */
+
+import departamentosRepository from '../repositories/DepartamentosRepository.js';
+import empleadosRepository from '../repositories/EmpleadosRepository.js';
+import auditService, { AUDIT_ACCIONES, AUDIT_ENTIDADES } from './AuditService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+export class DepartamentosService {
+  constructor(
+    repository = departamentosRepository,
+    empleadosRepo = empleadosRepository,
+    auditServ = auditService
+  ) {
+    this.repository = repository;
+    this.empleadosRepository = empleadosRepo;
+    this.auditService = auditServ;
+  }
+
+  /**
+   * Obtiene todos los departamentos ordenados por nombre
+   * @returns {Promise<Array>}
+   */
+  async getAllDepartamentos() {
+    return await this.repository.getAllDepartamentos();
+  }
+
+  /**
+   * Obtiene un departamento por ID
+   * @param {number|string} id
+   * @returns {Promise<Object>}
+   */
+  async getDepartamentoById(id) {
+    this.validateId(id);
+
+    const departamento = await this.repository.findById(parseInt(id));
+    if (!departamento) {
+      throw new NotFoundError(`Departamento con ID ${id} no encontrado`);
+    }
+
+    return departamento;
+  }
+
+  /**
+   * Crea un departamento
+   * @param {Object} data
+   * @param {string} data.nombre
+   * @param {string} [data.responsable_id] - usuario_id del empleado responsable
+   * @param {number} [data.padre_id] - Departamento superior
+   */
+  async createDepartamento(data) {
+    this.validateDepartamentoData(data);
+
+    const normalized = {
+      nombre: data.nombre.trim(),
+      responsable_id: data.responsable_id || null,
+      padre_id: this.normalizarPadreId(data.padre_id)
+    };
+
+    await this.assertNombreDisponible(normalized.nombre);
+    await this.assertResponsable(normalized.responsable_id);
+
+    if (normalized.padre_id) {
+      await this.getDepartamentoById(normalized.padre_id);
+    }
+
+    const departamento = await this.repository.create(normalized);
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.CREATE,
+      entidad: AUDIT_ENTIDADES.DEPARTAMENTO,
+      entidadId: departamento.id,
+      despues: departamento
+    });
+
+    return departamento;
+  }
+
+  /**
+   * Actualiza un departamento
+   * @param {number|string} id
+   * @param {Object} updateData - { nombre, responsable_id, padre_id } (null quita responsable/padre)
+   */
+  async updateDepartamento(id, updateData) {
+    const existing = await this.getDepartamentoById(id);
+    const normalized = {};
+
+    if (updateData.nombre !== undefined) {
+      if (typeof updateData.nombre !== 'string' || updateData.nombre.trim().length === 0) {
+        throw new ValidationError('El nombre es requerido');
+      }
+
+      normalized.nombre = updateData.nombre.trim();
+      await this.assertNombreDisponible(normalized.nombre, existing.id);
+    }
+
+    if (updateData.responsable_id !== undefined) {
+      normalized.responsable_id = updateData.responsable_id || null;
+      await this.assertResponsable(normalized.responsable_id);
+    }
+
+    if (updateData.padre_id !== undefined) {
+      normalized.padre_id = this.normalizarPadreId(updateData.padre_id);
+
+      if (normalized.padre_id) {
+        await this.getDepartamentoById(normalized.padre_id);
+        await this.assertSinCiclo(existing.id, normalized.padre_id);
+      }
+    }
+
+    if (Object.keys(normalized).length === 0) {
+      throw new ValidationError('No hay datos para actualizar');
+    }
+
+    const departamento = await this.repository.update(existing.id, normalized);
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.UPDATE,
+      entidad: AUDIT_ENTIDADES.DEPARTAMENTO,
+      entidadId: existing.id,
+      antes: existing,
+      despues: departamento
+    });
+
+    return departamento;
+  }
+
+  /**
+   * Elimina un departamento sin empleados ni subdepartamentos
+   * @param {number|string} id
+   */
+  async deleteDepartamento(id) {
+    const existing = await this.getDepartamentoById(id);
+
+    const [empleados, hijos] = await Promise.all([
+      this.empleadosRepository.countByDepartamento(existing.id),
+      this.repository.countHijos(existing.id)
+    ]);
+
+    if (empleados > 0) {
+      throw new ValidationError(`El departamento tiene ${empleados} empleado(s); reasígnalos antes de eliminarlo`);
+    }
+
+    if (hijos > 0) {
+      throw new ValidationError(`El departamento tiene ${hijos} subdepartamento(s); reasígnalos antes de eliminarlo`);
+    }
+
+    await this.repository.delete(existing.id);
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.DELETE,
+      entidad: AUDIT_ENTIDADES.DEPARTAMENTO,
+      entidadId: existing.id,
+      antes: existing
+    });
+
+    return {
+      message: 'Departamento eliminado exitosamente',
+      deletedDepartment: {
+        id: existing.id,
+        nombre: existing.nombre
+      }
+    };
+  }
+
+  /**
+   * Organigrama de un departamento: responsable, empleados y
+   * subdepartamentos anidados con los suyos
+   * @param {number|string} id
+   * @param {Object} [options]
+   * @param {boolean} [options.incluirInactivos] - Incluir empleados desactivados
+   * @returns {Promise<Object>}
+   */
+  async getOrganigrama(id, options = {}) {
+    const raiz = await this.getDepartamentoById(id);
+
+    const todos = await this.repository.getAllDepartamentos();
+    const hijosPorPadre = new Map();
+    todos.forEach(departamento => {
+      if (!departamento.padre_id) return;
+      const hijos = hijosPorPadre.get(departamento.padre_id) || [];
+      hijos.push(departamento);
+      hijosPorPadre.set(departamento.padre_id, hijos);
+    });
+
+    // Departamentos del subárbol (la FK y assertSinCiclo impiden ciclos)
+    const subarbol = [raiz];
+    for (let i = 0; i < subarbol.length; i++) {
+      subarbol.push(...(hijosPorPadre.get(subarbol[i].id) || []));
+    }
+
+    const empleados = await this.empleadosRepository.findByDepartamentos(
+      subarbol.map(departamento => departamento.id),
+      options.incluirInactivos ? {} : { activos: true }
+    );
+
+    // Los responsables pueden pertenecer a otro departamento
+    const responsablesIds = [...new Set(subarbol.map(departamento => departamento.responsable_id).filter(Boolean))];
+    const responsables = responsablesIds.length > 0
+      ? await this.empleadosRepository.findDirectorioByUsuarioIds(responsablesIds)
+      : [];
+    const responsablePorId = new Map(responsables.map(empleado => [empleado.usuario_id, empleado]));
+
+    const empleadosPorDepartamento = new Map();
+    empleados.forEach(empleado => {
+      const lista = empleadosPorDepartamento.get(empleado.departamento_id) || [];
+      lista.push(empleado);
+      empleadosPorDepartamento.set(empleado.departamento_id, lista);
+    });
+
+    const construir = (departamento) => {
+      return {
+        id: departamento.id,
+        nombre: departamento.nombre,
+        padre_id: departamento.padre_id,
+        responsable: responsablePorId.get(departamento.responsable_id) || null,
+        empleados: empleadosPorDepartamento.get(departamento.id) || [],
+        subdepartamentos: (hijosPorPadre.get(departamento.id) || []).map(construir)
+      };
+    };
+
+    return construir(raiz);
+  }
+
+  // ===== Validaciones =====
+
+  /**
+   * @private
+   */
+  async assertNombreDisponible(nombre, idActual = null) {
+    const withSameName = await this.repository.findByNombre(nombre);
+    if (withSameName && withSameName.id !== idActual) {
+      throw new ValidationError(`Ya existe un departamento con el nombre "${withSameName.nombre}"`);
+    }
+  }
+
+  /**
+   * El responsable debe ser un empleado activo
+   * @private
+   */
+  async assertResponsable(responsableId) {
+    if (!responsableId) {
+      return;
+    }
+
+    if (typeof responsableId !== 'string' || !responsableId.trim()) {
+      throw new ValidationError('responsable_id debe ser el usuario_id de un empleado');
+    }
+
+    const empleado = await this.empleadosRepository.getEmpleadoByUsuarioId(responsableId);
+    if (!empleado) {
+      throw new NotFoundError('Empleado responsable no encontrado');
+    }
+
+    if (empleado.activo === false) {
+      throw new ValidationError('El responsable no puede ser un empleado desactivado');
+    }
+  }
+
+  /**
+   * padre_id vacío (null, '' o ausente) quita el padre; cualquier otro valor debe ser un ID válido
+   * @private
+   */
+  normalizarPadreId(padreId) {
+    if (padreId === undefined || padreId === null || padreId === '') {
+      return null;
+    }
+
+    this.validateId(padreId);
+    return parseInt(padreId);
+  }
+
+  /**
+   * Rechaza un padre que sea el propio departamento o uno de sus descendientes
+   * @private
+   */
+  async assertSinCiclo(id, padreId) {
+    const todos = await this.repository.getAllDepartamentos();
+    const padres = new Map(todos.map(departamento => [departamento.id, departamento.padre_id]));
+
+    const visitados = new Set();
+    let actual = padreId;
+    while (actual && !visitados.has(actual)) {
+      if (actual === id) {
+        throw new ValidationError('Un departamento no puede depender de sí mismo ni de uno de sus subdepartamentos');
+      }
+      visitados.add(actual);
+      actual = padres.get(actual);
+    }
+  }
+
+  validateId(id) {
+    if (id === undefined || id === null || id === '') {
+      throw new ValidationError('ID es requerido');
+    }
+
+    const numId = parseInt(id);
+    if (isNaN(numId) || numId <= 0) {
+      throw new ValidationError('ID debe ser un número positivo');
+    }
+  }
+
+  validateDepartamentoData(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+      errors.push('Datos de departamento inválidos');
+    } else {
+      if (typeof data.nombre !== 'string' || data.nombre.trim().length === 0) {
+        errors.push('El nombre es requerido');
+      }
+      if (typeof data.nombre === 'string' && data.nombre.length > 255) {
+        errors.push('El nombre no puede exceder 255 caracteres');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(`Errores de validación: ${errors.join(', ')}`);
+    }
+  }
+}
+
+export default new DepartamentosService();
@@ -2,60 +2,108 @@
  * CAPA DE SERVICES (Business Logic Layer)
  *
  * Gestión de la relación Empleados-Roles
+ *
+ * Las asignaciones pueden tener vencimiento (expira_en). Una asignación
+ * vencida se conserva como historial pero no cuenta para la autorización;
+ * volver a asignar el mismo rol la renueva.
+ *
+ * Al desactivar un empleado sus asignaciones quedan suspendidas
+ * (suspendido_en) y no se pueden cambiar hasta reactivarlo.
+ *
+ * Los roles marcados como sensibles (roles.sensible), y los que heredan
+ * alguno sensible, no se asignan directamente: se crea una solicitud
+ * pendiente que otro empleado autorizado aprueba o rechaza. Nadie puede
+ * aprobar su propia solicitud.
  */
 
 import empleadosRolesRepository from '../repositories/EmpleadosRolesRepository.js';
 import rolesRepository from '../repositories/RolesRepository.js';
+import solicitudesRolesRepository from '../repositories/SolicitudesRolesRepository.js';
 import empleadosService from './EmpleadosService.js';
-import { NotFoundError, ValidationError } from '../utils/errors.js';
+import rolesService from './RolesService.js';
+import auditService, { AUDIT_ACCIONES, AUDIT_ENTIDADES } from './AuditService.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+export const ESTADOS_ASIGNACION = ['vigente', 'expirado', 'suspendido'];
+
+export const ESTADOS_SOLICITUD = Object.freeze({
+  PENDIENTE: 'pendiente',
+  APROBADA: 'aprobada',
+  RECHAZADA: 'rechazada'
+});
 
 export class EmpleadosRolesService {
   constructor(
     repository = empleadosRolesRepository,
     rolesRepo = rolesRepository,
-    empleadosServ = empleadosService
+    empleadosServ = empleadosService,
+    rolesServ = rolesService,
+    solicitudesRepo = solicitudesRolesRepository,
+    auditServ = auditService
   ) {
     this.repository = repository;
     this.rolesRepository = rolesRepo;
     this.empleadosService = empleadosServ;
+    this.rolesService = rolesServ;
+    this.solicitudesRepository = solicitudesRepo;
+    this.auditService = auditServ;
   }
 
   /**
-   * Asigna un rol a un empleado
+   * Asigna un rol a un empleado. Si el rol es sensible (o hereda uno sensible) crea una solicitud
+   * pendiente de aprobación en su lugar (devuelve la solicitud, con estado).
    * @param {Object} data
    */
   async asignarRol(data) {
     this.validateAsignacionData(data);
+    const expiraEn = this.normalizeExpiracion(data.expira_en);
 
     const rol = await this.rolesRepository.getRolById(data.rol_id);
     if (!rol) {
       throw new NotFoundError(`Rol no encontrado`);
     }
 
-    await this.empleadosService.getEmpleadoByUsuarioId(data.empleado_id);
+    await this.getEmpleadoActivo(data.empleado_id);
 
-    const tieneRol = await this.repository.empleadoTieneRol(data.empleado_id, data.rol_id);
-    if (tieneRol) {
+    const existente = await this.repository.findAsignacion(data.empleado_id, data.rol_id);
+    if (existente && this.esVigente(existente)) {
       throw new ValidationError('El empleado ya tiene este rol asignado');
     }
 
-    const asignacion = await this.repository.asignarRol({
+    const conAprobacion = await this.rolesService.getRolesConAprobacion([rol.id]);
+    if (conAprobacion.has(rol.id)) {
+      const solicitud = await this.crearSolicitud(data.empleado_id, rol.id, data.otorgado_por, expiraEn);
+      await this.auditar(AUDIT_ACCIONES.CREATE, AUDIT_ENTIDADES.SOLICITUD_ROL, [{ despues: solicitud }]);
+      return solicitud;
+    }
+
+    const asignacion = await this.otorgar(existente, {
       empleado_id: data.empleado_id,
       rol_id: data.rol_id,
-      otorgado_por: data.otorgado_por || null
+      otorgado_por: data.otorgado_por || null,
+      expira_en: expiraEn
     });
 
+    await this.auditar(
+      existente ? AUDIT_ACCIONES.UPDATE : AUDIT_ACCIONES.CREATE,
+      AUDIT_ENTIDADES.EMPLEADO_ROL,
+      [{ antes: existente, despues: asignacion }]
+    );
+
     return asignacion;
   }
 
   /**
-   * Asigna múltiples roles
+   * Asigna múltiples roles. Los sensibles quedan como solicitudes pendientes
+   * y se devuelven junto a las asignaciones. Si algo falla se deshace lo aplicado.
    * @param {string} empleadoId
    * @param {Array<string>} rolesIds
    * @param {string} [otorgadoPor]
+   * @param {string} [expiraEn] - Vencimiento común (ISO 8601)
    */
-  async asignarMultiplesRoles(empleadoId, rolesIds, otorgadoPor = null) {
+  async asignarMultiplesRoles(empleadoId, rolesIds, otorgadoPor = null, expiraEn = null) {
     this.validateId(empleadoId);
+    const vencimiento = this.normalizeExpiracion(expiraEn);
 
     if (!Array.isArray(rolesIds) || rolesIds.length === 0) {
       throw new ValidationError('Se debe proporcionar al menos un rol');
@@ -74,23 +122,40 @@ export class EmpleadosRolesService {
       throw new NotFoundError(`Roles no encontrados`);
     }
 
-    await this.empleadosService.getEmpleadoByUsuarioId(empleadoId);
+    await this.getEmpleadoActivo(empleadoId);
 
     const rolesActuales = await this.repository.getRolesByEmpleado(empleadoId);
-    const rolesActualesIds = rolesActuales.map(r => r.rol_id);
-    const rolesNuevos = rolesIds.filter(rolId => !rolesActualesIds.includes(rolId));
+    const actualesPorRol = new Map(rolesActuales.map(r => [r.rol_id, r]));
+
+    const porAsignar = rolesExistentes.filter(rol => {
+      const actual = actualesPorRol.get(rol.id);
+      return !actual || !this.esVigente(actual);
+    });
 
-    if (rolesNuevos.length === 0) {
+    if (porAsignar.length === 0) {
       throw new ValidationError('El empleado ya tiene todos estos roles');
     }
 
-    const asignaciones = await this.repository.asignarMultiplesRoles(
-      empleadoId,
-      rolesNuevos,
-      otorgadoPor
-    );
-
-    return asignaciones;
+    const conAprobacion = await this.rolesService.getRolesConAprobacion(porAsignar.map(rol => rol.id));
+    const directos = porAsignar.filter(rol => !conAprobacion.has(rol.id));
+    const sensibles = porAsignar.filter(rol => conAprobacion.has(rol.id));
+
+    // Altas, renovaciones y solicitudes se aplican todas o ninguna
+    const aplicado = await this.aplicarSincronizacion(empleadoId, {
+      asignar: directos,
+      revocar: [],
+      solicitar: sensibles.map(rol => ({ id: rol.id, ya_pendiente: false }))
+    }, actualesPorRol, { otorgadoPor, expiraEn: vencimiento });
+
+    await this.auditar(AUDIT_ACCIONES.CREATE, AUDIT_ENTIDADES.EMPLEADO_ROL, aplicado.creadas.map(despues => ({ despues })));
+    await this.auditar(AUDIT_ACCIONES.UPDATE, AUDIT_ENTIDADES.EMPLEADO_ROL, aplicado.renovadas);
+    await this.auditar(AUDIT_ACCIONES.CREATE, AUDIT_ENTIDADES.SOLICITUD_ROL, aplicado.solicitudes.map(despues => ({ despues })));
+
+    return [
+      ...aplicado.creadas,
+      ...aplicado.renovadas.map(renovada => renovada.despues),
+      ...aplicado.solicitudes
+    ];
   }
 
   /**
@@ -102,8 +167,9 @@ export class EmpleadosRolesService {
     this.validateId(empleadoId);
     this.validateId(rolId);
 
-    const tieneRol = await this.repository.empleadoTieneRol(empleadoId, rolId);
-    if (!tieneRol) {
+    // Las asignaciones expiradas también se pueden revocar (limpieza)
+    const asignacion = await this.repository.findAsignacion(empleadoId, rolId);
+    if (!asignacion) {
       throw new NotFoundError('El empleado no tiene asignado este rol');
     }
 
@@ -113,6 +179,8 @@ export class EmpleadosRolesService {
       throw new Error('Error al revocar el rol');
     }
 
+    await this.auditar(AUDIT_ACCIONES.DELETE, AUDIT_ENTIDADES.EMPLEADO_ROL, [{ antes: result }]);
+
     return result;
   }
 
@@ -129,16 +197,57 @@ export class EmpleadosRolesService {
     }
 
     const result = await this.repository.revocarTodosLosRoles(empleadoId);
+
+    await this.auditar(AUDIT_ACCIONES.DELETE, AUDIT_ENTIDADES.EMPLEADO_ROL, result.map(antes => ({ antes })));
+
     return result;
   }
 
   /**
    * Obtiene roles de un empleado
    * @param {string} empleadoId
+   * @param {Object} [options]
+   * @param {boolean} [options.incluirHeredados] - Añade los roles heredados por jerarquía
    */
-  async getRolesByEmpleado(empleadoId) {
+  async getRolesByEmpleado(empleadoId, options = {}) {
     this.validateId(empleadoId);
-    return await this.repository.getRolesByEmpleado(empleadoId);
+    const asignaciones = (await this.repository.getRolesByEmpleado(empleadoId)).map(asignacion => ({
+      ...asignacion,
+      vigente: this.esVigente(asignacion)
+    }));
+
+    if (!options.incluirHeredados) {
+      return asignaciones;
+    }
+
+    // Solo las asignaciones vigentes transmiten herencia
+    const efectivos = await this.rolesService.getRolesEfectivos(
+      asignaciones.filter(asignacion => asignacion.vigente).map(asignacion => asignacion.rol_id)
+    );
+    const nombres = new Map(efectivos.map(rol => [rol.id, rol.nombre]));
+
+    const heredados = efectivos
+      .filter(rol => !rol.directo)
+      .map(rol => ({
+        empleado_id: empleadoId,
+        rol_id: rol.id,
+        vigente: true,
+        heredado: true,
+        heredado_de: {
+          id: rol.heredado_de,
+          nombre: nombres.get(rol.heredado_de) || null
+        },
+        roles: {
+          id: rol.id,
+          nombre: rol.nombre,
+          descripcion: rol.descripcion
+        }
+      }));
+
+    return [
+      ...asignaciones.map(asignacion => ({ ...asignacion, heredado: false })),
+      ...heredados
+    ];
   }
 
   /**
@@ -170,9 +279,444 @@ export class EmpleadosRolesService {
   /**
    * Obtiene todas las asignaciones
    * @param {Object} options
+   * @param {string} [options.estado] - 'vigente' | 'expirado' | 'suspendido'
    */
   async getAllAsignaciones(options = {}) {
-    return await this.repository.getAllAsignaciones(options);
+    if (options.estado !== undefined && !ESTADOS_ASIGNACION.includes(options.estado)) {
+      throw new ValidationError(`Estado inválido. Valores permitidos: ${ESTADOS_ASIGNACION.join(', ')}`);
+    }
+
+    const asignaciones = await this.repository.getAllAsignaciones(options);
+
+    return asignaciones.map(asignacion => ({
+      ...asignacion,
+      vigente: this.esVigente(asignacion)
+    }));
+  }
+
+  /**
+   * Sincroniza los roles directos de un empleado con la lista deseada:
+   * asigna los que faltan, revoca los que sobran y devuelve el diff.
+   * Los cambios se aplican como una sola operación: si alguno falla se
+   * deshacen los ya aplicados. Los roles sensibles (o que heredan uno sensible) que falten quedan como
+   * solicitudes pendientes. Las asignaciones expiradas cuentan como ausentes.
+   * @param {string} empleadoId
+   * @param {Array<string>} rolesIds - Conjunto completo de roles deseado (puede ser vacío)
+   * @param {Object} [options]
+   * @param {string} [options.otorgadoPor]
+   * @param {string} [options.expiraEn] - Vencimiento de las nuevas asignaciones
+   * @param {boolean} [options.dryRun] - Solo calcula el diff, sin aplicar cambios
+   * @returns {Promise<Object>} { empleado_id, dryRun, asignar, revocar, solicitar, sinCambios }
+   */
+  async sincronizarRoles(empleadoId, rolesIds, options = {}) {
+    this.validateId(empleadoId);
+    const vencimiento = this.normalizeExpiracion(options.expiraEn);
+
+    if (!Array.isArray(rolesIds)) {
+      throw new ValidationError('Se requiere un array de roles_ids (puede estar vacío)');
+    }
+
+    rolesIds.forEach(rolId => this.validateId(rolId));
+    const deseados = [...new Set(rolesIds)];
+
+    const rolesDeseados = await Promise.all(deseados.map(rolId => this.rolesRepository.getRolById(rolId)));
+    const noEncontrados = deseados.filter((rolId, index) => !rolesDeseados[index]);
+    if (noEncontrados.length > 0) {
+      throw new NotFoundError(`Roles no encontrados: ${noEncontrados.join(', ')}`);
+    }
+
+    await this.getEmpleadoActivo(empleadoId);
+
+    const actuales = await this.repository.getRolesByEmpleado(empleadoId);
+    const actualesPorRol = new Map(actuales.map(asignacion => [asignacion.rol_id, asignacion]));
+    const vigentes = actuales.filter(asignacion => this.esVigente(asignacion));
+    const deseadosSet = new Set(deseados);
+
+    const faltantes = rolesDeseados.filter(rol => {
+      const actual = actualesPorRol.get(rol.id);
+      return !actual || !this.esVigente(actual);
+    });
+
+    const conAprobacion = await this.rolesService.getRolesConAprobacion(faltantes.map(rol => rol.id));
+
+    const diff = {
+      empleado_id: empleadoId,
+      dryRun: options.dryRun === true,
+      asignar: faltantes.filter(rol => !conAprobacion.has(rol.id)).map(this.resumenRol),
+      revocar: vigentes
+        .filter(asignacion => !deseadosSet.has(asignacion.rol_id))
+        .map(asignacion => this.resumenRol(asignacion.roles || { id: asignacion.rol_id })),
+      solicitar: faltantes.filter(rol => conAprobacion.has(rol.id)).map(this.resumenRol),
+      sinCambios: vigentes
+        .filter(asignacion => deseadosSet.has(asignacion.rol_id))
+        .map(asignacion => this.resumenRol(asignacion.roles || { id: asignacion.rol_id }))
+    };
+
+    if (diff.solicitar.length > 0 && !options.otorgadoPor) {
+      throw new ValidationError('Las solicitudes de roles sensibles requieren un solicitante identificado');
+    }
+
+    // Las solicitudes ya pendientes no se duplican
+    const pendientes = await Promise.all(
+      diff.solicitar.map(rol => this.solicitudesRepository.findPendiente(empleadoId, rol.id))
+    );
+    diff.solicitar = diff.solicitar.map((rol, index) => ({ ...rol, ya_pendiente: !!pendientes[index] }));
+
+    if (diff.dryRun) {
+      return diff;
+    }
+
+    const aplicado = await this.aplicarSincronizacion(empleadoId, diff, actualesPorRol, {
+      otorgadoPor: options.otorgadoPor || null,
+      expiraEn: vencimiento
+    });
+
+    // Solo se audita lo que quedó aplicado
+    await this.auditar(AUDIT_ACCIONES.CREATE, AUDIT_ENTIDADES.EMPLEADO_ROL, aplicado.creadas.map(despues => ({ despues })));
+    await this.auditar(AUDIT_ACCIONES.UPDATE, AUDIT_ENTIDADES.EMPLEADO_ROL, aplicado.renovadas);
+    await this.auditar(AUDIT_ACCIONES.DELETE, AUDIT_ENTIDADES.EMPLEADO_ROL, aplicado.revocadas.map(antes => ({ antes })));
+    await this.auditar(AUDIT_ACCIONES.CREATE, AUDIT_ENTIDADES.SOLICITUD_ROL, aplicado.solicitudes.map(despues => ({ despues })));
+
+    return diff;
+  }
+
+  /**
+   * Aplica el diff de sincronizarRoles (o de asignarMultiplesRoles) deshaciendo lo aplicado si algo falla
+   * (el cliente de BD no ofrece transacciones).
+   * @private
+   * @returns {Promise<Object>} { creadas, renovadas: [{ antes, despues }], revocadas, solicitudes }
+   */
+  async aplicarSincronizacion(empleadoId, diff, actualesPorRol, { otorgadoPor, expiraEn }) {
+    const deshacer = [];
+    const aplicado = { creadas: [], renovadas: [], revocadas: [], solicitudes: [] };
+
+    try {
+      const nuevos = diff.asignar.filter(rol => !actualesPorRol.has(rol.id)).map(rol => rol.id);
+      const expiradas = diff.asignar.map(rol => actualesPorRol.get(rol.id)).filter(Boolean);
+
+      if (nuevos.length > 0) {
+        aplicado.creadas = await this.repository.asignarMultiplesRoles(empleadoId, nuevos, otorgadoPor, expiraEn);
+        deshacer.push(() => this.repository.revocarRoles(empleadoId, nuevos));
+      }
+
+      for (const asignacion of expiradas) {
+        const renovada = await this.renovarAsignacion(asignacion, otorgadoPor, expiraEn);
+        aplicado.renovadas.push({ antes: asignacion, despues: renovada });
+        deshacer.push(() => this.repository.updateAsignacion(asignacion.id, {
+          otorgado_por: asignacion.otorgado_por,
+          otorgado_en: asignacion.otorgado_en,
+          expira_en: asignacion.expira_en,
+          expirado_en: asignacion.expirado_en
+        }));
+      }
+
+      if (diff.revocar.length > 0) {
+        const revocadas = await this.repository.revocarRoles(empleadoId, diff.revocar.map(rol => rol.id));
+        aplicado.revocadas = revocadas;
+        deshacer.push(() => this.repository.restaurarAsignaciones(revocadas));
+      }
+
+      for (const rol of diff.solicitar.filter(rol => !rol.ya_pendiente)) {
+        const solicitud = await this.crearSolicitud(empleadoId, rol.id, otorgadoPor, expiraEn);
+        aplicado.solicitudes.push(solicitud);
+        deshacer.push(() => this.solicitudesRepository.delete(solicitud.id));
+      }
+
+      return aplicado;
+    } catch (error) {
+      for (const paso of deshacer.reverse()) {
+        try {
+          await paso();
+        } catch (cleanupError) {
+          console.warn('No se pudo deshacer la sincronización de roles:', cleanupError?.message || cleanupError);
+        }
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  resumenRol(rol) {
+    return { id: rol.id, nombre: rol.nombre ?? null };
+  }
+
+  // ===== Solicitudes de roles sensibles =====
+
+  /**
+   * Lista solicitudes de asignación
+   * @param {Object} [options] - { estado, empleadoId, limit, offset }
+   */
+  async getSolicitudes(options = {}) {
+    const estados = Object.values(ESTADOS_SOLICITUD);
+    if (options.estado !== undefined && !estados.includes(options.estado)) {
+      throw new ValidationError(`Estado inválido. Valores permitidos: ${estados.join(', ')}`);
+    }
+
+    return await this.solicitudesRepository.findAll(options);
+  }
+
+  /**
+   * Obtiene una solicitud por ID
+   * @param {string} solicitudId
+   */
+  async getSolicitudById(solicitudId) {
+    this.validateId(solicitudId);
+
+    const solicitud = await this.solicitudesRepository.findById(solicitudId);
+    if (!solicitud) {
+      throw new NotFoundError('Solicitud no encontrada');
+    }
+
+    return solicitud;
+  }
+
+  /**
+   * Aprueba una solicitud pendiente y asigna el rol.
+   * Quien aprueba no puede ser quien la pidió ni el empleado que recibe el rol.
+   * @param {string} solicitudId
+   * @param {string} aprobadorId - UUID (auth) de quien aprueba
+   * @returns {Promise<Object>} { solicitud, asignacion }
+   */
+  async aprobarSolicitud(solicitudId, aprobadorId) {
+    this.validateId(aprobadorId);
+    const solicitud = await this.getSolicitudPendiente(solicitudId);
+
+    if (solicitud.solicitado_por === aprobadorId) {
+      throw new ForbiddenError('No puedes aprobar tu propia solicitud');
+    }
+
+    if (solicitud.empleado_id === aprobadorId) {
+      throw new ForbiddenError('No puedes aprobar una solicitud de rol para ti mismo');
+    }
+
+    if (solicitud.expira_en && !this.esVigente(solicitud)) {
+      throw new ValidationError('El vencimiento solicitado ya pasó; rechaza la solicitud y crea una nueva');
+    }
+
+    await this.getEmpleadoActivo(solicitud.empleado_id);
+
+    const existente = await this.repository.findAsignacion(solicitud.empleado_id, solicitud.rol_id);
+    if (existente && this.esVigente(existente)) {
+      throw new ValidationError('El empleado ya tiene este rol asignado');
+    }
+
+    // Primero se reclama la solicitud (solo si sigue pendiente): si otro la aprobó o la
+    // rechazó mientras tanto, el rol no llega a otorgarse
+    const resuelta = await this.resolverSolicitud(solicitud.id, ESTADOS_SOLICITUD.APROBADA, aprobadorId);
+
+    let asignacion;
+    try {
+      asignacion = await this.otorgar(existente, {
+        empleado_id: solicitud.empleado_id,
+        rol_id: solicitud.rol_id,
+        otorgado_por: aprobadorId,
+        expira_en: solicitud.expira_en || null
+      });
+    } catch (error) {
+      try {
+        await this.solicitudesRepository.reabrir(solicitud.id, ESTADOS_SOLICITUD.APROBADA);
+      } catch (cleanupError) {
+        console.warn('No se pudo devolver la solicitud a pendiente:', cleanupError?.message || cleanupError);
+      }
+      throw error;
+    }
+
+    await this.auditar(AUDIT_ACCIONES.UPDATE, AUDIT_ENTIDADES.SOLICITUD_ROL, [{ antes: solicitud, despues: resuelta }]);
+    await this.auditar(
+      existente ? AUDIT_ACCIONES.UPDATE : AUDIT_ACCIONES.CREATE,
+      AUDIT_ENTIDADES.EMPLEADO_ROL,
+      [{ antes: existente, despues: asignacion }]
+    );
+
+    return { solicitud: resuelta, asignacion };
+  }
+
+  /**
+   * Rechaza una solicitud pendiente
+   * @param {string} solicitudId
+   * @param {string} decididoPor - UUID (auth) de quien rechaza
+   * @param {string} [motivo]
+   */
+  async rechazarSolicitud(solicitudId, decididoPor, motivo = null) {
+    this.validateId(decididoPor);
+
+    if (motivo !== null && motivo !== undefined && typeof motivo !== 'string') {
+      throw new ValidationError('El campo "motivo" debe ser un texto');
+    }
+
+    const solicitud = await this.getSolicitudPendiente(solicitudId);
+
+    const resuelta = await this.resolverSolicitud(solicitud.id, ESTADOS_SOLICITUD.RECHAZADA, decididoPor, motivo?.trim() || null);
+
+    await this.auditar(AUDIT_ACCIONES.UPDATE, AUDIT_ENTIDADES.SOLICITUD_ROL, [{ antes: solicitud, despues: resuelta }]);
+
+    return resuelta;
+  }
+
+  /**
+   * Crea la solicitud de un rol sensible
+   * @private
+   */
+  async crearSolicitud(empleadoId, rolId, solicitadoPor, expiraEn) {
+    if (!solicitadoPor) {
+      throw new ValidationError('Las solicitudes de roles sensibles requieren un solicitante identificado');
+    }
+
+    const pendiente = await this.solicitudesRepository.findPendiente(empleadoId, rolId);
+    if (pendiente) {
+      throw new ValidationError('Ya hay una solicitud pendiente para este rol');
+    }
+
+    return await this.solicitudesRepository.create({
+      empleado_id: empleadoId,
+      rol_id: rolId,
+      expira_en: expiraEn,
+      solicitado_por: solicitadoPor
+    });
+  }
+
+  /**
+   * @private
+   */
+  async getSolicitudPendiente(solicitudId) {
+    const solicitud = await this.getSolicitudById(solicitudId);
+
+    if (solicitud.estado !== ESTADOS_SOLICITUD.PENDIENTE) {
+      throw new ValidationError(`La solicitud ya fue ${solicitud.estado}`);
+    }
+
+    return solicitud;
+  }
+
+  /**
+   * @private
+   */
+  async resolverSolicitud(solicitudId, estado, decididoPor, motivo = null) {
+    const resuelta = await this.solicitudesRepository.resolver(solicitudId, {
+      estado,
+      decidido_por: decididoPor,
+      decidido_en: new Date().toISOString(),
+      motivo
+    });
+
+    if (!resuelta) {
+      throw new ValidationError('La solicitud ya fue resuelta');
+    }
+
+    return resuelta;
+  }
+
+  /**
+   * Registra el vencimiento de las asignaciones expiradas (lo ejecuta el barrido periódico)
+   * @returns {Promise<Array>} Asignaciones cuyo vencimiento se registró
+   */
+  async registrarExpiraciones() {
+    const pendientes = await this.repository.findExpiradasSinRegistrar();
+
+    const registradas = await Promise.all(
+      pendientes.map(asignacion => this.repository.registrarExpiracion(asignacion.id, asignacion.expira_en))
+    );
+
+    const cambios = pendientes
+      .map((antes, i) => ({ antes, despues: registradas[i] }))
+      .filter(cambio => cambio.despues);
+
+    await this.auditar(AUDIT_ACCIONES.UPDATE, AUDIT_ENTIDADES.EMPLEADO_ROL, cambios);
+
+    return cambios.map(cambio => cambio.despues);
+  }
+
+  /**
+   * Audita una lista de cambios { antes, despues } sobre asignaciones o solicitudes
+   * @private
+   */
+  async auditar(accion, entidad, cambios) {
+    for (const { antes = null, despues = null } of cambios) {
+      await this.auditService.record({
+        accion,
+        entidad,
+        entidadId: (despues || antes)?.id,
+        antes,
+        despues
+      });
+    }
+  }
+
+  /**
+   * Crea la asignación o renueva la existente (expirada)
+   * @private
+   */
+  async otorgar(existente, data) {
+    if (existente) {
+      return await this.renovarAsignacion(existente, data.otorgado_por, data.expira_en);
+    }
+
+    return await this.repository.asignarRol(data);
+  }
+
+  /**
+   * Reactiva una asignación vencida con un nuevo otorgante y vencimiento
+   * @private
+   */
+  async renovarAsignacion(asignacion, otorgadoPor, expiraEn) {
+    return await this.repository.updateAsignacion(asignacion.id, {
+      otorgado_por: otorgadoPor,
+      otorgado_en: new Date().toISOString(),
+      expira_en: expiraEn,
+      expirado_en: null
+    });
+  }
+
+  /**
+   * Obtiene el empleado y exige que esté activo: los roles de un
+   * empleado desactivado están suspendidos y no se modifican
+   * @private
+   */
+  async getEmpleadoActivo(empleadoId) {
+    const empleado = await this.empleadosService.getEmpleadoByUsuarioId(empleadoId);
+
+    if (empleado.activo === false) {
+      throw new ValidationError('El empleado está desactivado; reactívalo antes de cambiar sus roles');
+    }
+
+    return empleado;
+  }
+
+  /**
+   * Una asignación está vigente si no está suspendida ni vencida
+   * @param {Object} asignacion - { expira_en, suspendido_en }
+   * @returns {boolean}
+   */
+  esVigente(asignacion, ahora = new Date()) {
+    if (asignacion.suspendido_en) {
+      return false;
+    }
+
+    return !asignacion.expira_en || new Date(asignacion.expira_en) > ahora;
+  }
+
+  /**
+   * Valida y normaliza una fecha de vencimiento opcional
+   * @private
+   */
+  normalizeExpiracion(expiraEn) {
+    if (expiraEn === undefined || expiraEn === null || expiraEn === '') {
+      return null;
+    }
+
+    const fecha = new Date(expiraEn);
+    if (typeof expiraEn !== 'string' || isNaN(fecha.getTime())) {
+      throw new ValidationError('El campo "expira_en" debe ser una fecha válida (ISO 8601)');
+    }
+
+    if (fecha <= new Date()) {
+      throw new ValidationError('El campo "expira_en" debe ser una fecha futura');
+    }
+
+    return fecha.toISOString();
   }
 
   validateAsignacionData(data) {
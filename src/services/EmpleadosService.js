@@ -2,45 +2,124 @@
  * CAPA DE SERVICES (Business Logic Layer)
  *
  * Gestión de Empleados
+ *
+ * La baja de un empleado es una desactivación: se conserva la fila con el
+ * motivo y la fecha, y sus asignaciones de roles quedan suspendidas (no se
+ * borran) hasta que se reactive. Sus solicitudes de roles pendientes se rechazan. No hay borrado por la API: deleteEmpleado solo
+ * deshace altas incompletas (onboarding e importación).
  */
 
 import database from '../config/database.js';
-import { NotFoundError, ValidationError } from '../utils/errors.js';
+import empleadosRepository from '../repositories/EmpleadosRepository.js';
+import empleadosRolesRepository from '../repositories/EmpleadosRolesRepository.js';
+import solicitudesRolesRepository from '../repositories/SolicitudesRolesRepository.js';
+import departamentosRepository from '../repositories/DepartamentosRepository.js';
+import auditService, { AUDIT_ACCIONES, AUDIT_ENTIDADES } from './AuditService.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+export const EMPLEADOS_SORT_FIELDS = [
+  'creado_en',
+  'fecha_contratacion',
+  'numero_empleado',
+  'nombre',
+  'email',
+  'departamento'
+];
+
+const MAX_LIMIT = 100;
+const SOLO_FECHA = /^\d{4}-\d{2}-\d{2}$/;
 
 export class EmpleadosService {
-  constructor(db = database) {
+  constructor(
+    db = database,
+    auditServ = auditService,
+    empleadosRolesRepo = empleadosRolesRepository,
+    empleadosRepo = empleadosRepository,
+    departamentosRepo = departamentosRepository,
+    solicitudesRepo = solicitudesRolesRepository
+  ) {
     this.db = db;
     this.tableName = 'empleados';
+    this.auditService = auditServ;
+    this.empleadosRolesRepository = empleadosRolesRepo;
+    this.empleadosRepository = empleadosRepo;
+    this.departamentosRepository = departamentosRepo;
+    this.solicitudesRepository = solicitudesRepo;
   }
 
   /**
-   * Obtiene todos los empleados
-   * @param {Object} options
-   * @returns {Promise<Array>}
+   * Directorio de empleados paginado
+   * @param {Object} filters - { q, departamento, departamentoId, rolId, contratadoDesde, contratadoHasta, activos, page, limit, cursor, sortBy, sortOrder }
+   * @returns {Promise<Object>} { empleados, total, page, limit, totalPages, nextCursor }
    */
-  async getAllEmpleados(options = {}) {
-    try {
-      let query = this.db
-        .getClient()
-        .from(this.tableName)
-        .select('*');
+  async getAllEmpleados(filters = {}) {
+    return await this.searchEmpleados(filters, false);
+  }
 
-      if (options.activos !== undefined) {
-        query = query.eq('activo', options.activos);
-      }
+  /**
+   * Directorio de empleados paginado, con sus roles
+   * @param {Object} filters - Los mismos que getAllEmpleados
+   * @returns {Promise<Object>} { empleados, total, page, limit, totalPages, nextCursor }
+   */
+  async getAllEmpleadosWithRoles(filters = {}) {
+    return await this.searchEmpleados(filters, true);
+  }
 
-      query = query.order('creado_en', { ascending: false });
+  /**
+   * Valida los filtros del directorio y lanza la consulta
+   * @private
+   */
+  async searchEmpleados(filters, conRoles) {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), MAX_LIMIT);
 
-      const { data, error } = await query;
+    const sortBy = filters.sortBy || 'creado_en';
+    if (!EMPLEADOS_SORT_FIELDS.includes(sortBy)) {
+      throw new ValidationError(`sortBy inválido. Valores permitidos: ${EMPLEADOS_SORT_FIELDS.join(', ')}`);
+    }
 
-      if (error) {
-        throw new Error(`Error: ${error.message}`);
-      }
+    const sortOrder = filters.sortOrder || 'desc';
+    if (!['asc', 'desc'].includes(sortOrder)) {
+      throw new ValidationError('sortOrder debe ser "asc" o "desc"');
+    }
 
-      return data || [];
-    } catch (error) {
-      throw error;
+    const contratadoDesde = this.parseFechaFiltro(filters.contratadoDesde, 'contratadoDesde');
+    const contratadoHasta = this.parseFechaFiltro(filters.contratadoHasta, 'contratadoHasta');
+    if (contratadoDesde && contratadoHasta && contratadoDesde > contratadoHasta) {
+      throw new ValidationError('La fecha "contratadoDesde" no puede ser posterior a "contratadoHasta"');
+    }
+
+    if (filters.departamentoId !== undefined) {
+      this.validateDepartamentoId(filters.departamentoId);
+    }
+
+    let usuarioIds;
+    if (filters.rolId) {
+      this.validateId(filters.rolId);
+      const asignaciones = await this.empleadosRolesRepository.getEmpleadosByRol(filters.rolId, { soloVigentes: true });
+      usuarioIds = [...new Set(asignaciones.map(asignacion => asignacion.empleado_id))];
+
+      if (usuarioIds.length === 0) {
+        return { empleados: [], total: 0, page, limit, totalPages: 0, nextCursor: null };
+      }
     }
+
+    return await this.empleadosRepository.search({
+      q: filters.q?.trim() || undefined,
+      departamento: filters.departamento?.trim() || undefined,
+      departamentoId: filters.departamentoId !== undefined ? parseInt(filters.departamentoId) : undefined,
+      contratadoDesde,
+      contratadoHasta,
+      activos: filters.activos,
+      usuarioIds,
+      rolId: filters.rolId || undefined,
+      conRoles,
+      page,
+      limit,
+      cursor: filters.cursor || undefined,
+      sortBy,
+      sortOrder
+    });
   }
 
   /**
@@ -76,10 +155,13 @@ export class EmpleadosService {
   /**
    * Crea un nuevo empleado
    * @param {Object} data
+   * @param {string} data.usuario_id
+   * @param {number} [data.departamento_id] - ID en departamentos
    */
   async createEmpleado(data) {
     this.validateEmpleadoData(data);
     this.validateId(data.usuario_id);
+    const departamentoId = await this.resolveDepartamento(data.departamento_id);
 
     try {
       const existing = await this.getEmpleadoByUsuarioId(data.usuario_id);
@@ -116,8 +198,7 @@ export class EmpleadosService {
           usuario_id: data.usuario_id,
           numero_empleado: data.numero_empleado || null,
           fecha_contratacion: data.fecha_contratacion || null,
-          departamento: data.departamento || null,
-          activo: data.activo !== false
+          departamento_id: departamentoId
         }])
         .select()
         .single();
@@ -126,6 +207,13 @@ export class EmpleadosService {
         throw new Error(`Error: ${error.message}`);
       }
 
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.CREATE,
+        entidad: AUDIT_ENTIDADES.EMPLEADO,
+        entidadId: empleado.usuario_id,
+        despues: empleado
+      });
+
       return empleado;
     } catch (error) {
       throw error;
@@ -140,12 +228,24 @@ export class EmpleadosService {
   async updateEmpleado(usuarioId, updateData) {
     this.validateId(usuarioId);
 
-    await this.getEmpleadoByUsuarioId(usuarioId);
+    const anterior = await this.getEmpleadoByUsuarioId(usuarioId);
 
     const normalized = { ...updateData };
     delete normalized.usuario_id;
     delete normalized.creado_en;
 
+    if (['activo', 'desactivado_en', 'motivo_desactivacion'].some(campo => normalized[campo] !== undefined)) {
+      throw new ValidationError('Para dar de baja o reactivar un empleado usa /deactivate o /reactivate');
+    }
+
+    if (normalized.departamento !== undefined) {
+      throw new ValidationError('El departamento se indica con departamento_id (ver /api/departamentos)');
+    }
+
+    if (normalized.departamento_id !== undefined) {
+      normalized.departamento_id = await this.resolveDepartamento(normalized.departamento_id);
+    }
+
     if (normalized.numero_empleado) {
       try {
         const { data: otro } = await this.db
@@ -176,6 +276,14 @@ export class EmpleadosService {
         throw new Error(`Error: ${error.message}`);
       }
 
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.UPDATE,
+        entidad: AUDIT_ENTIDADES.EMPLEADO,
+        entidadId: usuarioId,
+        antes: anterior,
+        despues: data
+      });
+
       return data;
     } catch (error) {
       throw error;
@@ -183,7 +291,176 @@ export class EmpleadosService {
   }
 
   /**
-   * Elimina un empleado
+   * Desactiva un empleado, suspende sus asignaciones de roles y rechaza sus
+   * solicitudes de roles pendientes. Si algo falla se deshace lo anterior.
+   * @param {string} usuarioId
+   * @param {string} motivo - Motivo de la baja
+   * @param {string} [actorId] - auth_user_id de quien desactiva
+   * @returns {Promise<Object>} { empleado, rolesSuspendidos, solicitudesRechazadas }
+   */
+  async desactivarEmpleado(usuarioId, motivo, actorId = null) {
+    this.validateId(usuarioId);
+
+    if (typeof motivo !== 'string' || !motivo.trim()) {
+      throw new ValidationError('El motivo de la desactivación es requerido');
+    }
+
+    if (actorId && actorId === usuarioId) {
+      throw new ForbiddenError('No puedes desactivarte a ti mismo');
+    }
+
+    const anterior = await this.getEmpleadoByUsuarioId(usuarioId);
+    if (anterior.activo === false) {
+      throw new ValidationError('El empleado ya está desactivado');
+    }
+
+    const desactivadoEn = new Date().toISOString();
+    const empleado = await this.setEstado(usuarioId, {
+      activo: false,
+      desactivado_en: desactivadoEn,
+      motivo_desactivacion: motivo.trim()
+    });
+
+    let rolesSuspendidos = [];
+    let solicitudesRechazadas;
+    try {
+      rolesSuspendidos = await this.empleadosRolesRepository.suspenderRoles(usuarioId, desactivadoEn);
+
+      // Que nadie pueda aprobar después un rol para un empleado dado de baja
+      solicitudesRechazadas = await this.solicitudesRepository.rechazarPendientesDeEmpleado(usuarioId, {
+        decidido_por: actorId,
+        decidido_en: desactivadoEn,
+        motivo: 'Empleado desactivado'
+      });
+    } catch (error) {
+      if (rolesSuspendidos.length > 0) {
+        try {
+          await this.empleadosRolesRepository.reanudarRoles(usuarioId);
+        } catch (cleanupError) {
+          console.warn('No se pudieron reanudar los roles del empleado:', cleanupError?.message || cleanupError);
+        }
+      }
+
+      try {
+        await this.setEstado(usuarioId, {
+          activo: anterior.activo,
+          desactivado_en: anterior.desactivado_en ?? null,
+          motivo_desactivacion: anterior.motivo_desactivacion ?? null
+        });
+      } catch (cleanupError) {
+        console.warn('No se pudo restaurar el empleado tras fallar la desactivación:', cleanupError?.message || cleanupError);
+      }
+      throw error;
+    }
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.UPDATE,
+      entidad: AUDIT_ENTIDADES.EMPLEADO,
+      entidadId: usuarioId,
+      antes: anterior,
+      despues: empleado
+    });
+
+    for (const asignacion of rolesSuspendidos) {
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.UPDATE,
+        entidad: AUDIT_ENTIDADES.EMPLEADO_ROL,
+        entidadId: asignacion.id,
+        antes: { ...asignacion, suspendido_en: null },
+        despues: asignacion
+      });
+    }
+
+    for (const solicitud of solicitudesRechazadas) {
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.UPDATE,
+        entidad: AUDIT_ENTIDADES.SOLICITUD_ROL,
+        entidadId: solicitud.id,
+        antes: { ...solicitud, estado: 'pendiente', decidido_por: null, decidido_en: null, motivo: null },
+        despues: solicitud
+      });
+    }
+
+    return { empleado, rolesSuspendidos, solicitudesRechazadas };
+  }
+
+  /**
+   * Reactiva un empleado y le devuelve los roles suspendidos.
+   * Las asignaciones que vencieron mientras tanto siguen vencidas.
+   * @param {string} usuarioId
+   * @returns {Promise<Object>} { empleado, rolesRestaurados }
+   */
+  async reactivarEmpleado(usuarioId) {
+    this.validateId(usuarioId);
+
+    const anterior = await this.getEmpleadoByUsuarioId(usuarioId);
+    if (anterior.activo !== false) {
+      throw new ValidationError('El empleado ya está activo');
+    }
+
+    const rolesRestaurados = await this.empleadosRolesRepository.reanudarRoles(usuarioId);
+
+    let empleado;
+    try {
+      empleado = await this.setEstado(usuarioId, {
+        activo: true,
+        desactivado_en: null,
+        motivo_desactivacion: null
+      });
+    } catch (error) {
+      try {
+        await this.empleadosRolesRepository.suspenderRoles(usuarioId, anterior.desactivado_en || new Date().toISOString());
+      } catch (cleanupError) {
+        console.warn('No se pudieron volver a suspender los roles del empleado:', cleanupError?.message || cleanupError);
+      }
+      throw error;
+    }
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.UPDATE,
+      entidad: AUDIT_ENTIDADES.EMPLEADO,
+      entidadId: usuarioId,
+      antes: anterior,
+      despues: empleado
+    });
+
+    for (const asignacion of rolesRestaurados) {
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.UPDATE,
+        entidad: AUDIT_ENTIDADES.EMPLEADO_ROL,
+        entidadId: asignacion.id,
+        antes: { ...asignacion, suspendido_en: anterior.desactivado_en ?? null },
+        despues: asignacion
+      });
+    }
+
+    return { empleado, rolesRestaurados };
+  }
+
+  /**
+   * Actualiza los campos de estado de un empleado
+   * @private
+   */
+  async setEstado(usuarioId, estado) {
+    const { data, error } = await this.db
+      .getClient()
+      .from(this.tableName)
+      .update(estado)
+      .eq('usuario_id', usuarioId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Elimina un empleado (físicamente, con sus roles por cascada).
+   * Solo para deshacer un alta que no llegó a completarse; para bajas usa
+   * desactivarEmpleado, que conserva el historial.
    * @param {string} usuarioId
    */
   async deleteEmpleado(usuarioId) {
@@ -204,6 +481,13 @@ export class EmpleadosService {
         throw new Error(`Error: ${error.message}`);
       }
 
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.DELETE,
+        entidad: AUDIT_ENTIDADES.EMPLEADO,
+        entidadId: usuarioId,
+        antes: data
+      });
+
       return data;
     } catch (error) {
       throw error;
@@ -228,6 +512,7 @@ export class EmpleadosService {
             rol_id,
             otorgado_por,
             otorgado_en,
+            suspendido_en,
             roles (
               id,
               nombre,
@@ -253,43 +538,45 @@ export class EmpleadosService {
   }
 
   /**
-   * Obtiene todos los empleados con sus roles
+   * Valida una fecha de filtro (YYYY-MM-DD)
+   * @private
    */
-  async getAllEmpleadosWithRoles(options = {}) {
-    try {
-      let query = this.db
-        .getClient()
-        .from(this.tableName)
-        .select(`
-          *,
-          empleados_roles (
-            id,
-            rol_id,
-            otorgado_por,
-            otorgado_en,
-            roles (
-              id,
-              nombre,
-              descripcion
-            )
-          )
-        `);
+  parseFechaFiltro(valor, campo) {
+    if (!valor) {
+      return undefined;
+    }
 
-      if (options.activos !== undefined) {
-        query = query.eq('activo', options.activos);
-      }
+    const texto = String(valor).trim();
+    if (!SOLO_FECHA.test(texto) || isNaN(new Date(texto).getTime())) {
+      throw new ValidationError(`La fecha "${campo}" no es válida (YYYY-MM-DD)`);
+    }
 
-      query = query.order('creado_en', { ascending: false });
+    return texto;
+  }
 
-      const { data, error } = await query;
+  /**
+   * Comprueba que el departamento exista. null/undefined = sin departamento
+   * @private
+   */
+  async resolveDepartamento(departamentoId) {
+    if (departamentoId === undefined || departamentoId === null || departamentoId === '') {
+      return null;
+    }
 
-      if (error) {
-        throw new Error(`Error: ${error.message}`);
-      }
+    this.validateDepartamentoId(departamentoId);
 
-      return data || [];
-    } catch (error) {
-      throw error;
+    const departamento = await this.departamentosRepository.findById(parseInt(departamentoId));
+    if (!departamento) {
+      throw new NotFoundError(`Departamento con ID ${departamentoId} no encontrado`);
+    }
+
+    return departamento.id;
+  }
+
+  validateDepartamentoId(departamentoId) {
+    const numId = Number(departamentoId);
+    if (!Number.isInteger(numId) || numId <= 0) {
+      throw new ValidationError('departamento_id debe ser un número positivo');
     }
   }
 
@@ -298,6 +585,10 @@ export class EmpleadosService {
       throw new ValidationError('Los datos deben ser un objeto');
     }
 
+    if (data.departamento !== undefined) {
+      throw new ValidationError('El departamento se indica con departamento_id (ver /api/departamentos)');
+    }
+
     if (!data.usuario_id) {
       throw new ValidationError('El campo usuario_id es requerido');
     }
@@ -0,0 +1,377 @@
+/**
+ * CAPA DE SERVICES (Business Logic Layer)
+ *
+ * Galería de imágenes de productos (imagenes_productos)
+ * - Cada subida se re-codifica a WebP en tres tamaños: original (máx. 2000 px),
+ *   media (800 px) y miniatura (200 px). Re-codificar también descarta los
+ *   metadatos EXIF (p.ej. la ubicación de la foto)
+ * - Los archivos se guardan a través del storage provider (src/providers/storage)
+ * - La primera imagen de un producto pasa a ser la principal; si se elimina la
+ *   principal, la siguiente de la galería ocupa su lugar
+ */
+
+import crypto from 'node:crypto';
+import sharp from 'sharp';
+import imagenesProductoRepository from '../repositories/ImagenesProductoRepository.js';
+import productRepository from '../repositories/ProductRepository.js';
+import storageProvider from '../providers/storage/index.js';
+import auditService, { AUDIT_ACCIONES, AUDIT_ENTIDADES } from './AuditService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+export const TAMANOS_IMAGEN = Object.freeze({
+  original: 2000,
+  media: 800,
+  miniatura: 200
+});
+
+export const MAX_IMAGENES_POR_PRODUCTO = 12;
+
+export class ImagenesProductoService {
+  constructor(
+    repository = imagenesProductoRepository,
+    productRepo = productRepository,
+    storage = storageProvider,
+    auditServ = auditService
+  ) {
+    this.repository = repository;
+    this.productRepository = productRepo;
+    this.storage = storage;
+    this.auditService = auditServ;
+  }
+
+  /**
+   * Imágenes de un producto en el orden de la galería
+   * @param {number|string} productoId
+   * @returns {Promise<Array>}
+   */
+  async getImagenes(productoId) {
+    await this.getProducto(productoId);
+
+    const imagenes = await this.repository.findByProducto(parseInt(productoId));
+    return imagenes.map(imagen => this.toImagen(imagen));
+  }
+
+  /**
+   * Sube imágenes al final de la galería de un producto
+   * @param {number|string} productoId
+   * @param {Array<Object>} archivos - Archivos de multer ({ buffer, originalname, mimetype })
+   * @returns {Promise<Array>} Imágenes creadas
+   */
+  async subirImagenes(productoId, archivos) {
+    const producto = await this.getProducto(productoId);
+
+    if (!Array.isArray(archivos) || archivos.length === 0) {
+      throw new ValidationError('Se debe adjuntar al menos una imagen en el campo "imagenes"');
+    }
+
+    const existentes = await this.repository.findByProducto(producto.id);
+    if (existentes.length + archivos.length > MAX_IMAGENES_POR_PRODUCTO) {
+      throw new ValidationError(
+        `Un producto puede tener como máximo ${MAX_IMAGENES_POR_PRODUCTO} imágenes (ya tiene ${existentes.length})`
+      );
+    }
+
+    // Procesar todas antes de guardar nada: un archivo corrupto no deja la galería a medias
+    const procesadas = [];
+    for (const archivo of archivos) {
+      procesadas.push(await this.procesarImagen(archivo));
+    }
+
+    const siguienteOrden = existentes.reduce((max, imagen) => Math.max(max, imagen.orden + 1), 0);
+    const sinPrincipal = !existentes.some(imagen => imagen.principal);
+
+    const clavesGuardadas = [];
+    const creadas = [];
+
+    try {
+      for (const [index, variantes] of procesadas.entries()) {
+        const clave = `productos/${producto.id}/${crypto.randomUUID()}`;
+        const urls = {};
+
+        for (const [tamano, contenido] of Object.entries(variantes)) {
+          const claveArchivo = `${clave}-${tamano}.webp`;
+          urls[tamano] = await this.storage.save(claveArchivo, contenido, 'image/webp');
+          clavesGuardadas.push(claveArchivo);
+        }
+
+        creadas.push(await this.repository.create({
+          producto_id: producto.id,
+          url: urls.original,
+          url_media: urls.media,
+          url_miniatura: urls.miniatura,
+          clave,
+          orden: siguienteOrden + index,
+          principal: sinPrincipal && index === 0
+        }));
+      }
+    } catch (error) {
+      for (const imagen of creadas) {
+        try {
+          await this.repository.delete(imagen.id);
+        } catch (cleanupError) {
+          console.warn('No se pudo deshacer la imagen creada:', cleanupError?.message || cleanupError);
+        }
+      }
+      await this.borrarArchivos(clavesGuardadas);
+      throw error;
+    }
+
+    for (const imagen of creadas) {
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.CREATE,
+        entidad: AUDIT_ENTIDADES.IMAGEN_PRODUCTO,
+        entidadId: imagen.id,
+        despues: imagen
+      });
+    }
+
+    return creadas.map(imagen => this.toImagen(imagen));
+  }
+
+  /**
+   * Reordena la galería completa
+   * @param {number|string} productoId
+   * @param {Array<number>} ids - Todos los IDs de imágenes del producto en el nuevo orden
+   * @returns {Promise<Array>} Galería reordenada
+   */
+  async reordenarImagenes(productoId, ids) {
+    const producto = await this.getProducto(productoId);
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new ValidationError('ids debe ser un array con los IDs de las imágenes en el nuevo orden');
+    }
+
+    const nuevoOrden = ids.map(id => parseInt(id));
+    if (nuevoOrden.some(id => isNaN(id) || id <= 0)) {
+      throw new ValidationError('Los IDs de imágenes deben ser números positivos');
+    }
+
+    const existentes = await this.repository.findByProducto(producto.id);
+    const porId = new Map(existentes.map(imagen => [imagen.id, imagen]));
+
+    if (new Set(nuevoOrden).size !== nuevoOrden.length
+      || nuevoOrden.length !== existentes.length
+      || nuevoOrden.some(id => !porId.has(id))) {
+      throw new ValidationError('ids debe incluir cada imagen del producto exactamente una vez');
+    }
+
+    const cambiadas = nuevoOrden.filter((id, orden) => porId.get(id).orden !== orden);
+
+    for (const id of cambiadas) {
+      const orden = nuevoOrden.indexOf(id);
+      const despues = await this.repository.update(id, { orden });
+
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.UPDATE,
+        entidad: AUDIT_ENTIDADES.IMAGEN_PRODUCTO,
+        entidadId: id,
+        antes: porId.get(id),
+        despues
+      });
+    }
+
+    const imagenes = await this.repository.findByProducto(producto.id);
+    return imagenes.map(imagen => this.toImagen(imagen));
+  }
+
+  /**
+   * Marca una imagen como la principal del producto
+   * @param {number|string} productoId
+   * @param {number|string} imagenId
+   * @returns {Promise<Object>}
+   */
+  async setPrincipal(productoId, imagenId) {
+    const imagen = await this.getImagenDeProducto(productoId, imagenId);
+
+    if (imagen.principal) {
+      return this.toImagen(imagen);
+    }
+
+    const principal = await this.repository.setPrincipal(imagen.producto_id, imagen.id);
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.UPDATE,
+      entidad: AUDIT_ENTIDADES.IMAGEN_PRODUCTO,
+      entidadId: imagen.id,
+      antes: imagen,
+      despues: principal
+    });
+
+    return this.toImagen(principal);
+  }
+
+  /**
+   * Elimina una imagen y sus archivos
+   * @param {number|string} productoId
+   * @param {number|string} imagenId
+   * @returns {Promise<Object>} La imagen eliminada
+   */
+  async deleteImagen(productoId, imagenId) {
+    const imagen = await this.getImagenDeProducto(productoId, imagenId);
+
+    await this.repository.delete(imagen.id);
+    await this.eliminarArchivos([imagen]);
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.DELETE,
+      entidad: AUDIT_ENTIDADES.IMAGEN_PRODUCTO,
+      entidadId: imagen.id,
+      antes: imagen
+    });
+
+    if (imagen.principal) {
+      const [siguiente] = await this.repository.findByProducto(imagen.producto_id);
+      if (siguiente) {
+        await this.repository.setPrincipal(imagen.producto_id, siguiente.id);
+      }
+    }
+
+    return this.toImagen(imagen);
+  }
+
+  /**
+   * Galerías de varios productos, para incrustarlas en los listados
+   * @param {Array<number>} productosIds
+   * @returns {Promise<Map<number, Array>>} producto_id → imágenes ordenadas
+   */
+  async getGalerias(productosIds) {
+    const imagenes = await this.repository.findByProductos(productosIds);
+
+    const galerias = new Map();
+    imagenes.forEach(imagen => {
+      const galeria = galerias.get(imagen.producto_id) || [];
+      galeria.push(this.toImagen(imagen));
+      galerias.set(imagen.producto_id, galeria);
+    });
+
+    return galerias;
+  }
+
+  /**
+   * Borra del storage los archivos de unas imágenes (p.ej. tras eliminar el producto).
+   * No lanza: un archivo huérfano no debe hacer fallar la operación.
+   * @param {Array<Object>} imagenes - Filas de imagenes_productos
+   */
+  async eliminarArchivos(imagenes) {
+    const claves = imagenes
+      .filter(imagen => imagen.clave)
+      .flatMap(imagen => Object.keys(TAMANOS_IMAGEN).map(tamano => `${imagen.clave}-${tamano}.webp`));
+
+    await this.borrarArchivos(claves);
+  }
+
+  /**
+   * Campos de galería que se incrustan en un producto
+   * @param {Array<Object>} imagenes - Imágenes ya formateadas y ordenadas
+   * @returns {Object} { imagen_principal, imagenes }
+   */
+  toGaleria(imagenes = []) {
+    return {
+      imagen_principal: imagenes.find(imagen => imagen.principal) || imagenes[0] || null,
+      imagenes
+    };
+  }
+
+  // ===== Privados =====
+
+  /**
+   * Valida el archivo y genera los tres tamaños en WebP
+   * @private
+   */
+  async procesarImagen(archivo) {
+    let metadata;
+    try {
+      metadata = await sharp(archivo.buffer).metadata();
+    } catch {
+      metadata = null;
+    }
+
+    if (!metadata?.width || !metadata?.height) {
+      throw new ValidationError(`"${archivo.originalname}" no es una imagen válida`);
+    }
+
+    const variantes = {};
+    for (const [tamano, maximo] of Object.entries(TAMANOS_IMAGEN)) {
+      variantes[tamano] = await sharp(archivo.buffer)
+        .rotate()
+        .resize({ width: maximo, height: maximo, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: tamano === 'miniatura' ? 75 : 85 })
+        .toBuffer();
+    }
+
+    return variantes;
+  }
+
+  /**
+   * @private
+   */
+  async borrarArchivos(claves) {
+    for (const clave of claves) {
+      try {
+        await this.storage.delete(clave);
+      } catch (error) {
+        console.warn('No se pudo borrar el archivo del storage:', error?.message || error);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async getProducto(productoId) {
+    this.validateId(productoId);
+
+    const producto = await this.productRepository.findById(parseInt(productoId));
+    if (!producto) {
+      throw new NotFoundError(`Producto con ID ${productoId} no encontrado`);
+    }
+
+    return producto;
+  }
+
+  /**
+   * @private
+   */
+  async getImagenDeProducto(productoId, imagenId) {
+    await this.getProducto(productoId);
+    this.validateId(imagenId);
+
+    const imagen = await this.repository.findById(parseInt(imagenId));
+    if (!imagen || imagen.producto_id !== parseInt(productoId)) {
+      throw new NotFoundError(`Imagen con ID ${imagenId} no encontrada en el producto ${productoId}`);
+    }
+
+    return imagen;
+  }
+
+  /**
+   * Las filas antiguas solo tienen url: se usa para todos los tamaños
+   * @private
+   */
+  toImagen(imagen) {
+    return {
+      id: imagen.id,
+      orden: imagen.orden,
+      principal: imagen.principal,
+      url: imagen.url,
+      url_media: imagen.url_media || imagen.url,
+      url_miniatura: imagen.url_miniatura || imagen.url
+    };
+  }
+
+  /**
+   * @private
+   */
+  validateId(id) {
+    if (!id) {
+      throw new ValidationError('ID es requerido');
+    }
+
+    const numId = parseInt(id);
+    if (isNaN(numId) || numId <= 0) {
+      throw new ValidationError('ID debe ser un número positivo');
+    }
+  }
+}
+
+export default new ImagenesProductoService();
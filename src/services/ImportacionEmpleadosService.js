@@ -0,0 +1,381 @@
+/**
+ * CAPA DE SERVICES (Business Logic Layer)
+ *
+ * Alta masiva de empleados desde un CSV (p.ej. al abrir una tienda).
+ *
+ * Cada fila convierte en empleado a un usuario que ya existe, igual que
+ * POST /api/empleados. Primero se validan todas las filas y, si alguna
+ * tiene errores, no se escribe nada: se devuelve el informe por fila.
+ * Si falla una escritura se borran los empleados ya creados en la importación.
+ *
+ * Columnas (cabecera obligatoria, en cualquier orden):
+ * - usuario_id o email: identifican al usuario (al menos una)
+ * - numero_empleado, fecha_contratacion (YYYY-MM-DD)
+ * - departamento (nombre) o departamento_id
+ * - roles: nombres separados por "|" (los sensibles quedan como solicitud)
+ */
+
+import usuarioRepository from '../repositories/UsuarioRepository.js';
+import empleadosRepository from '../repositories/EmpleadosRepository.js';
+import departamentosRepository from '../repositories/DepartamentosRepository.js';
+import rolesRepository from '../repositories/RolesRepository.js';
+import empleadosService from './EmpleadosService.js';
+import empleadosRolesService, { ESTADOS_SOLICITUD } from './EmpleadosRolesService.js';
+import { parseCsv } from '../utils/csv.js';
+import { ValidationError } from '../utils/errors.js';
+
+export const COLUMNAS_IMPORTACION = [
+  'usuario_id',
+  'email',
+  'numero_empleado',
+  'fecha_contratacion',
+  'departamento',
+  'departamento_id',
+  'roles'
+];
+
+export const ESTADOS_FILA = Object.freeze({
+  VALIDA: 'valida',
+  INVALIDA: 'invalida',
+  IMPORTADA: 'importada'
+});
+
+const MAX_FILAS = 200;
+const SOLO_FECHA = /^\d{4}-\d{2}-\d{2}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SEPARADOR_ROLES = '|';
+
+export class ImportacionEmpleadosService {
+  constructor(
+    usuarioRepo = usuarioRepository,
+    empleadosRepo = empleadosRepository,
+    departamentosRepo = departamentosRepository,
+    rolesRepo = rolesRepository,
+    empleadosServ = empleadosService,
+    empleadosRolesServ = empleadosRolesService
+  ) {
+    this.usuarioRepository = usuarioRepo;
+    this.empleadosRepository = empleadosRepo;
+    this.departamentosRepository = departamentosRepo;
+    this.rolesRepository = rolesRepo;
+    this.empleadosService = empleadosServ;
+    this.empleadosRolesService = empleadosRolesServ;
+  }
+
+  /**
+   * Valida el CSV completo y, si no hay errores ni es una simulación, crea los empleados
+   * @param {string} csv - Contenido del archivo
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Solo validar
+   * @param {string} [options.otorgadoPor] - auth_user_id de quien importa
+   * @param {boolean} [options.puedeAsignarRoles] - Quien importa tiene roles:assign
+   *   (sin él, las filas con roles son inválidas)
+   * @returns {Promise<Object>} { dryRun, importado, total, validas, invalidas, filas }
+   */
+  async importarCsv(csv, options = {}) {
+    const filas = this.leerFilas(csv);
+
+    await this.validarFilas(filas, options);
+
+    const invalidas = filas.filter(fila => fila.errores.length > 0).length;
+    const importar = !options.dryRun && invalidas === 0;
+
+    if (importar) {
+      await this.escribirFilas(filas, options.otorgadoPor || null);
+    }
+
+    return {
+      dryRun: options.dryRun === true,
+      importado: importar,
+      total: filas.length,
+      validas: filas.length - invalidas,
+      invalidas,
+      filas: filas.map(fila => this.toInforme(fila, importar))
+    };
+  }
+
+  /**
+   * Convierte el CSV en filas normalizadas; los errores de formato
+   * de una fila se anotan en ella, los del archivo se lanzan
+   * @private
+   */
+  leerFilas(csv) {
+    if (typeof csv !== 'string' || !csv.trim()) {
+      throw new ValidationError('El archivo CSV está vacío');
+    }
+
+    const [cabecera, ...registros] = parseCsv(csv);
+    const columnas = cabecera.campos.map(columna => columna.trim().toLowerCase());
+
+    const desconocidas = columnas.filter(columna => !COLUMNAS_IMPORTACION.includes(columna));
+    if (desconocidas.length > 0) {
+      throw new ValidationError(`Columnas desconocidas: ${desconocidas.join(', ')}. Permitidas: ${COLUMNAS_IMPORTACION.join(', ')}`);
+    }
+
+    const repetidas = columnas.filter((columna, index) => columnas.indexOf(columna) !== index);
+    if (repetidas.length > 0) {
+      throw new ValidationError(`Columnas repetidas: ${[...new Set(repetidas)].join(', ')}`);
+    }
+
+    if (!columnas.includes('usuario_id') && !columnas.includes('email')) {
+      throw new ValidationError('El CSV debe tener la columna usuario_id o email');
+    }
+
+    if (registros.length === 0) {
+      throw new ValidationError('El CSV no tiene filas de empleados');
+    }
+
+    if (registros.length > MAX_FILAS) {
+      throw new ValidationError(`El CSV no puede tener más de ${MAX_FILAS} filas`);
+    }
+
+    return registros.map(({ linea, campos }) => {
+      const valores = Object.fromEntries(columnas.map((columna, index) => [columna, campos[index]?.trim() || null]));
+      const errores = [];
+
+      if (campos.length !== columnas.length) {
+        errores.push(`Se esperaban ${columnas.length} columnas y hay ${campos.length}`);
+      }
+
+      if (!valores.usuario_id && !valores.email) {
+        errores.push('Falta usuario_id o email');
+      }
+
+      // Un UUID mal formado haría fallar la consulta de todo el lote
+      if (valores.usuario_id && !UUID.test(valores.usuario_id)) {
+        errores.push(`usuario_id "${valores.usuario_id}" no es un UUID válido`);
+        valores.usuario_id = null;
+      }
+
+      if (valores.fecha_contratacion && !this.esFechaValida(valores.fecha_contratacion)) {
+        errores.push(`fecha_contratacion "${valores.fecha_contratacion}" no es una fecha válida (YYYY-MM-DD)`);
+      }
+
+      if (valores.departamento_id && !(Number.isInteger(Number(valores.departamento_id)) && Number(valores.departamento_id) > 0)) {
+        errores.push('departamento_id debe ser un número positivo');
+      }
+
+      if (valores.departamento && valores.departamento_id) {
+        errores.push('Indica departamento o departamento_id, no ambos');
+      }
+
+      return {
+        fila: linea,
+        usuario_id: valores.usuario_id?.toLowerCase() || null,
+        email: valores.email?.toLowerCase() || null,
+        nombre: null,
+        numero_empleado: valores.numero_empleado,
+        fecha_contratacion: valores.fecha_contratacion,
+        departamento: valores.departamento,
+        departamento_id: valores.departamento_id ? Number(valores.departamento_id) : null,
+        roles: [...new Set((valores.roles || '').split(SEPARADOR_ROLES).map(rol => rol.trim()).filter(Boolean))],
+        rolesResueltos: [],
+        errores
+      };
+    });
+  }
+
+  /**
+   * Comprueba contra la base de datos y entre filas: usuarios, duplicados,
+   * números de empleado, departamentos y roles. Anota los errores en cada fila.
+   * @private
+   */
+  async validarFilas(filas, { puedeAsignarRoles = false } = {}) {
+    const emails = [...new Set(filas.map(fila => fila.email).filter(Boolean))];
+    const authUserIds = [...new Set(filas.map(fila => fila.usuario_id).filter(Boolean))];
+
+    const [porEmail, porAuthUserId, departamentos] = await Promise.all([
+      this.usuarioRepository.findByEmails(emails),
+      this.usuarioRepository.findByAuthUserIds(authUserIds),
+      this.departamentosRepository.getAllDepartamentos()
+    ]);
+
+    const usuariosPorEmail = new Map(porEmail.map(usuario => [usuario.email.toLowerCase(), usuario]));
+    const usuariosPorId = new Map(porAuthUserId.map(usuario => [usuario.auth_user_id, usuario]));
+
+    filas.forEach(fila => {
+      const porId = fila.usuario_id ? usuariosPorId.get(fila.usuario_id) : null;
+      const porCorreo = fila.email ? usuariosPorEmail.get(fila.email) : null;
+
+      if (fila.usuario_id && !porId) {
+        fila.errores.push(`No existe un usuario con usuario_id ${fila.usuario_id}`);
+      }
+      if (fila.email && !porCorreo) {
+        fila.errores.push(`No existe un usuario con el email ${fila.email} (para crear la cuenta usa /api/empleados/onboard)`);
+      }
+      if (porId && porCorreo && porId.auth_user_id !== porCorreo.auth_user_id) {
+        fila.errores.push('usuario_id y email corresponden a usuarios distintos');
+      }
+
+      const usuario = porId || porCorreo;
+      if (usuario) {
+        fila.usuario_id = usuario.auth_user_id;
+        fila.email = usuario.email;
+        fila.nombre = usuario.nombre;
+      }
+    });
+
+    // Usuarios que ya son empleados o que se repiten en el archivo
+    const usuariosResueltos = [...new Set(filas.map(fila => fila.usuario_id).filter(Boolean))];
+    const existentes = usuariosResueltos.length > 0
+      ? await this.empleadosRepository.findDirectorioByUsuarioIds(usuariosResueltos)
+      : [];
+    const yaEmpleados = new Set(existentes.map(empleado => empleado.usuario_id));
+
+    this.marcarRepetidos(filas, fila => fila.usuario_id, 'El usuario');
+    filas.forEach(fila => {
+      if (fila.usuario_id && yaEmpleados.has(fila.usuario_id)) {
+        fila.errores.push('El usuario ya es empleado');
+      }
+    });
+
+    // Números de empleado
+    const numeros = [...new Set(filas.map(fila => fila.numero_empleado).filter(Boolean))];
+    const numerosOcupados = numeros.length > 0
+      ? new Set((await this.empleadosRepository.findByNumeros(numeros)).map(empleado => empleado.numero_empleado))
+      : new Set();
+
+    this.marcarRepetidos(filas, fila => fila.numero_empleado, 'El número de empleado');
+    filas.forEach(fila => {
+      if (fila.numero_empleado && numerosOcupados.has(fila.numero_empleado)) {
+        fila.errores.push(`Ya existe un empleado con el número ${fila.numero_empleado}`);
+      }
+    });
+
+    // Departamentos, por nombre o por ID
+    const departamentosPorNombre = new Map(departamentos.map(departamento => [departamento.nombre.trim().toLowerCase(), departamento]));
+    const departamentosIds = new Set(departamentos.map(departamento => departamento.id));
+
+    filas.forEach(fila => {
+      if (fila.departamento) {
+        const departamento = departamentosPorNombre.get(fila.departamento.toLowerCase());
+        if (departamento) {
+          fila.departamento_id = departamento.id;
+        } else {
+          fila.errores.push(`Departamento "${fila.departamento}" no encontrado`);
+        }
+      } else if (fila.departamento_id && !departamentosIds.has(fila.departamento_id)) {
+        fila.errores.push(`Departamento con ID ${fila.departamento_id} no encontrado`);
+      }
+    });
+
+    // Roles por nombre, una consulta por nombre distinto
+    const nombresRoles = [...new Set(filas.flatMap(fila => fila.roles))];
+    const roles = await Promise.all(nombresRoles.map(nombre => this.rolesRepository.findByNombre(nombre)));
+    const rolesPorNombre = new Map(nombresRoles.map((nombre, index) => [nombre, roles[index]]));
+
+    filas.forEach(fila => {
+      if (fila.roles.length > 0 && !puedeAsignarRoles) {
+        fila.errores.push('Asignar roles requiere el permiso roles:assign');
+      }
+
+      fila.roles.forEach(nombre => {
+        const rol = rolesPorNombre.get(nombre);
+        if (rol) {
+          fila.rolesResueltos.push(rol);
+        } else {
+          fila.errores.push(`Rol "${nombre}" no encontrado`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Anota un error en las filas que repiten un valor de otra fila anterior
+   * @private
+   */
+  marcarRepetidos(filas, obtenerValor, descripcion) {
+    const primeraFila = new Map();
+
+    filas.forEach(fila => {
+      const valor = obtenerValor(fila);
+      if (!valor) return;
+
+      if (primeraFila.has(valor)) {
+        fila.errores.push(`${descripcion} ya aparece en la fila ${primeraFila.get(valor)}`);
+      } else {
+        primeraFila.set(valor, fila.fila);
+      }
+    });
+  }
+
+  /**
+   * Crea los empleados y sus roles. Si una fila falla se borran los
+   * empleados ya creados (sus roles y solicitudes caen en cascada).
+   * @private
+   */
+  async escribirFilas(filas, otorgadoPor) {
+    const creados = [];
+
+    try {
+      for (const fila of filas) {
+        const empleado = await this.empleadosService.createEmpleado({
+          usuario_id: fila.usuario_id,
+          numero_empleado: fila.numero_empleado,
+          fecha_contratacion: fila.fecha_contratacion,
+          departamento_id: fila.departamento_id
+        });
+        creados.push(empleado);
+
+        const resultados = fila.rolesResueltos.length > 0
+          ? await this.empleadosRolesService.asignarMultiplesRoles(empleado.usuario_id, fila.rolesResueltos.map(rol => rol.id), otorgadoPor)
+          : [];
+
+        const pendientes = new Set(resultados
+          .filter(resultado => resultado.estado === ESTADOS_SOLICITUD.PENDIENTE)
+          .map(solicitud => solicitud.rol_id));
+        fila.solicitudes = fila.rolesResueltos.filter(rol => pendientes.has(rol.id)).map(rol => rol.nombre);
+      }
+    } catch (error) {
+      for (const empleado of creados.reverse()) {
+        try {
+          await this.empleadosService.deleteEmpleado(empleado.usuario_id);
+        } catch (cleanupError) {
+          console.warn('No se pudo deshacer la importación del empleado:', cleanupError?.message || cleanupError);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  toInforme(fila, importado) {
+    const informe = {
+      fila: fila.fila,
+      estado: fila.errores.length > 0
+        ? ESTADOS_FILA.INVALIDA
+        : importado ? ESTADOS_FILA.IMPORTADA : ESTADOS_FILA.VALIDA,
+      usuario_id: fila.usuario_id,
+      email: fila.email,
+      nombre: fila.nombre,
+      numero_empleado: fila.numero_empleado,
+      fecha_contratacion: fila.fecha_contratacion,
+      departamento_id: fila.departamento_id,
+      roles: fila.roles,
+      errores: fila.errores
+    };
+
+    if (importado) {
+      informe.solicitudes_pendientes = fila.solicitudes;
+    }
+
+    return informe;
+  }
+
+  /**
+   * Fecha de calendario real en formato YYYY-MM-DD (rechaza 2024-02-30)
+   * @private
+   */
+  esFechaValida(valor) {
+    if (!SOLO_FECHA.test(valor)) {
+      return false;
+    }
+
+    const fecha = new Date(`${valor}T00:00:00Z`);
+    return !isNaN(fecha.getTime()) && fecha.toISOString().slice(0, 10) === valor;
+  }
+}
+
+export default new ImportacionEmpleadosService();
@@ -0,0 +1,211 @@
+/**
+ * CAPA DE SERVICES (Business Logic Layer)
+ *
+ * Alta completa de un empleado en una sola operación:
+ * cuenta en el proveedor de auth → perfil en usuarios → fila en empleados
+ * → roles iniciales → invitación por email para que elija su password.
+ *
+ * Si un paso falla se deshacen los anteriores en orden inverso, igual que
+ * UsuarioService.register limpia la cuenta de Auth.
+ */
+
+import crypto from 'node:crypto';
+import authProvider from '../providers/auth/index.js';
+import usuarioRepository from '../repositories/UsuarioRepository.js';
+import rolesRepository from '../repositories/RolesRepository.js';
+import departamentosRepository from '../repositories/DepartamentosRepository.js';
+import empleadosService from './EmpleadosService.js';
+import empleadosRolesService, { ESTADOS_SOLICITUD } from './EmpleadosRolesService.js';
+import verificacionCuentaService from './VerificacionCuentaService.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class OnboardingService {
+  constructor(
+    provider = authProvider,
+    usuarioRepo = usuarioRepository,
+    rolesRepo = rolesRepository,
+    empleadosServ = empleadosService,
+    empleadosRolesServ = empleadosRolesService,
+    verificacionServ = verificacionCuentaService,
+    departamentosRepo = departamentosRepository
+  ) {
+    this.authProvider = provider;
+    this.usuarioRepository = usuarioRepo;
+    this.rolesRepository = rolesRepo;
+    this.empleadosService = empleadosServ;
+    this.empleadosRolesService = empleadosRolesServ;
+    this.verificacionService = verificacionServ;
+    this.departamentosRepository = departamentosRepo;
+  }
+
+  /**
+   * Da de alta a un empleado con su cuenta, perfil y roles iniciales
+   * @param {Object} data
+   * @param {string} data.email
+   * @param {string} data.nombre
+   * @param {number} [data.departamento_id]
+   * @param {string} [data.numero_empleado]
+   * @param {string} [data.fecha_contratacion] - YYYY-MM-DD
+   * @param {string} [data.telefono]
+   * @param {Array<string>} [data.roles_ids] - Roles iniciales (los sensibles quedan pendientes de aprobación)
+   * @param {string} [otorgadoPor] - auth_user_id de quien hace el alta
+   * @param {Object} [options]
+   * @param {boolean} [options.puedeAsignarRoles] - Quien hace el alta tiene roles:assign
+   *   (sin él no se aceptan roles iniciales)
+   * @returns {Promise<Object>} { usuario, empleado, roles, solicitudes }
+   */
+  async onboardEmpleado(data, otorgadoPor = null, options = {}) {
+    this.validateOnboardingData(data);
+
+    const normalized = {
+      email: data.email.trim().toLowerCase(),
+      nombre: data.nombre.trim(),
+      telefono: data.telefono?.trim() || null,
+      departamento_id: data.departamento_id ? Number(data.departamento_id) : null,
+      numero_empleado: data.numero_empleado?.trim() || null,
+      fecha_contratacion: data.fecha_contratacion || null,
+      roles_ids: [...new Set(data.roles_ids || [])]
+    };
+
+    // Todo lo que se puede comprobar antes de crear nada
+    if (normalized.roles_ids.length > 0 && options.puedeAsignarRoles !== true) {
+      throw new ForbiddenError('Asignar roles iniciales requiere el permiso roles:assign');
+    }
+
+    const existing = await this.usuarioRepository.findByEmail(normalized.email);
+    if (existing) {
+      throw new ValidationError('Ya existe un usuario con ese email');
+    }
+
+    if (normalized.departamento_id && !(await this.departamentosRepository.findById(normalized.departamento_id))) {
+      throw new NotFoundError(`Departamento con ID ${normalized.departamento_id} no encontrado`);
+    }
+
+    const roles = await Promise.all(normalized.roles_ids.map(rolId => this.rolesRepository.getRolById(rolId)));
+    const noEncontrados = normalized.roles_ids.filter((rolId, index) => !roles[index]);
+    if (noEncontrados.length > 0) {
+      throw new NotFoundError(`Roles no encontrados: ${noEncontrados.join(', ')}`);
+    }
+
+    let authUserId = null;
+    let profile = null;
+    let empleado = null;
+
+    try {
+      const account = await this.authProvider.signUp({
+        email: normalized.email,
+        // Password aleatorio que nadie conoce: el empleado elige el suyo con la invitación
+        password: crypto.randomBytes(24).toString('base64url'),
+        metadata: {
+          nombre: normalized.nombre
+        }
+      });
+
+      authUserId = account.id;
+
+      profile = await this.usuarioRepository.createFromAuth({
+        auth_user_id: authUserId,
+        nombre: normalized.nombre,
+        email: normalized.email,
+        direccion: null,
+        telefono: normalized.telefono
+      });
+
+      empleado = await this.empleadosService.createEmpleado({
+        usuario_id: authUserId,
+        numero_empleado: normalized.numero_empleado,
+        departamento_id: normalized.departamento_id,
+        fecha_contratacion: normalized.fecha_contratacion
+      });
+
+      const resultados = normalized.roles_ids.length > 0
+        ? await this.empleadosRolesService.asignarMultiplesRoles(authUserId, normalized.roles_ids, otorgadoPor)
+        : [];
+
+      await this.sendInvitation(profile);
+
+      return {
+        usuario: profile,
+        empleado,
+        roles: resultados.filter(resultado => resultado.estado !== ESTADOS_SOLICITUD.PENDIENTE),
+        solicitudes: resultados.filter(resultado => resultado.estado === ESTADOS_SOLICITUD.PENDIENTE)
+      };
+    } catch (error) {
+      await this.rollback({ authUserId, profile, empleado });
+      throw error;
+    }
+  }
+
+  /**
+   * Deshace los pasos ya completados, del último al primero.
+   * Borrar el empleado elimina en cascada sus roles y solicitudes.
+   * @private
+   */
+  async rollback({ authUserId, profile, empleado }) {
+    const pasos = [
+      empleado && (() => this.empleadosService.deleteEmpleado(empleado.usuario_id)),
+      profile && (() => this.usuarioRepository.delete(profile.id)),
+      authUserId && (() => this.authProvider.deleteUser(authUserId))
+    ].filter(Boolean);
+
+    for (const paso of pasos) {
+      try {
+        await paso();
+      } catch (cleanupError) {
+        console.warn('No se pudo deshacer el alta del empleado:', cleanupError?.message || cleanupError);
+      }
+    }
+  }
+
+  /**
+   * Envía la invitación sin hacer fallar el alta:
+   * el empleado puede pedir un enlace con forgot-password.
+   * @private
+   */
+  async sendInvitation(profile) {
+    try {
+      await this.verificacionService.sendStaffInvitation(profile);
+    } catch (error) {
+      console.warn('No se pudo enviar la invitacion al empleado:', error?.message || error);
+    }
+  }
+
+  // ===== Validaciones =====
+
+  validateOnboardingData(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+      throw new ValidationError('Datos de alta invalidos');
+    }
+
+    if (typeof data.email !== 'string' || !EMAIL_PATTERN.test(data.email.trim())) {
+      errors.push('El email es requerido y debe ser válido');
+    }
+    if (typeof data.nombre !== 'string' || data.nombre.trim().length === 0) {
+      errors.push('El nombre es requerido');
+    }
+    if (data.departamento_id !== undefined && data.departamento_id !== null
+      && (!Number.isInteger(Number(data.departamento_id)) || Number(data.departamento_id) <= 0)) {
+      errors.push('departamento_id debe ser un número positivo');
+    }
+    if (data.numero_empleado !== undefined && data.numero_empleado !== null && typeof data.numero_empleado !== 'string') {
+      errors.push('El número de empleado debe ser un texto');
+    }
+    if (data.fecha_contratacion && isNaN(new Date(data.fecha_contratacion).getTime())) {
+      errors.push('La fecha de contratación no es válida');
+    }
+    if (data.roles_ids !== undefined && (!Array.isArray(data.roles_ids)
+      || data.roles_ids.some(rolId => typeof rolId !== 'string' || !rolId.trim()))) {
+      errors.push('roles_ids debe ser un array de IDs de roles');
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(`Errores de validacion: ${errors.join(', ')}`);
+    }
+  }
+}
+
+export default new OnboardingService();
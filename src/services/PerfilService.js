@@ -0,0 +1,237 @@
+/**
+ * CAPA DE SERVICES (Business Logic Layer)
+ *
+ * Autogestión del perfil del usuario autenticado (/api/users/me).
+ *
+ * Reglas:
+ * - nombre, direccion y telefono se editan directamente.
+ * - email y password solo cambian con un token de re-autenticación reciente,
+ *   obtenido al volver a ingresar el password actual.
+ */
+
+import { signReauthToken, verifyReauthToken, getTokenLifetime } from '../config/jwt.js';
+import authProvider from '../providers/auth/index.js';
+import usuarioRepository from '../repositories/UsuarioRepository.js';
+import sessionService from './SessionService.js';
+import verificacionCuentaService from './VerificacionCuentaService.js';
+import { NotFoundError, UnauthorizedError, ValidationError } from '../utils/errors.js';
+
+const PEDIDOS_RECIENTES = 5;
+const EDITABLE_FIELDS = ['nombre', 'direccion', 'telefono'];
+
+export class PerfilService {
+  constructor(
+    repository = usuarioRepository,
+    provider = authProvider,
+    sessionServ = sessionService,
+    verificacionServ = verificacionCuentaService
+  ) {
+    this.repository = repository;
+    this.authProvider = provider;
+    this.sessionService = sessionServ;
+    this.verificacionService = verificacionServ;
+  }
+
+  /**
+   * Obtiene el perfil con un resumen de sus pedidos
+   * @param {number} usuarioId - ID del usuario
+   * @returns {Promise<Object>}
+   */
+  async getProfile(usuarioId) {
+    const usuario = await this.repository.findWithPedidos(usuarioId);
+    if (!usuario) {
+      throw new NotFoundError('Usuario no encontrado');
+    }
+
+    const { pedidos = [], ...perfil } = usuario;
+    const ordenados = [...pedidos].sort((a, b) => new Date(b.fecha) - new Date(a.fecha));
+    const totalGastado = pedidos.reduce((sum, pedido) => sum + parseFloat(pedido.total || 0), 0);
+
+    return {
+      ...perfil,
+      email_verificado: Boolean(perfil.email_verificado_en),
+      pedidos: {
+        total_pedidos: pedidos.length,
+        total_gastado: totalGastado,
+        total_gastado_formateado: `$${totalGastado.toFixed(2)}`,
+        ultimo_pedido_en: ordenados[0]?.fecha || null,
+        recientes: ordenados.slice(0, PEDIDOS_RECIENTES).map(pedido => ({
+          id: pedido.id,
+          fecha: pedido.fecha,
+          total: parseFloat(pedido.total),
+          total_formateado: `$${parseFloat(pedido.total).toFixed(2)}`
+        }))
+      }
+    };
+  }
+
+  /**
+   * Actualiza nombre, direccion y/o telefono
+   * @param {number} usuarioId - ID del usuario
+   * @param {Object} data
+   * @returns {Promise<Object>}
+   */
+  async updateProfile(usuarioId, data) {
+    if (!data || typeof data !== 'object') {
+      throw new ValidationError('Los datos deben ser un objeto');
+    }
+
+    if (data.email !== undefined || data.password !== undefined) {
+      throw new ValidationError(
+        'El email y el password se cambian en /api/users/me/email y /api/users/me/password tras re-autenticarse'
+      );
+    }
+
+    const unknown = Object.keys(data).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Campos no editables: ${unknown.join(', ')}`);
+    }
+
+    const normalized = {};
+
+    if (data.nombre !== undefined) {
+      if (typeof data.nombre !== 'string' || !data.nombre.trim()) {
+        throw new ValidationError('El nombre no puede estar vacío');
+      }
+      normalized.nombre = data.nombre.trim();
+    }
+
+    for (const field of ['direccion', 'telefono']) {
+      if (data[field] !== undefined) {
+        if (data[field] !== null && typeof data[field] !== 'string') {
+          throw new ValidationError(`El campo "${field}" debe ser un texto o nulo`);
+        }
+        normalized[field] = data[field]?.trim() || null;
+      }
+    }
+
+    if (Object.keys(normalized).length === 0) {
+      throw new ValidationError('No hay datos para actualizar');
+    }
+
+    return await this.repository.updateContactInfo(usuarioId, normalized);
+  }
+
+  /**
+   * Verifica el password actual y emite un token de re-autenticación de corta duración
+   * @param {Object} usuario - Usuario autenticado (req.user)
+   * @param {string} password - Password actual
+   * @returns {Promise<Object>} { reauth_token, expires_in }
+   */
+  async reauthenticate(usuario, password) {
+    if (!password || typeof password !== 'string') {
+      throw new ValidationError('El password es requerido');
+    }
+
+    const account = await this.authProvider.signIn({ email: usuario.email, password });
+    if (account.id !== usuario.auth_user_id) {
+      throw new UnauthorizedError('Credenciales inválidas');
+    }
+
+    const reauthToken = signReauthToken(usuario.id);
+
+    return {
+      reauth_token: reauthToken,
+      expires_in: getTokenLifetime(reauthToken)
+    };
+  }
+
+  /**
+   * Cambia el password y cierra las demás sesiones del usuario
+   * @param {Object} usuario - Usuario autenticado
+   * @param {string} reauthToken - Token de re-autenticación
+   * @param {string} password - Nuevo password
+   * @param {string} [sesionActualId] - Sesión que se conserva
+   * @returns {Promise<Object>}
+   */
+  async changePassword(usuario, reauthToken, password, sesionActualId = null) {
+    this.assertReauthenticated(usuario, reauthToken);
+
+    if (!password || typeof password !== 'string' || password.length < 6) {
+      throw new ValidationError('El password debe tener al menos 6 caracteres');
+    }
+
+    await this.authProvider.updatePassword(usuario.auth_user_id, password);
+    const revocadas = await this.sessionService.revokeAllSessions(
+      usuario.id,
+      'password_cambiado',
+      sesionActualId
+    );
+
+    return { sesiones_cerradas: revocadas.length };
+  }
+
+  /**
+   * Cambia el email y envía un nuevo correo de verificación
+   * @param {Object} usuario - Usuario autenticado
+   * @param {string} reauthToken - Token de re-autenticación
+   * @param {string} email - Nuevo email
+   * @returns {Promise<Object>}
+   */
+  async changeEmail(usuario, reauthToken, email) {
+    this.assertReauthenticated(usuario, reauthToken);
+
+    if (!email || typeof email !== 'string' || !email.trim()) {
+      throw new ValidationError('El email es requerido');
+    }
+
+    const nuevoEmail = email.trim().toLowerCase();
+    if (nuevoEmail === usuario.email) {
+      throw new ValidationError('El nuevo email es igual al actual');
+    }
+
+    const existing = await this.repository.findByEmail(nuevoEmail);
+    if (existing) {
+      throw new ValidationError('Ya existe un usuario con ese email');
+    }
+
+    await this.authProvider.updateEmail(usuario.auth_user_id, nuevoEmail);
+
+    let perfil;
+    try {
+      perfil = await this.repository.update(usuario.id, {
+        email: nuevoEmail,
+        email_verificado_en: null
+      });
+    } catch (error) {
+      // Revertir el cambio en el proveedor para no dejar los emails desalineados
+      try {
+        await this.authProvider.updateEmail(usuario.auth_user_id, usuario.email);
+      } catch (cleanupError) {
+        console.warn('No se pudo revertir el email en Auth:', cleanupError?.message || cleanupError);
+      }
+      throw error;
+    }
+
+    try {
+      await this.verificacionService.sendEmailVerification(perfil);
+    } catch (error) {
+      console.warn('No se pudo enviar el email de verificacion:', error?.message || error);
+    }
+
+    return perfil;
+  }
+
+  /**
+   * Verifica que el token de re-autenticación sea válido y del mismo usuario
+   * @private
+   */
+  assertReauthenticated(usuario, reauthToken) {
+    if (!reauthToken || typeof reauthToken !== 'string') {
+      throw new UnauthorizedError('Se requiere re-autenticación (reauth_token)');
+    }
+
+    let claims;
+    try {
+      claims = verifyReauthToken(reauthToken);
+    } catch (error) {
+      throw new UnauthorizedError('El token de re-autenticación es inválido o expiró');
+    }
+
+    if (claims.purpose !== 'reauth' || String(claims.sub) !== String(usuario.id)) {
+      throw new UnauthorizedError('El token de re-autenticación es inválido o expiró');
+    }
+  }
+}
+
+export default new PerfilService();
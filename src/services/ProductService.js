@@ -13,24 +13,67 @@
  * - IDs son bigint autoincrementales, no UUIDs
  * - No hay columnas de auditoría (created_at, updated_at, deleted_at)
  * - No hay campo is_active
+ * - Un producto puede tener variantes (variantes_productos); entonces su stock
+ *   es la suma del de sus variantes y se ajusta variante a variante
  */
 
 import productRepository from '../repositories/ProductRepository.js';
+import imagenesProductoRepository from '../repositories/ImagenesProductoRepository.js';
+import imagenesProductoService from './ImagenesProductoService.js';
+import variantesProductoRepository from '../repositories/VariantesProductoRepository.js';
+import variantesProductoService from './VariantesProductoService.js';
+import auditService, { AUDIT_ACCIONES, AUDIT_ENTIDADES } from './AuditService.js';
 import { ValidationError, NotFoundError } from '../utils/errors.js';
 
+const MAX_SEARCH_LIMIT = 50;
+const MAX_ATRIBUTOS = 10;
+const SORT_FIELDS = ['id', 'nombre', 'precio', 'stock', 'id_categoria', 'calificacion', 'relevancia'];
+
+// Límites de los tramos de precio de las facetas: [0, 10), [10, 25), ..., [100, ∞)
+export const TRAMOS_PRECIO = Object.freeze([10, 25, 50, 100]);
+
 export class ProductService {
-  constructor(repository = productRepository) {
+  constructor(
+    repository = productRepository,
+    auditServ = auditService,
+    imagenesServ = imagenesProductoService,
+    imagenesRepo = imagenesProductoRepository,
+    variantesServ = variantesProductoService,
+    variantesRepo = variantesProductoRepository
+  ) {
     this.repository = repository;
+    this.auditService = auditServ;
+    this.imagenesService = imagenesServ;
+    this.imagenesRepository = imagenesRepo;
+    this.variantesService = variantesServ;
+    this.variantesRepository = variantesRepo;
   }
 
   /**
-   * Obtiene todos los productos con filtros y paginación
+   * Obtiene todos los productos con filtros, paginación y facetas
    * @param {Object} filters - Filtros de búsqueda
-   * @returns {Promise<Object>}
+   * @param {Array<number|string>} [filters.categorias] - Varias categorías (también idCategoria)
+   * @param {boolean} [filters.inStock] - Solo con stock (true) o solo agotados (false)
+   * @param {number} [filters.minRating] - Calificación promedio mínima (1 a 5)
+   * @param {Object} [filters.atributos] - { talla: ['M', 'L'], material: ['plata'] }
+   * @param {string} [filters.q] - Texto a buscar, combinado con el resto de filtros
+   * @param {string} [filters.cursor] - nextCursor de la página anterior (en lugar de page)
+   * @param {boolean} [filters.conFacetas] - Calcular las facetas (default: solo sin cursor)
+   * @returns {Promise<Object>} { products, total, page, limit, totalPages, nextCursor, facetas }
    */
   async getAllProducts(filters = {}) {
     try {
-      const result = await this.repository.findWithPagination(filters);
+      const { conFacetas, ...catalogFilters } = filters;
+      const normalizedFilters = this.normalizeCatalogFilters(catalogFilters);
+
+      const result = await this.repository.findWithPagination(normalizedFilters);
+
+      // Las facetas no cambian de una página a otra: con cursor solo se calculan si se piden
+      const facetas = (conFacetas ?? !normalizedFilters.cursor)
+        ? await this.repository.findFacetas(normalizedFilters, TRAMOS_PRECIO)
+        : null;
+      const galerias = await this.imagenesService.getGalerias(result.products.map(product => product.id));
+      const variantes = await this.variantesService.getVariantesPorProducto(result.products);
       
       // Lógica de negocio: agregar información calculada
       result.products = result.products.map(product => ({
@@ -38,8 +81,11 @@ export class ProductService {
         isLowStock: product.stock < 10,
         isOutOfStock: product.stock === 0,
         formattedPrice: `$${parseFloat(product.precio).toFixed(2)}`,
-        stockStatus: this.getStockStatus(product.stock)
+        stockStatus: this.getStockStatus(product.stock),
+        ...this.imagenesService.toGaleria(galerias.get(product.id)),
+        variantes: variantes.get(product.id) || []
       }));
+      result.facetas = facetas ? this.formatFacetas(facetas) : null;
 
       return result;
     } catch (error) {
@@ -62,13 +108,18 @@ export class ProductService {
         throw new NotFoundError(`Producto con ID ${id} no encontrado`);
       }
 
+      const galerias = await this.imagenesService.getGalerias([product.id]);
+      const variantes = await this.variantesService.getVariantesPorProducto([product]);
+
       // Lógica de negocio: enriquecer datos
       return {
         ...product,
         isLowStock: product.stock < 10,
         isOutOfStock: product.stock === 0,
         formattedPrice: `$${parseFloat(product.precio).toFixed(2)}`,
-        stockStatus: this.getStockStatus(product.stock)
+        stockStatus: this.getStockStatus(product.stock),
+        ...this.imagenesService.toGaleria(galerias.get(product.id)),
+        variantes: variantes.get(product.id) || []
       };
     } catch (error) {
       throw error;
@@ -111,6 +162,13 @@ export class ProductService {
       }
 
       const product = await this.repository.create(normalizedData);
+
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.CREATE,
+        entidad: AUDIT_ENTIDADES.PRODUCTO,
+        entidadId: product.id,
+        despues: product
+      });
       
       return {
         ...product,
@@ -146,6 +204,11 @@ export class ProductService {
         throw new ValidationError('El stock no puede ser negativo');
       }
 
+      // Regla de negocio: el stock de un producto con variantes es la suma del de sus variantes
+      if (updateData.stock !== undefined && await this.tieneVariantes(existingProduct.id)) {
+        throw new ValidationError('El producto tiene variantes: su stock se actualiza en cada variante');
+      }
+
       // Regla de negocio: si se actualiza el nombre, verificar que no exista otro con ese nombre
       if (updateData.nombre && updateData.nombre !== existingProduct.nombre) {
         const productWithSameName = await this.repository.findOne({ nombre: updateData.nombre });
@@ -166,6 +229,14 @@ export class ProductService {
       }
 
       const updatedProduct = await this.repository.update(id, normalizedData);
+
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.UPDATE,
+        entidad: AUDIT_ENTIDADES.PRODUCTO,
+        entidadId: id,
+        antes: existingProduct,
+        despues: updatedProduct
+      });
       
       return {
         ...updatedProduct,
@@ -193,8 +264,19 @@ export class ProductService {
 
       // Regla de negocio: no permitir eliminar productos con pedidos pendientes
       // (aquí podrías verificar en otra tabla de pedidos/detalles_pedidos)
+
+      // Las filas de imágenes se borran en cascada; los archivos hay que quitarlos del storage
+      const imagenes = await this.imagenesRepository.findByProducto(product.id);
       
       await this.repository.delete(id);
+      await this.imagenesService.eliminarArchivos(imagenes);
+
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.DELETE,
+        entidad: AUDIT_ENTIDADES.PRODUCTO,
+        entidadId: id,
+        antes: product
+      });
 
       return {
         message: 'Producto eliminado exitosamente',
@@ -209,24 +291,39 @@ export class ProductService {
   }
 
   /**
-   * Busca productos por nombre
+   * Busca productos por nombre y descripción, ordenados por relevancia
    * @param {string} searchTerm - Término de búsqueda
-   * @returns {Promise<Array>}
+   * @param {Object} params - { page, limit, cursor }
+   * @returns {Promise<Object>} { products, total, page, limit, totalPages, nextCursor }
    */
-  async searchProducts(searchTerm) {
+  async searchProducts(searchTerm, { page = 1, limit = 10, cursor } = {}) {
     try {
       if (!searchTerm || searchTerm.trim().length < 2) {
         throw new ValidationError('El término de búsqueda debe tener al menos 2 caracteres');
       }
 
-      const products = await this.repository.searchByName(searchTerm.trim());
-      
-      return products.map(product => ({
+      if (searchTerm.trim().length > 100) {
+        throw new ValidationError('El término de búsqueda no puede exceder 100 caracteres');
+      }
+
+      const result = await this.repository.findWithPagination({
+        q: searchTerm.trim(),
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), MAX_SEARCH_LIMIT),
+        cursor: cursor || undefined,
+        sortBy: 'relevancia',
+        sortOrder: 'desc'
+      });
+
+      result.products = result.products.map(product => ({
         ...product,
+        relevancia: Math.round(product.relevancia * 10000) / 10000,
         formattedPrice: `$${parseFloat(product.precio).toFixed(2)}`,
         isLowStock: product.stock < 10,
         isOutOfStock: product.stock === 0
       }));
+
+      return result;
     } catch (error) {
       throw error;
     }
@@ -257,12 +354,13 @@ export class ProductService {
   }
 
   /**
-   * Actualiza el stock de un producto
+   * Actualiza el stock de un producto o, si tiene variantes, el de una de ellas
    * @param {number} id - ID del producto
    * @param {number} quantity - Cantidad a agregar/restar
+   * @param {number} [varianteId] - Variante a ajustar (requerida si el producto tiene variantes)
    * @returns {Promise<Object>}
    */
-  async updateProductStock(id, quantity) {
+  async updateProductStock(id, quantity, varianteId = null) {
     try {
       this.validateId(id);
 
@@ -270,11 +368,27 @@ export class ProductService {
         throw new ValidationError('La cantidad debe ser un número');
       }
 
+      if (varianteId) {
+        const { producto, variante, previousStock } = await this.variantesService.updateStock(id, varianteId, quantity);
+
+        return {
+          ...producto,
+          variante,
+          stockChange: quantity,
+          previousStock,
+          formattedPrice: `$${parseFloat(producto.precio).toFixed(2)}`
+        };
+      }
+
       const product = await this.repository.findById(id);
       if (!product) {
         throw new NotFoundError(`Producto con ID ${id} no encontrado`);
       }
 
+      if (await this.tieneVariantes(product.id)) {
+        throw new ValidationError('El producto tiene variantes: indica variante_id para ajustar su stock');
+      }
+
       // Regla de negocio: validar stock resultante
       const newStock = product.stock + quantity;
       if (newStock < 0) {
@@ -284,6 +398,14 @@ export class ProductService {
       }
 
       const updatedProduct = await this.repository.updateStock(id, quantity);
+
+      await this.auditService.record({
+        accion: AUDIT_ACCIONES.UPDATE,
+        entidad: AUDIT_ENTIDADES.PRODUCTO,
+        entidadId: id,
+        antes: product,
+        despues: updatedProduct
+      });
       
       return {
         ...updatedProduct,
@@ -297,17 +419,36 @@ export class ProductService {
   }
 
   /**
-   * Obtiene productos con stock bajo
+   * Obtiene productos con stock bajo.
+   * Los productos con variantes se informan por variante (variante != null),
+   * no por su stock total
    * @returns {Promise<Array>}
    */
   async getLowStockProducts() {
     try {
       const products = await this.repository.findLowStock(10);
-      
-      return products.map(product => ({
-        ...product,
-        formattedPrice: `$${parseFloat(product.precio).toFixed(2)}`,
-        stockAlert: this.getStockAlert(product.stock)
+      const conVariantes = new Set(
+        (await this.variantesRepository.findByProductos(products.map(product => product.id)))
+          .map(variante => variante.producto_id)
+      );
+      const variantes = await this.variantesRepository.findLowStock(10);
+
+      const items = [
+        ...products
+          .filter(product => !conVariantes.has(product.id))
+          .map(product => ({ ...product, variante: null })),
+        ...variantes.map(({ productos: product, ...variante }) => ({
+          ...product,
+          precio: this.variantesService.precioEfectivo(variante, product),
+          stock: variante.stock,
+          variante: { id: variante.id, sku: variante.sku, opciones: variante.opciones }
+        }))
+      ].sort((a, b) => a.stock - b.stock);
+
+      return items.map(item => ({
+        ...item,
+        formattedPrice: `$${parseFloat(item.precio).toFixed(2)}`,
+        stockAlert: this.getStockAlert(item.stock)
       }));
     } catch (error) {
       throw error;
@@ -316,6 +457,112 @@ export class ProductService {
 
   // ============ MÉTODOS PRIVADOS DE VALIDACIÓN Y UTILIDADES ============
 
+  /**
+   * Valida y normaliza los filtros del catálogo
+   * @private
+   */
+  normalizeCatalogFilters(filters) {
+    const {
+      idCategoria,
+      categorias = [],
+      minPrice,
+      maxPrice,
+      inStock,
+      minRating,
+      atributos = {},
+      q,
+      sortBy = 'id',
+      sortOrder = 'desc',
+      ...rest
+    } = filters;
+
+    const ids = [...categorias, ...(idCategoria ? [idCategoria] : [])].map(id => parseInt(id));
+    if (ids.some(id => isNaN(id) || id <= 0)) {
+      throw new ValidationError('Las categorías deben ser IDs numéricos positivos');
+    }
+
+    for (const price of [minPrice, maxPrice]) {
+      if (price !== undefined && (isNaN(price) || price < 0)) {
+        throw new ValidationError('Los precios mínimo y máximo deben ser números no negativos');
+      }
+    }
+
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+      throw new ValidationError('El precio mínimo no puede ser mayor que el máximo');
+    }
+
+    if (minRating !== undefined && (isNaN(minRating) || minRating < 1 || minRating > 5)) {
+      throw new ValidationError('La calificación mínima debe estar entre 1 y 5');
+    }
+
+    const texto = q?.trim() || undefined;
+    if (texto !== undefined && (texto.length < 2 || texto.length > 100)) {
+      throw new ValidationError('El término de búsqueda debe tener entre 2 y 100 caracteres');
+    }
+
+    if (!SORT_FIELDS.includes(sortBy) || (sortBy === 'relevancia' && !texto)) {
+      throw new ValidationError(
+        `sortBy debe ser uno de: ${SORT_FIELDS.join(', ')} (relevancia solo junto con q)`
+      );
+    }
+
+    return {
+      ...rest,
+      categorias: [...new Set(ids)],
+      minPrice,
+      maxPrice,
+      inStock,
+      minRating,
+      atributos: this.normalizeAtributos(atributos),
+      q: texto,
+      sortBy,
+      sortOrder
+    };
+  }
+
+  /**
+   * Atributos en minúsculas (como las opciones de las variantes) con sus valores sin repetir
+   * @private
+   */
+  normalizeAtributos(atributos) {
+    const normalized = {};
+
+    for (const [nombre, valores] of Object.entries(atributos)) {
+      const clave = String(nombre).trim().toLowerCase();
+      const lista = [...new Set([].concat(valores).map(valor => String(valor).trim()).filter(Boolean))];
+
+      if (!clave || lista.length === 0) {
+        throw new ValidationError('Cada atributo debe tener un nombre y al menos un valor');
+      }
+
+      normalized[clave] = [...new Set([...(normalized[clave] || []), ...lista])];
+    }
+
+    if (Object.keys(normalized).length > MAX_ATRIBUTOS) {
+      throw new ValidationError(`Se pueden filtrar como máximo ${MAX_ATRIBUTOS} atributos`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Facetas con todos los tramos de precio, aunque no tengan productos
+   * @private
+   */
+  formatFacetas(facetas) {
+    const porTramo = new Map((facetas.precios || []).map(({ tramo, total }) => [tramo, total]));
+
+    return {
+      categorias: facetas.categorias || [],
+      precios: [0, ...TRAMOS_PRECIO].map((desde, tramo) => ({
+        desde,
+        hasta: TRAMOS_PRECIO[tramo] ?? null,
+        total: porTramo.get(tramo) || 0
+      })),
+      disponibilidad: facetas.disponibilidad || { en_stock: 0, sin_stock: 0 }
+    };
+  }
+
   /**
    * Valida los datos de un producto
    * @private
@@ -344,6 +591,14 @@ export class ProductService {
     }
   }
 
+  /**
+   * @private
+   */
+  async tieneVariantes(productoId) {
+    const variantes = await this.variantesRepository.findByProducto(productoId);
+    return variantes.length > 0;
+  }
+
   /**
    * Valida un ID (bigint)
    * @private
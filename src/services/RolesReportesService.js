@@ -0,0 +1,342 @@
+/**
+ * CAPA DE SERVICES (Business Logic Layer)
+ *
+ * Reportes de pertenencia a roles construidos sobre empleados_roles:
+ * miembros por rol (con fecha y otorgante), conteos, roles sin miembros
+ * y empleados que incumplen una regla de separación de funciones.
+ *
+ * Solo cuentan como miembros las asignaciones vigentes (ni vencidas ni
+ * suspendidas). Los conflictos tienen en cuenta los roles heredados.
+ */
+
+import rolesRepository from '../repositories/RolesRepository.js';
+import empleadosRepository from '../repositories/EmpleadosRepository.js';
+import empleadosRolesRepository from '../repositories/EmpleadosRolesRepository.js';
+import rolesIncompatiblesRepository from '../repositories/RolesIncompatiblesRepository.js';
+import empleadosRolesService from './EmpleadosRolesService.js';
+import rolesService from './RolesService.js';
+import auditService, { AUDIT_ACCIONES, AUDIT_ENTIDADES } from './AuditService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+// Filas por consulta al recorrer todas las asignaciones (por debajo del máximo de PostgREST)
+const LOTE_ASIGNACIONES = 500;
+
+export class RolesReportesService {
+  constructor(
+    rolesRepo = rolesRepository,
+    empleadosRepo = empleadosRepository,
+    empleadosRolesRepo = empleadosRolesRepository,
+    incompatiblesRepo = rolesIncompatiblesRepository,
+    empleadosRolesServ = empleadosRolesService,
+    rolesServ = rolesService,
+    auditServ = auditService
+  ) {
+    this.rolesRepository = rolesRepo;
+    this.empleadosRepository = empleadosRepo;
+    this.empleadosRolesRepository = empleadosRolesRepo;
+    this.incompatiblesRepository = incompatiblesRepo;
+    this.empleadosRolesService = empleadosRolesServ;
+    this.rolesService = rolesServ;
+    this.auditService = auditServ;
+  }
+
+  // ===== Pertenencia =====
+
+  /**
+   * Roles con sus miembros
+   * @param {Object} [options]
+   * @param {boolean} [options.sinMiembros] - Solo los roles que no tienen ningún miembro
+   * @returns {Promise<Array>}
+   */
+  async getRolesConMiembros(options = {}) {
+    const roles = await this.conMiembros(await this.rolesRepository.getAllRolesWithUsers());
+
+    return options.sinMiembros
+      ? roles.filter(rol => rol.total_miembros === 0)
+      : roles;
+  }
+
+  /**
+   * Un rol con sus miembros
+   * @param {string} idRol - ID del rol (UUID)
+   * @returns {Promise<Object>}
+   */
+  async getRolConMiembros(idRol) {
+    this.validateId(idRol);
+
+    const rol = await this.rolesRepository.getRolWithUsers(idRol);
+    if (!rol) {
+      throw new NotFoundError(`Rol con ID ${idRol} no encontrado`);
+    }
+
+    const [conMiembros] = await this.conMiembros([rol]);
+    return conMiembros;
+  }
+
+  /**
+   * Número de miembros por rol, de más a menos
+   * @returns {Promise<Array>} [{ id, nombre, sensible, total_miembros }]
+   */
+  async getConteoMiembros() {
+    const roles = await this.rolesRepository.getAllRolesWithUsers();
+
+    return roles
+      .map(({ empleados_roles: asignaciones, ...rol }) => ({
+        id: rol.id,
+        nombre: rol.nombre,
+        sensible: rol.sensible,
+        total_miembros: (asignaciones || []).filter(asignacion => this.empleadosRolesService.esVigente(asignacion)).length
+      }))
+      .sort((a, b) => b.total_miembros - a.total_miembros || a.nombre.localeCompare(b.nombre));
+  }
+
+  /**
+   * Sustituye las asignaciones de cada rol por sus miembros vigentes,
+   * con nombre, email y quién otorgó el rol
+   * @private
+   */
+  async conMiembros(roles) {
+    const vigentesPorRol = roles.map(rol =>
+      (rol.empleados_roles || []).filter(asignacion => this.empleadosRolesService.esVigente(asignacion))
+    );
+
+    const ids = new Set();
+    vigentesPorRol.flat().forEach(asignacion => {
+      ids.add(asignacion.empleado_id);
+      if (asignacion.otorgado_por) ids.add(asignacion.otorgado_por);
+    });
+
+    const directorio = ids.size > 0
+      ? await this.empleadosRepository.findDirectorioByUsuarioIds([...ids])
+      : [];
+    const porId = new Map(directorio.map(empleado => [empleado.usuario_id, empleado]));
+
+    return roles.map(({ empleados_roles: _asignaciones, ...rol }, index) => {
+      const miembros = vigentesPorRol[index]
+        .map(asignacion => {
+          const empleado = porId.get(asignacion.empleado_id);
+          const otorgante = asignacion.otorgado_por ? porId.get(asignacion.otorgado_por) : null;
+
+          return {
+            asignacion_id: asignacion.id,
+            empleado_id: asignacion.empleado_id,
+            numero_empleado: empleado?.numero_empleado ?? null,
+            nombre: empleado?.nombre ?? null,
+            email: empleado?.email ?? null,
+            otorgado_en: asignacion.otorgado_en,
+            expira_en: asignacion.expira_en,
+            otorgado_por: asignacion.otorgado_por
+              ? {
+                usuario_id: asignacion.otorgado_por,
+                nombre: otorgante?.nombre ?? null,
+                email: otorgante?.email ?? null
+              }
+              : null
+          };
+        })
+        .sort((a, b) => new Date(b.otorgado_en) - new Date(a.otorgado_en));
+
+      return {
+        ...rol,
+        total_miembros: miembros.length,
+        miembros
+      };
+    });
+  }
+
+  // ===== Separación de funciones =====
+
+  /**
+   * Reglas de roles incompatibles
+   * @returns {Promise<Array>}
+   */
+  async getIncompatibilidades() {
+    return await this.incompatiblesRepository.getAll();
+  }
+
+  /**
+   * Declara dos roles incompatibles
+   * @param {Object} data
+   * @param {Array<string>} data.roles_ids - Exactamente dos IDs de roles distintos
+   * @param {string} [data.motivo]
+   * @param {string} [creadoPor] - auth_user_id de quien crea la regla
+   * @returns {Promise<Object>}
+   */
+  async createIncompatibilidad(data, creadoPor = null) {
+    const rolesIds = data?.roles_ids;
+    if (!Array.isArray(rolesIds) || rolesIds.length !== 2) {
+      throw new ValidationError('roles_ids debe contener exactamente dos roles');
+    }
+
+    rolesIds.forEach(rolId => this.validateId(rolId));
+    const [rolAId, rolBId] = rolesIds.map(rolId => rolId.trim().toLowerCase()).sort();
+
+    if (rolAId === rolBId) {
+      throw new ValidationError('Un rol no puede ser incompatible consigo mismo');
+    }
+
+    if (data.motivo !== undefined && data.motivo !== null && typeof data.motivo !== 'string') {
+      throw new ValidationError('El motivo debe ser un texto');
+    }
+
+    const roles = await Promise.all([rolAId, rolBId].map(rolId => this.rolesRepository.getRolById(rolId)));
+    const noEncontrados = [rolAId, rolBId].filter((rolId, index) => !roles[index]);
+    if (noEncontrados.length > 0) {
+      throw new NotFoundError(`Roles no encontrados: ${noEncontrados.join(', ')}`);
+    }
+
+    if (await this.incompatiblesRepository.findByPar(rolAId, rolBId)) {
+      throw new ValidationError(`Los roles "${roles[0].nombre}" y "${roles[1].nombre}" ya son incompatibles`);
+    }
+
+    const regla = await this.incompatiblesRepository.create({
+      rol_a_id: rolAId,
+      rol_b_id: rolBId,
+      motivo: data.motivo?.trim() || null,
+      creado_por: creadoPor
+    });
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.CREATE,
+      entidad: AUDIT_ENTIDADES.ROL_INCOMPATIBLE,
+      entidadId: regla.id,
+      despues: regla
+    });
+
+    return regla;
+  }
+
+  /**
+   * Elimina una regla de roles incompatibles
+   * @param {string} id - UUID de la regla
+   * @returns {Promise<Object>}
+   */
+  async deleteIncompatibilidad(id) {
+    this.validateId(id);
+
+    const regla = await this.incompatiblesRepository.findById(id);
+    if (!regla) {
+      throw new NotFoundError('Regla de incompatibilidad no encontrada');
+    }
+
+    await this.incompatiblesRepository.delete(id);
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.DELETE,
+      entidad: AUDIT_ENTIDADES.ROL_INCOMPATIBLE,
+      entidadId: regla.id,
+      antes: regla
+    });
+
+    return regla;
+  }
+
+  /**
+   * Empleados cuya combinación de roles vigentes (directos o heredados)
+   * incumple alguna regla de separación de funciones
+   * @returns {Promise<Array>} [{ empleado, regla, roles }]
+   */
+  async getConflictos() {
+    const reglas = await this.incompatiblesRepository.getAll();
+    if (reglas.length === 0) {
+      return [];
+    }
+
+    const asignaciones = await this.getAsignacionesVigentes();
+
+    const rolesPorEmpleado = new Map();
+    asignaciones.forEach(asignacion => {
+      const roles = rolesPorEmpleado.get(asignacion.empleado_id) || new Set();
+      roles.add(asignacion.rol_id);
+      rolesPorEmpleado.set(asignacion.empleado_id, roles);
+    });
+
+    // Muchos empleados comparten la misma combinación: se expande una vez por combinación
+    const efectivosPorCombinacion = new Map();
+    const conflictos = [];
+
+    for (const [empleadoId, directos] of rolesPorEmpleado) {
+      const clave = [...directos].sort().join(',');
+      if (!efectivosPorCombinacion.has(clave)) {
+        efectivosPorCombinacion.set(clave, await this.rolesService.getRolesEfectivos([...directos]));
+      }
+
+      const efectivos = efectivosPorCombinacion.get(clave);
+      const efectivosPorId = new Map(efectivos.map(rol => [rol.id, rol]));
+
+      reglas
+        .filter(regla => efectivosPorId.has(regla.rol_a_id) && efectivosPorId.has(regla.rol_b_id))
+        .forEach(regla => {
+          conflictos.push({
+            empleado_id: empleadoId,
+            regla: {
+              id: regla.id,
+              motivo: regla.motivo
+            },
+            roles: [regla.rol_a_id, regla.rol_b_id].map(rolId => {
+              const rol = efectivosPorId.get(rolId);
+              return {
+                id: rol.id,
+                nombre: rol.nombre,
+                directo: rol.directo,
+                heredado_de: rol.heredado_de
+              };
+            })
+          });
+        });
+    }
+
+    if (conflictos.length === 0) {
+      return [];
+    }
+
+    const directorio = await this.empleadosRepository.findDirectorioByUsuarioIds(
+      [...new Set(conflictos.map(conflicto => conflicto.empleado_id))]
+    );
+    const porId = new Map(directorio.map(empleado => [empleado.usuario_id, empleado]));
+
+    return conflictos.map(({ empleado_id: empleadoId, ...conflicto }) => {
+      const empleado = porId.get(empleadoId);
+
+      return {
+        empleado: {
+          usuario_id: empleadoId,
+          numero_empleado: empleado?.numero_empleado ?? null,
+          nombre: empleado?.nombre ?? null,
+          email: empleado?.email ?? null
+        },
+        ...conflicto
+      };
+    });
+  }
+
+  /**
+   * Todas las asignaciones vigentes, por lotes: una sola consulta quedaría
+   * recortada por el máximo de filas de PostgREST y ocultaría conflictos
+   * @private
+   */
+  async getAsignacionesVigentes() {
+    const asignaciones = [];
+
+    for (let offset = 0; ; offset += LOTE_ASIGNACIONES) {
+      const lote = await this.empleadosRolesRepository.getAllAsignaciones({
+        estado: 'vigente',
+        limit: LOTE_ASIGNACIONES,
+        offset
+      });
+
+      asignaciones.push(...lote);
+      if (lote.length < LOTE_ASIGNACIONES) {
+        return asignaciones;
+      }
+    }
+  }
+
+  validateId(id) {
+    if (!id || typeof id !== 'string' || !id.trim()) {
+      throw new ValidationError('El ID debe ser válido');
+    }
+  }
+}
+
+export default new RolesReportesService();
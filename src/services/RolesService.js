@@ -5,15 +5,34 @@
  * - PK: id (uuid)
  * - nombre: text NOT NULL UNIQUE
  * - descripcion: text (nullable)
+ * - sensible: boolean DEFAULT false (su asignación requiere aprobación)
  * - creado_en: timestamp with time zone DEFAULT now()
+ *
+ * Jerarquía: un rol puede declarar roles padre (roles_herencia). Quien tiene
+ * el rol tiene también, de forma transitiva, sus padres y los permisos de estos.
  */
 
 import rolesRepository from '../repositories/RolesRepository.js';
+import permisosRepository from '../repositories/PermisosRepository.js';
+import rolesPermisosRepository from '../repositories/RolesPermisosRepository.js';
+import rolesHerenciaRepository from '../repositories/RolesHerenciaRepository.js';
+import auditService, { AUDIT_ACCIONES, AUDIT_ENTIDADES } from './AuditService.js';
+import { PERMISO_PATTERN } from '../config/roles.js';
 import { NotFoundError, ValidationError } from '../utils/errors.js';
 
 export class RolesService {
-  constructor(repository = rolesRepository) {
+  constructor(
+    repository = rolesRepository,
+    permisosRepo = permisosRepository,
+    rolesPermisosRepo = rolesPermisosRepository,
+    herenciaRepo = rolesHerenciaRepository,
+    auditServ = auditService
+  ) {
     this.repository = repository;
+    this.permisosRepository = permisosRepo;
+    this.rolesPermisosRepository = rolesPermisosRepo;
+    this.herenciaRepository = herenciaRepo;
+    this.auditService = auditServ;
   }
 
   /**
@@ -37,31 +56,10 @@ export class RolesService {
       throw new NotFoundError(`Rol con ID ${idRol} no encontrado`);
     }
 
-    return rol;
-  }
-
-  /**
-   * Obtiene un rol por ID con usuarios asociados
-   * @param {string} idRol - ID del rol (UUID)
-   * @returns {Promise<Object>}
-   */
-  async getRolByIdWithUsers(idRol) {
-    this.validateId(idRol);
-
-    const rol = await this.repository.getRolWithUsers(idRol);
-    if (!rol) {
-      throw new NotFoundError(`Rol con ID ${idRol} no encontrado`);
-    }
-
-    return rol;
-  }
-
-  /**
-   * Obtiene todos los roles con usuarios asociados
-   * @returns {Promise<Array>}
-   */
-  async getAllRolesWithUsers() {
-    return await this.repository.getAllRolesWithUsers();
+    return {
+      ...rol,
+      padres: await this.herenciaRepository.getPadresIds(idRol)
+    };
   }
 
   /**
@@ -69,13 +67,18 @@ export class RolesService {
    * @param {Object} data
    * @param {string} data.nombre
    * @param {string} [data.descripcion]
+   * @param {boolean} [data.sensible] - Su asignación requiere aprobación
+   * @param {Array<string>} [data.padres] - IDs de los roles padre
    */
   async createRol(data) {
     this.validateRolData(data);
 
+    const padres = data.padres !== undefined ? await this.validatePadres(null, data.padres) : [];
+
     const normalized = {
       nombre: data.nombre.trim(),
-      descripcion: data.descripcion?.trim() || null
+      descripcion: data.descripcion?.trim() || null,
+      sensible: data.sensible === true
     };
 
     const existing = await this.repository.findByNombre(normalized.nombre);
@@ -83,11 +86,26 @@ export class RolesService {
       throw new ValidationError(`Ya existe un rol con el nombre "${normalized.nombre}"`);
     }
 
-    return await this.repository.createRol(normalized);
+    const rol = await this.repository.createRol(normalized);
+
+    if (padres.length > 0) {
+      await this.herenciaRepository.replacePadres(rol.id, padres);
+    }
+
+    const creado = { ...rol, padres };
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.CREATE,
+      entidad: AUDIT_ENTIDADES.ROL,
+      entidadId: rol.id,
+      despues: creado
+    });
+
+    return creado;
   }
 
   /**
-   * Actualiza un rol
+   * Actualiza un rol. Solo se aplican nombre, descripcion, sensible y padres
    * @param {string} idRol - ID del rol (UUID)
    * @param {Object} updateData
    */
@@ -99,10 +117,15 @@ export class RolesService {
       throw new NotFoundError(`Rol con ID ${idRol} no encontrado`);
     }
 
-    const normalized = { ...updateData };
+    const { nombre, descripcion, sensible, padres } = updateData || {};
+    const normalized = {};
 
-    if (normalized.nombre !== undefined) {
-      normalized.nombre = normalized.nombre.trim();
+    if (nombre !== undefined) {
+      if (typeof nombre !== 'string' || !nombre.trim()) {
+        throw new ValidationError('El campo "nombre" debe ser un texto válido');
+      }
+
+      normalized.nombre = nombre.trim();
 
       const existingByName = await this.repository.findByNombre(normalized.nombre);
       if (existingByName && existingByName.id !== idRol) {
@@ -110,15 +133,65 @@ export class RolesService {
       }
     }
 
-    if (normalized.descripcion !== undefined) {
-      normalized.descripcion = normalized.descripcion?.trim() || null;
+    if (descripcion !== undefined) {
+      if (descripcion !== null && typeof descripcion !== 'string') {
+        throw new ValidationError('El campo "descripcion" debe ser un texto o nulo');
+      }
+
+      normalized.descripcion = descripcion?.trim() || null;
     }
 
-    // No permitir actualizar creado_en o id
-    delete normalized.creado_en;
-    delete normalized.id;
+    if (sensible !== undefined) {
+      if (typeof sensible !== 'boolean') {
+        throw new ValidationError('El campo "sensible" debe ser booleano');
+      }
+
+      normalized.sensible = sensible;
+    }
+
+    if (Object.keys(normalized).length === 0 && padres === undefined) {
+      throw new ValidationError('No hay datos para actualizar (nombre, descripcion, sensible o padres)');
+    }
+
+    const nuevosPadres = padres !== undefined ? await this.validatePadres(idRol, padres) : undefined;
+    const padresAnteriores = await this.herenciaRepository.getPadresIds(idRol);
+
+    // Primero los padres (replacePadres restaura los anteriores si falla); si después
+    // falla la actualización del rol, se vuelven a poner los padres anteriores
+    if (nuevosPadres !== undefined) {
+      await this.herenciaRepository.replacePadres(idRol, nuevosPadres);
+    }
+
+    let rol = existing;
+    if (Object.keys(normalized).length > 0) {
+      try {
+        rol = await this.repository.updateRol(idRol, normalized);
+      } catch (error) {
+        if (nuevosPadres !== undefined) {
+          try {
+            await this.herenciaRepository.replacePadres(idRol, padresAnteriores);
+          } catch (cleanupError) {
+            console.warn('No se pudieron restaurar los padres del rol:', cleanupError?.message || cleanupError);
+          }
+        }
+        throw error;
+      }
+    }
+
+    const actualizado = {
+      ...rol,
+      padres: nuevosPadres ?? padresAnteriores
+    };
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.UPDATE,
+      entidad: AUDIT_ENTIDADES.ROL,
+      entidadId: idRol,
+      antes: { ...existing, padres: padresAnteriores },
+      despues: actualizado
+    });
 
-    return await this.repository.updateRol(idRol, normalized);
+    return actualizado;
   }
 
   /**
@@ -135,9 +208,305 @@ export class RolesService {
 
     const result = await this.repository.deleteRol(idRol);
 
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.DELETE,
+      entidad: AUDIT_ENTIDADES.ROL,
+      entidadId: idRol,
+      antes: existing
+    });
+
     return result;
   }
 
+  // ===== Permisos =====
+
+  /**
+   * Obtiene el catálogo de permisos
+   * @returns {Promise<Array>}
+   */
+  async getCatalogoPermisos() {
+    return await this.permisosRepository.getAllPermisos();
+  }
+
+  /**
+   * Obtiene los permisos otorgados a un rol
+   * @param {string} idRol - ID del rol (UUID)
+   * @returns {Promise<Array>}
+   */
+  async getPermisosDeRol(idRol) {
+    this.validateId(idRol);
+
+    const rol = await this.repository.getRolById(idRol);
+    if (!rol) {
+      throw new NotFoundError(`Rol con ID ${idRol} no encontrado`);
+    }
+
+    const asignaciones = await this.rolesPermisosRepository.getPermisosByRol(idRol);
+
+    return asignaciones
+      .filter(asignacion => asignacion.permisos)
+      .map(asignacion => ({
+        ...asignacion.permisos,
+        otorgado_por: asignacion.otorgado_por,
+        otorgado_en: asignacion.otorgado_en
+      }))
+      .sort((a, b) => a.clave.localeCompare(b.clave));
+  }
+
+  /**
+   * Otorga un permiso del catálogo a un rol
+   * @param {string} idRol - ID del rol (UUID)
+   * @param {string} clave - Clave del permiso (p.ej. products:write)
+   * @param {string} [otorgadoPor] - UUID de quien otorga el permiso
+   * @returns {Promise<Object>}
+   */
+  async otorgarPermiso(idRol, clave, otorgadoPor = null) {
+    this.validateId(idRol);
+    const permiso = await this.findPermisoOrFail(clave);
+
+    const rol = await this.repository.getRolById(idRol);
+    if (!rol) {
+      throw new NotFoundError(`Rol con ID ${idRol} no encontrado`);
+    }
+
+    const actuales = await this.rolesPermisosRepository.getPermisosByRol(idRol);
+    if (actuales.some(asignacion => asignacion.permisos?.id === permiso.id)) {
+      throw new ValidationError(`El rol "${rol.nombre}" ya tiene el permiso "${permiso.clave}"`);
+    }
+
+    await this.rolesPermisosRepository.otorgar(idRol, permiso.id, otorgadoPor);
+
+    const otorgado = {
+      rol_id: rol.id,
+      rol: rol.nombre,
+      permiso: permiso.clave
+    };
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.CREATE,
+      entidad: AUDIT_ENTIDADES.ROL_PERMISO,
+      entidadId: `${rol.id}:${permiso.clave}`,
+      despues: otorgado
+    });
+
+    return otorgado;
+  }
+
+  /**
+   * Revoca un permiso de un rol
+   * @param {string} idRol - ID del rol (UUID)
+   * @param {string} clave - Clave del permiso
+   * @returns {Promise<Object>}
+   */
+  async revocarPermiso(idRol, clave) {
+    this.validateId(idRol);
+    const permiso = await this.findPermisoOrFail(clave);
+
+    const revocado = await this.rolesPermisosRepository.revocar(idRol, permiso.id);
+    if (!revocado) {
+      throw new NotFoundError(`El rol no tiene el permiso "${permiso.clave}"`);
+    }
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.DELETE,
+      entidad: AUDIT_ENTIDADES.ROL_PERMISO,
+      entidadId: `${idRol}:${permiso.clave}`,
+      antes: revocado
+    });
+
+    return {
+      rol_id: idRol,
+      permiso: permiso.clave
+    };
+  }
+
+  /**
+   * Resuelve los permisos efectivos de un conjunto de roles: la unión de los
+   * permisos de cada rol y de todos sus ancestros
+   * @param {Array<string>} rolesIds - UUIDs de los roles del empleado
+   * @returns {Promise<Array<string>>} Claves de permiso
+   */
+  async getPermisosEfectivos(rolesIds) {
+    const roles = await this.getRolesEfectivos(rolesIds);
+    return await this.rolesPermisosRepository.getClavesByRoles(roles.map(rol => rol.id));
+  }
+
+  // ===== Jerarquía =====
+
+  /**
+   * Expande un conjunto de roles con todos sus ancestros
+   * @param {Array<string>} rolesIds - UUIDs de los roles asignados directamente
+   * @returns {Promise<Array<Object>>} Roles con { directo, heredado_de }:
+   *   heredado_de es el rol del conjunto a través del cual se hereda (null si es directo)
+   */
+  async getRolesEfectivos(rolesIds) {
+    if (!rolesIds || rolesIds.length === 0) {
+      return [];
+    }
+
+    const [roles, relaciones] = await Promise.all([
+      this.repository.getAllRoles(),
+      this.herenciaRepository.getAllRelaciones()
+    ]);
+
+    const rolesPorId = new Map(roles.map(rol => [rol.id, rol]));
+    const padresDe = this.buildGrafo(relaciones);
+
+    // Recorrido en anchura: los roles directos primero, luego sus ancestros
+    const visitados = new Map();
+    const cola = [];
+
+    for (const rolId of rolesIds) {
+      if (!visitados.has(rolId)) {
+        visitados.set(rolId, null);
+        cola.push(rolId);
+      }
+    }
+
+    while (cola.length > 0) {
+      const actual = cola.shift();
+      const origen = visitados.get(actual) ?? actual;
+
+      for (const padreId of padresDe.get(actual) || []) {
+        if (!visitados.has(padreId)) {
+          visitados.set(padreId, origen);
+          cola.push(padreId);
+        }
+      }
+    }
+
+    return [...visitados.entries()]
+      .filter(([rolId]) => rolesPorId.has(rolId))
+      .map(([rolId, origen]) => ({
+        ...rolesPorId.get(rolId),
+        directo: origen === null,
+        heredado_de: origen
+      }));
+  }
+
+  /**
+   * Roles del conjunto cuya asignación requiere aprobación: los sensibles y los
+   * que heredan (directa o indirectamente) algún rol sensible
+   * @param {Array<string>} rolesIds - UUIDs de los roles a asignar
+   * @returns {Promise<Set<string>>}
+   */
+  async getRolesConAprobacion(rolesIds) {
+    const conAprobacion = new Set();
+
+    for (const rolId of new Set(rolesIds)) {
+      const efectivos = await this.getRolesEfectivos([rolId]);
+      if (efectivos.some(rol => rol.sensible)) {
+        conAprobacion.add(rolId);
+      }
+    }
+
+    return conAprobacion;
+  }
+
+  /**
+   * Valida la lista de padres de un rol y que no introduzca ciclos
+   * @param {string|null} idRol - Rol que se modifica (null si se está creando)
+   * @param {Array<string>} padres - IDs de los roles padre
+   * @returns {Promise<Array<string>>} IDs sin duplicados
+   * @private
+   */
+  async validatePadres(idRol, padres) {
+    if (!Array.isArray(padres)) {
+      throw new ValidationError('El campo "padres" debe ser un array de IDs de roles');
+    }
+
+    padres.forEach(padreId => this.validateId(padreId));
+    const unicos = [...new Set(padres)];
+
+    if (idRol && unicos.includes(idRol)) {
+      throw new ValidationError('Un rol no puede heredar de sí mismo');
+    }
+
+    const existentes = await Promise.all(unicos.map(padreId => this.repository.getRolById(padreId)));
+    const noEncontrados = unicos.filter((padreId, index) => !existentes[index]);
+    if (noEncontrados.length > 0) {
+      throw new NotFoundError(`Roles padre no encontrados: ${noEncontrados.join(', ')}`);
+    }
+
+    // Un rol nuevo no tiene descendientes: no puede cerrar un ciclo
+    if (idRol) {
+      const relaciones = await this.herenciaRepository.getAllRelaciones();
+      const padresDe = this.buildGrafo(relaciones.filter(relacion => relacion.rol_id !== idRol));
+      padresDe.set(idRol, unicos);
+
+      const ciclo = this.findCiclo(idRol, padresDe);
+      if (ciclo) {
+        const roles = await this.repository.getAllRoles();
+        const nombres = new Map(roles.map(rol => [rol.id, rol.nombre]));
+        const recorrido = ciclo.map(rolId => nombres.get(rolId) || rolId).join(' → ');
+        throw new ValidationError(`La jerarquía de roles no puede tener ciclos: ${recorrido}`);
+      }
+    }
+
+    return unicos;
+  }
+
+  /**
+   * Construye el mapa rol → padres directos
+   * @private
+   */
+  buildGrafo(relaciones) {
+    const padresDe = new Map();
+
+    for (const { rol_id, padre_id } of relaciones) {
+      if (!padresDe.has(rol_id)) {
+        padresDe.set(rol_id, []);
+      }
+      padresDe.get(rol_id).push(padre_id);
+    }
+
+    return padresDe;
+  }
+
+  /**
+   * Busca un camino de padres que vuelva a `origen`
+   * @returns {Array<string>|null} El ciclo (empezando y terminando en origen) o null
+   * @private
+   */
+  findCiclo(origen, padresDe) {
+    const pila = [[origen, [origen]]];
+    const visitados = new Set();
+
+    while (pila.length > 0) {
+      const [actual, camino] = pila.pop();
+
+      for (const padreId of padresDe.get(actual) || []) {
+        if (padreId === origen) {
+          return [...camino, origen];
+        }
+
+        if (!visitados.has(padreId)) {
+          visitados.add(padreId);
+          pila.push([padreId, [...camino, padreId]]);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Busca un permiso del catálogo por clave
+   * @private
+   */
+  async findPermisoOrFail(clave) {
+    if (!clave || typeof clave !== 'string' || !PERMISO_PATTERN.test(clave.trim())) {
+      throw new ValidationError('El permiso debe tener el formato recurso:acción (p.ej. products:write)');
+    }
+
+    const permiso = await this.permisosRepository.findByClave(clave.trim());
+    if (!permiso) {
+      throw new NotFoundError(`El permiso "${clave.trim()}" no existe en el catálogo`);
+    }
+
+    return permiso;
+  }
+
   /**
    * Valida los datos de un rol
    * @private
@@ -156,6 +525,10 @@ export class RolesService {
         throw new ValidationError('El campo "descripcion" debe ser un texto o nulo');
       }
     }
+
+    if (data.sensible !== undefined && typeof data.sensible !== 'boolean') {
+      throw new ValidationError('El campo "sensible" debe ser booleano');
+    }
   }
 
   /**
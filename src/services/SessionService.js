@@ -0,0 +1,269 @@
+/**
+ * CAPA DE SERVICES (Business Logic Layer)
+ *
+ * Sesiones de usuario: emisión de tokens de acceso y refresh tokens rotativos.
+ *
+ * Reglas:
+ * - Cada login crea una sesión (una por dispositivo) con su primer refresh token.
+ * - Cada uso de un refresh token lo rota: se emite uno nuevo y el anterior queda usado.
+ * - Si se presenta un refresh token ya rotado, se asume robo y se revoca la sesión
+ *   completa (toda la familia de tokens).
+ */
+
+import crypto from 'node:crypto';
+import { jwtConfig, signAccessToken, getTokenLifetime } from '../config/jwt.js';
+import sesionRepository from '../repositories/SesionRepository.js';
+import refreshTokenRepository from '../repositories/RefreshTokenRepository.js';
+import usuarioRepository from '../repositories/UsuarioRepository.js';
+import empleadosRolesRepository from '../repositories/EmpleadosRolesRepository.js';
+import { ForbiddenError, NotFoundError, UnauthorizedError, ValidationError } from '../utils/errors.js';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+export class SessionService {
+  constructor(
+    sesionRepo = sesionRepository,
+    refreshTokenRepo = refreshTokenRepository,
+    usuarioRepo = usuarioRepository,
+    empleadosRolesRepo = empleadosRolesRepository
+  ) {
+    this.sesionRepository = sesionRepo;
+    this.refreshTokenRepository = refreshTokenRepo;
+    this.usuarioRepository = usuarioRepo;
+    this.empleadosRolesRepository = empleadosRolesRepo;
+  }
+
+  /**
+   * Inicia una sesión nueva para un usuario ya autenticado
+   * @param {Object} usuario - Fila de usuarios
+   * @param {Object} [context]
+   * @param {string} [context.dispositivo] - Nombre del dispositivo o User-Agent
+   * @param {string} [context.ip] - IP del cliente
+   * @returns {Promise<Object>} Tokens de acceso y refresh
+   */
+  async startSession(usuario, context = {}) {
+    const expiraEn = this.getRefreshExpiration();
+
+    const sesion = await this.sesionRepository.create({
+      usuario_id: usuario.id,
+      dispositivo: context.dispositivo?.slice(0, 255) || null,
+      ip: context.ip || null,
+      expira_en: expiraEn
+    });
+
+    const refreshToken = await this.createRefreshToken(sesion.id, expiraEn);
+
+    return await this.buildTokenResponse(usuario, sesion.id, refreshToken);
+  }
+
+  /**
+   * Rota un refresh token y emite un nuevo token de acceso
+   * @param {string} refreshToken - Refresh token en claro
+   * @param {Object} [context]
+   * @returns {Promise<Object>}
+   */
+  async refresh(refreshToken, context = {}) {
+    this.validateRefreshToken(refreshToken);
+
+    const stored = await this.refreshTokenRepository.findByHash(this.hashToken(refreshToken));
+    if (!stored) {
+      throw new UnauthorizedError('Refresh token inválido');
+    }
+
+    const sesion = await this.sesionRepository.findById(stored.sesion_id);
+    if (!sesion || sesion.revocada_en) {
+      throw new UnauthorizedError('La sesión ha sido cerrada');
+    }
+
+    if (stored.usado_en) {
+      await this.sesionRepository.revocar(sesion.id, 'reutilizacion');
+      throw new UnauthorizedError('Refresh token reutilizado: la sesión ha sido revocada');
+    }
+
+    if (new Date(stored.expira_en) <= new Date()) {
+      throw new UnauthorizedError('Refresh token expirado');
+    }
+
+    const usuario = await this.usuarioRepository.findById(sesion.usuario_id);
+    if (!usuario) {
+      await this.sesionRepository.revocar(sesion.id, 'usuario_inexistente');
+      throw new UnauthorizedError('El usuario de la sesión ya no existe');
+    }
+
+    if (usuario.bloqueado) {
+      await this.sesionRepository.revocar(sesion.id, 'usuario_bloqueado');
+      throw new ForbiddenError('La cuenta está bloqueada. Contacta con soporte');
+    }
+
+    const expiraEn = this.getRefreshExpiration();
+    const nuevoToken = await this.createRefreshToken(sesion.id, expiraEn);
+
+    // Si otra petición rotó el mismo token primero, se trata como reutilización
+    const rotado = await this.refreshTokenRepository.marcarUsado(stored.id, nuevoToken.id);
+    if (!rotado) {
+      await this.sesionRepository.revocar(sesion.id, 'reutilizacion');
+      throw new UnauthorizedError('Refresh token reutilizado: la sesión ha sido revocada');
+    }
+
+    await this.sesionRepository.update(sesion.id, {
+      ultimo_uso_en: new Date().toISOString(),
+      expira_en: expiraEn,
+      ...(context.ip && { ip: context.ip })
+    });
+
+    return await this.buildTokenResponse(usuario, sesion.id, nuevoToken);
+  }
+
+  /**
+   * Cierra la sesión a la que pertenece un refresh token.
+   * Es idempotente: un token desconocido o ya revocado no produce error.
+   * @param {string} refreshToken - Refresh token en claro
+   * @returns {Promise<boolean>}
+   */
+  async logout(refreshToken) {
+    this.validateRefreshToken(refreshToken);
+
+    const stored = await this.refreshTokenRepository.findByHash(this.hashToken(refreshToken));
+    if (!stored) {
+      return false;
+    }
+
+    await this.sesionRepository.revocar(stored.sesion_id, 'logout');
+    return true;
+  }
+
+  /**
+   * Lista las sesiones vigentes de un usuario
+   * @param {number} usuarioId - ID del usuario
+   * @param {string} [sesionActualId] - Sesión del token con el que se hace la petición
+   * @returns {Promise<Array>}
+   */
+  async listSessions(usuarioId, sesionActualId = null) {
+    const sesiones = await this.sesionRepository.findActivasByUsuario(usuarioId);
+
+    return sesiones.map(sesion => ({
+      ...sesion,
+      actual: sesion.id === sesionActualId
+    }));
+  }
+
+  /**
+   * Revoca una sesión concreta del usuario
+   * @param {number} usuarioId - ID del usuario dueño de la sesión
+   * @param {string} sesionId - UUID de la sesión
+   * @returns {Promise<Object>}
+   */
+  async revokeSession(usuarioId, sesionId) {
+    if (!sesionId || typeof sesionId !== 'string') {
+      throw new ValidationError('El ID de la sesión debe ser válido');
+    }
+
+    const sesion = await this.sesionRepository.findById(sesionId);
+    if (!sesion || sesion.usuario_id !== usuarioId || sesion.revocada_en) {
+      throw new NotFoundError('Sesión no encontrada');
+    }
+
+    await this.sesionRepository.revocar(sesionId, 'revocada_por_usuario');
+
+    return {
+      id: sesion.id,
+      dispositivo: sesion.dispositivo
+    };
+  }
+
+  /**
+   * Revoca todas las sesiones de un usuario (p.ej. tras cambiar el password)
+   * @param {number} usuarioId - ID del usuario
+   * @param {string} motivo - Motivo de la revocación
+   * @param {string} [exceptoSesionId] - Sesión que se conserva
+   * @returns {Promise<Array>}
+   */
+  async revokeAllSessions(usuarioId, motivo, exceptoSesionId = null) {
+    return await this.sesionRepository.revocarTodas(usuarioId, motivo, exceptoSesionId);
+  }
+
+  /**
+   * Obtiene los nombres de los roles de empleado asociados a un usuario.
+   * Los clientes que no son empleados simplemente no tienen roles.
+   * @param {string} authUserId - UUID de auth.users (empleados.usuario_id)
+   * @returns {Promise<Array<string>>}
+   */
+  async getEmployeeRoleNames(authUserId) {
+    const asignaciones = await this.empleadosRolesRepository.getRolesByEmpleado(authUserId, { soloVigentes: true });
+
+    return asignaciones
+      .map(asignacion => asignacion.roles?.nombre)
+      .filter(Boolean);
+  }
+
+  // ===== Utilidades =====
+
+  /**
+   * Firma el token de acceso y arma la respuesta común de login/refresh
+   * @private
+   */
+  async buildTokenResponse(usuario, sesionId, refreshToken) {
+    const roles = await this.getEmployeeRoleNames(usuario.auth_user_id);
+
+    const accessToken = signAccessToken(
+      {
+        auth_user_id: usuario.auth_user_id,
+        email: usuario.email,
+        roles,
+        sid: sesionId
+      },
+      usuario.id
+    );
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: getTokenLifetime(accessToken),
+      refresh_token: refreshToken.value,
+      refresh_expires_at: refreshToken.expira_en,
+      sesion_id: sesionId,
+      usuario: {
+        ...usuario,
+        roles
+      }
+    };
+  }
+
+  /**
+   * Genera un refresh token aleatorio y guarda su hash
+   * @private
+   */
+  async createRefreshToken(sesionId, expiraEn) {
+    const value = crypto.randomBytes(48).toString('base64url');
+
+    const stored = await this.refreshTokenRepository.create({
+      sesion_id: sesionId,
+      token_hash: this.hashToken(value),
+      expira_en: expiraEn
+    });
+
+    return { ...stored, value };
+  }
+
+  /**
+   * @private
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  getRefreshExpiration() {
+    return new Date(Date.now() + jwtConfig.refreshTokenExpiresInDays * DAY_IN_MS).toISOString();
+  }
+
+  validateRefreshToken(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new ValidationError('El refresh_token es requerido');
+    }
+  }
+}
+
+export default new SessionService();
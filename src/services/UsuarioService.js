@@ -1,21 +1,31 @@
 /**
  * CAPA DE SERVICES (Business Logic Layer)
  *
- * Registro de usuarios con Supabase Auth + tabla usuarios.
+ * Registro e inicio de sesión de usuarios: proveedor de credenciales
+ * (Supabase Auth o local, según AUTH_PROVIDER) + tabla usuarios.
  */
 
-import supabase from '../config/supabase.js';
+import authProvider from '../providers/auth/index.js';
 import usuarioRepository from '../repositories/UsuarioRepository.js';
-import { DatabaseError, ValidationError } from '../utils/errors.js';
+import sessionService from './SessionService.js';
+import verificacionCuentaService from './VerificacionCuentaService.js';
+import { ForbiddenError, UnauthorizedError, ValidationError } from '../utils/errors.js';
 
 export class UsuarioService {
-  constructor(repository = usuarioRepository, supabaseClient = supabase) {
+  constructor(
+    repository = usuarioRepository,
+    provider = authProvider,
+    sessionServ = sessionService,
+    verificacionServ = verificacionCuentaService
+  ) {
     this.repository = repository;
-    this.supabase = supabaseClient;
+    this.authProvider = provider;
+    this.sessionService = sessionServ;
+    this.verificacionService = verificacionServ;
   }
 
   /**
-   * Registra un usuario en Supabase Auth y crea su perfil en la tabla usuarios.
+   * Registra un usuario en el proveedor de credenciales y crea su perfil en la tabla usuarios.
    * @param {Object} data
    * @param {string} data.email
    * @param {string} data.password
@@ -42,24 +52,15 @@ export class UsuarioService {
     let authUserId = null;
 
     try {
-      const { data: authData, error } = await this.supabase.auth.signUp({
+      const account = await this.authProvider.signUp({
         email: normalized.email,
         password: normalized.password,
-        options: {
-          data: {
-            nombre: normalized.nombre
-          }
+        metadata: {
+          nombre: normalized.nombre
         }
       });
 
-      if (error) {
-        throw new ValidationError(error.message);
-      }
-
-      authUserId = authData?.user?.id;
-      if (!authUserId) {
-        throw new DatabaseError('No se pudo crear el usuario en Supabase Auth');
-      }
+      authUserId = account.id;
 
       const profile = await this.repository.createFromAuth({
         auth_user_id: authUserId,
@@ -69,11 +70,13 @@ export class UsuarioService {
         telefono: normalized.telefono
       });
 
+      await this.sendVerificationEmail(profile);
+
       return profile;
     } catch (error) {
       if (authUserId) {
         try {
-          await this.supabase.auth.admin.deleteUser(authUserId);
+          await this.authProvider.deleteUser(authUserId);
         } catch (cleanupError) {
           console.warn('No se pudo limpiar el usuario en Auth:', cleanupError?.message || cleanupError);
         }
@@ -83,8 +86,66 @@ export class UsuarioService {
     }
   }
 
+  /**
+   * Verifica las credenciales contra el proveedor de auth e inicia una sesión.
+   * @param {Object} data
+   * @param {string} data.email
+   * @param {string} data.password
+   * @param {Object} [context] - { dispositivo, ip } de la sesión
+   * @returns {Promise<Object>} { access_token, token_type, expires_in, refresh_token, usuario }
+   */
+  async login(data, context = {}) {
+    this.validateLoginData(data);
+
+    const email = data.email.trim().toLowerCase();
+
+    // El proveedor usa el mismo mensaje para email inexistente y password incorrecto
+    const account = await this.authProvider.signIn({
+      email,
+      password: data.password
+    });
+
+    const profile = await this.repository.findByEmail(email);
+    if (!profile || profile.auth_user_id !== account.id) {
+      throw new UnauthorizedError('Credenciales inválidas');
+    }
+
+    if (profile.bloqueado) {
+      throw new ForbiddenError('La cuenta está bloqueada. Contacta con soporte');
+    }
+
+    return await this.sessionService.startSession(profile, context);
+  }
+
+  /**
+   * Envía el correo de verificación sin hacer fallar el registro:
+   * el usuario puede pedir otro enlace más adelante (POST /api/auth/resend-verification).
+   * @private
+   */
+  async sendVerificationEmail(profile) {
+    try {
+      await this.verificacionService.sendEmailVerification(profile);
+    } catch (error) {
+      console.warn('No se pudo enviar el email de verificacion:', error?.message || error);
+    }
+  }
+
   // ===== Validaciones =====
 
+  validateLoginData(data) {
+    if (!data || typeof data !== 'object') {
+      throw new ValidationError('Datos de inicio de sesion invalidos');
+    }
+
+    if (typeof data.email !== 'string' || data.email.trim().length === 0) {
+      throw new ValidationError('El email es requerido');
+    }
+
+    if (typeof data.password !== 'string' || data.password.length === 0) {
+      throw new ValidationError('El password es requerido');
+    }
+  }
+
   validateRegisterData(data) {
     const errors = [];
 
@@ -0,0 +1,166 @@
+/**
+ * CAPA DE SERVICES (Business Logic Layer)
+ *
+ * Gestión de usuarios (clientes) por parte del personal de soporte.
+ *
+ * Reglas:
+ * - Un usuario bloqueado no puede iniciar sesión ni operar el carrito.
+ * - Al bloquear una cuenta se cierran todas sus sesiones.
+ * - Un empleado no puede bloquear su propia cuenta.
+ * - Las cuentas de empleados no se bloquean desde aquí: se desactiva al empleado
+ *   (requiere employees:manage), así soporte no puede dejar fuera a un administrador.
+ */
+
+import usuarioRepository from '../repositories/UsuarioRepository.js';
+import empleadosRepository from '../repositories/EmpleadosRepository.js';
+import sessionService from './SessionService.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+const MAX_LIMIT = 100;
+
+export class UsuariosAdminService {
+  constructor(repository = usuarioRepository, sessionServ = sessionService, empleadosRepo = empleadosRepository) {
+    this.repository = repository;
+    this.sessionService = sessionServ;
+    this.empleadosRepository = empleadosRepo;
+  }
+
+  /**
+   * Busca usuarios por nombre, email o teléfono
+   * @param {Object} filters - { q, bloqueado, page, limit, cursor }
+   * @returns {Promise<Object>}
+   */
+  async searchUsuarios(filters = {}) {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 10, 1), MAX_LIMIT);
+    const q = typeof filters.q === 'string' ? filters.q.trim() : '';
+
+    return await this.repository.search({
+      q: q || undefined,
+      bloqueado: filters.bloqueado,
+      page,
+      limit,
+      cursor: filters.cursor || undefined
+    });
+  }
+
+  /**
+   * Obtiene el detalle de un usuario con carritos, pedidos, reseñas y tickets
+   * @param {number} id - ID del usuario
+   * @returns {Promise<Object>}
+   */
+  async getUsuarioDetalle(id) {
+    this.validateId(id);
+
+    const usuario = await this.repository.findWithActividad(id);
+    if (!usuario) {
+      throw new NotFoundError(`Usuario con ID ${id} no encontrado`);
+    }
+
+    const { carritos = [], pedidos = [], reseñas = [], soporte = [], ...perfil } = usuario;
+    const byDateDesc = field => (a, b) => new Date(b[field]) - new Date(a[field]);
+    const totalGastado = pedidos.reduce((sum, pedido) => sum + parseFloat(pedido.total || 0), 0);
+
+    return {
+      ...perfil,
+      carritos: [...carritos].sort(byDateDesc('fecha_creacion')).map(({ detalles_carritos = [], ...carrito }) => ({
+        ...carrito,
+        cantidad_items: detalles_carritos.length,
+        cantidad_productos: detalles_carritos.reduce((sum, detalle) => sum + detalle.cantidad, 0)
+      })),
+      pedidos: [...pedidos].sort(byDateDesc('fecha')),
+      reseñas: [...reseñas].sort(byDateDesc('fecha')),
+      tickets: [...soporte].sort(byDateDesc('fecha_creacion')),
+      resumen: {
+        total_pedidos: pedidos.length,
+        total_gastado: totalGastado,
+        total_gastado_formateado: `$${totalGastado.toFixed(2)}`,
+        total_reseñas: reseñas.length,
+        tickets_abiertos: soporte.filter(ticket => ticket.estado !== 'cerrado' && !ticket.fecha_resolucion).length
+      }
+    };
+  }
+
+  /**
+   * Bloquea una cuenta y cierra todas sus sesiones
+   * @param {number} id - ID del usuario a bloquear
+   * @param {Object} data - { motivo }
+   * @param {Object} actor - Usuario (empleado) que realiza la acción
+   * @returns {Promise<Object>}
+   */
+  async bloquearUsuario(id, data = {}, actor) {
+    this.validateId(id);
+
+    const usuario = await this.repository.findById(id);
+    if (!usuario) {
+      throw new NotFoundError(`Usuario con ID ${id} no encontrado`);
+    }
+
+    if (actor && usuario.id === actor.id) {
+      throw new ValidationError('No puedes bloquear tu propia cuenta');
+    }
+
+    if (usuario.bloqueado) {
+      throw new ValidationError('La cuenta ya está bloqueada');
+    }
+
+    const empleado = usuario.auth_user_id
+      ? await this.empleadosRepository.getEmpleadoByUsuarioId(usuario.auth_user_id)
+      : null;
+    if (empleado) {
+      throw new ForbiddenError('Las cuentas de empleados no se bloquean: desactiva al empleado');
+    }
+
+    if (data.motivo !== undefined && typeof data.motivo !== 'string') {
+      throw new ValidationError('El motivo debe ser un texto');
+    }
+
+    const bloqueado = await this.repository.update(usuario.id, {
+      bloqueado: true,
+      bloqueado_en: new Date().toISOString(),
+      bloqueado_por: actor?.id || null,
+      motivo_bloqueo: data.motivo?.trim() || null
+    });
+
+    const revocadas = await this.sessionService.revokeAllSessions(usuario.id, 'usuario_bloqueado');
+
+    return {
+      ...bloqueado,
+      sesiones_cerradas: revocadas.length
+    };
+  }
+
+  /**
+   * Desbloquea una cuenta
+   * @param {number} id - ID del usuario
+   * @returns {Promise<Object>}
+   */
+  async desbloquearUsuario(id) {
+    this.validateId(id);
+
+    const usuario = await this.repository.findById(id);
+    if (!usuario) {
+      throw new NotFoundError(`Usuario con ID ${id} no encontrado`);
+    }
+
+    if (!usuario.bloqueado) {
+      throw new ValidationError('La cuenta no está bloqueada');
+    }
+
+    return await this.repository.update(usuario.id, {
+      bloqueado: false,
+      bloqueado_en: null,
+      bloqueado_por: null,
+      motivo_bloqueo: null
+    });
+  }
+
+  validateId(id) {
+    const numId = parseInt(id);
+    if (!id || isNaN(numId) || numId <= 0) {
+      throw new ValidationError('ID debe ser un número positivo');
+    }
+  }
+}
+
+export default new UsuariosAdminService();
@@ -0,0 +1,403 @@
+/**
+ * CAPA DE SERVICES (Business Logic Layer)
+ *
+ * Variantes de productos (variantes_productos)
+ * - Cada variante tiene sus valores de opción (p.ej. { talla: "M", material: "plata" }),
+ *   un SKU único, un precio propio opcional y su propio stock
+ * - Dos variantes de un mismo producto no pueden tener las mismas opciones
+ * - En un producto con variantes, productos.stock es la suma del stock de sus
+ *   variantes: se recalcula tras cada cambio, así los listados siguen funcionando
+ * - Con la primera variante, las líneas del producto sin variante de los carritos activos
+ *   se eliminan: el carrito ya no podría actualizarlas sin saber qué variante es
+ */
+
+import variantesProductoRepository from '../repositories/VariantesProductoRepository.js';
+import productRepository from '../repositories/ProductRepository.js';
+import carritoRepository from '../repositories/CarritoRepository.js';
+import auditService, { AUDIT_ACCIONES, AUDIT_ENTIDADES } from './AuditService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+const MAX_OPCIONES = 10;
+const MAX_LONGITUD_SKU = 64;
+
+export class VariantesProductoService {
+  constructor(
+    repository = variantesProductoRepository,
+    productRepo = productRepository,
+    auditServ = auditService,
+    carritoRepo = carritoRepository
+  ) {
+    this.repository = repository;
+    this.productRepository = productRepo;
+    this.auditService = auditServ;
+    this.carritoRepository = carritoRepo;
+  }
+
+  /**
+   * Variantes de un producto
+   * @param {number|string} productoId
+   * @returns {Promise<Array>}
+   */
+  async getVariantes(productoId) {
+    const producto = await this.getProducto(productoId);
+
+    const variantes = await this.repository.findByProducto(producto.id);
+    return variantes.map(variante => this.toVariante(variante, producto));
+  }
+
+  /**
+   * Crea una variante. Con la primera variante, el stock del producto pasa a ser el de sus variantes
+   * y se quitan de los carritos activos las líneas del producto sin variante
+   * @param {number|string} productoId
+   * @param {Object} data - { sku, opciones, precio?, stock? }
+   * @returns {Promise<Object>}
+   */
+  async createVariante(productoId, data = {}) {
+    const producto = await this.getProducto(productoId);
+
+    const normalizedData = {
+      producto_id: producto.id,
+      sku: this.normalizarSku(data.sku),
+      opciones: this.normalizarOpciones(data.opciones),
+      precio: this.normalizarPrecio(data.precio),
+      stock: this.normalizarStock(data.stock ?? 0)
+    };
+
+    const existentes = await this.repository.findByProducto(producto.id);
+    await this.assertVarianteUnica(normalizedData, existentes);
+
+    const variante = await this.repository.create(normalizedData);
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.CREATE,
+      entidad: AUDIT_ENTIDADES.VARIANTE_PRODUCTO,
+      entidadId: variante.id,
+      despues: variante
+    });
+
+    await this.sincronizarStock(producto.id);
+
+    if (existentes.length === 0) {
+      await this.carritoRepository.eliminarLineasSinVariante(producto.id);
+    }
+
+    return this.toVariante(variante, producto);
+  }
+
+  /**
+   * Actualiza SKU, opciones, precio o stock de una variante
+   * @param {number|string} productoId
+   * @param {number|string} varianteId
+   * @param {Object} data - { sku?, opciones?, precio?, stock? } (precio null vuelve al del producto)
+   * @returns {Promise<Object>}
+   */
+  async updateVariante(productoId, varianteId, data = {}) {
+    const { producto, variante } = await this.getVarianteDeProducto(productoId, varianteId);
+
+    const normalizedData = {};
+    if (data.sku !== undefined) normalizedData.sku = this.normalizarSku(data.sku);
+    if (data.opciones !== undefined) normalizedData.opciones = this.normalizarOpciones(data.opciones);
+    if (data.precio !== undefined) normalizedData.precio = this.normalizarPrecio(data.precio);
+    if (data.stock !== undefined) normalizedData.stock = this.normalizarStock(data.stock);
+
+    if (Object.keys(normalizedData).length === 0) {
+      throw new ValidationError('No hay datos para actualizar');
+    }
+
+    const existentes = await this.repository.findByProducto(producto.id);
+    await this.assertVarianteUnica(
+      { ...variante, ...normalizedData },
+      existentes.filter(existente => existente.id !== variante.id)
+    );
+
+    const updated = await this.repository.update(variante.id, normalizedData);
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.UPDATE,
+      entidad: AUDIT_ENTIDADES.VARIANTE_PRODUCTO,
+      entidadId: variante.id,
+      antes: variante,
+      despues: updated
+    });
+
+    if (normalizedData.stock !== undefined) {
+      await this.sincronizarStock(producto.id);
+    }
+
+    return this.toVariante(updated, producto);
+  }
+
+  /**
+   * Elimina una variante (sus líneas de carrito se borran en cascada)
+   * @param {number|string} productoId
+   * @param {number|string} varianteId
+   * @returns {Promise<Object>} La variante eliminada
+   */
+  async deleteVariante(productoId, varianteId) {
+    const { producto, variante } = await this.getVarianteDeProducto(productoId, varianteId);
+
+    await this.repository.delete(variante.id);
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.DELETE,
+      entidad: AUDIT_ENTIDADES.VARIANTE_PRODUCTO,
+      entidadId: variante.id,
+      antes: variante
+    });
+
+    await this.sincronizarStock(producto.id);
+
+    return this.toVariante(variante, producto);
+  }
+
+  /**
+   * Suma o resta stock a una variante
+   * @param {number|string} productoId
+   * @param {number|string} varianteId
+   * @param {number} quantity - Cantidad a agregar/restar
+   * @returns {Promise<Object>} { producto, variante, previousStock }
+   */
+  async updateStock(productoId, varianteId, quantity) {
+    const { variante } = await this.getVarianteDeProducto(productoId, varianteId);
+
+    if (!Number.isInteger(quantity)) {
+      throw new ValidationError('La cantidad debe ser un número entero');
+    }
+
+    const newStock = variante.stock + quantity;
+    if (newStock < 0) {
+      throw new ValidationError(
+        `Stock insuficiente. Stock actual: ${variante.stock}, cantidad solicitada: ${Math.abs(quantity)}`
+      );
+    }
+
+    const updated = await this.repository.update(variante.id, { stock: newStock });
+
+    await this.auditService.record({
+      accion: AUDIT_ACCIONES.UPDATE,
+      entidad: AUDIT_ENTIDADES.VARIANTE_PRODUCTO,
+      entidadId: variante.id,
+      antes: variante,
+      despues: updated
+    });
+
+    const producto = await this.sincronizarStock(variante.producto_id);
+
+    return {
+      producto,
+      variante: this.toVariante(updated, producto),
+      previousStock: variante.stock
+    };
+  }
+
+  /**
+   * Variantes de varios productos, para incrustarlas en los listados
+   * @param {Array<Object>} productos - Filas de productos
+   * @returns {Promise<Map<number, Array>>} producto_id → variantes formateadas
+   */
+  async getVariantesPorProducto(productos) {
+    const porId = new Map(productos.map(producto => [producto.id, producto]));
+    const variantes = await this.repository.findByProductos([...porId.keys()]);
+
+    const resultado = new Map();
+    variantes.forEach(variante => {
+      const lista = resultado.get(variante.producto_id) || [];
+      lista.push(this.toVariante(variante, porId.get(variante.producto_id)));
+      resultado.set(variante.producto_id, lista);
+    });
+
+    return resultado;
+  }
+
+  /**
+   * Precio que se cobra por una variante: el suyo o, si no tiene, el del producto
+   * @param {Object|null} variante
+   * @param {Object} producto
+   * @returns {number}
+   */
+  precioEfectivo(variante, producto) {
+    return parseFloat(variante?.precio ?? producto.precio);
+  }
+
+  /**
+   * Formatea una variante para la respuesta
+   * @param {Object} variante - Fila de variantes_productos
+   * @param {Object} producto - Fila del producto al que pertenece
+   * @returns {Object}
+   */
+  toVariante(variante, producto) {
+    const precio = this.precioEfectivo(variante, producto);
+
+    return {
+      id: variante.id,
+      producto_id: variante.producto_id,
+      sku: variante.sku,
+      opciones: variante.opciones,
+      precio,
+      precio_propio: variante.precio !== null && variante.precio !== undefined,
+      formattedPrice: `$${precio.toFixed(2)}`,
+      stock: variante.stock,
+      isLowStock: variante.stock < 10,
+      isOutOfStock: variante.stock === 0
+    };
+  }
+
+  // ===== Privados =====
+
+  /**
+   * Recalcula productos.stock como la suma del stock de las variantes
+   * @private
+   */
+  async sincronizarStock(productoId) {
+    const variantes = await this.repository.findByProducto(productoId);
+    const stock = variantes.reduce((sum, variante) => sum + variante.stock, 0);
+
+    return await this.productRepository.update(productoId, { stock });
+  }
+
+  /**
+   * SKU único en todo el catálogo y opciones únicas dentro del producto
+   * @private
+   */
+  async assertVarianteUnica(variante, otrasDelProducto) {
+    const conMismoSku = await this.repository.findOne({ sku: variante.sku });
+    if (conMismoSku && conMismoSku.id !== variante.id) {
+      throw new ValidationError(`Ya existe una variante con el SKU "${variante.sku}"`);
+    }
+
+    const clave = this.claveOpciones(variante.opciones);
+    if (otrasDelProducto.some(otra => this.claveOpciones(otra.opciones) === clave)) {
+      throw new ValidationError('El producto ya tiene una variante con esas opciones');
+    }
+  }
+
+  /**
+   * @private
+   */
+  claveOpciones(opciones) {
+    return JSON.stringify(Object.entries(opciones || {}).sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  /**
+   * Nombres de opción en minúsculas y valores como texto, ordenados por nombre
+   * @private
+   */
+  normalizarOpciones(opciones) {
+    if (!opciones || typeof opciones !== 'object' || Array.isArray(opciones)) {
+      throw new ValidationError('opciones debe ser un objeto, p.ej. { "talla": "M", "material": "plata" }');
+    }
+
+    const entradas = Object.entries(opciones).map(([nombre, valor]) => [
+      String(nombre).trim().toLowerCase(),
+      typeof valor === 'string' || typeof valor === 'number' ? String(valor).trim() : ''
+    ]);
+
+    if (entradas.length === 0 || entradas.length > MAX_OPCIONES) {
+      throw new ValidationError(`Una variante debe tener entre 1 y ${MAX_OPCIONES} opciones`);
+    }
+
+    if (entradas.some(([nombre, valor]) => !nombre || !valor)) {
+      throw new ValidationError('Cada opción debe tener un nombre y un valor de texto no vacíos');
+    }
+
+    if (new Set(entradas.map(([nombre]) => nombre)).size !== entradas.length) {
+      throw new ValidationError('Las opciones no pueden repetir nombre');
+    }
+
+    return Object.fromEntries(entradas.sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  /**
+   * @private
+   */
+  normalizarSku(sku) {
+    const normalizado = typeof sku === 'string' ? sku.trim() : '';
+
+    if (!normalizado) {
+      throw new ValidationError('El SKU es requerido');
+    }
+
+    if (normalizado.length > MAX_LONGITUD_SKU) {
+      throw new ValidationError(`El SKU no puede exceder ${MAX_LONGITUD_SKU} caracteres`);
+    }
+
+    return normalizado;
+  }
+
+  /**
+   * @private
+   */
+  normalizarPrecio(precio) {
+    if (precio === undefined || precio === null || precio === '') {
+      return null;
+    }
+
+    const numero = parseFloat(precio);
+    if (isNaN(numero)) {
+      throw new ValidationError('El precio debe ser un número válido');
+    }
+
+    if (numero < 0) {
+      throw new ValidationError('El precio no puede ser negativo');
+    }
+
+    return numero;
+  }
+
+  /**
+   * @private
+   */
+  normalizarStock(stock) {
+    const numero = Number(stock);
+    if (!Number.isInteger(numero) || numero < 0) {
+      throw new ValidationError('El stock debe ser un número entero no negativo');
+    }
+
+    return numero;
+  }
+
+  /**
+   * @private
+   */
+  async getProducto(productoId) {
+    this.validateId(productoId);
+
+    const producto = await this.productRepository.findById(parseInt(productoId));
+    if (!producto) {
+      throw new NotFoundError(`Producto con ID ${productoId} no encontrado`);
+    }
+
+    return producto;
+  }
+
+  /**
+   * @private
+   */
+  async getVarianteDeProducto(productoId, varianteId) {
+    const producto = await this.getProducto(productoId);
+    this.validateId(varianteId);
+
+    const variante = await this.repository.findById(parseInt(varianteId));
+    if (!variante || variante.producto_id !== producto.id) {
+      throw new NotFoundError(`Variante con ID ${varianteId} no encontrada en el producto ${productoId}`);
+    }
+
+    return { producto, variante };
+  }
+
+  /**
+   * @private
+   */
+  validateId(id) {
+    if (!id) {
+      throw new ValidationError('ID es requerido');
+    }
+
+    const numId = parseInt(id);
+    if (isNaN(numId) || numId <= 0) {
+      throw new ValidationError('ID debe ser un número positivo');
+    }
+  }
+}
+
+export default new VariantesProductoService();
@@ -0,0 +1,242 @@
+/**
+ * CAPA DE SERVICES (Business Logic Layer)
+ *
+ * Flujos de cuenta basados en tokens de un solo uso enviados por email:
+ * - Restablecimiento de password (forgot/reset)
+ * - Verificación de email
+ * - Invitación de personal nuevo (define su password con un token de restablecimiento)
+ *
+ * Los tokens son valores aleatorios que solo viajan en el correo;
+ * en la base de datos se guarda su hash, su tipo y su vencimiento.
+ */
+
+import crypto from 'node:crypto';
+import authProvider from '../providers/auth/index.js';
+import mailer, { mailConfig } from '../config/mailer.js';
+import usuarioRepository from '../repositories/UsuarioRepository.js';
+import tokenVerificacionRepository from '../repositories/TokenVerificacionRepository.js';
+import sessionService from './SessionService.js';
+import { ValidationError } from '../utils/errors.js';
+
+export const TOKEN_TYPES = {
+  RESET_PASSWORD: 'reset_password',
+  VERIFY_EMAIL: 'verify_email'
+};
+
+const TOKEN_TTL_MS = {
+  [TOKEN_TYPES.RESET_PASSWORD]: 60 * 60 * 1000, // 1 hora
+  [TOKEN_TYPES.VERIFY_EMAIL]: 24 * 60 * 60 * 1000 // 24 horas
+};
+
+const INVITATION_TTL_MS = 72 * 60 * 60 * 1000; // 72 horas
+
+export class VerificacionCuentaService {
+  constructor(
+    usuarioRepo = usuarioRepository,
+    tokenRepo = tokenVerificacionRepository,
+    mailService = mailer,
+    sessionServ = sessionService,
+    provider = authProvider
+  ) {
+    this.usuarioRepository = usuarioRepo;
+    this.tokenRepository = tokenRepo;
+    this.mailer = mailService;
+    this.sessionService = sessionServ;
+    this.authProvider = provider;
+  }
+
+  /**
+   * Envía un enlace de restablecimiento de password.
+   * No revela si el email existe: siempre termina sin error, también si falla el
+   * envío (solo se registra en el log; un 500 solo para cuentas existentes las delataría).
+   * @param {string} email
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email) {
+    if (!email || typeof email !== 'string' || !email.trim()) {
+      throw new ValidationError('El email es requerido');
+    }
+
+    const usuario = await this.usuarioRepository.findByEmail(email.trim().toLowerCase());
+    if (!usuario) {
+      return;
+    }
+
+    try {
+      const token = await this.issueToken(usuario.id, TOKEN_TYPES.RESET_PASSWORD);
+      const link = `${mailConfig.appUrl}/reset-password?token=${token}`;
+
+      await this.mailer.send({
+        to: usuario.email,
+        subject: 'Restablece tu contraseña - Bello Amuleto',
+        text: [
+          `Hola ${usuario.nombre},`,
+          '',
+          'Recibimos una solicitud para restablecer tu contraseña.',
+          `Usa este enlace (válido por 1 hora): ${link}`,
+          '',
+          'Si no fuiste tú, ignora este mensaje.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.warn('No se pudo enviar el email de restablecimiento:', error?.message || error);
+    }
+  }
+
+  /**
+   * Cambia el password usando un token de restablecimiento
+   * y cierra todas las sesiones abiertas del usuario.
+   * @param {string} token - Token recibido por email
+   * @param {string} password - Nuevo password
+   * @returns {Promise<Object>}
+   */
+  async resetPassword(token, password) {
+    if (!password || typeof password !== 'string' || password.length < 6) {
+      throw new ValidationError('El password debe tener al menos 6 caracteres');
+    }
+
+    const stored = await this.consumeToken(token, TOKEN_TYPES.RESET_PASSWORD);
+
+    const usuario = await this.usuarioRepository.findById(stored.usuario_id);
+    if (!usuario) {
+      throw new ValidationError('Token inválido o expirado');
+    }
+
+    await this.authProvider.updatePassword(usuario.auth_user_id, password);
+
+    await this.sessionService.revokeAllSessions(usuario.id, 'password_restablecido');
+
+    return { id: usuario.id, email: usuario.email };
+  }
+
+  /**
+   * Envía el correo de verificación de email
+   * @param {Object} usuario - Fila de usuarios
+   * @returns {Promise<void>}
+   */
+  async sendEmailVerification(usuario) {
+    const token = await this.issueToken(usuario.id, TOKEN_TYPES.VERIFY_EMAIL);
+    const link = `${mailConfig.appUrl}/verify-email?token=${token}`;
+
+    await this.mailer.send({
+      to: usuario.email,
+      subject: 'Confirma tu email - Bello Amuleto',
+      text: [
+        `Hola ${usuario.nombre},`,
+        '',
+        'Confirma tu dirección de email con este enlace (válido por 24 horas):',
+        link,
+        '',
+        'Si vence, puedes pedir otro desde tu cuenta.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Reenvía el correo de verificación (invalida los enlaces anteriores)
+   * @param {Object} usuario - Fila de usuarios del llamante
+   * @returns {Promise<void>}
+   */
+  async resendEmailVerification(usuario) {
+    if (usuario.email_verificado_en) {
+      throw new ValidationError('El email ya está verificado');
+    }
+
+    await this.sendEmailVerification(usuario);
+  }
+
+  /**
+   * Envía la invitación a un empleado dado de alta por el personal: un enlace
+   * de restablecimiento para que elija su password (no se le envía ninguno)
+   * @param {Object} usuario - Fila de usuarios
+   * @returns {Promise<void>}
+   */
+  async sendStaffInvitation(usuario) {
+    const token = await this.issueToken(usuario.id, TOKEN_TYPES.RESET_PASSWORD, INVITATION_TTL_MS);
+    const link = `${mailConfig.appUrl}/reset-password?token=${token}`;
+
+    await this.mailer.send({
+      to: usuario.email,
+      subject: 'Bienvenido al equipo - Bello Amuleto',
+      text: [
+        `Hola ${usuario.nombre},`,
+        '',
+        'Se ha creado tu cuenta de personal en Bello Amuleto.',
+        `Elige tu contraseña con este enlace (válido por 72 horas): ${link}`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Marca el email del usuario como verificado
+   * @param {string} token - Token recibido por email
+   * @returns {Promise<Object>}
+   */
+  async verifyEmail(token) {
+    const stored = await this.consumeToken(token, TOKEN_TYPES.VERIFY_EMAIL);
+
+    const usuario = await this.usuarioRepository.findById(stored.usuario_id);
+    if (!usuario) {
+      throw new ValidationError('Token inválido o expirado');
+    }
+
+    await this.authProvider.confirmEmail(usuario.auth_user_id);
+
+    return await this.usuarioRepository.update(usuario.id, {
+      email_verificado_en: new Date().toISOString()
+    });
+  }
+
+  // ===== Utilidades =====
+
+  /**
+   * Genera un token nuevo (invalidando los pendientes del mismo tipo)
+   * @private
+   * @returns {Promise<string>} Token en claro para incluir en el correo
+   */
+  async issueToken(usuarioId, tipo, ttlMs = TOKEN_TTL_MS[tipo]) {
+    await this.tokenRepository.invalidarPendientes(usuarioId, tipo);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await this.tokenRepository.create({
+      usuario_id: usuarioId,
+      tipo,
+      token_hash: this.hashToken(token),
+      expira_en: new Date(Date.now() + ttlMs).toISOString()
+    });
+
+    return token;
+  }
+
+  /**
+   * Valida y consume un token (uso único)
+   * @private
+   */
+  async consumeToken(token, tipo) {
+    if (!token || typeof token !== 'string') {
+      throw new ValidationError('El token es requerido');
+    }
+
+    const stored = await this.tokenRepository.findByHash(this.hashToken(token), tipo);
+    if (!stored || stored.usado_en || new Date(stored.expira_en) <= new Date()) {
+      throw new ValidationError('Token inválido o expirado');
+    }
+
+    const consumed = await this.tokenRepository.consumir(stored.id);
+    if (!consumed) {
+      throw new ValidationError('Token inválido o expirado');
+    }
+
+    return stored;
+  }
+
+  /**
+   * @private
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+export default new VerificacionCuentaService();
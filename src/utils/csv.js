@@ -0,0 +1,98 @@
+/**
+ * LECTURA DE CSV
+ *
+ * Parser mínimo de CSV (RFC 4180) para las importaciones:
+ * - Campos entre comillas dobles, con "" como comilla escapada y saltos de línea dentro
+ * - Separador "," o ";" (Excel en español exporta con ";"), detectado en la cabecera
+ * - Ignora el BOM inicial y las líneas vacías
+ */
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Detecta el separador contando "," y ";" en la primera línea fuera de comillas
+ * @param {string} texto
+ * @returns {string}
+ */
+const detectarSeparador = (texto) => {
+  let comas = 0;
+  let puntosYComa = 0;
+  let entreComillas = false;
+
+  for (const caracter of texto) {
+    if (caracter === '"') entreComillas = !entreComillas;
+    else if (!entreComillas && (caracter === '\n' || caracter === '\r')) break;
+    else if (!entreComillas && caracter === ',') comas++;
+    else if (!entreComillas && caracter === ';') puntosYComa++;
+  }
+
+  return puntosYComa > comas ? ';' : ',';
+};
+
+/**
+ * Convierte un texto CSV en registros
+ * @param {string} texto - Contenido del archivo
+ * @returns {Array<{ linea: number, campos: Array<string> }>} Registros con la línea en la que empiezan (1 = cabecera)
+ */
+export const parseCsv = (texto) => {
+  if (typeof texto !== 'string') {
+    throw new ValidationError('El contenido CSV debe ser texto');
+  }
+
+  const contenido = texto.replace(/^\uFEFF/, '');
+  const separador = detectarSeparador(contenido);
+
+  const registros = [];
+  let campos = [];
+  let campo = '';
+  let entreComillas = false;
+  let linea = 1;
+  let lineaInicio = 1;
+
+  const cerrarRegistro = () => {
+    campos.push(campo);
+    if (campos.length > 1 || campos[0].trim() !== '') {
+      registros.push({ linea: lineaInicio, campos });
+    }
+    campos = [];
+    campo = '';
+  };
+
+  for (let i = 0; i < contenido.length; i++) {
+    const caracter = contenido[i];
+
+    if (entreComillas) {
+      if (caracter === '"' && contenido[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (caracter === '"') {
+        entreComillas = false;
+      } else {
+        if (caracter === '\n') linea++;
+        campo += caracter;
+      }
+    } else if (caracter === '"') {
+      entreComillas = true;
+    } else if (caracter === separador) {
+      campos.push(campo);
+      campo = '';
+    } else if (caracter === '\n' || caracter === '\r') {
+      if (caracter === '\r' && contenido[i + 1] === '\n') i++;
+      cerrarRegistro();
+      linea++;
+      lineaInicio = linea;
+    } else {
+      campo += caracter;
+    }
+  }
+
+  if (entreComillas) {
+    throw new ValidationError(`CSV inválido: comillas sin cerrar en la línea ${lineaInicio}`);
+  }
+
+  if (campo !== '' || campos.length > 0) {
+    cerrarRegistro();
+  }
+
+  return registros;
+};
@@ -0,0 +1,206 @@
+/**
+ * PAGINACIÓN DE LISTADOS
+ *
+ * Dos modos para los listados paginados de los repositories:
+ * - page/limit: range() sobre la consulta, con el total de filas
+ * - cursor: paginación por clave (keyset). El cursor es opaco para el cliente y guarda
+ *   el orden usado, un hash de los filtros y los valores de la última fila devuelta
+ *   (columna de orden y clave de desempate). La página siguiente empieza justo después
+ *   de esa fila, así no hay OFFSET y las filas no se desplazan si cambian las anteriores.
+ *   Un cursor usado con otro orden u otros filtros se rechaza
+ * Los nulos van siempre al final (nullsFirst: false).
+ */
+
+import crypto from 'node:crypto';
+import { DatabaseError, ValidationError } from './errors.js';
+
+/**
+ * JSON con las claves ordenadas, para que los mismos filtros den siempre el mismo texto
+ * @param {*} valor
+ * @returns {string}
+ */
+const canonicalJson = (valor) => {
+  if (Array.isArray(valor)) {
+    return `[${valor.map(canonicalJson).join(',')}]`;
+  }
+
+  if (valor && typeof valor === 'object') {
+    const entradas = Object.keys(valor)
+      .filter(clave => valor[clave] !== undefined)
+      .sort()
+      .map(clave => `${JSON.stringify(clave)}:${canonicalJson(valor[clave])}`);
+    return `{${entradas.join(',')}}`;
+  }
+
+  return JSON.stringify(valor ?? null);
+};
+
+/**
+ * Huella de los filtros con los que se emite un cursor
+ * @param {Object} filtros
+ * @returns {string}
+ */
+const hashFiltros = (filtros) =>
+  crypto.createHash('sha256').update(canonicalJson(filtros)).digest('base64url').slice(0, 16);
+
+/**
+ * Crea el cursor que apunta a una fila
+ * @param {Object} fila - Última fila de la página
+ * @param {Object} orden - { sortBy, ascending, tieBreaker, filtros }
+ * @returns {string}
+ */
+const encodeCursor = (fila, { sortBy, ascending, tieBreaker, filtros }) =>
+  Buffer.from(JSON.stringify({
+    s: sortBy,
+    a: ascending,
+    f: hashFiltros(filtros),
+    v: fila[sortBy] ?? null,
+    k: fila[tieBreaker]
+  })).toString('base64url');
+
+/**
+ * Lee un cursor y comprueba que corresponda al orden y a los filtros solicitados
+ * @param {string} cursor
+ * @param {Object} orden - { sortBy, ascending, filtros }
+ * @returns {{ valor: *, clave: * }}
+ */
+const decodeCursor = (cursor, { sortBy, ascending, filtros }) => {
+  let contenido;
+  try {
+    contenido = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    contenido = null;
+  }
+
+  if (!contenido || typeof contenido !== 'object' || !('v' in contenido)
+    || contenido.k === undefined || contenido.k === null) {
+    throw new ValidationError('Cursor inválido');
+  }
+
+  if (contenido.s !== sortBy || contenido.a !== ascending) {
+    throw new ValidationError('El cursor no corresponde al orden solicitado (sortBy / sortOrder)');
+  }
+
+  if (contenido.f !== hashFiltros(filtros)) {
+    throw new ValidationError('El cursor no corresponde a los filtros solicitados');
+  }
+
+  return { valor: contenido.v, clave: contenido.k };
+};
+
+/**
+ * Valor para la sintaxis de filtros de PostgREST: entre comillas, con \ y " escapados
+ * @param {*} valor
+ * @returns {string}
+ */
+const quote = (valor) => `"${String(valor).replace(/[\\"]/g, '\\$&')}"`;
+
+/**
+ * Filtro .or() de PostgREST con las filas posteriores al cursor
+ * @param {Object} orden - { sortBy, ascending, tieBreaker, tieBreakerAscending }
+ * @param {Object} posicion - { valor, clave } (decodeCursor)
+ * @returns {string}
+ */
+const keysetFilter = ({ sortBy, ascending, tieBreaker, tieBreakerAscending }, { valor, clave }) => {
+  const desempate = `${tieBreaker}.${tieBreakerAscending ? 'gt' : 'lt'}.${quote(clave)}`;
+
+  if (sortBy === tieBreaker) {
+    return desempate;
+  }
+
+  if (valor === null) {
+    return `and(${sortBy}.is.null,${desempate})`;
+  }
+
+  return [
+    `${sortBy}.${ascending ? 'gt' : 'lt'}.${quote(valor)}`,
+    `and(${sortBy}.eq.${quote(valor)},${desempate})`,
+    `${sortBy}.is.null`
+  ].join(',');
+};
+
+/**
+ * Ordena y pagina una consulta ya filtrada (select o rpc de Supabase).
+ * - Sin cursor: page/limit con range; total viene del count de la consulta
+ * - Con cursor: las filas que siguen a la del cursor, sin total. La consulta no
+ *   debería pedir count en este modo (es lo que se quiere evitar en listados grandes)
+ * En ambos modos se ordena por sortBy y después por la clave de desempate, y se
+ * devuelve nextCursor (null en la última página)
+ * @param {Object} query - Consulta con los filtros aplicados
+ * @param {Object} options
+ * @param {number} options.page - Página (modo page/limit)
+ * @param {number} options.limit - Filas por página
+ * @param {string} [options.cursor] - nextCursor de la página anterior
+ * @param {string} [options.sortBy] - Columna de orden (default: id)
+ * @param {boolean} [options.ascending] - Orden de sortBy (default: false)
+ * @param {string} [options.tieBreaker] - Columna única de desempate (default: id)
+ * @param {boolean} [options.tieBreakerAscending] - Orden del desempate (default: true)
+ * @param {Object} [options.filtros] - Filtros aplicados a la consulta (quedan ligados al cursor)
+ * @param {string} [options.errorMessage] - Prefijo del mensaje de DatabaseError
+ * @returns {Promise<Object>} { rows, total, page, limit, totalPages, nextCursor }
+ */
+export const paginateQuery = async (query, {
+  page = 1,
+  limit = 10,
+  cursor,
+  sortBy = 'id',
+  ascending = false,
+  tieBreaker = 'id',
+  tieBreakerAscending = true,
+  filtros = {},
+  errorMessage = 'Error in pagination query'
+} = {}) => {
+  const orden = {
+    sortBy,
+    ascending,
+    tieBreaker,
+    tieBreakerAscending: sortBy === tieBreaker ? ascending : tieBreakerAscending,
+    filtros
+  };
+
+  query = query.order(sortBy, { ascending, nullsFirst: false });
+  if (sortBy !== tieBreaker) {
+    query = query.order(tieBreaker, { ascending: orden.tieBreakerAscending });
+  }
+
+  if (cursor) {
+    const posicion = decodeCursor(cursor, orden);
+
+    // Una fila de más indica si hay página siguiente
+    const { data, error } = await query.or(keysetFilter(orden, posicion)).limit(limit + 1);
+
+    if (error) {
+      throw new DatabaseError(`${errorMessage}: ${error.message}`);
+    }
+
+    const rows = (data || []).slice(0, limit);
+
+    return {
+      rows,
+      total: null,
+      page: null,
+      limit: parseInt(limit),
+      totalPages: null,
+      nextCursor: data.length > limit ? encodeCursor(rows[rows.length - 1], orden) : null
+    };
+  }
+
+  const offset = (page - 1) * limit;
+  const { data, error, count } = await query.range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new DatabaseError(`${errorMessage}: ${error.message}`);
+  }
+
+  const rows = data || [];
+  const hasMore = rows.length > 0 && offset + rows.length < (count || 0);
+
+  return {
+    rows,
+    total: count || 0,
+    page: parseInt(page),
+    limit: parseInt(limit),
+    totalPages: Math.ceil((count || 0) / limit),
+    nextCursor: hasMore ? encodeCursor(rows[rows.length - 1], orden) : null
+  };
+};
@@ -0,0 +1,51 @@
+/**
+ * UTILIDADES DE PASSWORD
+ *
+ * Hash de passwords con scrypt (node:crypto), sin dependencias externas.
+ * Formato almacenado: scrypt$N$r$p$salt$hash (salt y hash en base64)
+ */
+
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+/**
+ * Genera el hash de un password
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const derived = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+}
+
+/**
+ * Compara un password con un hash almacenado (comparación en tiempo constante)
+ * @param {string} password
+ * @param {string} storedHash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, storedHash) {
+  const parts = typeof storedHash === 'string' ? storedHash.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+
+  const [, N, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, 'base64');
+  const derived = await scrypt(password, Buffer.from(saltB64, 'base64'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+
+  return crypto.timingSafeEqual(derived, expected);
+}